@@ -1,22 +1,48 @@
 import { Injectable } from '@angular/core';
-import { Cordova, IonicNativePlugin, Plugin } from '@ionic-native/core';
+import { Cordova, CordovaCheck, CordovaProperty, IonicNativePlugin, Plugin } from '@ionic-native/core';
+import { Observable } from 'rxjs';
+
+// Parameters are kept as flat [key1, value1, key2, value2, ...] lists, like the native bridges expect them.
+function removeParameter(parameters: string[], key: string): boolean {
+  for (let i = 0; i < parameters.length; i += 2) {
+    if (parameters[i] === key) {
+      parameters.splice(i, 2);
+      return true;
+    }
+  }
+  return false;
+}
+
+// Subscribes a listener to the Adjust global for as long as the observable is subscribed to.
+function listen<T>(type: string, options?: AdjustListenerOptions): Observable<T> {
+  return new Observable<T>((observer) => {
+    const unsubscribe = (window as any).Adjust.on(type, (payload: T) => observer.next(payload), options);
+    return () => unsubscribe();
+  });
+}
 
 export class AdjustEvent {
   private eventToken: string;
-  private revenue: number;
-  private currency: string;
-  private transactionId: string;
-  private callbackId: string;
+  private revenue: number = null;
+  private currency: string = null;
+  private transactionId: string = null;
+  private callbackId: string = null;
   private callbackParameters: string[] = [];
   private partnerParameters: string[] = [];
+  private receipt: string = null; // iOS only
+  private isReceiptSet = false; // iOS only
 
   constructor(eventToken: string) {
     this.eventToken = eventToken;
   }
 
-  setRevenue(revenue: number, currency: string): void {
-    this.revenue = revenue;
-    this.currency = currency;
+  // Validated and rounded by the plugin's AdjustEvent, which reports refused revenue to Adjust.onError.
+  setRevenue(revenue: number, currency: string): boolean {
+    const checked = new (window as any).AdjustEvent(this.eventToken);
+    const accepted: boolean = checked.setRevenue(revenue, currency);
+    this.revenue = checked.revenue;
+    this.currency = checked.currency;
+    return accepted;
   }
 
   addCallbackParameter(key: string, value: string): void {
@@ -29,6 +55,14 @@ export class AdjustEvent {
     this.partnerParameters.push(value);
   }
 
+  removeCallbackParameter(key: string): boolean {
+    return removeParameter(this.callbackParameters, key);
+  }
+
+  removePartnerParameter(key: string): boolean {
+    return removeParameter(this.partnerParameters, key);
+  }
+
   setTransactionId(transactionId: string) {
     this.transactionId = transactionId;
   }
@@ -36,6 +70,61 @@ export class AdjustEvent {
   setCallbackId(callbackId: string) {
     this.callbackId = callbackId;
   }
+
+  /**
+   * @deprecated Use Cordova purchase SDK for this purpose, see https://github.com/adjust/cordova_purchase_sdk
+   */
+  setReceiptForTransactionId(receipt: string, transactionId: string): void {
+    console.warn('Calling deprecated function! Use Cordova purchase SDK for this purpose.');
+    console.warn('For more info, visit https://github.com/adjust/cordova_purchase_sdk');
+    this.receipt = receipt;
+    this.transactionId = transactionId;
+    this.isReceiptSet = true;
+  }
+}
+
+export class AdjustAdRevenue {
+  private source: AdjustAdRevenueSource;
+  private revenue: number = null;
+  private currency: string = null;
+  private adRevenueNetwork: string = null;
+  private adRevenueUnit: string = null;
+  private adRevenuePlacement: string = null;
+  private adImpressionsCount: number = null;
+
+  constructor(source: AdjustAdRevenueSource) {
+    this.source = source;
+  }
+
+  // Validated by the plugin's AdjustAdRevenue, which reports refused values to Adjust.onError.
+  setRevenue(revenue: number, currency: string): boolean {
+    const checked = new (window as any).AdjustAdRevenue(this.source);
+    const accepted: boolean = checked.setRevenue(revenue, currency);
+    this.revenue = checked.revenue;
+    this.currency = checked.currency;
+    return accepted;
+  }
+
+  setAdRevenueNetwork(adRevenueNetwork: string): void {
+    this.adRevenueNetwork = adRevenueNetwork;
+  }
+
+  setAdRevenueUnit(adRevenueUnit: string): void {
+    this.adRevenueUnit = adRevenueUnit;
+  }
+
+  setAdRevenuePlacement(adRevenuePlacement: string): void {
+    this.adRevenuePlacement = adRevenuePlacement;
+  }
+
+  setAdImpressionsCount(adImpressionsCount: number): boolean {
+    const checked = new (window as any).AdjustAdRevenue(this.source);
+    if (!checked.setAdImpressionsCount(adImpressionsCount)) {
+      return false;
+    }
+    this.adImpressionsCount = adImpressionsCount;
+    return true;
+  }
 }
 
 export class AdjustConfig {
@@ -45,6 +134,7 @@ export class AdjustConfig {
   private delayStart = 0.0;
   private logLevel: AdjustLogLevel = null;
   private defaultTracker: string = null;
+  private referrer: string = null;
   private sendInBackground: boolean = null;
   private shouldLaunchDeeplink: boolean = null;
   private eventBufferingEnabled: boolean = null;
@@ -56,13 +146,14 @@ export class AdjustConfig {
   private info3: number = null;
   private info4: number = null;
   private processName: string = null; // Android only
+  private webTracking: AdjustWebTrackingOptions = null; // Browser platform only
 
   private attributionCallback: (attribution: AdjustAttribution) => void = null;
   private eventTrackingSucceededCallback: (event: AdjustEventSuccess) => void = null;
   private eventTrackingFailedCallback: (event: AdjustEventFailure) => void = null;
   private sessionTrackingSucceededCallback: (session: AdjustSessionSuccess) => void = null;
   private sessionTrackingFailedCallback: (session: AdjustSessionFailure) => void = null;
-  private deferredDeeplinkCallback: (uri: string) => void = null;
+  private deferredDeeplinkCallback: (uri: string) => AdjustDeeplinkDecision | void = null;
 
   constructor(appToken: string, environment: AdjustEnvironment) {
     this.appToken = appToken;
@@ -89,6 +180,10 @@ export class AdjustConfig {
     this.defaultTracker = defaultTracker;
   }
 
+  setReferrer(referrer: string) {
+    this.referrer = referrer;
+  }
+
   setSendInBackground(sendInBackground: boolean) {
     this.sendInBackground = sendInBackground;
   }
@@ -113,6 +208,10 @@ export class AdjustConfig {
     this.processName = processName;
   }
 
+  setWebTracking(webTracking: AdjustWebTrackingOptions = {}) {
+    this.webTracking = webTracking;
+  }
+
   setAttributionCallbackListener(attributionCallback: (attribution: AdjustAttribution) => void) {
     this.attributionCallback = attributionCallback;
   }
@@ -133,7 +232,7 @@ export class AdjustConfig {
     this.sessionTrackingFailedCallback = sessionTrackingFailedCallback;
   }
 
-  setDeferredDeeplinkCallbackListener(deferredDeeplinkCallback: (uri: string) => void) {
+  setDeferredDeeplinkCallbackListener(deferredDeeplinkCallback: (uri: string) => AdjustDeeplinkDecision | void) {
     this.deferredDeeplinkCallback = deferredDeeplinkCallback;
   }
 
@@ -231,6 +330,138 @@ export interface AdjustEventFailure {
   jsonResponse: string;
 }
 
+export interface AdjustListenerOptions {
+  replayLast?: boolean;
+}
+
+export interface AdjustWebTrackingOptions {
+  endpoint?: string;
+  minRetryDelay?: number;
+  maxRetryDelay?: number;
+}
+
+export interface AdjustParameterOptions {
+  valuePolicy?: AdjustParameterValuePolicy;
+  maxKeyLength?: number | null;
+  maxValueLength?: number | null;
+  maxCount?: number | null;
+}
+
+export interface AdjustEventSchema {
+  token: string;
+  callbackParameters?: { required?: string[]; optional?: string[] };
+  partnerParameters?: { required?: string[]; optional?: string[] };
+  revenue?: boolean;
+}
+
+export interface AdjustTransactionDeduplicationOptions {
+  enabled: boolean;
+  ttl?: number;
+  storage?: { getItem(key: string): string; setItem(key: string, value: string): void; removeItem(key: string): void };
+}
+
+/**
+ * type is one of AdjustPiiType, action one of AdjustPiiAction.
+ */
+export interface AdjustPiiViolation {
+  call: string;
+  parameterType: 'callback' | 'partner' | 'sessionCallback' | 'sessionPartner';
+  key: string;
+  type: string;
+  action: string;
+}
+
+export interface AdjustPiiFilterOptions {
+  enabled?: boolean;
+  action?: AdjustPiiAction;
+  rules?: { [key: string]: AdjustPiiAction };
+  types?: AdjustPiiType[];
+  onViolation?: ((violation: AdjustPiiViolation) => void) | null;
+}
+
+export interface AdjustParsedDeeplink {
+  url: string;
+  cleanUrl: string;
+  scheme: string;
+  host: string;
+  port: string | null;
+  path: string;
+  fragment: string | null;
+  appParameters: { [key: string]: string };
+  adjustParameters: { [key: string]: string };
+  isTrackerLink: boolean;
+  deeplink: AdjustParsedDeeplink | null;
+}
+
+export interface AdjustRecordingOptions {
+  maxEntries?: number;
+}
+
+export interface AdjustTrace {
+  format: string;
+  version: number;
+  sdkPrefix: string;
+  recordedAt: string;
+  duration: number;
+  truncated: boolean;
+  entries: object[];
+}
+
+/**
+ * Errors the Adjust global rejects calls with and passes to onError. code is one of AdjustErrorCode.
+ */
+export interface AdjustError {
+  name: string;
+  code: string;
+  action: string;
+  message: string;
+  nativeMessage: string | null;
+  issues?: object[] | string[];
+  cause?: any;
+}
+
+export interface AdjustConsentOptions {
+  policy?: AdjustConsentPolicy;
+  maxQueueSize?: number;
+  storage?: { getItem(key: string): string; setItem(key: string, value: string): void; removeItem(key: string): void };
+}
+
+/**
+ * States are returned as one of AdjustConsentState.
+ */
+export interface AdjustConsent {
+  enable(options?: AdjustConsentOptions): void;
+  disable(): void;
+  isEnabled(): boolean;
+  getState(): string;
+  isGranted(): boolean;
+  holdsCalls(): boolean;
+  getQueueSize(): number;
+  setState(state: AdjustConsentState): string;
+  grant(): string;
+  deny(): string;
+  forget(): string;
+}
+
+export interface AdjustRoutedDeeplink {
+  url: string;
+  originalUrl: string;
+  source: 'direct' | 'deferred';
+  path: string;
+  pattern: string | null;
+  params: { [name: string]: string };
+  query: { [key: string]: string };
+  adjustParameters: { [key: string]: string };
+}
+
+export interface AdjustDeeplinkRouter {
+  route(pattern: string, handler: (link: AdjustRoutedDeeplink) => void): () => void;
+  otherwise(handler: ((link: AdjustRoutedDeeplink) => void) | null): void;
+  clear(): void;
+  dispatch(url: string, source?: 'direct' | 'deferred'): boolean;
+  open(url: string): boolean;
+}
+
 export enum AdjustEnvironment {
   Sandbox = 'sandbox',
   Production = 'production'
@@ -246,6 +477,75 @@ export enum AdjustLogLevel {
   Suppress = 'SUPPRESS'
 }
 
+export enum AdjustAdRevenueSource {
+  Mopub = 'mopub'
+}
+
+export enum AdjustPreInitQueueDropPolicy {
+  DropOldest = 'dropOldest',
+  DropNewest = 'dropNewest'
+}
+
+export enum AdjustValidationMode {
+  Strict = 'strict',
+  Warn = 'warn',
+  None = 'none'
+}
+
+export enum AdjustParameterValuePolicy {
+  Coerce = 'coerce',
+  Reject = 'reject'
+}
+
+export enum AdjustPiiType {
+  Email = 'email',
+  Phone = 'phone',
+  CardNumber = 'cardNumber',
+  IpAddress = 'ipAddress'
+}
+
+export enum AdjustPiiAction {
+  Redact = 'redact',
+  Hash = 'hash',
+  Reject = 'reject',
+  Allow = 'allow'
+}
+
+export enum AdjustDeeplinkDecision {
+  Launch = 'launch',
+  Suppress = 'suppress',
+  Defer = 'defer'
+}
+
+export enum AdjustConsentState {
+  Unknown = 'unknown',
+  Granted = 'granted',
+  Denied = 'denied',
+  Forgotten = 'forgotten'
+}
+
+export enum AdjustConsentPolicy {
+  Queue = 'queue',
+  Drop = 'drop'
+}
+
+export enum AdjustErrorCode {
+  InvalidCall = 'INVALID_CALL',
+  InvalidArguments = 'INVALID_ARGUMENTS',
+  SerializationError = 'SERIALIZATION_ERROR',
+  BridgeUnavailable = 'BRIDGE_UNAVAILABLE',
+  NativeError = 'NATIVE_ERROR',
+  QueueOverflow = 'QUEUE_OVERFLOW',
+  InvalidConfig = 'INVALID_CONFIG',
+  DuplicateTransaction = 'DUPLICATE_TRANSACTION',
+  InvalidEvent = 'INVALID_EVENT',
+  ConsentMissing = 'CONSENT_MISSING',
+  PiiDetected = 'PII_DETECTED',
+  Teardown = 'TEARDOWN',
+  StorageError = 'STORAGE_ERROR',
+  ListenerError = 'LISTENER_ERROR'
+}
+
 /**
  * @name Adjust
  * @description
@@ -267,71 +567,154 @@ export enum AdjustLogLevel {
  *  adjust.create(config);
  *
  * ```
+ *  adjust.onAttributionChanged().subscribe((attribution: AdjustAttribution) => {
+ *    console.log(attribution.trackerName);
+ *  });
+ *
+ * ```
  * @interfaces
  * AdjustAttribution
  * AdjustSessionSuccess
  * AdjustSessionFailure
  * AdjustEventSuccess
  * AdjustEventFailure
+ * AdjustListenerOptions
+ * AdjustWebTrackingOptions
+ * AdjustParameterOptions
+ * AdjustEventSchema
+ * AdjustTransactionDeduplicationOptions
+ * AdjustPiiViolation
+ * AdjustPiiFilterOptions
+ * AdjustParsedDeeplink
+ * AdjustRecordingOptions
+ * AdjustTrace
+ * AdjustError
+ * AdjustConsentOptions
+ * AdjustConsent
+ * AdjustRoutedDeeplink
+ * AdjustDeeplinkRouter
  * @classes
  * AdjustEvent
+ * AdjustAdRevenue
  * AdjustConfig
  * @enums
  * AdjustEnvironment
  * AdjustLogLevel
+ * AdjustAdRevenueSource
+ * AdjustPreInitQueueDropPolicy
+ * AdjustValidationMode
+ * AdjustParameterValuePolicy
+ * AdjustPiiType
+ * AdjustPiiAction
+ * AdjustDeeplinkDecision
+ * AdjustConsentState
+ * AdjustConsentPolicy
+ * AdjustErrorCode
  */
 @Plugin({
   pluginName: 'Adjust',
   plugin: 'com.adjust.sdk',
   pluginRef: 'Adjust',
   repo: 'https://github.com/adjust/cordova_sdk',
-  platforms: ['Android', 'iOS']
+  platforms: ['Android', 'Browser', 'iOS']
 })
 @Injectable()
 export class Adjust extends IonicNativePlugin {
 
+  /**
+   * Called with every failed call, also when the caller handles the failure, and with problems which don't fail a call
+   */
+  @CordovaProperty
+  onError: ((error: AdjustError) => void) | null;
+
+  /**
+   * Routes direct and deferred deep links to handlers by their path
+   */
+  @CordovaProperty
+  readonly deeplinks: AdjustDeeplinkRouter;
+
+  /**
+   * Holds back or drops calls until the user granted consent, once enabled
+   */
+  @CordovaProperty
+  readonly consent: AdjustConsent;
+
   /**
    * This method initializes Adjust SDK
    * @param {AdjustConig} config Adjust config object used as starting options
    */
-  @Cordova({ sync: true })
-  create(config: AdjustConfig): void {}
+  @Cordova({ otherPromise: true })
+  create(config: AdjustConfig): Promise<void> { return; }
 
   /**
    * This method tracks an event
    * @param {AdjustEvent} event Adjust event object to be tracked
    */
-  @Cordova({ sync: true })
-  trackEvent(event: AdjustEvent): void {}
+  @Cordova({ otherPromise: true })
+  trackEvent(event: AdjustEvent): Promise<void> { return; }
 
   /**
    * This method sets offline mode on or off
    * @param {boolean} enabled set to true for offline mode on
    */
-  @Cordova({ sync: true })
-  setOfflineMode(enabled: boolean): void {}
+  @Cordova({ otherPromise: true })
+  setOfflineMode(enabled: boolean): Promise<void> { return; }
 
   /**
    * By making this call, the Adjust SDK will try to find if there is any new attribution info inside of the deep link and if any, it will be sent to the Adjust backend.
    * @param {string} url URL of the deeplink
    */
+  @Cordova({ otherPromise: true })
+  appWillOpenUrl(url: string): Promise<void> { return; }
+
+  /**
+   * Opens the deferred deep link which was held back because the deferred deep link listener decided to defer it
+   */
+  @Cordova({ otherPromise: true })
+  launchPendingDeeplink(): Promise<void> { return; }
+
+  /**
+   * Get the deferred deep link which is held back, if any
+   * @return {string} Returns the pending deep link or null
+   */
+  @Cordova({ sync: true })
+  getPendingDeeplink(): string | null { return; }
+
+  /**
+   * Drops the deferred deep link which is held back without opening it
+   */
+  @Cordova({ sync: true })
+  discardPendingDeeplink(): void {}
+
+  /**
+   * Splits a deep link or Adjust tracker link into its parts
+   * @param {string} url URL of the deeplink
+   * @return {AdjustParsedDeeplink} Returns the parsed link or null if it isn't a valid URL
+   */
   @Cordova({ sync: true })
-  appWillOpenUrl(url: string): void {}
+  parseDeeplink(url: string): AdjustParsedDeeplink | null { return; }
 
   /**
    * You can disable/enable the Adjust SDK from tracking by invoking this method
    * @param {boolean} enabled set to false to disable SDK
    */
-  @Cordova({ sync: true })
-  setEnabled(enabled: boolean): void {}
+  @Cordova({ otherPromise: true })
+  setEnabled(enabled: boolean): Promise<void> { return; }
 
   /**
    * To send us the push notification token, add the following call to Adjust whenever you get your token in the app or when it gets updated.
    * Push tokens are used for Audience Builder and client callbacks, and they are required for the upcoming uninstall tracking feature.
    * @param {string} pushToken push token value
    */
-  @Cordova({ sync: true })
-  setPushToken(pushToken: string): void {}
+  @Cordova({ otherPromise: true })
+  setPushToken(pushToken: string): Promise<void> { return; }
+
+  /**
+   * Android only. Sends the install referrer to the Adjust backend
+   * @param {string} referrer install referrer value
+   */
+  @Cordova({ otherPromise: true })
+  setReferrer(referrer: string): Promise<void> { return; }
 
   /**
    * Check if the Adjust SDK is currently enabled by calling this function
@@ -344,8 +727,18 @@ export class Adjust extends IonicNativePlugin {
    * In accordance with article 17 of the EU's General Data Protection Regulation (GDPR), you can notify Adjust when a user has exercised their right to be forgotten.
    * Calling the following method will instruct the Adjust SDK to communicate the user's choice to be forgotten to the Adjust backend
    */
-  @Cordova({ sync: true })
-  gdprForgetMe(): void {}
+  @Cordova({ otherPromise: true })
+  gdprForgetMe(): Promise<void> { return; }
+
+  /**
+   * Tracks ad revenue reported by a mediation network
+   * @param {AdjustAdRevenue | string} source ad revenue object, or the ad revenue source, for example 'mopub'
+   * @param {string} payload JSON string of the ad revenue data reported by the source, if source is a string
+   */
+  trackAdRevenue(adRevenue: AdjustAdRevenue): Promise<void>;
+  trackAdRevenue(source: string, payload: string): Promise<void>;
+  @Cordova({ otherPromise: true })
+  trackAdRevenue(source: AdjustAdRevenue | string, payload?: string): Promise<void> { return; }
 
   /**
    * Function used to get Google AdId
@@ -378,10 +771,10 @@ export class Adjust extends IonicNativePlugin {
 
   /**
    * If you want to access information about a user's current attribution whenever you need it, you can make a call to this function
-   * @return {Promise<AdjustAttribution>} Returns a promise with AdjustAttribution object
+   * @return {Promise<AdjustAttribution>} Returns a promise with AdjustAttribution object, undefined until the first attribution was received
    */
   @Cordova()
-  getAttribution(): Promise<AdjustAttribution> { return; }
+  getAttribution(): Promise<AdjustAttribution | undefined> { return; }
 
   /**
    * Get the information about version of the SDK used
@@ -390,51 +783,225 @@ export class Adjust extends IonicNativePlugin {
   @Cordova()
   getSdkVersion(): Promise<string> { return; }
 
+  /**
+   * Get the SDK prefix the plugin reports to the native SDKs
+   * @return {string} Returns the sdk prefix, for example 'cordova4.18.0'
+   */
+  @Cordova({ sync: true })
+  getSdkPrefix(): string { return; }
+
+  /**
+   * Get the number of calls waiting for create to be called
+   * @return {number} Returns the size of the pre-init queue
+   */
+  @Cordova({ sync: true })
+  getPreInitQueueSize(): number { return; }
+
+  /**
+   * Limits the number of calls kept while waiting for create to be called
+   * @param {number} maxSize maximum size of the pre-init queue
+   */
+  @Cordova({ sync: true })
+  setPreInitQueueMaxSize(maxSize: number): void {}
+
+  /**
+   * Chooses which call is dropped when the pre-init queue is full
+   * @param {AdjustPreInitQueueDropPolicy} dropPolicy drop policy
+   */
+  @Cordova({ sync: true })
+  setPreInitQueueDropPolicy(dropPolicy: AdjustPreInitQueueDropPolicy): void {}
+
+  /**
+   * Chooses whether create rejects, only logs or ignores invalid configs
+   * @param {AdjustValidationMode} validationMode validation mode
+   */
+  @Cordova({ sync: true })
+  setConfigValidationMode(validationMode: AdjustValidationMode): void {}
+
+  /**
+   * Sets the limits and the value policy parameters are checked against
+   * @param {AdjustParameterOptions} options parameter options
+   */
+  @Cordova({ sync: true })
+  setParameterOptions(options: AdjustParameterOptions): void {}
+
+  /**
+   * Registers the schema events of the given name are validated against
+   * @param {string} name event name
+   * @param {AdjustEventSchema} schema event schema
+   */
+  @Cordova({ sync: true })
+  registerEventSchema(name: string, schema: AdjustEventSchema): void {}
+
+  /**
+   * Registers several event schemas at once, by event name
+   * @param schemas event schemas
+   */
+  @Cordova({ sync: true })
+  registerEventSchemas(schemas: { [name: string]: AdjustEventSchema }): void {}
+
+  /**
+   * Removes the schema registered for the given event name
+   * @param {string} name event name
+   */
+  @Cordova({ sync: true })
+  unregisterEventSchema(name: string): void {}
+
+  /**
+   * Chooses whether trackEvent rejects, only logs or ignores events which don't match their schema
+   * @param {AdjustValidationMode} validationMode validation mode
+   */
+  @Cordova({ sync: true })
+  setEventValidationMode(validationMode: AdjustValidationMode): void {}
+
+  /**
+   * Turns reporting of revenue events without transaction ID to Adjust.onError on or off
+   * @param {boolean} enabled set to false to stop the reports
+   */
+  @Cordova({ sync: true })
+  setMissingTransactionIdWarning(enabled: boolean): void {}
+
+  /**
+   * Configures dropping of events whose transaction ID was already tracked
+   * @param {AdjustTransactionDeduplicationOptions} options deduplication options, null to turn it off
+   */
+  @Cordova({ sync: true })
+  setTransactionDeduplicationOptions(options: AdjustTransactionDeduplicationOptions | null): void {}
+
+  /**
+   * Configures how personal data found in event and session parameters is handled
+   * @param {AdjustPiiFilterOptions} options PII filter options
+   */
+  @Cordova({ sync: true })
+  setPiiFilterOptions(options: AdjustPiiFilterOptions): void {}
+
+  /**
+   * Forgets the transaction IDs remembered for deduplication
+   */
+  @Cordova({ sync: true })
+  clearTrackedTransactions(): void {}
+
   /**
    * Method used to add session callback parameters
    * @param key key
    * @param value value
    */
-  @Cordova({ sync: true })
-  addSessionCallbackParameter(key: string, value: string): void {}
+  @Cordova({ otherPromise: true })
+  addSessionCallbackParameter(key: string, value: string): Promise<void> { return; }
 
   /**
    * Remove a specific session callback parameter by passing the desiring key to this method
    * @param key key
    */
-  @Cordova({ sync: true })
-  removeSessionCallbackParameter(key: string): void {}
+  @Cordova({ otherPromise: true })
+  removeSessionCallbackParameter(key: string): Promise<void> { return; }
 
   /**
    * If all keys and values from the session callback parameters have to be removed, call this method
    */
-  @Cordova({ sync: true })
-  resetSessionCallbackParameters(): void {}
+  @Cordova({ otherPromise: true })
+  resetSessionCallbackParameters(): Promise<void> { return; }
 
   /**
    * Method used to add session partner parameters
    * @param key key
    * @param value value
    */
-  @Cordova({ sync: true })
-  addSessionPartnerParameter(key: string, value: string): void {}
+  @Cordova({ otherPromise: true })
+  addSessionPartnerParameter(key: string, value: string): Promise<void> { return; }
 
   /**
    * Remove a specific session partner parameter by passing the desiring key to this method
    * @param key key
    */
-  @Cordova({ sync: true })
-  removeSessionPartnerParameter(key: string): void {}
+  @Cordova({ otherPromise: true })
+  removeSessionPartnerParameter(key: string): Promise<void> { return; }
 
   /**
    * If all keys and values from the session partner parameters have to be removed, call this method
    */
-  @Cordova({ sync: true })
-  resetSessionPartnerParameters(): void {}
+  @Cordova({ otherPromise: true })
+  resetSessionPartnerParameters(): Promise<void> { return; }
 
   /**
    * This method call will make the Adjust SDK send the initial install session and any events created, if they were not sent after delay start was set and it's delay expired.
    */
+  @Cordova({ otherPromise: true })
+  sendFirstPackages(): Promise<void> { return; }
+
+  /**
+   * Starts recording the calls made to the plugin and the callbacks it receives
+   * @param {AdjustRecordingOptions} options recording options
+   */
   @Cordova({ sync: true })
-  sendFirstPackages(): void {}
+  startRecording(options?: AdjustRecordingOptions): void {}
+
+  /**
+   * Stops recording
+   * @return {AdjustTrace} Returns the recorded trace or null if nothing was being recorded
+   */
+  @Cordova({ sync: true })
+  stopRecording(): AdjustTrace | null { return; }
+
+  /**
+   * Check if calls are being recorded
+   * @return {boolean}
+   */
+  @Cordova({ sync: true })
+  isRecording(): boolean { return; }
+
+  /**
+   * Emits the attribution whenever it changes, as long as it is subscribed to
+   * @param {AdjustListenerOptions} options set replayLast to get the last received attribution right away
+   * @return {Observable<AdjustAttribution>}
+   */
+  @CordovaCheck({ observable: true })
+  onAttributionChanged(options?: AdjustListenerOptions): Observable<AdjustAttribution> {
+    return listen<AdjustAttribution>('attribution', options);
+  }
+
+  /**
+   * Emits the response data of every successfully tracked event
+   * @return {Observable<AdjustEventSuccess>}
+   */
+  @CordovaCheck({ observable: true })
+  onEventTrackingSucceeded(): Observable<AdjustEventSuccess> {
+    return listen<AdjustEventSuccess>('eventSuccess');
+  }
+
+  /**
+   * Emits the response data of every event which failed to be tracked
+   * @return {Observable<AdjustEventFailure>}
+   */
+  @CordovaCheck({ observable: true })
+  onEventTrackingFailed(): Observable<AdjustEventFailure> {
+    return listen<AdjustEventFailure>('eventFailure');
+  }
+
+  /**
+   * Emits the response data of every successfully tracked session
+   * @return {Observable<AdjustSessionSuccess>}
+   */
+  @CordovaCheck({ observable: true })
+  onSessionTrackingSucceeded(): Observable<AdjustSessionSuccess> {
+    return listen<AdjustSessionSuccess>('sessionSuccess');
+  }
+
+  /**
+   * Emits the response data of every session which failed to be tracked
+   * @return {Observable<AdjustSessionFailure>}
+   */
+  @CordovaCheck({ observable: true })
+  onSessionTrackingFailed(): Observable<AdjustSessionFailure> {
+    return listen<AdjustSessionFailure>('sessionFailure');
+  }
+
+  /**
+   * Emits the deferred deep link when one is received
+   * @return {Observable<string>}
+   */
+  @CordovaCheck({ observable: true })
+  onDeferredDeeplink(): Observable<string> {
+    return listen<string>('deferredDeeplink');
+  }
 }
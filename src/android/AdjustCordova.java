@@ -4,6 +4,8 @@ import java.util.Map;
 import java.util.HashMap;
 import java.util.Iterator;
 import android.net.Uri;
+import android.content.Intent;
+import android.content.ActivityNotFoundException;
 import android.util.Log;
 import org.json.JSONArray;
 import org.json.JSONObject;
@@ -37,7 +39,7 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
     @Override
     public boolean execute(String action, final JSONArray args, CallbackContext callbackContext) throws JSONException {
         if (action.equals(COMMAND_CREATE)) {
-            executeCreate(args);
+            executeCreate(args, callbackContext);
         } else if (action.equals(COMMAND_SET_ATTRIBUTION_CALLBACK)) {
             attributionCallbackContext = callbackContext;
         } else if (action.equals(COMMAND_SET_EVENT_TRACKING_SUCCEEDED_CALLBACK)) {
@@ -97,20 +99,25 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
             PluginResult pluginResult = new PluginResult(Status.OK, sdkVersion);
             callbackContext.sendPluginResult(pluginResult);
         } else if (action.equals(COMMAND_TRACK_EVENT)) {
-            executeTrackEvent(args);
+            executeTrackEvent(args, callbackContext);
         } else if (action.equals(COMMAND_SET_OFFLINE_MODE)) {
             final Boolean enabled = args.getBoolean(0);
             Adjust.setOfflineMode(enabled);
+            callbackContext.success();
         } else if (action.equals(COMMAND_SET_PUSH_TOKEN)) {
             final String token = args.getString(0);
             Adjust.setPushToken(token, this.cordova.getActivity().getApplicationContext());
+            callbackContext.success();
         } else if (action.equals(COMMAND_ON_PAUSE)) {
             Adjust.onPause();
+            callbackContext.success();
         } else if (action.equals(COMMAND_ON_RESUME)) {
             Adjust.onResume();
+            callbackContext.success();
         } else if (action.equals(COMMAND_SET_ENABLED)) {
             final Boolean enabled = args.getBoolean(0);
             Adjust.setEnabled(enabled);
+            callbackContext.success();
         } else if (action.equals(COMMAND_IS_ENABLED)) {
             final Boolean isEnabled = Adjust.isEnabled();
             PluginResult pluginResult = new PluginResult(Status.OK, isEnabled);
@@ -119,41 +126,56 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
             String url = args.getString(0);
             final Uri uri = Uri.parse(url);
             Adjust.appWillOpenUrl(uri, this.cordova.getActivity().getApplicationContext());
+            callbackContext.success();
+        } else if (action.equals(COMMAND_LAUNCH_DEEPLINK)) {
+            executeLaunchDeeplink(args, callbackContext);
         } else if (action.equals(COMMAND_ADD_SESSION_CALLBACK_PARAMETER)) {
             final String key = args.getString(0);
             final String value = args.getString(1);
             Adjust.addSessionCallbackParameter(key, value);
+            callbackContext.success();
         } else if (action.equals(COMMAND_REMOVE_SESSION_CALLBACK_PARAMETER)) {
             final String key = args.getString(0);
             Adjust.removeSessionCallbackParameter(key);
+            callbackContext.success();
         } else if (action.equals(COMMAND_RESET_SESSION_CALLBACK_PARAMETERS)) {
             Adjust.resetSessionCallbackParameters();
+            callbackContext.success();
         } else if (action.equals(COMMAND_ADD_SESSION_PARTNER_PARAMETER)) {
             final String key = args.getString(0);
             final String value = args.getString(1);
             Adjust.addSessionPartnerParameter(key, value);
+            callbackContext.success();
         } else if (action.equals(COMMAND_REMOVE_SESSION_PARTNER_PARAMETER)) {
             final String key = args.getString(0);
             Adjust.removeSessionPartnerParameter(key);
+            callbackContext.success();
         } else if (action.equals(COMMAND_RESET_SESSION_PARTNER_PARAMETERS)) {
             Adjust.resetSessionPartnerParameters();
+            callbackContext.success();
         } else if (action.equals(COMMAND_SEND_FIRST_PACKAGES)) {
             Adjust.sendFirstPackages();
+            callbackContext.success();
         } else if (action.equals(COMMAND_GDPR_FORGET_ME)) {
             Adjust.gdprForgetMe(this.cordova.getActivity().getApplicationContext());
+            callbackContext.success();
         } else if (action.equals(COMMAND_SET_REFERRER)) {
             final String referrer = args.getString(0);
             Adjust.setReferrer(referrer, this.cordova.getActivity().getApplicationContext());
+            callbackContext.success();
         } else if (action.equals(COMMAND_TRACK_AD_REVENUE)) {
             try {
                 JSONObject jsonPayload = new JSONObject(args.getString(1));
                 Adjust.trackAdRevenue(args.getString(0), jsonPayload);
+                callbackContext.success();
             } catch (JSONException err) {
                 Logger logger = (Logger)AdjustFactory.getLogger();
                 logger.error("Give ad revenue payload is not a valid JSON string");
+                callbackContext.error("Ad revenue payload is not a valid JSON string.");
             }
         } else if (action.equals(COMMAND_SET_TEST_OPTIONS)) {
             executeSetTestOptions(args);
+            callbackContext.success();
         } else if (action.equals(COMMAND_TEARDOWN)) {
             attributionCallbackContext = null;
             eventTrackingSucceededCallbackContext = null;
@@ -167,16 +189,35 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
             getAmazonAdidCallbackContext = null;
             getAttributionCallbackContext = null;
             shouldLaunchDeeplink = true;
+            callbackContext.success();
         } else {
             Logger logger = (Logger)AdjustFactory.getLogger();
             logger.error(String.format("[AdjustCordova]: Invalid call (%s).", action));
-            return false;    
+            callbackContext.error(String.format("Invalid call (%s).", action));
+            return true;
         }
 
         return true;
     }
 
-    private void executeCreate(final JSONArray args) throws JSONException {
+    // Opens the deep link the same way the native SDK launches deferred deep links.
+    private void executeLaunchDeeplink(final JSONArray args, final CallbackContext callbackContext) throws JSONException {
+        final Uri uri = Uri.parse(args.getString(0));
+        Intent intent = new Intent(Intent.ACTION_VIEW, uri);
+        intent.setFlags(Intent.FLAG_ACTIVITY_NEW_TASK);
+        intent.setPackage(this.cordova.getActivity().getPackageName());
+
+        try {
+            this.cordova.getActivity().startActivity(intent);
+            callbackContext.success();
+        } catch (ActivityNotFoundException e) {
+            Logger logger = (Logger)AdjustFactory.getLogger();
+            logger.error(String.format("[AdjustCordova]: Unable to open deep link (%s).", uri));
+            callbackContext.error(String.format("Unable to open deep link (%s).", uri));
+        }
+    }
+
+    private void executeCreate(final JSONArray args, final CallbackContext callbackContext) throws JSONException {
         String params = args.getString(0);
         JSONArray jsonArrayParams = new JSONArray(params);
         JSONObject jsonParameters = jsonArrayParams.optJSONObject(0);
@@ -199,7 +240,7 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
         boolean eventBufferingEnabled = false;
         boolean isDeviceKnown = false;
         boolean sendInBackground = false;
-        boolean shouldLaunchDeeplink = false;
+        boolean shouldLaunchDeeplink = true;
 
         if (parameters.containsKey(KEY_APP_TOKEN)) {
             appToken = parameters.get(KEY_APP_TOKEN).toString();
@@ -249,7 +290,7 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
         if (parameters.containsKey(KEY_SEND_IN_BACKGROUND)) {
             sendInBackground = parameters.get(KEY_SEND_IN_BACKGROUND).toString() == "true" ? true : false;
         }
-        if (parameters.containsKey(KEY_SHOULD_LAUNCH_DEEPLINK)) {
+        if (parameters.containsKey(KEY_SHOULD_LAUNCH_DEEPLINK) && parameters.get(KEY_SHOULD_LAUNCH_DEEPLINK) != JSONObject.NULL) {
             shouldLaunchDeeplink = parameters.get(KEY_SHOULD_LAUNCH_DEEPLINK).toString() == "true" ? true : false;
         }
 
@@ -259,6 +300,7 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
 
         final AdjustConfig adjustConfig = new AdjustConfig(this.cordova.getActivity().getApplicationContext(), appToken, environment, isLogLevelSuppress);
         if (!adjustConfig.isValid()) {
+            callbackContext.error("Invalid Adjust config.");
             return;
         }
 
@@ -374,9 +416,10 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
         // Needed because Cordova doesn't launch 'resume' event on app start.
         // It initializes it only when app comes back from the background.
         Adjust.onResume();
+        callbackContext.success();
     }
 
-    private void executeTrackEvent(final JSONArray args) throws JSONException {
+    private void executeTrackEvent(final JSONArray args, final CallbackContext callbackContext) throws JSONException {
         String params = args.getString(0);
         JSONArray jsonArrayParams = new JSONArray(params);
         JSONObject jsonParameters = jsonArrayParams.optJSONObject(0);
@@ -411,6 +454,7 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
 
         final AdjustEvent adjustEvent = new AdjustEvent(eventToken);
         if (!adjustEvent.isValid()) {
+            callbackContext.error("Invalid Adjust event.");
             return;
         }
 
@@ -451,6 +495,7 @@ public class AdjustCordova extends CordovaPlugin implements OnAttributionChanged
 
         // Track event.
         Adjust.trackEvent(adjustEvent);
+        callbackContext.success();
     }
 
     private void executeSetTestOptions(final JSONArray args) throws JSONException {
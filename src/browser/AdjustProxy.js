@@ -0,0 +1,557 @@
+// Browser platform of the plugin, for `cordova run browser`. Instead of tracking, it keeps the SDK's
+// state in memory and localStorage, logs every package the native SDKs would send and answers
+// callbacks and getters with stubbed data, so that app flows can be built in a desktop browser.
+// Apps which enable web tracking in their config get the packages sent to the backend instead, see
+// adjust_web_tracker.js.
+
+var AdjustPackageQueue = require('./adjust_package_queue');
+var AdjustWebTracker = require('./adjust_web_tracker');
+
+var SDK_VERSION = "browser4.18.0";
+var STORAGE_KEY = "adjust_browser_state";
+// Native SDKs start a new session once the app was in the background for longer than this.
+var SESSION_INTERVAL = 30 * 60 * 1000;
+
+// Persisted like the native SDKs persist them, across app launches.
+var state = readState();
+var config = null;
+var isOffline = false;
+// True until the delay start has passed or sendFirstPackages was called.
+var isDelayed = false;
+var heldPackages = [];
+var pausedAt = null;
+var webTracker = null;
+// Success callbacks of the persistent callback actions, by action.
+var callbacks = {};
+
+function defaultState() {
+    return {
+        adid: null,
+        // Identifies the installation towards the backend, in place of the device IDs of the native SDKs.
+        installationId: null,
+        enabled: true,
+        forgotten: false,
+        attribution: null,
+        pushToken: null,
+        sessionCount: 0,
+        sessionCallbackParameters: {},
+        sessionPartnerParameters: {}
+    };
+}
+
+function readState() {
+    var restored = defaultState();
+    try {
+        var stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored !== null && typeof stored === 'object') {
+            for (var key in restored) {
+                if (Object.prototype.hasOwnProperty.call(stored, key)) {
+                    restored[key] = stored[key];
+                }
+            }
+        }
+    } catch (err) {
+        // Without localStorage or with unreadable state, the SDK starts as freshly installed.
+    }
+    return restored;
+}
+
+function writeState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (err) {
+        log("warn", "Unable to persist SDK state: " + err.message);
+    }
+}
+
+function log(level, message, data) {
+    if (config !== null && config.logLevel === 'SUPPRESS') {
+        return;
+    }
+    var prefix = "[Adjust][browser]: ";
+    if (data === undefined) {
+        console[level](prefix + message);
+    } else {
+        console[level](prefix + message, data);
+    }
+}
+
+function randomHex(length) {
+    var hex = '';
+    for (var i = 0; i < length; i++) {
+        hex += Math.floor(Math.random() * 16).toString(16);
+    }
+    return hex;
+}
+
+function uuid() {
+    var variant = "89ab".charAt(Math.floor(Math.random() * 4));
+    return randomHex(8) + "-" + randomHex(4) + "-4" + randomHex(3) + "-" + variant + randomHex(3) + "-" + randomHex(12);
+}
+
+function timestamp() {
+    return new Date().toISOString();
+}
+
+// Config and event are sent by www/adjust.js as a JSON encoded one element array.
+function parseObject(args) {
+    try {
+        var parsed = JSON.parse(args[0]);
+        return Array.isArray(parsed) ? parsed[0] : parsed;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Flat [key1, value1, ...] lists to objects.
+function toObject(parameters) {
+    var object = {};
+    if (!Array.isArray(parameters)) {
+        return object;
+    }
+    for (var i = 0; i + 1 < parameters.length; i += 2) {
+        object[parameters[i]] = parameters[i + 1];
+    }
+    return object;
+}
+
+function merge(base, overrides) {
+    var merged = {};
+    var key;
+    for (key in base) {
+        merged[key] = base[key];
+    }
+    for (key in overrides) {
+        merged[key] = overrides[key];
+    }
+    return merged;
+}
+
+function isTracking() {
+    return config !== null && state.enabled && !state.forgotten;
+}
+
+function emit(action, payload) {
+    if (typeof callbacks[action] === 'function') {
+        callbacks[action](payload, { keepCallback: true });
+    }
+}
+
+// Packages are logged instead of sent, unless web tracking is on. Offline mode and delay start hold them back.
+function sendPackage(kind, fields) {
+    var adjustPackage = merge({
+        kind: kind,
+        createdAt: timestamp(),
+        appToken: config.appToken,
+        environment: config.environment,
+        adid: state.adid,
+        installationId: state.installationId,
+        sdkVersion: SDK_VERSION
+    }, fields);
+
+    if (webTracker !== null) {
+        log("log", "Queueing " + kind + " package", adjustPackage);
+        webTracker.enqueue(adjustPackage).then(null, function(err) {
+            failPackage(adjustPackage, err);
+        });
+        return;
+    }
+    if (isOffline || isDelayed) {
+        heldPackages.push(adjustPackage);
+        log("log", "Holding " + kind + " package (" + (isOffline ? "offline mode" : "delay start") + ")", adjustPackage);
+        return;
+    }
+    log("log", "Sending " + kind + " package", adjustPackage);
+}
+
+// Packages which can't be queued, e.g. because the storage is full, are lost. They fail like packages
+// the backend refused for good.
+function failPackage(adjustPackage, err) {
+    var message = "Could not queue " + adjustPackage.kind + " package: " + (err && err.message ? err.message : String(err));
+    log("warn", message);
+
+    var payload = {
+        message: message,
+        timestamp: timestamp(),
+        adid: state.adid,
+        jsonResponse: "{}",
+        willRetry: false
+    };
+    if (adjustPackage.kind === "session") {
+        emit("setSessionTrackingFailedCallback", payload);
+    } else if (adjustPackage.kind === "event") {
+        payload.eventToken = adjustPackage.eventToken;
+        payload.callbackId = adjustPackage.callbackId || "";
+        emit("setEventTrackingFailedCallback", payload);
+    }
+}
+
+function sendHeldPackages() {
+    if (webTracker !== null) {
+        // Disabled native SDKs stop sending as well, already queued packages are sent once enabled again.
+        webTracker.setPaused(isOffline || isDelayed || !state.enabled);
+    }
+    if (isOffline || isDelayed) {
+        return;
+    }
+    var packages = heldPackages;
+    heldPackages = [];
+    for (var i = 0; i < packages.length; i++) {
+        log("log", "Sending " + packages[i].kind + " package", packages[i]);
+    }
+}
+
+function trackSession() {
+    state.sessionCount++;
+    writeState();
+    sendPackage("session", {
+        sessionCount: state.sessionCount,
+        defaultTracker: config.defaultTracker || null,
+        pushToken: state.pushToken,
+        callbackParameters: merge({}, state.sessionCallbackParameters),
+        partnerParameters: merge({}, state.sessionPartnerParameters)
+    });
+    if (webTracker !== null) {
+        return;
+    }
+
+    setTimeout(function() {
+        emit("setSessionTrackingSucceededCallback", {
+            message: "Session tracked (browser stub).",
+            timestamp: timestamp(),
+            adid: state.adid,
+            jsonResponse: "{}"
+        });
+        // First sessions get an organic attribution, like installs without a click.
+        if (state.attribution === null) {
+            receiveAttribution({
+                trackerToken: "browser",
+                trackerName: "Organic",
+                network: "Organic",
+                campaign: "",
+                adgroup: "",
+                creative: "",
+                clickLabel: "",
+                adid: state.adid
+            });
+        }
+    }, 0);
+}
+
+function receiveAttribution(attribution) {
+    if (JSON.stringify(attribution) === JSON.stringify(state.attribution)) {
+        return;
+    }
+    state.attribution = attribution;
+    writeState();
+    emit("setAttributionCallback", state.attribution);
+}
+
+function createWebTracker(options) {
+    return new AdjustWebTracker({
+        endpoint: options.endpoint,
+        minRetryDelay: options.minRetryDelay,
+        maxRetryDelay: options.maxRetryDelay,
+        queue: AdjustPackageQueue.open(typeof indexedDB !== 'undefined' ? indexedDB : null),
+        fetch: fetch,
+        onResponse: handleWebResponse
+    });
+}
+
+// Answers the callbacks the way the native SDKs do for backend responses.
+function handleWebResponse(adjustPackage, result) {
+    var response = result.response;
+    if (typeof response.adid === 'string' && response.adid !== state.adid) {
+        state.adid = response.adid;
+        writeState();
+    }
+    if (response.attribution) {
+        receiveAttribution({
+            trackerToken: response.attribution.tracker_token || "",
+            trackerName: response.attribution.tracker_name || "",
+            network: response.attribution.network || "",
+            campaign: response.attribution.campaign || "",
+            adgroup: response.attribution.adgroup || "",
+            creative: response.attribution.creative || "",
+            clickLabel: response.attribution.click_label || "",
+            adid: state.adid
+        });
+    }
+    log(result.success ? "log" : "warn", "Response to " + adjustPackage.kind + " package: " + result.message);
+
+    var payload = {
+        message: result.message,
+        timestamp: response.timestamp || "",
+        adid: state.adid,
+        jsonResponse: JSON.stringify(response)
+    };
+    if (!result.success) {
+        payload.willRetry = result.willRetry;
+    }
+    if (adjustPackage.kind === "session") {
+        emit(result.success ? "setSessionTrackingSucceededCallback" : "setSessionTrackingFailedCallback", payload);
+    } else if (adjustPackage.kind === "event") {
+        payload.eventToken = adjustPackage.params.event_token;
+        payload.callbackId = adjustPackage.params.event_callback_id || "";
+        emit(result.success ? "setEventTrackingSucceededCallback" : "setEventTrackingFailedCallback", payload);
+    }
+}
+
+function create(success, error, args) {
+    var adjustConfig = parseObject(args);
+    if (adjustConfig === null || !adjustConfig.appToken || !adjustConfig.environment) {
+        error("Invalid Adjust config.");
+        return;
+    }
+    if (config !== null) {
+        log("warn", "SDK was already created, config is ignored.");
+        success();
+        return;
+    }
+
+    config = adjustConfig;
+    config.logLevel = typeof config.logLevel === 'string' ? config.logLevel.toUpperCase() : null;
+    if (state.installationId === null) {
+        state.installationId = uuid();
+        writeState();
+    }
+    if (config.webTracking) {
+        // The adid is assigned by the backend.
+        webTracker = createWebTracker(config.webTracking);
+    } else if (state.adid === null) {
+        state.adid = randomHex(32);
+        writeState();
+    }
+
+    var delayStart = parseFloat(config.delayStart);
+    if (delayStart > 0) {
+        isDelayed = true;
+        setTimeout(function() {
+            isDelayed = false;
+            sendHeldPackages();
+        }, delayStart * 1000);
+    }
+    sendHeldPackages();
+
+    if (isTracking()) {
+        trackSession();
+    }
+    success();
+}
+
+function trackEvent(success, error, args) {
+    var adjustEvent = parseObject(args);
+    if (adjustEvent === null || !adjustEvent.eventToken) {
+        error("Invalid Adjust event.");
+        return;
+    }
+    if (!isTracking()) {
+        success();
+        return;
+    }
+
+    sendPackage("event", {
+        eventToken: adjustEvent.eventToken,
+        revenue: adjustEvent.revenue === undefined ? null : adjustEvent.revenue,
+        currency: adjustEvent.currency || null,
+        transactionId: adjustEvent.transactionId || null,
+        callbackId: adjustEvent.callbackId || null,
+        callbackParameters: merge(state.sessionCallbackParameters, toObject(adjustEvent.callbackParameters)),
+        partnerParameters: merge(state.sessionPartnerParameters, toObject(adjustEvent.partnerParameters))
+    });
+    success();
+    if (webTracker !== null) {
+        return;
+    }
+
+    setTimeout(function() {
+        emit("setEventTrackingSucceededCallback", {
+            message: "Event tracked (browser stub).",
+            timestamp: timestamp(),
+            adid: state.adid,
+            eventToken: adjustEvent.eventToken,
+            callbackId: adjustEvent.callbackId || "",
+            jsonResponse: "{}"
+        });
+    }, 0);
+}
+
+function persistentCallback(action) {
+    return function(success) {
+        callbacks[action] = success;
+    };
+}
+
+function succeedWith(value) {
+    return function(success) {
+        success(value);
+    };
+}
+
+function setSessionParameter(field) {
+    return function(success, error, args) {
+        state[field][args[0]] = args[1];
+        writeState();
+        success();
+    };
+}
+
+function removeSessionParameter(field) {
+    return function(success, error, args) {
+        delete state[field][args[0]];
+        writeState();
+        success();
+    };
+}
+
+function resetSessionParameters(field) {
+    return function(success) {
+        state[field] = {};
+        writeState();
+        success();
+    };
+}
+
+module.exports = {
+    create: create,
+    trackEvent: trackEvent,
+
+    setAttributionCallback: persistentCallback("setAttributionCallback"),
+    setEventTrackingSucceededCallback: persistentCallback("setEventTrackingSucceededCallback"),
+    setEventTrackingFailedCallback: persistentCallback("setEventTrackingFailedCallback"),
+    setSessionTrackingSucceededCallback: persistentCallback("setSessionTrackingSucceededCallback"),
+    setSessionTrackingFailedCallback: persistentCallback("setSessionTrackingFailedCallback"),
+    setDeferredDeeplinkCallback: persistentCallback("setDeferredDeeplinkCallback"),
+
+    // Browsers have no advertising identifiers.
+    getGoogleAdId: succeedWith(""),
+    getAmazonAdId: succeedWith(""),
+    getIdfa: succeedWith(""),
+    getSdkVersion: succeedWith(SDK_VERSION),
+
+    getAdid: function(success) {
+        success(state.adid);
+    },
+
+    getAttribution: function(success) {
+        success(state.attribution || {});
+    },
+
+    isEnabled: function(success) {
+        success(state.enabled && !state.forgotten);
+    },
+
+    setEnabled: function(success, error, args) {
+        state.enabled = args[0] === true;
+        writeState();
+        log("log", "SDK " + (state.enabled ? "enabled" : "disabled") + ".");
+        sendHeldPackages();
+        success();
+    },
+
+    setOfflineMode: function(success, error, args) {
+        isOffline = args[0] === true;
+        log("log", "Offline mode " + (isOffline ? "on" : "off") + ".");
+        sendHeldPackages();
+        success();
+    },
+
+    setPushToken: function(success, error, args) {
+        state.pushToken = args[0];
+        writeState();
+        if (isTracking()) {
+            sendPackage("sdk_info", { source: "push", pushToken: args[0] });
+        }
+        success();
+    },
+
+    setReferrer: function(success, error, args) {
+        if (isTracking()) {
+            sendPackage("sdk_click", { source: "reftag", referrer: args[0] });
+        }
+        success();
+    },
+
+    appWillOpenUrl: function(success, error, args) {
+        if (isTracking()) {
+            sendPackage("sdk_click", { source: "deeplink", deeplink: args[0] });
+        }
+        success();
+    },
+
+    // Opening the link would navigate away from the app, so it is only logged.
+    launchDeeplink: function(success, error, args) {
+        log("log", "Launching deep link " + args[0]);
+        success();
+    },
+
+    trackAdRevenue: function(success, error, args) {
+        var payload;
+        try {
+            payload = JSON.parse(args[1]);
+        } catch (err) {
+            error("Ad revenue payload is not a valid JSON string.");
+            return;
+        }
+        if (isTracking()) {
+            sendPackage("ad_revenue", { source: args[0], payload: payload });
+        }
+        success();
+    },
+
+    gdprForgetMe: function(success) {
+        if (config !== null && !state.forgotten) {
+            sendPackage("gdpr_forget_device", {});
+        }
+        state.forgotten = true;
+        writeState();
+        success();
+    },
+
+    sendFirstPackages: function(success) {
+        isDelayed = false;
+        sendHeldPackages();
+        success();
+    },
+
+    addSessionCallbackParameter: setSessionParameter("sessionCallbackParameters"),
+    removeSessionCallbackParameter: removeSessionParameter("sessionCallbackParameters"),
+    resetSessionCallbackParameters: resetSessionParameters("sessionCallbackParameters"),
+    addSessionPartnerParameter: setSessionParameter("sessionPartnerParameters"),
+    removeSessionPartnerParameter: removeSessionParameter("sessionPartnerParameters"),
+    resetSessionPartnerParameters: resetSessionParameters("sessionPartnerParameters"),
+
+    onPause: function(success) {
+        pausedAt = Date.now();
+        success();
+    },
+
+    onResume: function(success) {
+        if (pausedAt !== null && Date.now() - pausedAt > SESSION_INTERVAL && isTracking()) {
+            trackSession();
+        }
+        pausedAt = null;
+        success();
+    },
+
+    setTestOptions: function(success) {
+        log("log", "Test options are ignored in the browser.");
+        success();
+    },
+
+    teardown: function(success) {
+        if (webTracker !== null) {
+            webTracker.stop();
+            webTracker = null;
+        }
+        callbacks = {};
+        config = null;
+        isOffline = false;
+        isDelayed = false;
+        heldPackages = [];
+        pausedAt = null;
+        success();
+    }
+};
+
+require('cordova/exec/proxy').add('Adjust', module.exports);
@@ -0,0 +1,139 @@
+// Packages of the web tracker waiting to be sent, oldest first. They are kept in IndexedDB so that
+// they survive reloads of the page, or in memory where IndexedDB is unavailable.
+//
+//   AdjustPackageQueue.open(window.indexedDB).then(function(queue) {
+//       return queue.add({ kind: 'session', params: {...} });
+//   });
+
+function AdjustPackageQueue(store) {
+    this.store = store;
+}
+
+AdjustPackageQueue.DatabaseName = "adjust_web_tracking";
+AdjustPackageQueue.StoreName    = "packages";
+
+// Resolves with a queue on top of IndexedDB, falling back to memory if the database can't be opened.
+AdjustPackageQueue.open = function(indexedDb) {
+    if (!indexedDb) {
+        return Promise.resolve(new AdjustPackageQueue(AdjustPackageQueue.createMemoryStore()));
+    }
+    return openDatabase(indexedDb).then(function(db) {
+        return new AdjustPackageQueue(createIndexedDbStore(db));
+    }, function() {
+        return new AdjustPackageQueue(AdjustPackageQueue.createMemoryStore());
+    });
+};
+
+// Resolves with the id of the added package.
+AdjustPackageQueue.prototype.add = function(adjustPackage) {
+    return this.store.add(adjustPackage);
+};
+
+// Resolves with the oldest package, or null if the queue is empty. Packages carry their id.
+AdjustPackageQueue.prototype.first = function() {
+    return this.store.first();
+};
+
+AdjustPackageQueue.prototype.remove = function(id) {
+    return this.store.remove(id);
+};
+
+AdjustPackageQueue.prototype.count = function() {
+    return this.store.count();
+};
+
+AdjustPackageQueue.createMemoryStore = function() {
+    var packages = [];
+    var nextId = 1;
+    return {
+        add: function(adjustPackage) {
+            var stored = copy(adjustPackage);
+            stored.id = nextId++;
+            packages.push(stored);
+            return Promise.resolve(stored.id);
+        },
+        first: function() {
+            return Promise.resolve(packages.length > 0 ? copy(packages[0]) : null);
+        },
+        remove: function(id) {
+            packages = packages.filter(function(stored) {
+                return stored.id !== id;
+            });
+            return Promise.resolve();
+        },
+        count: function() {
+            return Promise.resolve(packages.length);
+        }
+    };
+};
+
+function copy(adjustPackage) {
+    return JSON.parse(JSON.stringify(adjustPackage));
+}
+
+function openDatabase(indexedDb) {
+    return new Promise(function(resolve, reject) {
+        var request = indexedDb.open(AdjustPackageQueue.DatabaseName, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(AdjustPackageQueue.StoreName, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            reject(request.error);
+        };
+    });
+}
+
+function createIndexedDbStore(db) {
+    // Runs `operation` on the object store and resolves with `result()` once the transaction completed.
+    var run = function(mode, operation, result) {
+        return new Promise(function(resolve, reject) {
+            var transaction = db.transaction(AdjustPackageQueue.StoreName, mode);
+            var request = operation(transaction.objectStore(AdjustPackageQueue.StoreName));
+            var value;
+            request.onsuccess = function() {
+                value = result ? result(request.result) : request.result;
+            };
+            transaction.oncomplete = function() {
+                resolve(value);
+            };
+            transaction.onerror = function() {
+                reject(transaction.error);
+            };
+            transaction.onabort = function() {
+                reject(transaction.error);
+            };
+        });
+    };
+
+    return {
+        add: function(adjustPackage) {
+            var stored = copy(adjustPackage);
+            delete stored.id;
+            return run('readwrite', function(store) {
+                return store.add(stored);
+            });
+        },
+        first: function() {
+            return run('readonly', function(store) {
+                return store.openCursor();
+            }, function(cursor) {
+                return cursor ? cursor.value : null;
+            });
+        },
+        remove: function(id) {
+            return run('readwrite', function(store) {
+                return store.delete(id);
+            }).then(function() {});
+        },
+        count: function() {
+            return run('readonly', function(store) {
+                return store.count();
+            });
+        }
+    };
+}
+
+module.exports = AdjustPackageQueue;
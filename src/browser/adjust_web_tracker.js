@@ -0,0 +1,229 @@
+// Sends the packages of the browser platform to the Adjust backend, for apps which enable web tracking
+// with AdjustConfig.setWebTracking. Packages are queued persistently and sent one at a time, oldest
+// first. Network errors and server errors are retried with exponential backoff, other rejections by
+// the backend drop the package, as retrying it wouldn't change the answer.
+//
+//   var tracker = new AdjustWebTracker({
+//       endpoint: 'https://app.adjust.com',
+//       queue: AdjustPackageQueue.open(window.indexedDB),
+//       fetch: window.fetch,
+//       onResponse: function(adjustPackage, result) { ... }
+//   });
+//   tracker.enqueue({ kind: 'session', appToken: '123456789012', ... });
+
+function AdjustWebTracker(options) {
+    this.endpoint = (options.endpoint || AdjustWebTracker.DefaultEndpoint).replace(/\/+$/, '');
+    // Queue or promise of it, packages enqueued before it's open wait for it.
+    this.ready = Promise.resolve(options.queue);
+    this.fetch = options.fetch;
+    this.onResponse = options.onResponse || function() {};
+    this.minRetryDelay = options.minRetryDelay != null ? options.minRetryDelay : AdjustWebTracker.DefaultMinRetryDelay;
+    this.maxRetryDelay = options.maxRetryDelay != null ? options.maxRetryDelay : AdjustWebTracker.DefaultMaxRetryDelay;
+    this.paused = false;
+    this.stopped = false;
+    this.sending = false;
+    // Set when sendNext is called while sending, the queue is looked at again afterwards.
+    this.sendRequested = false;
+    this.retries = 0;
+    this.retryTimer = null;
+}
+
+AdjustWebTracker.DefaultEndpoint      = "https://app.adjust.com";
+AdjustWebTracker.DefaultMinRetryDelay = 1000;
+AdjustWebTracker.DefaultMaxRetryDelay = 60 * 1000;
+
+// Package fields of the browser platform and the parameters the backend knows them by.
+var PARAMETER_NAMES = {
+    appToken: 'app_token',
+    environment: 'environment',
+    installationId: 'web_uuid',
+    sdkVersion: 'client_sdk',
+    createdAt: 'created_at',
+    sessionCount: 'session_count',
+    defaultTracker: 'default_tracker',
+    pushToken: 'push_token',
+    eventToken: 'event_token',
+    revenue: 'revenue',
+    currency: 'currency',
+    transactionId: 'deduplication_id',
+    callbackId: 'event_callback_id',
+    callbackParameters: 'callback_params',
+    partnerParameters: 'partner_params',
+    source: 'source',
+    referrer: 'referrer',
+    deeplink: 'deeplink',
+    payload: 'payload'
+};
+
+// Backend timestamps look like 2023-10-01T12:30:45.000Z+0000.
+AdjustWebTracker.formatDate = function(date) {
+    return date.toISOString() + "+0000";
+};
+
+// Builds the request parameters of a package. Empty values are left out, objects are sent as JSON.
+AdjustWebTracker.buildParams = function(adjustPackage) {
+    var params = { os_name: 'web' };
+    for (var field in PARAMETER_NAMES) {
+        var value = adjustPackage[field];
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        if (field === 'createdAt') {
+            value = AdjustWebTracker.formatDate(new Date(value));
+        } else if (typeof value === 'object') {
+            if (Object.keys(value).length === 0) {
+                continue;
+            }
+            value = JSON.stringify(value);
+        }
+        params[PARAMETER_NAMES[field]] = String(value);
+    }
+    return params;
+};
+
+function encodeParams(params) {
+    return Object.keys(params).map(function(key) {
+        return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    }).join('&');
+}
+
+// Resolves once the package is stored. Sending starts right away unless the tracker is paused.
+AdjustWebTracker.prototype.enqueue = function(adjustPackage) {
+    var self = this;
+    var queued = {
+        kind: adjustPackage.kind,
+        params: AdjustWebTracker.buildParams(adjustPackage)
+    };
+    return this.ready.then(function(queue) {
+        return queue.add(queued);
+    }).then(function() {
+        self.sendNext();
+    });
+};
+
+// Paused trackers keep queueing packages but don't send them, like the native SDKs in offline mode.
+AdjustWebTracker.prototype.setPaused = function(paused) {
+    this.paused = paused;
+    if (!paused) {
+        this.sendNext();
+    }
+};
+
+AdjustWebTracker.prototype.stop = function() {
+    this.stopped = true;
+    if (this.retryTimer !== null) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+};
+
+// Delay before the given retry: doubling from the minimum up to the maximum delay, of which a random
+// half is waited, so that many clients which failed at once don't retry all at the same time.
+AdjustWebTracker.prototype.retryDelay = function(retries) {
+    var delay = Math.min(this.maxRetryDelay, this.minRetryDelay * Math.pow(2, retries - 1));
+    return delay / 2 + Math.random() * delay / 2;
+};
+
+AdjustWebTracker.prototype.sendNext = function() {
+    if (this.sending) {
+        this.sendRequested = true;
+        return;
+    }
+    if (this.paused || this.stopped || this.retryTimer !== null) {
+        return;
+    }
+    this.sending = true;
+    this.sendRequested = false;
+
+    var self = this;
+    var queue;
+    var adjustPackage;
+    this.ready.then(function(openedQueue) {
+        queue = openedQueue;
+        return queue.first();
+    }).then(function(first) {
+        adjustPackage = first;
+        if (adjustPackage === null || self.paused || self.stopped) {
+            return null;
+        }
+        return self.send(adjustPackage);
+    }).then(function(result) {
+        if (result === null) {
+            self.sending = false;
+            if (self.sendRequested) {
+                self.sendNext();
+            }
+            return;
+        }
+        if (result.willRetry) {
+            self.sending = false;
+            self.onResponse(adjustPackage, result);
+            self.scheduleRetry();
+            return;
+        }
+        self.retries = 0;
+        return queue.remove(adjustPackage.id).then(function() {
+            self.sending = false;
+            self.onResponse(adjustPackage, result);
+            self.sendNext();
+        });
+    }).catch(function() {
+        // The queue couldn't be read or written, try again later.
+        self.sending = false;
+        self.scheduleRetry();
+    });
+};
+
+AdjustWebTracker.prototype.scheduleRetry = function() {
+    if (this.stopped) {
+        return;
+    }
+    var self = this;
+    this.retries++;
+    this.retryTimer = setTimeout(function() {
+        self.retryTimer = null;
+        self.sendNext();
+    }, this.retryDelay(this.retries));
+};
+
+// Resolves with { success, willRetry, status, message, response }, never rejects.
+AdjustWebTracker.prototype.send = function(adjustPackage) {
+    var params = {};
+    for (var key in adjustPackage.params) {
+        params[key] = adjustPackage.params[key];
+    }
+    params.sent_at = AdjustWebTracker.formatDate(new Date());
+
+    // Called without receiver, browsers reject fetch called on anything but the window.
+    var fetchPackage = this.fetch;
+    return fetchPackage(this.endpoint + '/' + adjustPackage.kind, {
+        method: 'POST',
+        // A form body keeps this a simple CORS request, without preflight.
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: encodeParams(params)
+    }).then(function(response) {
+        return response.json().catch(function() {
+            return {};
+        }).then(function(json) {
+            json = json !== null && typeof json === 'object' ? json : {};
+            var retry = response.status >= 500 || response.status === 429;
+            return {
+                success: response.ok,
+                willRetry: !response.ok && retry,
+                status: response.status,
+                message: json.message || (response.ok ? "" : "Request failed with status " + response.status),
+                response: json
+            };
+        });
+    }, function(err) {
+        return {
+            success: false,
+            willRetry: true,
+            status: null,
+            message: "Request failed: " + (err && err.message ? err.message : err),
+            response: {}
+        };
+    });
+};
+
+module.exports = AdjustWebTracker;
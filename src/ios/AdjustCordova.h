@@ -17,6 +17,7 @@
 - (void)trackEvent:(CDVInvokedUrlCommand *)command;
 - (void)setOfflineMode:(CDVInvokedUrlCommand *)command;
 - (void)appWillOpenUrl:(CDVInvokedUrlCommand *)command;
+- (void)launchDeeplink:(CDVInvokedUrlCommand *)command;
 - (void)getIdfa:(CDVInvokedUrlCommand *)command;
 - (void)getAdid:(CDVInvokedUrlCommand *)command;
 - (void)getAttribution:(CDVInvokedUrlCommand *)command;
@@ -109,6 +109,7 @@
                                       allowSuppressLogLevel:allowSuppressLogLevel];
 
     if (![adjustConfig isValid]) {
+        [self sendErrorWithMessage:@"Invalid Adjust config." forCommand:command];
         return;
     }
 
@@ -200,6 +201,7 @@
     // Start SDK.
     [Adjust appDidLaunch:adjustConfig];
     [Adjust trackSubsessionStart];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)trackEvent:(CDVInvokedUrlCommand *)command {
@@ -228,6 +230,7 @@
     ADJEvent *adjustEvent = [ADJEvent eventWithEventToken:eventToken];
 
     if (![adjustEvent isValid]) {
+        [self sendErrorWithMessage:@"Invalid Adjust event." forCommand:command];
         return;
     }
 
@@ -278,27 +281,33 @@
 
     // Track event.
     [Adjust trackEvent:adjustEvent];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)setOfflineMode:(CDVInvokedUrlCommand *)command {
     NSNumber *isEnabledNumber = [command argumentAtIndex:0 withDefault:nil];
     if (isEnabledNumber == nil) {
+        [self sendErrorWithMessage:@"Missing offline mode flag." forCommand:command];
         return;
     }
     [Adjust setOfflineMode:[isEnabledNumber boolValue]];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)setPushToken:(CDVInvokedUrlCommand *)command {
     NSString *token = [command argumentAtIndex:0 withDefault:nil];
     if (!([self isFieldValid:token])) {
+        [self sendErrorWithMessage:@"Invalid push token." forCommand:command];
         return;
     }
     [Adjust setPushToken:token];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)appWillOpenUrl:(CDVInvokedUrlCommand *)command {
     NSString *urlString = [command argumentAtIndex:0 withDefault:nil];
     if (urlString == nil) {
+        [self sendErrorWithMessage:@"Missing URL." forCommand:command];
         return;
     }
 
@@ -312,10 +321,34 @@
     }
 #pragma clang diagnostic pop
     [Adjust appWillOpenUrl:url];
+    [self sendSuccessForCommand:command];
+}
+
+- (void)launchDeeplink:(CDVInvokedUrlCommand *)command {
+    NSString *urlString = [command argumentAtIndex:0 withDefault:nil];
+    NSURL *url = [self isFieldValid:urlString] ? [NSURL URLWithString:urlString] : nil;
+    if (url == nil) {
+        [self sendErrorWithMessage:@"Invalid deep link URL." forCommand:command];
+        return;
+    }
+
+    dispatch_async(dispatch_get_main_queue(), ^{
+        UIApplication *application = [UIApplication sharedApplication];
+        if ([application respondsToSelector:@selector(openURL:options:completionHandler:)]) {
+            [application openURL:url options:@{} completionHandler:nil];
+        } else {
+#pragma clang diagnostic push
+#pragma clang diagnostic ignored "-Wdeprecated-declarations"
+            [application openURL:url];
+#pragma clang diagnostic pop
+        }
+    });
+    [self sendSuccessForCommand:command];
 }
 
 - (void)gdprForgetMe:(CDVInvokedUrlCommand *)command {
     [Adjust gdprForgetMe];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)getIdfa:(CDVInvokedUrlCommand *)command {
@@ -333,6 +366,7 @@
 - (void)getAttribution:(CDVInvokedUrlCommand *)command {
     ADJAttribution *attribution = [Adjust attribution];
     if (attribution == nil) {
+        [self sendSuccessForCommand:command];
         return;
     }
     
@@ -361,10 +395,12 @@
 - (void)setEnabled:(CDVInvokedUrlCommand *)command {
     NSNumber *isEnabledNumber = [command argumentAtIndex:0 withDefault:nil];
     if (isEnabledNumber == nil) {
+        [self sendErrorWithMessage:@"Missing enabled flag." forCommand:command];
         return;
     }
 
     [Adjust setEnabled:[isEnabledNumber boolValue]];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)isEnabled:(CDVInvokedUrlCommand *)command {
@@ -375,6 +411,7 @@
 
 - (void)sendFirstPackages:(CDVInvokedUrlCommand *)command {
     [Adjust sendFirstPackages];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)trackAdRevenue:(CDVInvokedUrlCommand *)command {
@@ -382,6 +419,7 @@
     NSString *payload = [command argumentAtIndex:1 withDefault:nil];
     NSData *dataPayload = [payload dataUsingEncoding:NSUTF8StringEncoding];
     [Adjust trackAdRevenue:source payload:dataPayload];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)setAttributionCallback:(CDVInvokedUrlCommand *)command {
@@ -412,42 +450,52 @@
     NSString *key = [command argumentAtIndex:0 withDefault:nil];
     NSString *value = [command argumentAtIndex:1 withDefault:nil];
     if (!([self isFieldValid:key]) || !([self isFieldValid:value])) {
+        [self sendErrorWithMessage:@"Invalid session parameter key or value." forCommand:command];
         return;
     }
     [Adjust addSessionCallbackParameter:key value:value];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)removeSessionCallbackParameter:(CDVInvokedUrlCommand *)command {
     NSString *key = [command argumentAtIndex:0 withDefault:nil];
     if (!([self isFieldValid:key])) {
+        [self sendErrorWithMessage:@"Invalid session parameter key." forCommand:command];
         return;
     }
     [Adjust removeSessionCallbackParameter:key];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)resetSessionCallbackParameters:(CDVInvokedUrlCommand *)command {
     [Adjust resetSessionCallbackParameters];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)addSessionPartnerParameter:(CDVInvokedUrlCommand *)command {
     NSString *key = [command argumentAtIndex:0 withDefault:nil];
     NSString *value = [command argumentAtIndex:1 withDefault:nil];
     if (!([self isFieldValid:key]) || !([self isFieldValid:value])) {
+        [self sendErrorWithMessage:@"Invalid session parameter key or value." forCommand:command];
         return;
     }
     [Adjust addSessionPartnerParameter:key value:value];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)removeSessionPartnerParameter:(CDVInvokedUrlCommand *)command {
     NSString *key = [command argumentAtIndex:0 withDefault:nil];
     if (!([self isFieldValid:key])) {
+        [self sendErrorWithMessage:@"Invalid session parameter key." forCommand:command];
         return;
     }
     [Adjust removeSessionPartnerParameter:key];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)resetSessionPartnerParameters:(CDVInvokedUrlCommand *)command {
     [Adjust resetSessionPartnerParameters];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)setTestOptions:(CDVInvokedUrlCommand *)command {
@@ -516,6 +564,7 @@
     }
     
     [Adjust setTestOptions:testOptions];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)teardown:(CDVInvokedUrlCommand *)command {
@@ -526,17 +575,22 @@
     sessionSucceededCallbackId = nil;
     deferredDeeplinkCallbackId = nil;
     [AdjustCordovaDelegate teardown];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)onPause:(CDVInvokedUrlCommand *)command {
     [Adjust trackSubsessionEnd];
+    [self sendSuccessForCommand:command];
 }
 
 - (void)onResume:(CDVInvokedUrlCommand *)command {
     [Adjust trackSubsessionStart];
+    [self sendSuccessForCommand:command];
 }
 
-- (void)setReferrer:(CDVInvokedUrlCommand *)command {}
+- (void)setReferrer:(CDVInvokedUrlCommand *)command {
+    [self sendSuccessForCommand:command];
+}
 
 - (void)getGoogleAdId:(CDVInvokedUrlCommand *)command {
     NSString *googleAdId = @"";
@@ -552,6 +606,16 @@
 
 #pragma mark - Private & helper methods
 
+- (void)sendSuccessForCommand:(CDVInvokedUrlCommand *)command {
+    CDVPluginResult *pluginResult = [CDVPluginResult resultWithStatus:CDVCommandStatus_OK];
+    [self.commandDelegate sendPluginResult:pluginResult callbackId:command.callbackId];
+}
+
+- (void)sendErrorWithMessage:(NSString *)message forCommand:(CDVInvokedUrlCommand *)command {
+    CDVPluginResult *pluginResult = [CDVPluginResult resultWithStatus:CDVCommandStatus_ERROR messageAsString:message];
+    [self.commandDelegate sendPluginResult:pluginResult callbackId:command.callbackId];
+}
+
 - (NSNumber *)convertMilliStringToNumber:(NSString *)milliS {
     NSNumber *number = [NSNumber numberWithInt:[milliS intValue]];
     return number;
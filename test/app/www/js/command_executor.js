@@ -4,88 +4,239 @@
  * A note on scheduling:
  *
  * Callbacks sent from Java -> Javascript through PluginResult are by nature not ordered.
- *  scheduleCommand(command) tries to receive commands and schedule them in an array (this.savedCommand)
- *  that would be executed based on what `this.nextToSendCounter` specifies.
- * 
- * Sorting mechanism goes as follows
- * - When receiving a new command...
- *   * if the new command is in order, send it immediately.
- *   * If the new command is not in order
- *     * Store it in a list
- *     * Check the list if it contains the next command to send
- * - After sending a command...
- *     * Check the list if it contains the next command to send
- * 
- * So this system is rechecking the list for items to send on two events:
- * - When a new not-in-order object is added.
- * - After a successful send
+ *  scheduleCommand(command) puts received commands into a priority queue (this.pendingCommands),
+ *  ordered by the 'order' the test library gave them, and executes them as long as the command with
+ *  the lowest order is the one `this.nextToSendCounter` specifies.
+ *
+ * If that command doesn't arrive within `gapTimeout` milliseconds while later ones are waiting,
+ *  the missing orders are reported to the test server and skipped, so that the test can go on.
+ *  Commands arriving after their order was skipped are reported and dropped.
+ *
+ * dumpDiagnostics() returns (and logs) the state of the scheduler, including the pending commands.
  */
 
 // A wrapper for a command received from test server.
-function AdjustCommand(functionName, params, order) {
+function AdjustCommand(className, functionName, params, order) {
+    this.className = className;
     this.functionName = functionName;
     this.params = params;
     this.order = order;
 }
 
-function CommandExecutor(baseUrl, gdprUrl) {
-    this.adjustCommandExecutor = new AdjustCommandExecutor(baseUrl, gdprUrl);
+// Binary min-heap of commands, by their order.
+function CommandQueue() {
+    this.items = [];
+}
+
+CommandQueue.prototype.size = function() {
+    return this.items.length;
 };
 
-CommandExecutor.prototype.scheduleCommand = function(className, functionName, params, order) {
-    switch (className) {
-        case "Adjust":
-            var command = new AdjustCommand(functionName, params, order);
-            this.adjustCommandExecutor.scheduleCommand(command);
+CommandQueue.prototype.peek = function() {
+    return this.items.length > 0 ? this.items[0] : null;
+};
+
+CommandQueue.prototype.push = function(command) {
+    var items = this.items;
+    var index = items.length;
+    items.push(command);
+    while (index > 0) {
+        var parent = (index - 1) >> 1;
+        if (items[parent].order <= items[index].order) {
             break;
+        }
+        swapCommands(items, parent, index);
+        index = parent;
+    }
+};
+
+CommandQueue.prototype.pop = function() {
+    var items = this.items;
+    if (items.length === 0) {
+        return null;
+    }
+    var top = items[0];
+    var last = items.pop();
+    if (items.length > 0) {
+        items[0] = last;
+        var index = 0;
+        while (true) {
+            var smallest = index;
+            var left = 2 * index + 1;
+            var right = left + 1;
+            if (left < items.length && items[left].order < items[smallest].order) {
+                smallest = left;
+            }
+            if (right < items.length && items[right].order < items[smallest].order) {
+                smallest = right;
+            }
+            if (smallest === index) {
+                break;
+            }
+            swapCommands(items, smallest, index);
+            index = smallest;
+        }
     }
+    return top;
+};
+
+// Commands sorted by order, for diagnostics.
+CommandQueue.prototype.toArray = function() {
+    return this.items.slice().sort(function(a, b) {
+        return a.order - b.order;
+    });
 };
 
-function AdjustCommandExecutor(baseUrl, gdprUrl) {
+function swapCommands(items, i, j) {
+    var item = items[i];
+    items[i] = items[j];
+    items[j] = item;
+}
+
+// Options:
+//  gapTimeout : milliseconds to wait for a missing command before skipping it (10 seconds by default)
+function CommandExecutor(baseUrl, gdprUrl, options) {
+    this.adjustCommandExecutor = new AdjustCommandExecutor(baseUrl, gdprUrl, options);
+};
+
+CommandExecutor.prototype.scheduleCommand = function(className, functionName, params, order) {
+    // Commands of every class are numbered by the test library, so commands of unknown classes are
+    // scheduled as well. Otherwise, the commands after them would never be executed.
+    var command = new AdjustCommand(className, functionName, params, order);
+    this.adjustCommandExecutor.scheduleCommand(command);
+};
+
+CommandExecutor.prototype.dumpDiagnostics = function() {
+    return this.adjustCommandExecutor.dumpDiagnostics();
+};
+
+var DEFAULT_GAP_TIMEOUT = 10000;
+
+function AdjustCommandExecutor(baseUrl, gdprUrl, options) {
     this.baseUrl = baseUrl;
     this.gdprUrl = gdprUrl;
     this.basePath = null;
     this.gdprPath = null;
     this.savedEvents = {};
     this.savedConfigs = {};
-    this.savedCommands = [];
+    this.pendingCommands = new CommandQueue();
     this.nextToSendCounter = 0;
+    this.listeners = {};
+    this.gapTimeout = options && typeof options.gapTimeout === 'number' ? options.gapTimeout : DEFAULT_GAP_TIMEOUT;
+    this.gapTimer = null;
+    this.gapOrder = null;
+    this.gapSince = null;
 };
 
 // First point of entry for scheduling commands. Takes a 'AdjustCommand {command}' parameter.
 AdjustCommandExecutor.prototype.scheduleCommand = function(command) {
-    // If the command is in order, send in immediately.
-    if (command.order === this.nextToSendCounter) {
-        this.executeCommand(command, -1);
+    if (command.order < this.nextToSendCounter) {
+        this.reportFailure(commandName(command),
+            `Command with order ${command.order} arrived after order ${this.nextToSendCounter - 1} was executed or skipped`);
         return;
     }
 
-    // Not in order, schedule it.
-    this.savedCommands.push(command);
-
-    // Recheck list.
-    this.checkList();
-}
+    this.pendingCommands.push(command);
+    this.executePendingCommands();
+};
 
-// Check the list of commands to see which one is in order.
-AdjustCommandExecutor.prototype.checkList = function() {
-    for (var i = 0; i < this.savedCommands.length; i++ ) {
-        var command = this.savedCommands[i];
-        if (command.order === this.nextToSendCounter) {
-            this.executeCommand(command, i);
-            return;
-        }
+// Executes pending commands for as long as the next one in order is there.
+AdjustCommandExecutor.prototype.executePendingCommands = function() {
+    var next = this.pendingCommands.peek();
+    while (next !== null && next.order === this.nextToSendCounter) {
+        this.executeCommand(this.pendingCommands.pop());
+        next = this.pendingCommands.peek();
     }
-}
 
-// Execute the command. This will always be invoked either from:
-//  - checkList() after scheduling a command
-//  - scheduleCommand() only if the package was in order
-//
+    this.updateGapTimer();
+};
+
 // (AdjustCommand {command}) : The command to be executed
-// (Number {idx})            : index of the command in the schedule list. -1 if it was sent directly
-AdjustCommandExecutor.prototype.executeCommand = function(command, idx) {
+AdjustCommandExecutor.prototype.executeCommand = function(command) {
     console.log(`[*] executeCommand(): ${JSON.stringify(command)}`);
+    try {
+        this.runCommand(command);
+    } catch (e) {
+        this.reportFailure(commandName(command), e.message);
+    }
+
+    this.nextToSendCounter++;
+};
+
+// Commands are pending only while the next one in order is missing. The timer runs for as long
+// as the same order is missing.
+AdjustCommandExecutor.prototype.updateGapTimer = function() {
+    if (this.pendingCommands.size() === 0) {
+        this.clearGapTimer();
+        return;
+    }
+    if (this.gapTimer !== null && this.gapOrder === this.nextToSendCounter) {
+        return;
+    }
+
+    this.clearGapTimer();
+    var _this = this;
+    this.gapOrder = this.nextToSendCounter;
+    this.gapSince = Date.now();
+    this.gapTimer = setTimeout(function() {
+        _this.gapTimer = null;
+        _this.skipGap();
+    }, this.gapTimeout);
+};
+
+AdjustCommandExecutor.prototype.clearGapTimer = function() {
+    if (this.gapTimer !== null) {
+        clearTimeout(this.gapTimer);
+    }
+    this.gapTimer = null;
+    this.gapOrder = null;
+    this.gapSince = null;
+};
+
+AdjustCommandExecutor.prototype.skipGap = function() {
+    var next = this.pendingCommands.peek();
+    if (next === null) {
+        return;
+    }
+
+    var missing = [];
+    for (var order = this.nextToSendCounter; order < next.order; order++) {
+        missing.push(order);
+    }
+    var diagnostics = this.dumpDiagnostics();
+    this.reportInfo({
+        commandsMissing: missing.join(','),
+        diagnostics: JSON.stringify(diagnostics)
+    });
+
+    this.clearGapTimer();
+    this.nextToSendCounter = next.order;
+    this.executePendingCommands();
+};
+
+AdjustCommandExecutor.prototype.dumpDiagnostics = function() {
+    var diagnostics = {
+        nextOrder: this.nextToSendCounter,
+        waitingForOrder: this.gapOrder,
+        waitingForMillis: this.gapSince !== null ? Date.now() - this.gapSince : null,
+        pendingCommands: this.pendingCommands.toArray().map(function(command) {
+            return {
+                order: command.order,
+                command: commandName(command),
+                params: command.params
+            };
+        })
+    };
+    console.log(`[*] CommandExecutor diagnostics: ${JSON.stringify(diagnostics)}`);
+    return diagnostics;
+};
+
+AdjustCommandExecutor.prototype.runCommand = function(command) {
+    if (command.className !== "Adjust") {
+        this.reportFailure(commandName(command), `Unknown class: ${command.className}`);
+        return;
+    }
+
     switch (command.functionName) {
         case "testOptions" : this.testOptions(command.params); break;
         case "config" : this.config(command.params); break;
@@ -109,17 +260,38 @@ AdjustCommandExecutor.prototype.executeCommand = function(command, idx) {
         case "sendReferrer" : this.sendReferrer(command.params); break;
         case "gdprForgetMe" : this.gdprForgetMe(command.params); break;
         case "trackAdRevenue" : this.trackAdRevenue(command.params); break;
+        case "isEnabled" : this.isEnabled(command.params); break;
+        case "getAdid" : this.getAdid(command.params); break;
+        case "getAttribution" : this.getAttribution(command.params); break;
+        case "getSdkVersion" : this.getSdkVersion(command.params); break;
+        case "getSdkPrefix" : this.getSdkPrefix(command.params); break;
+        case "getGoogleAdId" : this.getGoogleAdId(command.params); break;
+        case "getAmazonAdId" : this.getAmazonAdId(command.params); break;
+        case "getIdfa" : this.getIdfa(command.params); break;
+        case "on" : this.on(command.params); break;
+        case "once" : this.once(command.params); break;
+        case "off" : this.off(command.params); break;
+        case "launchPendingDeeplink" : this.launchPendingDeeplink(command.params); break;
+        case "getPendingDeeplink" : this.getPendingDeeplink(command.params); break;
+        case "discardPendingDeeplink" : this.discardPendingDeeplink(command.params); break;
+        case "parseDeeplink" : this.parseDeeplink(command.params); break;
+        case "getPreInitQueueSize" : this.getPreInitQueueSize(command.params); break;
+        case "setPreInitQueueMaxSize" : this.setPreInitQueueMaxSize(command.params); break;
+        case "setPreInitQueueDropPolicy" : this.setPreInitQueueDropPolicy(command.params); break;
+        case "setConfigValidationMode" : this.setConfigValidationMode(command.params); break;
+        case "setParameterOptions" : this.setParameterOptions(command.params); break;
+        case "registerEventSchema" : this.registerEventSchema(command.params); break;
+        case "unregisterEventSchema" : this.unregisterEventSchema(command.params); break;
+        case "setEventValidationMode" : this.setEventValidationMode(command.params); break;
+        case "setMissingTransactionIdWarning" : this.setMissingTransactionIdWarning(command.params); break;
+        case "setTransactionDeduplicationOptions" : this.setTransactionDeduplicationOptions(command.params); break;
+        case "clearTrackedTransactions" : this.clearTrackedTransactions(command.params); break;
+        case "setPiiFilterOptions" : this.setPiiFilterOptions(command.params); break;
+        case "enableConsent" : this.enableConsent(command.params); break;
+        case "setConsentState" : this.setConsentState(command.params); break;
+        case "getConsentState" : this.getConsentState(command.params); break;
+        default: this.reportFailure(commandName(command), `Unknown command: ${command.functionName}`); break;
     }
-
-    this.nextToSendCounter++;
-
-    // If idx != -1, it means it was not sent directly. Delete its instance from the scheduling array.
-    if (idx != -1) {
-        this.savedCommands.splice(idx, 1);
-    }
-
-    // Recheck the list.
-    this.checkList();
 };
 
 AdjustCommandExecutor.prototype.testOptions = function(params) {
@@ -194,11 +366,7 @@ AdjustCommandExecutor.prototype.testOptions = function(params) {
 };
 
 AdjustCommandExecutor.prototype.config = function(params) {
-    var configNumber = 0;
-    if ('configName' in params) {
-        var configName = getFirstParameterValue(params, 'configName');
-        configNumber = parseInt(configName.substr(configName.length - 1))
-    }
+    var configNumber = getSavedObjectKey(params, 'configName');
 
     var adjustConfig;
     if (configNumber in this.savedConfigs) {
@@ -370,11 +538,7 @@ AdjustCommandExecutor.prototype.config = function(params) {
 
 AdjustCommandExecutor.prototype.start = function(params) {
     this.config(params);
-    var configNumber = 0;
-    if ('configName' in params) {
-        var configName = getFirstParameterValue(params, 'configName');
-        configNumber = parseInt(configName.substr(configName.length - 1))
-    }
+    var configNumber = getSavedObjectKey(params, 'configName');
 
     var adjustConfig = this.savedConfigs[configNumber];
     Adjust.create(adjustConfig);
@@ -383,11 +547,7 @@ AdjustCommandExecutor.prototype.start = function(params) {
 };
 
 AdjustCommandExecutor.prototype.event = function(params) {
-    var eventNumber = 0;
-    if ('eventName' in params) {
-        var eventName = getFirstParameterValue(params, 'eventName');
-        eventNumber = parseInt(eventName.substr(eventName.length - 1))
-    }
+    var eventNumber = getSavedObjectKey(params, 'eventName');
 
     var adjustEvent;
     if (eventNumber in this.savedEvents) {
@@ -436,11 +596,7 @@ AdjustCommandExecutor.prototype.event = function(params) {
 
 AdjustCommandExecutor.prototype.trackEvent = function(params) {
     this.event(params);
-    var eventNumber = 0;
-    if ('eventName' in params) {
-        var eventName = getFirstParameterValue(params, 'eventName');
-        eventNumber = parseInt(eventName.substr(eventName.length - 1))
-    }
+    var eventNumber = getSavedObjectKey(params, 'eventName');
 
     var adjustEvent = this.savedEvents[eventNumber];
     Adjust.trackEvent(adjustEvent);
@@ -550,6 +706,236 @@ AdjustCommandExecutor.prototype.trackAdRevenue = function(params) {
     Adjust.trackAdRevenue(source, payload);
 };
 
+AdjustCommandExecutor.prototype.isEnabled = function(params) {
+    var _this = this;
+    Adjust.isEnabled(function(isEnabled) {
+        _this.reportInfo({ isEnabled: String(isEnabled) });
+    }, this.errorReporter("isEnabled"));
+};
+
+AdjustCommandExecutor.prototype.getAdid = function(params) {
+    var _this = this;
+    Adjust.getAdid(function(adid) {
+        _this.reportInfo({ adid: adid });
+    }, this.errorReporter("getAdid"));
+};
+
+AdjustCommandExecutor.prototype.getAttribution = function(params) {
+    var _this = this;
+    Adjust.getAttribution(function(attribution) {
+        attribution = attribution || {};
+        _this.reportInfo({
+            trackerToken: attribution.trackerToken,
+            trackerName: attribution.trackerName,
+            network: attribution.network,
+            campaign: attribution.campaign,
+            adgroup: attribution.adgroup,
+            creative: attribution.creative,
+            clickLabel: attribution.clickLabel,
+            adid: attribution.adid
+        });
+    }, this.errorReporter("getAttribution"));
+};
+
+AdjustCommandExecutor.prototype.getSdkVersion = function(params) {
+    var _this = this;
+    Adjust.getSdkVersion(function(sdkVersion) {
+        _this.reportInfo({ sdkVersion: sdkVersion });
+    }, this.errorReporter("getSdkVersion"));
+};
+
+AdjustCommandExecutor.prototype.getSdkPrefix = function(params) {
+    this.reportInfo({ sdkPrefix: Adjust.getSdkPrefix() });
+};
+
+AdjustCommandExecutor.prototype.getGoogleAdId = function(params) {
+    var _this = this;
+    Adjust.getGoogleAdId(function(googleAdId) {
+        _this.reportInfo({ googleAdId: googleAdId });
+    }, this.errorReporter("getGoogleAdId"));
+};
+
+AdjustCommandExecutor.prototype.getAmazonAdId = function(params) {
+    var _this = this;
+    Adjust.getAmazonAdId(function(amazonAdId) {
+        _this.reportInfo({ amazonAdId: amazonAdId });
+    }, this.errorReporter("getAmazonAdId"));
+};
+
+AdjustCommandExecutor.prototype.getIdfa = function(params) {
+    var _this = this;
+    Adjust.getIdfa(function(idfa) {
+        _this.reportInfo({ idfa: idfa });
+    }, this.errorReporter("getIdfa"));
+};
+
+// Subscribes a listener which reports every callback of the given type to the server.
+AdjustCommandExecutor.prototype.on = function(params) {
+    var type = getFirstParameterValue(params, 'type');
+    this.off(params);
+    this.listeners[type] = Adjust.on(type, this.callbackReporter(type));
+};
+
+AdjustCommandExecutor.prototype.once = function(params) {
+    var type = getFirstParameterValue(params, 'type');
+    this.off(params);
+    this.listeners[type] = Adjust.once(type, this.callbackReporter(type));
+};
+
+AdjustCommandExecutor.prototype.off = function(params) {
+    var type = getFirstParameterValue(params, 'type');
+    if (type in this.listeners) {
+        this.listeners[type]();
+        delete this.listeners[type];
+    }
+};
+
+AdjustCommandExecutor.prototype.launchPendingDeeplink = function(params) {
+    var deeplink = Adjust.getPendingDeeplink();
+    var _this = this;
+    Adjust.launchPendingDeeplink().then(function() {
+        _this.reportInfo({ launchedDeeplink: deeplink });
+    }, this.errorReporter("launchPendingDeeplink"));
+};
+
+AdjustCommandExecutor.prototype.getPendingDeeplink = function(params) {
+    this.reportInfo({ pendingDeeplink: Adjust.getPendingDeeplink() });
+};
+
+AdjustCommandExecutor.prototype.discardPendingDeeplink = function(params) {
+    Adjust.discardPendingDeeplink();
+};
+
+AdjustCommandExecutor.prototype.parseDeeplink = function(params) {
+    var deeplink = getFirstParameterValue(params, 'deeplink');
+    this.reportInfo({ parsedDeeplink: JSON.stringify(Adjust.parseDeeplink(deeplink)) });
+};
+
+AdjustCommandExecutor.prototype.getPreInitQueueSize = function(params) {
+    this.reportInfo({ preInitQueueSize: String(Adjust.getPreInitQueueSize()) });
+};
+
+AdjustCommandExecutor.prototype.setPreInitQueueMaxSize = function(params) {
+    var maxSize = parseInt(getFirstParameterValue(params, 'maxSize'), 10);
+    Adjust.setPreInitQueueMaxSize(maxSize);
+};
+
+AdjustCommandExecutor.prototype.setPreInitQueueDropPolicy = function(params) {
+    var dropPolicy = getFirstParameterValue(params, 'dropPolicy');
+    Adjust.setPreInitQueueDropPolicy(dropPolicy);
+};
+
+AdjustCommandExecutor.prototype.setConfigValidationMode = function(params) {
+    var validationMode = getFirstParameterValue(params, 'validationMode');
+    Adjust.setConfigValidationMode(validationMode);
+};
+
+// Options are sent as a JSON string, e.g. {"maxCount": 10}.
+AdjustCommandExecutor.prototype.setParameterOptions = function(params) {
+    var options = JSON.parse(getFirstParameterValue(params, 'options'));
+    Adjust.setParameterOptions(options);
+};
+
+AdjustCommandExecutor.prototype.registerEventSchema = function(params) {
+    var name = getFirstParameterValue(params, 'name');
+    var schema = JSON.parse(getFirstParameterValue(params, 'schema'));
+    Adjust.registerEventSchema(name, schema);
+};
+
+AdjustCommandExecutor.prototype.unregisterEventSchema = function(params) {
+    var name = getFirstParameterValue(params, 'name');
+    Adjust.unregisterEventSchema(name);
+};
+
+AdjustCommandExecutor.prototype.setEventValidationMode = function(params) {
+    var validationMode = getFirstParameterValue(params, 'validationMode');
+    Adjust.setEventValidationMode(validationMode);
+};
+
+AdjustCommandExecutor.prototype.setMissingTransactionIdWarning = function(params) {
+    var enabled = getFirstParameterValue(params, "enabled") == 'true';
+    Adjust.setMissingTransactionIdWarning(enabled);
+};
+
+// Options are sent as a JSON string, e.g. {"enabled": true, "ttl": 60000}.
+AdjustCommandExecutor.prototype.setTransactionDeduplicationOptions = function(params) {
+    var options = JSON.parse(getFirstParameterValue(params, 'options'));
+    Adjust.setTransactionDeduplicationOptions(options);
+};
+
+AdjustCommandExecutor.prototype.clearTrackedTransactions = function(params) {
+    Adjust.clearTrackedTransactions();
+};
+
+// Violations are sent to the test server instead of being logged.
+AdjustCommandExecutor.prototype.setPiiFilterOptions = function(params) {
+    var options = JSON.parse(getFirstParameterValue(params, 'options'));
+    var self = this;
+    options.onViolation = function(violation) {
+        self.reportInfo({ piiViolation: JSON.stringify(violation) });
+    };
+    Adjust.setPiiFilterOptions(options);
+};
+
+// Consent is kept in memory, so that every test starts with unknown consent.
+AdjustCommandExecutor.prototype.enableConsent = function(params) {
+    var items = {};
+    var options = {
+        storage: {
+            getItem: function(key) { return key in items ? items[key] : null; },
+            setItem: function(key, value) { items[key] = String(value); },
+            removeItem: function(key) { delete items[key]; }
+        }
+    };
+    if ('policy' in params) {
+        options.policy = getFirstParameterValue(params, 'policy');
+    }
+    Adjust.consent.enable(options);
+};
+
+AdjustCommandExecutor.prototype.setConsentState = function(params) {
+    Adjust.consent.setState(getFirstParameterValue(params, 'state'));
+};
+
+AdjustCommandExecutor.prototype.getConsentState = function(params) {
+    this.reportInfo({ consentState: Adjust.consent.getState() });
+};
+
+// Reporting //
+
+AdjustCommandExecutor.prototype.reportInfo = function(info) {
+    for (var key in info) {
+        AdjustTest.addInfoToSend(key, info[key]);
+    }
+    AdjustTest.sendInfoToServer(this.basePath);
+};
+
+AdjustCommandExecutor.prototype.reportFailure = function(name, message) {
+    console.log(`[*] Command ${name} failed: ${message}`);
+    this.reportInfo({
+        commandFailed: name,
+        error: message
+    });
+};
+
+AdjustCommandExecutor.prototype.errorReporter = function(functionName) {
+    var _this = this;
+    return function(error) {
+        var message = error && error.message ? error.message : String(error);
+        _this.reportFailure(`Adjust.${functionName}`, message);
+    };
+};
+
+AdjustCommandExecutor.prototype.callbackReporter = function(type) {
+    var _this = this;
+    return function(payload) {
+        _this.reportInfo({
+            callbackType: type,
+            payload: JSON.stringify(payload)
+        });
+    };
+};
+
 // Util methods //
 
 function addJsonResponseInfo(event) {
@@ -564,6 +950,22 @@ function addJsonResponseInfo(event) {
     }
 }
 
+function commandName(command) {
+    return `${command.className}.${command.functionName}`;
+}
+
+// Configs and events are saved under the number their name ends with ("config12" -> 12), or under
+// their whole name if it doesn't end with one. Unnamed ones are saved under 0.
+function getSavedObjectKey(params, key) {
+    var name = getFirstParameterValue(params, key);
+    if (name === null) {
+        return 0;
+    }
+
+    var number = /(\d+)$/.exec(name);
+    return number !== null ? parseInt(number[1], 10) : name;
+}
+
 function getValueFromKey(params, key) {
     if (key in params) {
         return params[key];
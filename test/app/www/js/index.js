@@ -5,6 +5,17 @@ function handleOpenURL(url) {
     }, 0);
 }
 
+// Address of the machine running the test server (test/server/start.js for the local mock server).
+// Emulators reach their host under a fixed address. On a device, set it with
+// localStorage.setItem('testServerAddress', '<address>') from the web inspector and restart the app.
+function testServerAddress() {
+    var address = window.localStorage.getItem('testServerAddress');
+    if (address) {
+        return address;
+    }
+    return device.platform === "Android" ? "10.0.2.2" : "127.0.0.1";
+}
+
 var app = {
     initialize: function() {
         document.addEventListener('deviceready', this.onDeviceReady.bind(this), false);
@@ -21,7 +32,7 @@ var app = {
 
             var baseUrl = "";
             var gdprUrl = "";
-            var ipAddress = "192.168.8.196";
+            var ipAddress = testServerAddress();
             if (device.platform === "Android") {
                 baseUrl = "https://" + ipAddress + ":8443";
                 gdprUrl = "https://" + ipAddress + ":8443";
@@ -32,6 +43,8 @@ var app = {
             var controlUrl = "ws://" + ipAddress + ":1987";
 
             var commandExecutor = new CommandExecutor(baseUrl, gdprUrl);
+            // Reachable from the web inspector, e.g. commandExecutor.dumpDiagnostics().
+            window.commandExecutor = commandExecutor;
             AdjustTest.startTestSession(baseUrl, controlUrl, sdkVersion, function(json) {
                 var commandDict = JSON.parse(json);
                 var className = commandDict['className'];
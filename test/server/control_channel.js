@@ -0,0 +1,231 @@
+'use strict';
+
+// Minimal WebSocket (RFC 6455) server for the control channel the test library connects to with
+// `AdjustTest.startTestSession(baseUrl, controlUrl, ...)`. Only what the test library uses is
+// supported: unfragmented text frames carrying JSON signals of the form {"type": ..., "value": ...}.
+
+var crypto = require('crypto');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+var OPCODE_CONTINUATION = 0x0;
+var OPCODE_TEXT         = 0x1;
+var OPCODE_CLOSE        = 0x8;
+var OPCODE_PING         = 0x9;
+var OPCODE_PONG         = 0xA;
+
+function encodeFrame(opcode, payload, masked) {
+    var data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || '', 'utf8');
+    var lengthBytes = data.length < 126 ? 0 : (data.length < 65536 ? 2 : 8);
+    var header = Buffer.alloc(2 + lengthBytes + (masked ? 4 : 0));
+
+    header[0] = 0x80 | opcode;
+    if (lengthBytes === 0) {
+        header[1] = data.length;
+    } else if (lengthBytes === 2) {
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header[1] = 127;
+        header.writeUInt32BE(0, 2);
+        header.writeUInt32BE(data.length, 6);
+    }
+
+    if (!masked) {
+        return Buffer.concat([header, data]);
+    }
+
+    header[1] |= 0x80;
+    var mask = crypto.randomBytes(4);
+    mask.copy(header, 2 + lengthBytes);
+    var maskedData = Buffer.alloc(data.length);
+    for (var i = 0; i < data.length; i++) {
+        maskedData[i] = data[i] ^ mask[i % 4];
+    }
+    return Buffer.concat([header, maskedData]);
+}
+
+// Collects incoming bytes and returns the frames which are complete.
+function FrameParser() {
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;
+    this.fragmentOpcode = null;
+}
+
+FrameParser.prototype.push = function(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    var frames = [];
+
+    while (this.buffer.length >= 2) {
+        var fin = (this.buffer[0] & 0x80) !== 0;
+        var opcode = this.buffer[0] & 0x0F;
+        var masked = (this.buffer[1] & 0x80) !== 0;
+        var length = this.buffer[1] & 0x7F;
+        var offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) {
+                break;
+            }
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) {
+                break;
+            }
+            length = this.buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        var mask = null;
+        if (masked) {
+            if (this.buffer.length < offset + 4) {
+                break;
+            }
+            mask = this.buffer.slice(offset, offset + 4);
+            offset += 4;
+        }
+
+        if (this.buffer.length < offset + length) {
+            break;
+        }
+
+        var payload = Buffer.from(this.buffer.slice(offset, offset + length));
+        if (mask) {
+            for (var i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        this.buffer = this.buffer.slice(offset + length);
+
+        if (opcode === OPCODE_CONTINUATION || !fin) {
+            if (opcode !== OPCODE_CONTINUATION) {
+                this.fragments = [];
+                this.fragmentOpcode = opcode;
+            }
+            if (this.fragments === null) {
+                continue;
+            }
+            this.fragments.push(payload);
+            if (!fin) {
+                continue;
+            }
+            opcode = this.fragmentOpcode;
+            payload = Buffer.concat(this.fragments);
+            this.fragments = null;
+            this.fragmentOpcode = null;
+        }
+
+        frames.push({ opcode: opcode, payload: payload });
+    }
+
+    return frames;
+};
+
+function ControlChannel() {
+    EventEmitter.call(this);
+    this.connections = [];
+}
+
+util.inherits(ControlChannel, EventEmitter);
+
+ControlChannel.SignalInfo              = 'info';
+ControlChannel.SignalInitTestSession   = 'init-test-session';
+ControlChannel.SignalEndWait           = 'end-wait';
+ControlChannel.SignalCancelCurrentTest = 'cancel-current-test';
+
+// Handler for the 'upgrade' event of an http(s).Server.
+ControlChannel.prototype.handleUpgrade = function(request, socket) {
+    var key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    var accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Accept: ' + accept,
+        '', ''
+    ].join('\r\n'));
+
+    var self = this;
+    var connection = { socket: socket, testSessionId: null };
+    var parser = new FrameParser();
+    this.connections.push(connection);
+
+    socket.on('data', function(chunk) {
+        parser.push(chunk).forEach(function(frame) {
+            self.handleFrame(connection, frame);
+        });
+    });
+    socket.on('error', function() {});
+    socket.on('close', function() {
+        var index = self.connections.indexOf(connection);
+        if (index !== -1) {
+            self.connections.splice(index, 1);
+        }
+    });
+
+    this.emit('connection', connection);
+};
+
+ControlChannel.prototype.handleFrame = function(connection, frame) {
+    if (frame.opcode === OPCODE_PING) {
+        connection.socket.write(encodeFrame(OPCODE_PONG, frame.payload, false));
+        return;
+    }
+    if (frame.opcode === OPCODE_CLOSE) {
+        connection.socket.end(encodeFrame(OPCODE_CLOSE, frame.payload.slice(0, 2), false));
+        return;
+    }
+    if (frame.opcode !== OPCODE_TEXT) {
+        return;
+    }
+
+    var signal;
+    try {
+        signal = JSON.parse(frame.payload.toString('utf8'));
+    } catch (e) {
+        this.emit('error', new Error('Invalid control signal: ' + frame.payload.toString('utf8')));
+        return;
+    }
+
+    if (signal.type === ControlChannel.SignalInitTestSession) {
+        connection.testSessionId = signal.value;
+    }
+    this.emit('signal', signal, connection);
+};
+
+// Sends a signal to every connected test library, or only to those of the given test session.
+ControlChannel.prototype.send = function(type, value, testSessionId) {
+    var frame = encodeFrame(OPCODE_TEXT, JSON.stringify({ type: type, value: value }), false);
+    var sent = 0;
+    this.connections.forEach(function(connection) {
+        if (testSessionId && connection.testSessionId !== testSessionId) {
+            return;
+        }
+        connection.socket.write(frame);
+        sent++;
+    });
+    return sent;
+};
+
+ControlChannel.prototype.close = function() {
+    this.connections.slice().forEach(function(connection) {
+        connection.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.from([0x03, 0xE8]), false));
+        connection.socket.destroy();
+    });
+    this.connections = [];
+};
+
+ControlChannel.encodeFrame = encodeFrame;
+ControlChannel.FrameParser = FrameParser;
+ControlChannel.OpcodeText = OPCODE_TEXT;
+ControlChannel.OpcodeClose = OPCODE_CLOSE;
+
+module.exports = ControlChannel;
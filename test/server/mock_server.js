@@ -0,0 +1,507 @@
+'use strict';
+
+// Local stand-in for the Adjust backend and for the test server which drives the test app through
+// the test library (test/plugin). Tests are scripted as lists of commands which are handed out one
+// test at a time, SDK packages are recorded so that they can be asserted on and responses to them
+// can be queued per endpoint.
+//
+//   var server = new AdjustMockServer({ port: 9000, controlPort: 1987 });
+//   server.addTest('event/tracking', [
+//       AdjustMockServer.adjust('testOptions', { teardown: ['resetSdk', 'deleteState', 'resetTest'] }),
+//       AdjustMockServer.adjust('config', { appToken: ['123456789012'], environment: ['sandbox'] }),
+//       AdjustMockServer.adjust('start'),
+//       AdjustMockServer.adjust('event', { eventToken: ['abc123'] }),
+//       AdjustMockServer.adjust('trackEvent')
+//   ]);
+//   server.respondTo('event', { status: 400, body: { message: 'Event failed' } });
+//   server.start().then(function() { return server.waitForPackage('event'); });
+
+var http = require('http');
+var https = require('https');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var ControlChannel = require('./control_channel');
+
+var TEST_SESSION_ID_HEADER = 'Test-Session-Id';
+var TEST_LIBRARY_CLASSNAME = 'TestLibrary';
+var ADJUST_CLASSNAME       = 'Adjust';
+
+var DEFAULT_TIMEOUT = 10000;
+
+function AdjustMockServer(options) {
+    EventEmitter.call(this);
+    options = options || {};
+
+    this.host = options.host || '0.0.0.0';
+    this.port = options.port != null ? options.port : AdjustMockServer.DefaultPort;
+    this.controlPort = options.controlPort != null ? options.controlPort : AdjustMockServer.DefaultControlPort;
+    this.tls = options.tls || null;
+    this.tlsPort = this.tls && this.tls.port != null ? this.tls.port : AdjustMockServer.DefaultTlsPort;
+    this.adid = options.adid || 'mock-adid';
+
+    this.tests = [];
+    this.session = null;
+    this.sessionCounter = 0;
+    this.packages = [];
+    this.testInfo = [];
+    this.queuedResponses = {};
+    this.defaultResponses = {};
+
+    this.controlChannel = new ControlChannel();
+    this.servers = [];
+
+    var self = this;
+    this.controlChannel.on('signal', function(signal, connection) {
+        self.emit('signal', signal, connection);
+    });
+    this.controlChannel.on('error', function(error) {
+        self.emit('warning', error);
+    });
+}
+
+util.inherits(AdjustMockServer, EventEmitter);
+
+AdjustMockServer.DefaultPort        = 9000;
+AdjustMockServer.DefaultTlsPort     = 8443;
+AdjustMockServer.DefaultControlPort = 1987;
+
+// Endpoints of the SDK packages, relative to the base path of the running test.
+AdjustMockServer.EndpointSession          = 'session';
+AdjustMockServer.EndpointEvent            = 'event';
+AdjustMockServer.EndpointAttribution      = 'attribution';
+AdjustMockServer.EndpointSdkClick         = 'sdk_click';
+AdjustMockServer.EndpointSdkInfo          = 'sdk_info';
+AdjustMockServer.EndpointAdRevenue        = 'ad_revenue';
+AdjustMockServer.EndpointGdprForgetDevice = 'gdpr_forget_device';
+
+var ENDPOINTS = [
+    AdjustMockServer.EndpointSession,
+    AdjustMockServer.EndpointEvent,
+    AdjustMockServer.EndpointAttribution,
+    AdjustMockServer.EndpointSdkClick,
+    AdjustMockServer.EndpointSdkInfo,
+    AdjustMockServer.EndpointAdRevenue,
+    AdjustMockServer.EndpointGdprForgetDevice
+];
+
+// Test commands carry their parameters as lists of strings.
+function normalizeParams(params) {
+    var normalized = {};
+    Object.keys(params || {}).forEach(function(key) {
+        var value = params[key];
+        var values = Array.isArray(value) ? value : [value];
+        normalized[key] = values.map(function(item) {
+            return item === null || item === undefined ? null : String(item);
+        });
+    });
+    return normalized;
+}
+
+AdjustMockServer.command = function(className, functionName, params) {
+    return {
+        className: className,
+        functionName: functionName,
+        params: normalizeParams(params)
+    };
+};
+
+AdjustMockServer.adjust = function(functionName, params) {
+    return AdjustMockServer.command(ADJUST_CLASSNAME, functionName, params);
+};
+
+AdjustMockServer.testLibrary = function(functionName, params) {
+    return AdjustMockServer.command(TEST_LIBRARY_CLASSNAME, functionName, params);
+};
+
+// Makes the test library wait until `endWait` is called.
+AdjustMockServer.waitForControl = function() {
+    return AdjustMockServer.testLibrary('wait', { control: ['waitForControl'] });
+};
+
+AdjustMockServer.sleep = function(millis) {
+    return AdjustMockServer.testLibrary('wait', { sleep: [millis] });
+};
+
+AdjustMockServer.prototype.addTest = function(name, commands) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new TypeError('Test name must be a non-empty string.');
+    }
+    if (!Array.isArray(commands)) {
+        throw new TypeError("Commands of test '" + name + "' must be an array.");
+    }
+    this.tests.push({ name: name, commands: commands });
+    return this;
+};
+
+AdjustMockServer.prototype.clearTests = function() {
+    this.tests = [];
+};
+
+// Queues a response for the next package sent to the endpoint.
+// `response` is { status: Number, body: Object|String, headers: Object }, each field optional.
+AdjustMockServer.prototype.respondTo = function(endpoint, response) {
+    checkEndpoint(endpoint);
+    if (!this.queuedResponses[endpoint]) {
+        this.queuedResponses[endpoint] = [];
+    }
+    this.queuedResponses[endpoint].push(response || {});
+    return this;
+};
+
+// Response for every package sent to the endpoint while nothing is queued for it. Pass null to
+// go back to the built-in response.
+AdjustMockServer.prototype.setDefaultResponse = function(endpoint, response) {
+    checkEndpoint(endpoint);
+    if (response) {
+        this.defaultResponses[endpoint] = response;
+    } else {
+        delete this.defaultResponses[endpoint];
+    }
+    return this;
+};
+
+AdjustMockServer.prototype.packagesFor = function(endpoint, testName) {
+    return this.packages.filter(function(sdkPackage) {
+        return sdkPackage.endpoint === endpoint && (testName === undefined || sdkPackage.testName === testName);
+    });
+};
+
+AdjustMockServer.prototype.clearPackages = function() {
+    this.packages = [];
+    this.testInfo = [];
+};
+
+// Resolves with the first package for the endpoint received after the call, or with an already
+// received one when `fromIndex` is given (for example `server.packages.length` at some earlier point).
+AdjustMockServer.prototype.waitForPackage = function(endpoint, timeout, fromIndex) {
+    checkEndpoint(endpoint);
+    if (fromIndex !== undefined) {
+        for (var i = fromIndex; i < this.packages.length; i++) {
+            if (this.packages[i].endpoint === endpoint) {
+                return Promise.resolve(this.packages[i]);
+            }
+        }
+    }
+    return this.waitFor('package', timeout, function(sdkPackage) {
+        return sdkPackage.endpoint === endpoint;
+    }, "No '" + endpoint + "' package received");
+};
+
+AdjustMockServer.prototype.waitForTestInfo = function(timeout) {
+    return this.waitFor('testInfo', timeout, null, 'No test info received');
+};
+
+AdjustMockServer.prototype.waitFor = function(eventName, timeout, predicate, message) {
+    var self = this;
+    var delay = timeout || DEFAULT_TIMEOUT;
+    return new Promise(function(resolve, reject) {
+        var timer = setTimeout(function() {
+            self.removeListener(eventName, listener);
+            reject(new Error(message + ' within ' + delay + ' ms.'));
+        }, delay);
+        var listener = function(value) {
+            if (predicate && !predicate(value)) {
+                return;
+            }
+            clearTimeout(timer);
+            self.removeListener(eventName, listener);
+            resolve(value);
+        };
+        self.on(eventName, listener);
+    });
+};
+
+// Control channel signals for the test library of the running session.
+AdjustMockServer.prototype.endWait = function(reason) {
+    return this.controlChannel.send(ControlChannel.SignalEndWait, reason || 'end wait', this.currentSessionId());
+};
+
+AdjustMockServer.prototype.sendInfo = function(value) {
+    return this.controlChannel.send(ControlChannel.SignalInfo, value, this.currentSessionId());
+};
+
+AdjustMockServer.prototype.cancelCurrentTest = function() {
+    return this.controlChannel.send(ControlChannel.SignalCancelCurrentTest, 'cancel', this.currentSessionId());
+};
+
+AdjustMockServer.prototype.currentSessionId = function() {
+    return this.session ? this.session.id : null;
+};
+
+AdjustMockServer.prototype.currentTest = function() {
+    return this.session ? this.session.current : null;
+};
+
+AdjustMockServer.prototype.start = function() {
+    var self = this;
+    var handler = function(request, response) {
+        self.handleRequest(request, response);
+    };
+    var upgradeHandler = function(request, socket) {
+        self.controlChannel.handleUpgrade(request, socket);
+    };
+
+    var listens = [
+        this.listen(http.createServer(handler), this.port),
+        this.listen(http.createServer().on('upgrade', upgradeHandler), this.controlPort)
+    ];
+    if (this.tls) {
+        listens.push(this.listen(https.createServer({ key: this.tls.key, cert: this.tls.cert }, handler), this.tlsPort));
+    }
+
+    return Promise.all(listens).then(function(ports) {
+        self.port = ports[0];
+        self.controlPort = ports[1];
+        if (self.tls) {
+            self.tlsPort = ports[2];
+        }
+        return {
+            port: self.port,
+            controlPort: self.controlPort,
+            tlsPort: self.tls ? self.tlsPort : null
+        };
+    });
+};
+
+AdjustMockServer.prototype.listen = function(server, port) {
+    var self = this;
+    this.servers.push(server);
+    return new Promise(function(resolve, reject) {
+        server.once('error', reject);
+        server.listen(port, self.host, function() {
+            server.removeListener('error', reject);
+            resolve(server.address().port);
+        });
+    });
+};
+
+AdjustMockServer.prototype.stop = function() {
+    this.controlChannel.close();
+    var servers = this.servers;
+    this.servers = [];
+    return Promise.all(servers.map(function(server) {
+        return new Promise(function(resolve) {
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+            server.close(function() {
+                resolve();
+            });
+        });
+    }));
+};
+
+AdjustMockServer.prototype.handleRequest = function(request, response) {
+    var self = this;
+    var chunks = [];
+    request.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    request.on('end', function() {
+        var url = new URL(request.url, 'http://localhost');
+        var params = parseParams(url.searchParams);
+        var body = Buffer.concat(chunks).toString('utf8');
+        if (body.length > 0) {
+            var bodyParams = parseBody(body, request.headers['content-type']);
+            Object.keys(bodyParams).forEach(function(key) {
+                params[key] = bodyParams[key];
+            });
+        }
+
+        try {
+            self.route(request, url.pathname, params, response);
+        } catch (e) {
+            self.emit('warning', e);
+            send(response, { status: 500, body: { message: e.message } });
+        }
+    });
+};
+
+AdjustMockServer.prototype.route = function(request, path, params, response) {
+    if (path === '/init_session') {
+        this.startSession(params, response);
+        return;
+    }
+    if (path === '/end_test_read_next') {
+        this.sendCommands(response, this.nextTestCommands());
+        return;
+    }
+
+    var testInfoMatch = /^(.*)\/test_info$/.exec(path);
+    if (testInfoMatch) {
+        var info = {
+            basePath: testInfoMatch[1],
+            testName: this.testNameForBasePath(testInfoMatch[1]),
+            info: params
+        };
+        this.testInfo.push(info);
+        this.emit('testInfo', info);
+        this.sendCommands(response, []);
+        return;
+    }
+
+    var endpointMatch = /^(.*)\/([a-z_]+)$/.exec(path);
+    if (endpointMatch && ENDPOINTS.indexOf(endpointMatch[2]) !== -1) {
+        var sdkPackage = {
+            endpoint: endpointMatch[2],
+            method: request.method,
+            path: path,
+            basePath: endpointMatch[1],
+            testName: this.testNameForBasePath(endpointMatch[1]),
+            params: params,
+            headers: request.headers,
+            receivedAt: Date.now()
+        };
+        this.packages.push(sdkPackage);
+        send(response, this.responseFor(sdkPackage.endpoint));
+        this.emit('package', sdkPackage);
+        return;
+    }
+
+    send(response, { status: 404, body: { message: 'Unknown path: ' + path } });
+};
+
+AdjustMockServer.prototype.startSession = function(params, response) {
+    this.sessionCounter++;
+    var selected = splitNames(params.test_names || params.testNames);
+    this.session = {
+        id: 'mock-session-' + this.sessionCounter,
+        clientSdk: params.client_sdk || params.clientSdk || null,
+        pending: this.tests.filter(function(test) {
+            return selected.length === 0 || selected.some(function(name) {
+                return test.name === name || test.name.indexOf(name.replace(/\/?$/, '/')) === 0;
+            });
+        }),
+        current: null,
+        index: 0
+    };
+    this.emit('sessionStarted', this.session);
+    this.sendCommands(response, this.nextTestCommands(), headerWith(TEST_SESSION_ID_HEADER, this.session.id));
+};
+
+AdjustMockServer.prototype.nextTestCommands = function() {
+    var session = this.session;
+    if (!session) {
+        return [AdjustMockServer.testLibrary('endTestSession')];
+    }
+
+    if (session.current) {
+        this.emit('testEnded', session.current);
+        session.current = null;
+    }
+
+    var test = session.pending.shift();
+    if (!test) {
+        this.emit('sessionEnded', session);
+        return [AdjustMockServer.testLibrary('endTestSession')];
+    }
+
+    session.index++;
+    var basePath = '/' + session.id + '/' + session.index;
+    session.current = { name: test.name, basePath: basePath };
+    this.emit('testStarted', session.current);
+
+    var commands = [AdjustMockServer.testLibrary('resetTest', { basePath: [basePath], testName: [test.name] })];
+    test.commands.forEach(function(command) {
+        if (command.className === ADJUST_CLASSNAME && command.functionName === 'testOptions' && !command.params.basePath) {
+            var params = {};
+            Object.keys(command.params).forEach(function(key) {
+                params[key] = command.params[key];
+            });
+            params.basePath = [basePath];
+            command = { className: command.className, functionName: command.functionName, params: params };
+        }
+        commands.push(command);
+    });
+    commands.push(AdjustMockServer.testLibrary('endTestReadNext'));
+    return commands;
+};
+
+AdjustMockServer.prototype.testNameForBasePath = function(basePath) {
+    var current = this.currentTest();
+    return current && current.basePath === basePath ? current.name : null;
+};
+
+AdjustMockServer.prototype.responseFor = function(endpoint) {
+    var queued = this.queuedResponses[endpoint];
+    var response = queued && queued.length > 0 ? queued.shift() : (this.defaultResponses[endpoint] || {});
+    var body = response.body;
+    if (body === undefined) {
+        body = {
+            adid: this.adid,
+            timestamp: new Date().toISOString(),
+            message: endpoint + ' tracked by mock server'
+        };
+        if (endpoint === AdjustMockServer.EndpointAttribution) {
+            body.attribution = {
+                tracker_token: 'mocktr',
+                tracker_name: 'Mock Tracker',
+                network: 'Mock Network'
+            };
+        }
+    }
+    return { status: response.status || 200, body: body, headers: response.headers };
+};
+
+AdjustMockServer.prototype.sendCommands = function(response, commands, headers) {
+    send(response, { status: 200, body: commands, headers: headers });
+};
+
+function checkEndpoint(endpoint) {
+    if (ENDPOINTS.indexOf(endpoint) === -1) {
+        throw new TypeError("Unknown endpoint '" + endpoint + "'. Expected one of: " + ENDPOINTS.join(', ') + '.');
+    }
+}
+
+function parseParams(searchParams) {
+    var params = {};
+    searchParams.forEach(function(value, key) {
+        params[key] = value;
+    });
+    return params;
+}
+
+function parseBody(body, contentType) {
+    if (contentType && contentType.indexOf('application/json') !== -1) {
+        try {
+            var parsed = JSON.parse(body);
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (e) {
+            return {};
+        }
+    }
+    return parseParams(new URLSearchParams(body));
+}
+
+function splitNames(names) {
+    if (!names) {
+        return [];
+    }
+    return String(names).split(/[;,]/).map(function(name) {
+        return name.trim();
+    }).filter(function(name) {
+        return name.length > 0;
+    });
+}
+
+function headerWith(name, value) {
+    var headers = {};
+    headers[name] = value;
+    return headers;
+}
+
+function send(response, spec) {
+    var body = typeof spec.body === 'string' ? spec.body : JSON.stringify(spec.body);
+    // Lets the browser platform's web tracking read the responses from another origin.
+    var headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+    Object.keys(spec.headers || {}).forEach(function(key) {
+        headers[key] = spec.headers[key];
+    });
+    response.writeHead(spec.status, headers);
+    response.end(body);
+}
+
+AdjustMockServer.TestSessionIdHeader = TEST_SESSION_ID_HEADER;
+AdjustMockServer.ControlChannel = ControlChannel;
+
+module.exports = AdjustMockServer;
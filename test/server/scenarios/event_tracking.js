@@ -0,0 +1,53 @@
+'use strict';
+
+// Starts the SDK, tracks an event which fails once and checks what the SDK sent.
+
+var AdjustMockServer = require('../mock_server');
+
+var adjust = AdjustMockServer.adjust;
+
+module.exports = function(server) {
+    server.addTest('scenarios/event_tracking', [
+        adjust('testOptions', { teardown: ['resetSdk', 'deleteState', 'resetTest'] }),
+        adjust('config', {
+            appToken: ['123456789012'],
+            environment: ['sandbox'],
+            logLevel: ['verbose'],
+            eventCallbackSendFailure: ['true']
+        }),
+        adjust('start'),
+        adjust('resume'),
+        adjust('event', { eventName: ['Event1'], eventToken: ['abc123'], revenue: ['EUR', '0.99'] }),
+        adjust('trackEvent', { eventName: ['Event1'] }),
+        AdjustMockServer.waitForControl()
+    ]);
+
+    server.on('testStarted', function(test) {
+        if (test.name !== 'scenarios/event_tracking') {
+            return;
+        }
+
+        server.respondTo(AdjustMockServer.EndpointEvent, { status: 400, body: { message: 'Event failed on purpose' } });
+
+        var from = server.packages.length;
+        Promise.all([
+            server.waitForPackage(AdjustMockServer.EndpointSession, null, from),
+            server.waitForPackage(AdjustMockServer.EndpointEvent, null, from),
+            server.waitForTestInfo()
+        ]).then(function(results) {
+            var eventPackage = results[1];
+            var info = results[2].info;
+            check(eventPackage.params.event_token === 'abc123', 'event token is sent');
+            check(eventPackage.params.revenue === '0.99' && eventPackage.params.currency === 'EUR', 'revenue is sent');
+            check(info.message === 'Event failed on purpose', 'event failure is reported to the app');
+        }, function(error) {
+            console.error('  FAILED: ' + error.message);
+        }).then(function() {
+            server.endWait('scenario checked');
+        });
+    });
+};
+
+function check(condition, description) {
+    console.log('  ' + (condition ? 'ok' : 'FAILED') + ': ' + description);
+}
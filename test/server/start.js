@@ -0,0 +1,103 @@
+'use strict';
+
+// Runs the mock server for the test app (test/app) until it is stopped with Ctrl+C.
+//
+//   node test/server/start.js [--port 9000] [--control-port 1987]
+//                             [--tls-key key.pem --tls-cert cert.pem [--tls-port 8443]]
+//                             [scenario.js ...]
+//
+// Each scenario is a module exporting `function(server)` which adds tests and subscribes to the
+// server's events, see scenarios/event_tracking.js. Without scenarios, the bundled ones are used.
+
+var fs = require('fs');
+var path = require('path');
+var AdjustMockServer = require('./mock_server');
+
+var SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+
+function parseArguments(argv) {
+    var options = { scenarios: [] };
+    for (var i = 0; i < argv.length; i++) {
+        var argument = argv[i];
+        switch (argument) {
+            case '--port': options.port = parseInt(argv[++i], 10); break;
+            case '--control-port': options.controlPort = parseInt(argv[++i], 10); break;
+            case '--tls-port': options.tlsPort = parseInt(argv[++i], 10); break;
+            case '--tls-key': options.tlsKey = argv[++i]; break;
+            case '--tls-cert': options.tlsCert = argv[++i]; break;
+            default:
+                if (argument.indexOf('--') === 0) {
+                    throw new Error('Unknown option: ' + argument);
+                }
+                options.scenarios.push(path.resolve(argument));
+        }
+    }
+    return options;
+}
+
+function main() {
+    var options = parseArguments(process.argv.slice(2));
+    var tls = null;
+    if (options.tlsKey || options.tlsCert) {
+        tls = {
+            key: fs.readFileSync(options.tlsKey),
+            cert: fs.readFileSync(options.tlsCert),
+            port: options.tlsPort
+        };
+    }
+
+    var server = new AdjustMockServer({
+        port: options.port,
+        controlPort: options.controlPort,
+        tls: tls
+    });
+
+    var scenarios = options.scenarios;
+    if (scenarios.length === 0) {
+        scenarios = fs.readdirSync(SCENARIOS_DIR).filter(function(file) {
+            return /\.js$/.test(file);
+        }).map(function(file) {
+            return path.join(SCENARIOS_DIR, file);
+        });
+    }
+    scenarios.forEach(function(scenario) {
+        require(scenario)(server);
+    });
+
+    server.on('sessionStarted', function(session) {
+        console.log('Test session ' + session.id + ' started by ' + (session.clientSdk || 'unknown SDK') +
+            ', ' + session.pending.length + ' test(s) to run.');
+    });
+    server.on('testStarted', function(test) {
+        console.log('> ' + test.name + ' (' + test.basePath + ')');
+    });
+    server.on('package', function(sdkPackage) {
+        console.log('  ' + sdkPackage.method + ' ' + sdkPackage.endpoint + ' package');
+    });
+    server.on('testInfo', function(info) {
+        console.log('  test info: ' + JSON.stringify(info.info));
+    });
+    server.on('sessionEnded', function(session) {
+        console.log('Test session ' + session.id + ' ended.');
+    });
+    server.on('warning', function(error) {
+        console.warn('Warning: ' + error.message);
+    });
+
+    server.start().then(function(ports) {
+        console.log('Mock server listening on port ' + ports.port +
+            (ports.tlsPort ? ' (https on ' + ports.tlsPort + ')' : '') +
+            ', control channel on port ' + ports.controlPort + '.');
+    }, function(error) {
+        console.error('Could not start mock server: ' + error.message);
+        process.exitCode = 1;
+    });
+
+    process.on('SIGINT', function() {
+        server.stop().then(function() {
+            process.exit();
+        });
+    });
+}
+
+main();
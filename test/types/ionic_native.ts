@@ -0,0 +1,61 @@
+// Checks the signatures of the ionic-native wrapper against the Adjust global of types/index.d.ts, whose
+// members the wrapper forwards to. test/unit/ionic_native_parity.test.js checks that no member is missing.
+// Compiled by `npm run typecheck` without strict null checks, like the wrapper is built by ionic-native.
+
+import * as Wrapper from '../../ionic-native';
+
+// The global API takes the wrapper's objects where it takes its own, e.g. Adjust.create takes either config.
+type Globalized<T> = T extends Wrapper.AdjustConfig ? AdjustConfig
+  : T extends Wrapper.AdjustEvent ? AdjustEvent
+  : T extends Wrapper.AdjustAdRevenue ? AdjustAdRevenueFields
+  : T;
+
+type GlobalizedParameters<P extends any[]> = { [I in keyof P]: Globalized<P[I]> };
+
+// Method of the wrapper as the global API declares it, for up to two overloads.
+type Forwarded<F> = F extends { (...args: infer P1): infer R1; (...args: infer P2): infer R2 }
+  ? ((...args: GlobalizedParameters<P1>) => R1) & ((...args: GlobalizedParameters<P2>) => R2)
+  : never;
+
+// Without strict null checks, the onError property looks like a method. It is checked on its own below.
+type MethodNames<T> = Exclude<{ [K in keyof T]: T[K] extends (...args: any[]) => any ? K : never }[keyof T], 'onError'>;
+
+// Every method of the wrapper can be implemented by the method of the same name of the global: it takes the
+// wrapper's arguments and returns what the wrapper promises. Overloads of the global count if one of them fits.
+type Checked<Wrapped, Global> = {
+  [K in MethodNames<Wrapped> & keyof Global]: Global[K] extends Forwarded<Wrapped[K]> ? true : K;
+};
+
+type Mismatches<T> = { [K in keyof T]: T[K] extends true ? never : T[K] }[keyof T];
+
+// Fails with the names of the methods which don't fit.
+function expectNoMismatches(mismatches: never): void {}
+
+expectNoMismatches(null as Mismatches<Checked<Wrapper.Adjust, AdjustStatic>>);
+expectNoMismatches(null as Mismatches<Checked<Wrapper.AdjustConfig, AdjustConfig>>);
+expectNoMismatches(null as Mismatches<Checked<Wrapper.AdjustEvent, AdjustEvent>>);
+expectNoMismatches(null as Mismatches<Checked<Wrapper.AdjustAdRevenue, AdjustAdRevenue>>);
+
+declare const adjust: Wrapper.Adjust;
+
+// Handlers assigned through the wrapper get the errors of the global.
+const onError: AdjustStatic['onError'] = adjust.onError;
+// The objects of the global are what the wrapper's accessors return.
+const consent: Wrapper.AdjustConsent = Adjust.consent;
+const deeplinks: Wrapper.AdjustDeeplinkRouter = Adjust.deeplinks;
+
+// Payloads of the global are what the wrapper's listeners and observables get.
+const attribution: Wrapper.AdjustAttribution = {} as AdjustAttribution;
+const sessionSuccess: Wrapper.AdjustSessionSuccess = {} as AdjustSessionSuccess;
+const sessionFailure: Wrapper.AdjustSessionFailure = {} as AdjustSessionFailure;
+const eventSuccess: Wrapper.AdjustEventSuccess = {} as AdjustEventSuccess;
+const eventFailure: Wrapper.AdjustEventFailure = {} as AdjustEventFailure;
+const parsedDeeplink: Wrapper.AdjustParsedDeeplink = {} as AdjustParsedDeeplink;
+const trace: Wrapper.AdjustTrace = {} as AdjustTrace;
+
+// The wrapper's setters tell whether a value was refused, like the ones of the global.
+declare const wrappedEvent: Wrapper.AdjustEvent;
+declare const wrappedAdRevenue: Wrapper.AdjustAdRevenue;
+const revenueAccepted: boolean = wrappedEvent.setRevenue(0.99, 'EUR');
+const adRevenueAccepted: boolean = wrappedAdRevenue.setRevenue(0.01, 'USD');
+const impressionsCounted: boolean = wrappedAdRevenue.setAdImpressionsCount(3);
@@ -0,0 +1,96 @@
+// App code against types/index.d.ts, compiled with `npm run typecheck`. Lines marked with @ts-expect-error
+// must not compile, so that the declarations don't get looser unnoticed.
+
+async function setUpAdjust(): Promise<void> {
+    const adjustConfig = new AdjustConfig("123456789012", AdjustConfig.EnvironmentSandbox);
+    adjustConfig.setLogLevel(AdjustConfig.LogLevelVerbose);
+    adjustConfig.setDelayStart(2);
+    adjustConfig.setAttributionCallbackListener(function(attribution: AdjustAttribution) {
+        const trackerName: string = attribution.trackerName;
+    });
+    adjustConfig.addListener("deferredDeeplink", function(deeplink: string): AdjustDeeplinkDecision {
+        return deeplink.indexOf("promo") !== -1 ? AdjustConfig.DeeplinkDecisionDefer : AdjustConfig.DeeplinkDecisionLaunch;
+    });
+    adjustConfig.addListener("eventFailure", function(eventFailure) {
+        const willRetry: boolean = eventFailure.willRetry;
+    });
+    const issues: AdjustConfigIssue[] = adjustConfig.validate();
+    // @ts-expect-error Unknown environments are refused.
+    new AdjustConfig("123456789012", "staging");
+    // @ts-expect-error Listeners get the payload of their type.
+    adjustConfig.addListener("sessionSuccess", function(eventSuccess: AdjustEventSuccess) {});
+
+    Adjust.onError = function(error: AdjustError) {
+        const code: AdjustErrorCode = error.code;
+        if (code === AdjustError.CodeListenerError) {
+            const cause: unknown = error.cause;
+        }
+    };
+    await Adjust.create(adjustConfig);
+}
+
+async function trackPurchase(): Promise<void> {
+    const adjustEvent = new AdjustEvent("abc123");
+    const accepted: boolean = adjustEvent.setRevenue(0.99, "EUR");
+    adjustEvent.setTransactionId("order-1");
+    adjustEvent.addCallbackParameter("user", "u1");
+    const size: number = adjustEvent.callbackParameters.size();
+    await Adjust.trackEvent(adjustEvent);
+
+    const adRevenue = new AdjustAdRevenue(AdjustAdRevenue.SourceMopub);
+    adRevenue.setRevenue(0.01, "USD");
+    const counted: boolean = adRevenue.setAdImpressionsCount(3);
+    // @ts-expect-error Impressions are counted with numbers.
+    adRevenue.setAdImpressionsCount("3");
+    await Adjust.trackAdRevenue(adRevenue);
+    await Adjust.trackAdRevenue({ source: "mopub", revenue: 0.01, currency: "USD", adImpressionsCount: 1 });
+}
+
+async function readState(): Promise<void> {
+    const attribution = await Adjust.getAttribution();
+    // @ts-expect-error The attribution is undefined until the backend sent one.
+    const network: string = attribution.network;
+    const knownNetwork: string = attribution ? attribution.network : "";
+    Adjust.getAttribution(function(attribution) {
+        const trackerToken: string | undefined = attribution && attribution.trackerToken;
+    });
+
+    const adid: string = await Adjust.getAdid();
+    const isEnabled: boolean = await Adjust.isEnabled();
+    Adjust.getSdkVersion(function(sdkVersion: string) {}, function(error: AdjustError) {});
+    const pendingDeeplink: string | null = Adjust.getPendingDeeplink();
+    const queueSize: number = Adjust.getPreInitQueueSize();
+}
+
+function handleDeeplinks(): void {
+    const parsed = Adjust.parseDeeplink("myapp://products/42?adjust_campaign=spring");
+    if (parsed !== null) {
+        const campaign: string = parsed.adjustParameters.campaign;
+    }
+    const removeRoute: () => void = Adjust.deeplinks.route("/products/:id", function(link: AdjustRoutedDeeplink) {
+        const id: string = link.params.id;
+    });
+    Adjust.deeplinks.otherwise(null);
+    const opened: boolean = Adjust.deeplinks.open("myapp://products/42");
+    removeRoute();
+}
+
+function handleConsent(): void {
+    Adjust.consent.enable({ policy: Adjust.ConsentPolicyQueue, maxQueueSize: 50 });
+    const state: AdjustConsentState = Adjust.consent.grant();
+    const holdsCalls: boolean = Adjust.consent.holdsCalls();
+    // @ts-expect-error Holding and releasing calls is internal to the SDK.
+    Adjust.consent.release();
+}
+
+async function replayTrace(): Promise<void> {
+    Adjust.startRecording({ maxEntries: 100 });
+    const trace = Adjust.stopRecording();
+    if (trace === null) {
+        return;
+    }
+    const replayer = new AdjustReplayer(trace, { speed: 0 });
+    const result: AdjustReplayResult = await replayer.replay();
+    // @ts-expect-error Playing single entries is internal to the replayer.
+    replayer.playEntry(trace.entries[0], result, []);
+}
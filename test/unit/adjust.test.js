@@ -0,0 +1,748 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var MockCordova = require('./mock_cordova');
+
+var APP_TOKEN = '123456789012';
+
+var mock;
+var Adjust;
+var AdjustConfig;
+var AdjustEvent;
+var AdjustError;
+var AdjustAdRevenue;
+
+test.beforeEach(function() {
+    mock = new MockCordova().install();
+    var sdk = mock.load();
+    Adjust = sdk.Adjust;
+    AdjustConfig = sdk.AdjustConfig;
+    AdjustEvent = sdk.AdjustEvent;
+    AdjustError = sdk.AdjustError;
+    AdjustAdRevenue = sdk.AdjustAdRevenue;
+});
+
+test.afterEach(function() {
+    mock.uninstall();
+});
+
+function createSdk(configure) {
+    var adjustConfig = new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox);
+    if (configure) {
+        configure(adjustConfig);
+    }
+    return Adjust.create(adjustConfig);
+}
+
+// Runs run and lets the native responses settle, collecting the rejections nobody handled meanwhile.
+async function unhandledRejectionsOf(run) {
+    var reasons = [];
+    var listener = function(reason) {
+        reasons.push(reason);
+    };
+    process.on('unhandledRejection', listener);
+    try {
+        await run();
+        await mock.settle();
+    } finally {
+        process.removeListener('unhandledRejection', listener);
+    }
+    return reasons;
+}
+
+test('create sends the config with the SDK prefix', async function() {
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setLogLevel(AdjustConfig.LogLevelVerbose);
+    });
+
+    var config = mock.lastPayload('create');
+    assert.strictEqual(config.appToken, APP_TOKEN);
+    assert.strictEqual(config.environment, 'sandbox');
+    assert.strictEqual(config.logLevel, 'VERBOSE');
+    assert.strictEqual(config.sdkPrefix, 'cordova4.18.0');
+});
+
+test('create registers every native callback', async function() {
+    await createSdk();
+
+    [
+        'setAttributionCallback',
+        'setEventTrackingSucceededCallback',
+        'setEventTrackingFailedCallback',
+        'setSessionTrackingSucceededCallback',
+        'setSessionTrackingFailedCallback',
+        'setDeferredDeeplinkCallback'
+    ].forEach(function(action) {
+        assert.ok(mock.hasCallback(action), action);
+    });
+});
+
+test('create without config rejects', async function() {
+    await assert.rejects(Adjust.create(), function(error) {
+        return error instanceof AdjustError && error.code === AdjustError.CodeInvalidConfig;
+    });
+    assert.strictEqual(mock.callsOf('create').length, 0);
+});
+
+test('strict config validation refuses invalid configs', async function() {
+    Adjust.setConfigValidationMode(Adjust.ConfigValidationStrict);
+    var adjustConfig = new AdjustConfig('short', 'staging');
+
+    await assert.rejects(Adjust.create(adjustConfig), function(error) {
+        return error.code === AdjustError.CodeInvalidConfig && error.issues.length === 2;
+    });
+    assert.strictEqual(mock.callsOf('create').length, 0);
+});
+
+test('config validation reports issues to onError by default', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+
+    await Adjust.create(new AdjustConfig('short', AdjustConfig.EnvironmentSandbox));
+
+    assert.strictEqual(mock.callsOf('create').length, 1);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, AdjustError.CodeInvalidConfig);
+    assert.match(errors[0].message, /appToken/);
+    assert.deepStrictEqual(errors[0].issues.map(function(issue) {
+        return issue.field;
+    }), ['appToken']);
+});
+
+test('calls made before create are queued and flushed in order', async function() {
+    var adjustEvent = new AdjustEvent('abc123');
+    var tracked = Adjust.trackEvent(adjustEvent);
+    Adjust.setPushToken('token');
+    Adjust.addSessionCallbackParameter('key', 'value');
+
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 3);
+    assert.deepStrictEqual(mock.actions(), []);
+
+    await createSdk();
+    await tracked;
+
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 0);
+    // Session parameters go out before create, everything else after it.
+    assert.deepStrictEqual(mock.actions().filter(function(action) {
+        return !/^set\w+Callback$/.test(action);
+    }), ['addSessionCallbackParameter', 'create', 'trackEvent', 'setPushToken']);
+});
+
+test('full pre-init queue drops newest calls by default', async function() {
+    Adjust.setPreInitQueueMaxSize(1);
+    Adjust.setOfflineMode(true);
+
+    await assert.rejects(Adjust.setEnabled(false), function(error) {
+        return error.code === AdjustError.CodeQueueOverflow && error.action === 'setEnabled';
+    });
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 1);
+});
+
+test('full pre-init queue can drop oldest calls', async function() {
+    Adjust.setPreInitQueueMaxSize(1);
+    Adjust.setPreInitQueueDropPolicy(Adjust.PreInitQueueDropOldest);
+    var dropped = Adjust.setOfflineMode(true);
+    Adjust.setEnabled(false);
+
+    await assert.rejects(dropped, { code: AdjustError.CodeQueueOverflow });
+    await createSdk();
+    assert.ok(mock.actions().indexOf('setOfflineMode') === -1);
+    assert.ok(mock.actions().indexOf('setEnabled') !== -1);
+});
+
+test('actions resolve once the native side is done', async function() {
+    await createSdk();
+
+    await Adjust.setOfflineMode(true);
+    assert.deepStrictEqual(mock.lastCall('setOfflineMode').args, [true]);
+});
+
+test('native errors reject with mapped codes and reach onError', async function() {
+    var reported = [];
+    Adjust.onError = function(error) {
+        reported.push(error);
+    };
+    await createSdk();
+    mock.fail('setEnabled', 'Invalid call (setEnabled).');
+    mock.fail('appWillOpenUrl', 'Something broke');
+
+    await assert.rejects(Adjust.setEnabled(true), { code: AdjustError.CodeInvalidCall });
+    await assert.rejects(Adjust.appWillOpenUrl('myapp://home'), function(error) {
+        return error.code === AdjustError.CodeNativeError && error.nativeMessage === 'Something broke';
+    });
+    assert.strictEqual(reported.length, 2);
+});
+
+test('missing bridge rejects instead of throwing', async function() {
+    await createSdk();
+    delete global.cordova;
+
+    await assert.rejects(Adjust.gdprForgetMe(), { code: AdjustError.CodeBridgeUnavailable });
+});
+
+test('getters pass the native value to the callback or the promise', async function() {
+    await createSdk();
+    mock.respond('getAdid', 'adid-1').respond('getAdid', 'adid-2');
+
+    var fromCallback = await new Promise(function(resolve) {
+        Adjust.getAdid(resolve);
+    });
+    assert.strictEqual(fromCallback, 'adid-1');
+    assert.strictEqual(await Adjust.getAdid(), 'adid-2');
+});
+
+test('getter errors reach the error callback', async function() {
+    mock.fail('getAttribution', 'Something broke');
+
+    var error = await new Promise(function(resolve) {
+        Adjust.getAttribution(function() {}, resolve);
+    });
+    assert.strictEqual(error.code, AdjustError.CodeNativeError);
+});
+
+test('getSdkVersion adds the SDK prefix', async function() {
+    mock.respond('getSdkVersion', 'android4.18.0').respond('getSdkVersion', 'ios4.18.0');
+
+    assert.strictEqual(await Adjust.getSdkVersion(), 'cordova4.18.0@android4.18.0');
+    var fromCallback = await new Promise(function(resolve) {
+        Adjust.getSdkVersion(resolve);
+    });
+    assert.strictEqual(fromCallback, 'cordova4.18.0@ios4.18.0');
+});
+
+test('calls are queued again after create failed', async function() {
+    mock.fail('create', 'Something broke');
+
+    await assert.rejects(createSdk(), { code: AdjustError.CodeNativeError, action: 'create' });
+
+    Adjust.setOfflineMode(true);
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 1);
+    assert.strictEqual(mock.callsOf('setOfflineMode').length, 0);
+});
+
+test('isEnabled and other getters are not queued before create', async function() {
+    mock.respond('isEnabled', true);
+
+    assert.strictEqual(await Adjust.isEnabled(), true);
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 0);
+});
+
+test('trackEvent sends the event with its parameters', async function() {
+    await createSdk();
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.setRevenue(0.01, 'EUR');
+    adjustEvent.setTransactionId('tx');
+    adjustEvent.setCallbackId('cb');
+    adjustEvent.addCallbackParameter('a', 'b');
+    adjustEvent.addPartnerParameter('c', 'd');
+
+    await Adjust.trackEvent(adjustEvent);
+
+    var event = mock.lastPayload('trackEvent');
+    assert.strictEqual(event.eventToken, 'abc123');
+    assert.strictEqual(event.revenue, 0.01);
+    assert.strictEqual(event.currency, 'EUR');
+    assert.strictEqual(event.transactionId, 'tx');
+    assert.strictEqual(event.callbackId, 'cb');
+    assert.deepStrictEqual(event.callbackParameters, ['a', 'b']);
+    assert.deepStrictEqual(event.partnerParameters, ['c', 'd']);
+});
+
+test('refused event parameters reach onError', function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+
+    new AdjustEvent('abc123').addCallbackParameter('', 'value');
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, AdjustError.CodeInvalidArguments);
+    assert.strictEqual(errors[0].action, 'addCallbackParameter');
+});
+
+test('unserializable events reject', async function() {
+    await createSdk();
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.self = adjustEvent;
+
+    await assert.rejects(Adjust.trackEvent(adjustEvent), { code: AdjustError.CodeSerializationError });
+});
+
+test('missing transaction ID warning is opt-in', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+    await createSdk();
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.setRevenue(1, 'USD');
+
+    await Adjust.trackEvent(adjustEvent);
+    assert.strictEqual(errors.length, 0);
+
+    Adjust.setMissingTransactionIdWarning(true);
+    await Adjust.trackEvent(adjustEvent);
+    assert.strictEqual(errors[0].code, AdjustError.CodeInvalidEvent);
+    assert.match(errors[0].message, /no transaction ID/);
+    assert.strictEqual(mock.callsOf('trackEvent').length, 2);
+});
+
+test('events without revenue get no missing transaction ID warning', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+    await createSdk();
+    Adjust.setMissingTransactionIdWarning(true);
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.revenue = undefined;
+
+    await Adjust.trackEvent(adjustEvent);
+    await Adjust.trackEvent({ eventToken: 'abc123', callbackParameters: [], partnerParameters: [] });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(mock.callsOf('trackEvent').length, 2);
+});
+
+test('transaction deduplication skips tracked transaction IDs', async function() {
+    await createSdk();
+    Adjust.setTransactionDeduplicationOptions({ enabled: true });
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.setTransactionId('tx-1');
+
+    await Adjust.trackEvent(adjustEvent);
+    await assert.rejects(Adjust.trackEvent(adjustEvent), { code: AdjustError.CodeDuplicateTransaction });
+    assert.strictEqual(mock.callsOf('trackEvent').length, 1);
+
+    Adjust.clearTrackedTransactions();
+    await Adjust.trackEvent(adjustEvent);
+    assert.strictEqual(mock.callsOf('trackEvent').length, 2);
+});
+
+test('transaction IDs of failed calls can be tracked again', async function() {
+    await createSdk();
+    Adjust.setTransactionDeduplicationOptions({ enabled: true });
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.setTransactionId('tx-1');
+    mock.fail('trackEvent', 'Invalid Adjust event.');
+
+    await assert.rejects(Adjust.trackEvent(adjustEvent));
+    await Adjust.trackEvent(adjustEvent);
+    assert.strictEqual(mock.callsOf('trackEvent').length, 2);
+});
+
+test('events are checked against registered schemas', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+    await createSdk();
+    Adjust.registerEventSchema('purchase', {
+        token: 'abc123',
+        callbackParameters: { required: ['order_id'] },
+        revenue: true
+    });
+
+    await Adjust.trackEvent(new AdjustEvent('abc123'));
+    assert.strictEqual(mock.callsOf('trackEvent').length, 1);
+    assert.strictEqual(errors[0].code, AdjustError.CodeInvalidEvent);
+    assert.strictEqual(errors[0].issues.length, 2);
+
+    mock.reset();
+    Adjust.setEventValidationMode(Adjust.EventValidationStrict);
+
+    await assert.rejects(Adjust.trackEvent(new AdjustEvent('abc123')), function(error) {
+        return error.code === AdjustError.CodeInvalidEvent && error.issues.length === 2;
+    });
+    await assert.rejects(Adjust.trackEvent(new AdjustEvent('abc124')), { code: AdjustError.CodeInvalidEvent });
+
+    var adjustEvent = AdjustEvent.fromSchema('purchase', { order_id: '1' });
+    adjustEvent.setRevenue(1, 'EUR');
+    await Adjust.trackEvent(adjustEvent);
+    assert.strictEqual(mock.callsOf('trackEvent').length, 1);
+
+    Adjust.unregisterEventSchema('purchase');
+    await Adjust.trackEvent(new AdjustEvent('xyz'));
+    assert.strictEqual(mock.callsOf('trackEvent').length, 2);
+});
+
+test('invalid session parameters reject', async function() {
+    await createSdk();
+
+    await assert.rejects(Adjust.addSessionPartnerParameter('', 'value'), { code: AdjustError.CodeInvalidArguments });
+    await Adjust.addSessionPartnerParameter('key', 42);
+    assert.deepStrictEqual(mock.lastCall('addSessionPartnerParameter').args, ['key', '42']);
+});
+
+test('session parameter methods reach the native side', async function() {
+    await createSdk();
+
+    await Adjust.removeSessionCallbackParameter('a');
+    await Adjust.resetSessionCallbackParameters();
+    await Adjust.removeSessionPartnerParameter('b');
+    await Adjust.resetSessionPartnerParameters();
+
+    assert.deepStrictEqual(mock.lastCall('removeSessionCallbackParameter').args, ['a']);
+    assert.deepStrictEqual(mock.lastCall('removeSessionPartnerParameter').args, ['b']);
+    assert.strictEqual(mock.callsOf('resetSessionCallbackParameters').length, 1);
+    assert.strictEqual(mock.callsOf('resetSessionPartnerParameters').length, 1);
+});
+
+test('trackAdRevenue sends source and payload', async function() {
+    await createSdk();
+
+    await Adjust.trackAdRevenue('mopub', '{"revenue":1}');
+    assert.deepStrictEqual(mock.lastCall('trackAdRevenue').args, ['mopub', '{"revenue":1}']);
+});
+
+test('trackAdRevenue serializes ad revenue objects into the payload of their source', async function() {
+    await createSdk();
+    var adRevenue = new AdjustAdRevenue(AdjustAdRevenue.SourceMopub);
+    adRevenue.setRevenue(0.0025, 'USD');
+    adRevenue.setAdRevenueUnit('unit1');
+
+    await Adjust.trackAdRevenue(adRevenue);
+    assert.deepStrictEqual(mock.lastCall('trackAdRevenue').args,
+        ['mopub', '{"publisher_revenue":0.0025,"currency":"USD","adunit_id":"unit1"}']);
+
+    // Like the objects of the ionic-native wrapper.
+    await Adjust.trackAdRevenue({ source: 'mopub', revenue: 1, currency: 'EUR', adRevenueNetwork: 'Facebook' });
+    assert.deepStrictEqual(mock.lastCall('trackAdRevenue').args,
+        ['mopub', '{"publisher_revenue":1,"currency":"EUR","network_name":"Facebook"}']);
+});
+
+test('invalid ad revenue objects reject', async function() {
+    await createSdk();
+
+    await assert.rejects(Adjust.trackAdRevenue(new AdjustAdRevenue(AdjustAdRevenue.SourceMopub)), function(error) {
+        assert.strictEqual(error.code, AdjustError.CodeInvalidArguments);
+        assert.match(error.message, /'revenue' is required/);
+        return true;
+    });
+    await assert.rejects(Adjust.trackAdRevenue({ source: 'unknown', revenue: 1, currency: 'EUR' }),
+        { code: AdjustError.CodeInvalidArguments });
+    assert.strictEqual(mock.callsOf('trackAdRevenue').length, 0);
+});
+
+test('native callbacks reach config listeners and Adjust.on listeners', async function() {
+    var fromConfig = [];
+    var fromOn = [];
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setAttributionCallbackListener(function(attribution) {
+            fromConfig.push(attribution);
+        });
+    });
+    Adjust.on('attribution', function(attribution) {
+        fromOn.push(attribution);
+    });
+
+    mock.trigger('setAttributionCallback', { trackerToken: 'abc' });
+
+    assert.deepStrictEqual(fromConfig, [{ trackerToken: 'abc' }]);
+    assert.deepStrictEqual(fromOn, [{ trackerToken: 'abc' }]);
+});
+
+test('on returns an unsubscribe function, once and off remove listeners', async function() {
+    await createSdk();
+    var onCalls = 0;
+    var onceCalls = 0;
+    var unsubscribe = Adjust.on('sessionSuccess', function() {
+        onCalls++;
+    });
+    var onceListener = function() {
+        onceCalls++;
+    };
+    Adjust.once('sessionSuccess', onceListener);
+
+    mock.trigger('setSessionTrackingSucceededCallback', {});
+    unsubscribe();
+    mock.trigger('setSessionTrackingSucceededCallback', {});
+
+    assert.strictEqual(onCalls, 1);
+    assert.strictEqual(onceCalls, 1);
+
+    var offCalls = 0;
+    var offListener = function() {
+        offCalls++;
+    };
+    Adjust.on('eventFailure', offListener);
+    Adjust.off('eventFailure', offListener);
+    mock.trigger('setEventTrackingFailedCallback', {});
+    assert.strictEqual(offCalls, 0);
+});
+
+test('errors thrown by listeners reach onError', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+    var calls = [];
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setAttributionCallbackListener(function() {
+            throw new Error('Listener bug');
+        });
+    });
+    Adjust.on('attribution', function() {
+        throw new Error('Another listener bug');
+    });
+    Adjust.on('attribution', function(attribution) {
+        calls.push(attribution);
+    });
+
+    mock.trigger('setAttributionCallback', { trackerToken: 'abc' });
+
+    assert.deepStrictEqual(calls, [{ trackerToken: 'abc' }]);
+    assert.deepStrictEqual(errors.map(function(error) {
+        return error.code + ' ' + error.action + ' ' + error.cause.message;
+    }), ['LISTENER_ERROR attribution Listener bug', 'LISTENER_ERROR attribution Another listener bug']);
+});
+
+test('on rejects unknown types', function() {
+    assert.throws(function() {
+        Adjust.on('attributionChanged', function() {});
+    }, TypeError);
+});
+
+test('attribution can be replayed to late listeners', async function() {
+    await createSdk();
+    mock.trigger('setAttributionCallback', { trackerToken: 'abc' });
+
+    var replayed = null;
+    Adjust.on('attribution', function(attribution) {
+        replayed = attribution;
+    }, { replayLast: true });
+    assert.deepStrictEqual(replayed, { trackerToken: 'abc' });
+
+    var replayedOnce = null;
+    Adjust.once('attribution', function(attribution) {
+        replayedOnce = attribution;
+    }, { replayLast: true });
+    assert.deepStrictEqual(replayedOnce, { trackerToken: 'abc' });
+});
+
+test('deep link router forwards links to appWillOpenUrl and routes them', async function() {
+    await createSdk();
+    var routed = null;
+    Adjust.deeplinks.route('/products/:id', function(link) {
+        routed = link;
+    });
+
+    assert.strictEqual(Adjust.deeplinks.open('myapp://products/42?adjust_tracker=abc&color=red'), true);
+
+    assert.deepStrictEqual(mock.lastCall('appWillOpenUrl').args, ['myapp://products/42?adjust_tracker=abc&color=red']);
+    assert.strictEqual(routed.source, 'direct');
+    assert.deepStrictEqual(routed.params, { id: '42' });
+    assert.deepStrictEqual(routed.query, { color: 'red' });
+    assert.deepStrictEqual(routed.adjustParameters, { tracker: 'abc' });
+});
+
+test('failed appWillOpenUrl calls of the deep link router only reach onError', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error.action);
+    };
+    await createSdk();
+    mock.fail('appWillOpenUrl', 'Something broke');
+
+    var unhandled = await unhandledRejectionsOf(function() {
+        Adjust.deeplinks.open('myapp://products/42');
+    });
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.deepStrictEqual(errors, ['appWillOpenUrl']);
+});
+
+test('parseDeeplink is available on Adjust', function() {
+    assert.strictEqual(Adjust.parseDeeplink('myapp://home?adj_t=abc').adjustParameters.tracker, 'abc');
+});
+
+test('deferred deep links are launched by the native SDK without listener', async function() {
+    await createSdk();
+
+    assert.strictEqual(mock.lastPayload('create').shouldLaunchDeeplink, null);
+});
+
+test('deferred deep link listeners decide about launching', async function() {
+    var decision = AdjustConfig.DeeplinkDecisionLaunch;
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+            return decision;
+        });
+    });
+    assert.strictEqual(mock.lastPayload('create').shouldLaunchDeeplink, false);
+
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://launched');
+    assert.deepStrictEqual(mock.lastCall('launchDeeplink').args, ['myapp://launched']);
+
+    decision = AdjustConfig.DeeplinkDecisionDefer;
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://deferred');
+    assert.strictEqual(Adjust.getPendingDeeplink(), 'myapp://deferred');
+    assert.strictEqual(mock.callsOf('launchDeeplink').length, 1);
+
+    await Adjust.launchPendingDeeplink();
+    assert.deepStrictEqual(mock.lastCall('launchDeeplink').args, ['myapp://deferred']);
+    assert.strictEqual(Adjust.getPendingDeeplink(), null);
+});
+
+test('failed launch of a deferred deep link only reaches onError', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error.action);
+    };
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+            return AdjustConfig.DeeplinkDecisionLaunch;
+        });
+    });
+    mock.fail('launchDeeplink', 'Something broke');
+
+    var unhandled = await unhandledRejectionsOf(function() {
+        mock.trigger('setDeferredDeeplinkCallback', 'myapp://launched');
+    });
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.deepStrictEqual(errors, ['launchDeeplink']);
+});
+
+test('pending deep links which can not be stored reach onError', async function() {
+    global.localStorage = {
+        getItem: function() {
+            return null;
+        },
+        setItem: function() {
+            throw new Error('quota exceeded');
+        },
+        removeItem: function() {}
+    };
+    try {
+        var sdk = mock.load();
+        Adjust = sdk.Adjust;
+        AdjustConfig = sdk.AdjustConfig;
+    } finally {
+        delete global.localStorage;
+    }
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+            return AdjustConfig.DeeplinkDecisionDefer;
+        });
+    });
+
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://deferred');
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, AdjustError.CodeStorageError);
+    assert.strictEqual(errors[0].action, 'setDeferredDeeplinkCallback');
+    assert.match(errors[0].message, /quota exceeded/);
+});
+
+test('suppressed deferred deep links go to the router', async function() {
+    var routed = null;
+    Adjust.deeplinks.otherwise(function(link) {
+        routed = link;
+    });
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+            return AdjustConfig.DeeplinkDecisionSuppress;
+        });
+    });
+
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://promo');
+
+    assert.strictEqual(mock.callsOf('launchDeeplink').length, 0);
+    assert.strictEqual(routed.source, 'deferred');
+});
+
+test('throwing deep link handlers reach onError', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error);
+    };
+    Adjust.deeplinks.otherwise(function() {
+        throw new Error('boom');
+    });
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+            return AdjustConfig.DeeplinkDecisionSuppress;
+        });
+    });
+
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://promo');
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, AdjustError.CodeListenerError);
+    assert.strictEqual(errors[0].action, 'dispatch');
+    assert.strictEqual(Adjust.getPendingDeeplink(), null);
+});
+
+test('without decision the shouldLaunchDeeplink setting applies', async function() {
+    await createSdk(function(adjustConfig) {
+        adjustConfig.setShouldLaunchDeeplink(false);
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {});
+    });
+
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://promo');
+    assert.strictEqual(mock.callsOf('launchDeeplink').length, 0);
+});
+
+test('launchPendingDeeplink does nothing without pending link', async function() {
+    await Adjust.launchPendingDeeplink();
+    assert.strictEqual(mock.callsOf('launchDeeplink').length, 0);
+});
+
+test('pause and resume document events reach the native side', function() {
+    mock.pause();
+    mock.resume();
+
+    assert.deepStrictEqual(mock.actions(), ['onPause', 'onResume']);
+});
+
+test('failed pause and resume calls only reach onError', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error.action);
+    };
+    mock.fail('onPause', 'Something broke').fail('onResume', 'Something broke');
+
+    var unhandled = await unhandledRejectionsOf(function() {
+        mock.pause();
+        mock.resume();
+    });
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.deepStrictEqual(errors, ['onPause', 'onResume']);
+});
+
+test('test-only methods need the test parameter', async function() {
+    Adjust.onPause();
+    Adjust.onResume();
+    Adjust.teardown();
+    assert.deepStrictEqual(mock.actions(), []);
+
+    await createSdk();
+    await Adjust.teardown('test');
+    assert.strictEqual(mock.callsOf('teardown').length, 1);
+
+    // Calls are queued again until the next create.
+    Adjust.setOfflineMode(true);
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 1);
+});
+
+test('teardown rejects queued calls', async function() {
+    var errors = [];
+    Adjust.onError = function(error) {
+        errors.push(error.code);
+    };
+    var queued = Adjust.setOfflineMode(true);
+
+    await Adjust.teardown('test');
+
+    await assert.rejects(queued, { code: AdjustError.CodeTeardown, action: 'setOfflineMode' });
+    assert.deepStrictEqual(errors, [AdjustError.CodeTeardown]);
+    assert.strictEqual(Adjust.getPreInitQueueSize(), 0);
+});
@@ -0,0 +1,112 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustAdRevenue = require('../../www/adjust_ad_revenue');
+var AdjustReporter = require('../../www/adjust_reporter');
+
+var reported;
+
+test.beforeEach(function() {
+    reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+});
+
+function mopubRevenue() {
+    var adRevenue = new AdjustAdRevenue(AdjustAdRevenue.SourceMopub);
+    adRevenue.setRevenue(0.000123, 'usd');
+    return adRevenue;
+}
+
+test('MoPub ad revenue is serialized in the shape of MoPub impression data', function() {
+    var adRevenue = mopubRevenue();
+    adRevenue.setAdRevenueNetwork('Facebook');
+    adRevenue.setAdRevenueUnit('b195f8dd8ded45fe847ad89ed1d016da');
+    adRevenue.setAdRevenuePlacement('placement1');
+
+    assert.deepStrictEqual(adRevenue.validate(), []);
+    assert.deepStrictEqual(JSON.parse(adRevenue.toPayload()), {
+        publisher_revenue: 0.000123,
+        currency: 'USD',
+        network_name: 'Facebook',
+        adunit_id: 'b195f8dd8ded45fe847ad89ed1d016da',
+        network_placement_id: 'placement1'
+    });
+});
+
+test('revenue is kept unrounded and invalid revenue is refused', function() {
+    var adRevenue = mopubRevenue();
+    assert.strictEqual(adRevenue.revenue, 0.000123);
+    assert.strictEqual(adRevenue.setRevenue('0.5', 'EUR'), true);
+    assert.strictEqual(adRevenue.revenue, 0.5);
+
+    [[NaN, 'EUR'], [-1, 'EUR'], ['abc', 'EUR'], [1, 'XYZ'], [1, null]].forEach(function(args) {
+        assert.strictEqual(adRevenue.setRevenue(args[0], args[1]), false, JSON.stringify(args));
+        assert.strictEqual(adRevenue.revenue, null);
+        assert.strictEqual(adRevenue.currency, null);
+    });
+    assert.strictEqual(reported.length, 5);
+    assert.strictEqual(reported[0].code, 'INVALID_ARGUMENTS');
+    assert.strictEqual(reported[0].action, 'setRevenue');
+});
+
+test('required fields and invalid fields are reported', function() {
+    var adRevenue = new AdjustAdRevenue(AdjustAdRevenue.SourceMopub);
+    assert.deepStrictEqual(adRevenue.validate().map(function(error) {
+        return error.field;
+    }), ['revenue', 'currency']);
+    assert.throws(function() {
+        adRevenue.toPayload();
+    }, /Ad revenue is invalid: Field 'revenue' is required/);
+
+    adRevenue = mopubRevenue();
+    adRevenue.setAdRevenueUnit('');
+    assert.deepStrictEqual(adRevenue.validate().map(function(error) {
+        return error.field;
+    }), ['adRevenueUnit']);
+});
+
+test('the impressions count is serialized into the MoPub payload', function() {
+    var adRevenue = mopubRevenue();
+    assert.strictEqual(adRevenue.setAdImpressionsCount(3), true);
+
+    assert.deepStrictEqual(adRevenue.validate(), []);
+    assert.strictEqual(JSON.parse(adRevenue.toPayload()).adImpressionsCount, 3);
+    assert.strictEqual(JSON.parse(AdjustAdRevenue.fromFields({
+        source: 'mopub', revenue: 1, currency: 'EUR', adImpressionsCount: 2
+    }).toPayload()).adImpressionsCount, 2);
+});
+
+test('invalid impressions counts are refused', function() {
+    var adRevenue = mopubRevenue();
+    [0, -1, 1.5, '3', null].forEach(function(count) {
+        assert.strictEqual(adRevenue.setAdImpressionsCount(count), false, String(count));
+    });
+    assert.strictEqual(adRevenue.adImpressionsCount, null);
+    assert.strictEqual(reported.length, 5);
+    assert.strictEqual(reported[0].action, 'setAdImpressionsCount');
+
+    adRevenue.adImpressionsCount = 0;
+    assert.deepStrictEqual(adRevenue.validate().map(function(error) {
+        return error.field;
+    }), ['adImpressionsCount']);
+});
+
+test('unknown sources are reported', function() {
+    var adRevenue = new AdjustAdRevenue('unknown');
+    adRevenue.setRevenue(1, 'EUR');
+
+    assert.deepStrictEqual(adRevenue.validate(), [{
+        field: 'source',
+        message: "Ad revenue source must be one of 'mopub', got: \"unknown\""
+    }]);
+});
+
+test('fromFields copies the fields of plain objects and checks them', function() {
+    var adRevenue = AdjustAdRevenue.fromFields({ source: 'mopub', revenue: Infinity, currency: 'EUR', other: 1 });
+
+    assert.ok(adRevenue instanceof AdjustAdRevenue);
+    assert.strictEqual(adRevenue.other, undefined);
+    assert.deepStrictEqual(adRevenue.validate(), [{ field: 'revenue', message: "Revenue must be a finite number, got: Infinity" }]);
+});
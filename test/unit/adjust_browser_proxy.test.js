@@ -0,0 +1,302 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var AdjustStorage = require('../../www/adjust_storage');
+var AdjustMockServer = require('../server/mock_server');
+
+var SOURCE = fs.readFileSync(path.resolve(__dirname, '../../src/browser/AdjustProxy.js'), 'utf8');
+
+// Loads the browser platform proxy like cordova-browser does, with a recording console.
+function loadProxy(storage, indexedDb) {
+    var logs = [];
+    var registered = {};
+    var module = { exports: {} };
+    var record = function(level) {
+        return function(message, data) {
+            logs.push({ level: level, message: message, data: data });
+        };
+    };
+    vm.runInNewContext(SOURCE, {
+        module: module,
+        require: function(name) {
+            if (name !== 'cordova/exec/proxy') {
+                return require(path.resolve(__dirname, '../../src/browser', name));
+            }
+            return {
+                add: function(service, proxy) {
+                    registered[service] = proxy;
+                }
+            };
+        },
+        localStorage: storage || AdjustStorage.createMemoryStorage(),
+        indexedDB: indexedDb,
+        console: { log: record('log'), warn: record('warn') },
+        setTimeout: setTimeout,
+        fetch: fetch,
+        Date: Date,
+        JSON: JSON,
+        Math: Math
+    });
+    assert.strictEqual(registered.Adjust, module.exports);
+
+    var proxy = module.exports;
+    return {
+        proxy: proxy,
+        logs: logs,
+        // Runs an action the way cordova.exec does and resolves with its result.
+        exec: function(action, args) {
+            return new Promise(function(resolve, reject) {
+                proxy[action](resolve, reject, args || []);
+            });
+        },
+        packages: function() {
+            return logs.filter(function(entry) {
+                return entry.message.indexOf('Sending') !== -1;
+            }).map(function(entry) {
+                // Copied out of the proxy's context, so that they compare equal to objects of this one.
+                return JSON.parse(JSON.stringify(entry.data));
+            });
+        }
+    };
+}
+
+function configArgs(fields) {
+    var config = { appToken: '123456789012', environment: 'sandbox' };
+    for (var key in fields) {
+        config[key] = fields[key];
+    }
+    return [JSON.stringify([config])];
+}
+
+// IndexedDB which opens, but fails every transaction like a full disk does.
+function createFullIndexedDb() {
+    return {
+        open: function() {
+            var request = {};
+            setTimeout(function() {
+                request.onupgradeneeded();
+                request.onsuccess();
+            }, 0);
+            request.result = {
+                createObjectStore: function() {},
+                transaction: function() {
+                    throw new Error('QuotaExceededError');
+                }
+            };
+            return request;
+        }
+    };
+}
+
+function nextTick() {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, 0);
+    });
+}
+
+test('every action of the native plugins is implemented', function() {
+    var androidSource = fs.readFileSync(path.resolve(__dirname, '../../src/android/AdjustCordovaUtils.java'), 'utf8');
+    var actions = [];
+    var pattern = /COMMAND_\w+ = "(\w+)"/g;
+    var found;
+    while ((found = pattern.exec(androidSource)) !== null) {
+        actions.push(found[1]);
+    }
+    var harness = loadProxy();
+
+    assert.ok(actions.length > 30);
+    actions.forEach(function(action) {
+        assert.strictEqual(typeof harness.proxy[action], 'function', action);
+    });
+});
+
+test('create logs an install session and answers the callbacks', async function() {
+    var harness = loadProxy();
+    var attributions = [];
+    var sessions = [];
+    harness.proxy.setAttributionCallback(function(attribution, options) {
+        assert.strictEqual(options.keepCallback, true);
+        attributions.push(attribution);
+    });
+    harness.proxy.setSessionTrackingSucceededCallback(function(session) {
+        sessions.push(session);
+    });
+
+    await harness.exec('addSessionPartnerParameter', ['plan', 'gold']);
+    await harness.exec('create', configArgs());
+    await nextTick();
+
+    var adid = await harness.exec('getAdid');
+    assert.match(adid, /^[0-9a-f]{32}$/);
+    assert.strictEqual(harness.packages()[0].kind, 'session');
+    assert.deepStrictEqual(harness.packages()[0].partnerParameters, { plan: 'gold' });
+    assert.strictEqual(sessions[0].adid, adid);
+    assert.strictEqual(attributions[0].trackerName, 'Organic');
+    assert.strictEqual(await harness.exec('getAttribution'), attributions[0]);
+    assert.strictEqual(await harness.exec('isEnabled'), true);
+    assert.strictEqual(await harness.exec('getSdkVersion'), 'browser4.18.0');
+    assert.strictEqual(await harness.exec('getIdfa'), '');
+});
+
+test('state survives a restart of the app', async function() {
+    var storage = AdjustStorage.createMemoryStorage();
+    var first = loadProxy(storage);
+    await first.exec('create', configArgs());
+    await first.exec('setEnabled', [false]);
+    var adid = await first.exec('getAdid');
+
+    var second = loadProxy(storage);
+    await second.exec('create', configArgs());
+
+    assert.strictEqual(await second.exec('getAdid'), adid);
+    assert.strictEqual(await second.exec('isEnabled'), false);
+    assert.strictEqual(second.packages().length, 0);
+});
+
+test('events are logged with the session parameters', async function() {
+    var harness = loadProxy();
+    var successes = [];
+    harness.proxy.setEventTrackingSucceededCallback(function(eventSuccess) {
+        successes.push(eventSuccess);
+    });
+    await harness.exec('create', configArgs());
+    await harness.exec('addSessionCallbackParameter', ['user', 'u1']);
+    await harness.exec('trackEvent', [JSON.stringify([{
+        eventToken: 'abc123',
+        revenue: 0.99,
+        currency: 'EUR',
+        callbackParameters: ['key', 'value'],
+        partnerParameters: []
+    }])]);
+    await nextTick();
+
+    var eventPackage = harness.packages()[1];
+    assert.strictEqual(eventPackage.kind, 'event');
+    assert.strictEqual(eventPackage.revenue, 0.99);
+    assert.deepStrictEqual(eventPackage.callbackParameters, { user: 'u1', key: 'value' });
+    assert.strictEqual(successes[0].eventToken, 'abc123');
+    await assert.rejects(harness.exec('trackEvent', ['not json']), /Invalid Adjust event/);
+});
+
+test('packages are held in offline mode and while the start is delayed', async function() {
+    var harness = loadProxy();
+    await harness.exec('create', configArgs({ delayStart: 0.05 }));
+    await harness.exec('setOfflineMode', [true]);
+    await harness.exec('sendFirstPackages');
+    await harness.exec('appWillOpenUrl', ['myapp://promo?adjust_tracker=abc123']);
+    assert.strictEqual(harness.packages().length, 0);
+
+    await harness.exec('setOfflineMode', [false]);
+
+    assert.deepStrictEqual(harness.packages().map(function(adjustPackage) {
+        return adjustPackage.kind;
+    }), ['session', 'sdk_click']);
+});
+
+test('forgotten devices are no longer tracked', async function() {
+    var harness = loadProxy();
+    await harness.exec('create', configArgs());
+    await harness.exec('gdprForgetMe');
+    await harness.exec('trackAdRevenue', ['mopub', '{"revenue":1}']);
+
+    assert.deepStrictEqual(harness.packages().map(function(adjustPackage) {
+        return adjustPackage.kind;
+    }), ['session', 'gdpr_forget_device']);
+    assert.strictEqual(await harness.exec('isEnabled'), false);
+    await assert.rejects(harness.exec('trackAdRevenue', ['mopub', '{']), /not a valid JSON/);
+});
+
+test('suppressed log level silences the logs', async function() {
+    var harness = loadProxy();
+    await harness.exec('create', configArgs({ logLevel: 'SUPPRESS' }));
+
+    assert.strictEqual(harness.logs.length, 0);
+});
+
+test('web tracking sends the packages to the configured endpoint', async function() {
+    var server = new AdjustMockServer({ host: '127.0.0.1', port: 0, controlPort: 0 });
+    var ports = await server.start();
+    var harness = loadProxy();
+    try {
+        var sessions = [];
+        var failedEvents = [];
+        harness.proxy.setSessionTrackingSucceededCallback(function(session) {
+            sessions.push(session);
+        });
+        harness.proxy.setEventTrackingFailedCallback(function(eventFailure) {
+            failedEvents.push(eventFailure);
+        });
+        await harness.exec('addSessionCallbackParameter', ['user', 'u1']);
+        await harness.exec('create', configArgs({ webTracking: { endpoint: 'http://127.0.0.1:' + ports.port + '/' } }));
+
+        var session = await server.waitForPackage('session', 2000, 0);
+        assert.strictEqual(session.method, 'POST');
+        assert.strictEqual(session.params.app_token, '123456789012');
+        assert.strictEqual(session.params.session_count, '1');
+        assert.strictEqual(session.params.callback_params, '{"user":"u1"}');
+        assert.match(session.params.web_uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        assert.strictEqual(harness.packages().length, 0);
+
+        await harness.exec('setOfflineMode', [true]);
+        server.respondTo('event', { status: 400, body: { message: 'Event failed' } });
+        await harness.exec('trackEvent', [JSON.stringify([{ eventToken: 'abc123', callbackId: 'cb1' }])]);
+        await new Promise(function(resolve) {
+            setTimeout(resolve, 50);
+        });
+        assert.strictEqual(server.packagesFor('event').length, 0);
+
+        await harness.exec('setOfflineMode', [false]);
+        var eventPackage = await server.waitForPackage('event', 2000, 0);
+        assert.strictEqual(eventPackage.params.event_token, 'abc123');
+        assert.strictEqual(eventPackage.params.web_uuid, session.params.web_uuid);
+        await new Promise(function(resolve) {
+            setTimeout(resolve, 50);
+        });
+
+        assert.strictEqual(sessions[0].adid, 'mock-adid');
+        assert.strictEqual(await harness.exec('getAdid'), 'mock-adid');
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(failedEvents)), [{
+            message: 'Event failed',
+            timestamp: '',
+            adid: 'mock-adid',
+            jsonResponse: '{"message":"Event failed"}',
+            willRetry: false,
+            eventToken: 'abc123',
+            callbackId: 'cb1'
+        }]);
+    } finally {
+        await harness.exec('teardown');
+        await server.stop();
+    }
+});
+
+test('packages web tracking cannot queue fail through the failure callbacks', async function() {
+    var harness = loadProxy(null, createFullIndexedDb());
+    var failedSessions = [];
+    var failedEvents = [];
+    harness.proxy.setSessionTrackingFailedCallback(function(sessionFailure) {
+        failedSessions.push(sessionFailure);
+    });
+    harness.proxy.setEventTrackingFailedCallback(function(eventFailure) {
+        failedEvents.push(eventFailure);
+    });
+
+    await harness.exec('create', configArgs({ webTracking: { endpoint: 'http://127.0.0.1:9/' } }));
+    await harness.exec('trackEvent', [JSON.stringify([{ eventToken: 'abc123', callbackId: 'cb1' }])]);
+    await nextTick();
+    await nextTick();
+
+    assert.strictEqual(failedSessions.length, 1);
+    assert.strictEqual(failedSessions[0].message, 'Could not queue session package: QuotaExceededError');
+    assert.strictEqual(failedSessions[0].willRetry, false);
+    assert.strictEqual(failedEvents.length, 1);
+    assert.strictEqual(failedEvents[0].eventToken, 'abc123');
+    assert.strictEqual(failedEvents[0].callbackId, 'cb1');
+    assert.strictEqual(harness.logs.filter(function(entry) {
+        return entry.level === 'warn';
+    }).length, 2);
+    await harness.exec('teardown');
+});
@@ -0,0 +1,56 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustCommandQueue = require('../../www/adjust_command_queue');
+
+test('drop newest keeps the queue and returns the new command', function() {
+    var queue = new AdjustCommandQueue(2, AdjustCommandQueue.DropNewest);
+
+    assert.strictEqual(queue.push('a'), null);
+    assert.strictEqual(queue.push('b'), null);
+    assert.strictEqual(queue.push('c'), 'c');
+    assert.deepStrictEqual(queue.drain(), ['a', 'b']);
+});
+
+test('drop oldest makes room for the new command', function() {
+    var queue = new AdjustCommandQueue(2, AdjustCommandQueue.DropOldest);
+    queue.push('a');
+    queue.push('b');
+
+    assert.strictEqual(queue.push('c'), 'a');
+    assert.deepStrictEqual(queue.drain(), ['b', 'c']);
+});
+
+test('drain with filter keeps the other commands in order', function() {
+    var queue = new AdjustCommandQueue(10, AdjustCommandQueue.DropNewest);
+    [1, 2, 3, 4].forEach(function(command) {
+        queue.push(command);
+    });
+
+    assert.deepStrictEqual(queue.drain(function(command) {
+        return command % 2 === 0;
+    }), [2, 4]);
+    assert.strictEqual(queue.size(), 2);
+    assert.deepStrictEqual(queue.drain(), [1, 3]);
+});
+
+test('shrinking returns the commands which no longer fit', function() {
+    var newest = new AdjustCommandQueue(4, AdjustCommandQueue.DropNewest);
+    var oldest = new AdjustCommandQueue(4, AdjustCommandQueue.DropNewest);
+    ['a', 'b', 'c'].forEach(function(command) {
+        newest.push(command);
+        oldest.push(command);
+    });
+    oldest.setDropPolicy(AdjustCommandQueue.DropOldest);
+
+    assert.deepStrictEqual(newest.setMaxSize(1), ['b', 'c']);
+    assert.deepStrictEqual(oldest.setMaxSize(1), ['a', 'b']);
+    assert.deepStrictEqual(oldest.setMaxSize(5), []);
+});
+
+test('zero sized queue drops everything', function() {
+    var queue = new AdjustCommandQueue(0, AdjustCommandQueue.DropOldest);
+
+    assert.strictEqual(queue.push('a'), 'a');
+    assert.strictEqual(queue.size(), 0);
+});
@@ -0,0 +1,107 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustConfig = require('../../www/adjust_config');
+
+function validConfig() {
+    return new AdjustConfig('123456789012', AdjustConfig.EnvironmentProduction);
+}
+
+function fieldsOf(issues) {
+    return issues.map(function(issue) {
+        return issue.severity + ':' + issue.field;
+    });
+}
+
+test('valid config has no issues', function() {
+    var adjustConfig = validConfig();
+    adjustConfig.setLogLevel(AdjustConfig.LogLevelDebug);
+    adjustConfig.setDelayStart(5.5);
+    adjustConfig.setAppSecret(1, 2, 3, 4, 5);
+
+    assert.deepStrictEqual(adjustConfig.validate(), []);
+});
+
+test('app token and environment are required', function() {
+    assert.deepStrictEqual(fieldsOf(new AdjustConfig('abc', 'staging').validate()), ['error:appToken', 'error:environment']);
+    assert.deepStrictEqual(fieldsOf(new AdjustConfig().validate()), ['error:appToken', 'error:environment']);
+});
+
+test('unknown log level is a warning', function() {
+    var adjustConfig = validConfig();
+    adjustConfig.setLogLevel('LOUD');
+    assert.deepStrictEqual(fieldsOf(adjustConfig.validate()), ['warning:logLevel']);
+
+    adjustConfig.setLogLevel('verbose');
+    assert.deepStrictEqual(adjustConfig.validate(), []);
+});
+
+test('delay start must be a number within range', function() {
+    var adjustConfig = validConfig();
+    adjustConfig.setDelayStart(NaN);
+    assert.deepStrictEqual(fieldsOf(adjustConfig.validate()), ['error:delayStart']);
+
+    adjustConfig.setDelayStart(-1);
+    assert.deepStrictEqual(fieldsOf(adjustConfig.validate()), ['warning:delayStart']);
+
+    adjustConfig.setDelayStart(11);
+    assert.deepStrictEqual(fieldsOf(adjustConfig.validate()), ['warning:delayStart']);
+});
+
+test('app secret parts must be complete integers', function() {
+    var adjustConfig = validConfig();
+    adjustConfig.setAppSecret(1, 2, 'x', 4, 5);
+    assert.deepStrictEqual(fieldsOf(adjustConfig.validate()), ['error:info2']);
+
+    var incompleteConfig = validConfig();
+    incompleteConfig.setAppSecret(1, 2, 3, null, null);
+    assert.deepStrictEqual(fieldsOf(incompleteConfig.validate()), ['error:secretId']);
+});
+
+test('web tracking endpoint must be an http URL', function() {
+    var adjustConfig = validConfig();
+    adjustConfig.setWebTracking();
+    assert.deepStrictEqual(adjustConfig.validate(), []);
+
+    adjustConfig.setWebTracking({ endpoint: 'http://localhost:9000' });
+    assert.deepStrictEqual(adjustConfig.validate(), []);
+
+    adjustConfig.setWebTracking({ endpoint: 'localhost:9000' });
+    assert.deepStrictEqual(fieldsOf(adjustConfig.validate()), ['error:webTracking']);
+});
+
+test('setter listeners replace each other, added listeners stay', function() {
+    var adjustConfig = validConfig();
+    var calls = [];
+    adjustConfig.setAttributionCallbackListener(function() {
+        calls.push('first');
+    });
+    adjustConfig.setAttributionCallbackListener(function() {
+        calls.push('second');
+    });
+    adjustConfig.addListener('attribution', function() {
+        calls.push('added');
+    });
+
+    adjustConfig.listeners.emit('attribution', {});
+
+    assert.deepStrictEqual(calls, ['second', 'added']);
+    assert.strictEqual(adjustConfig.hasAttributionListener(), true);
+});
+
+test('removed listeners are no longer called', function() {
+    var adjustConfig = validConfig();
+    var listener = function() {};
+    adjustConfig.addListener('sessionFailure', listener);
+    assert.strictEqual(adjustConfig.hasSessionTrackingFailedListener(), true);
+
+    adjustConfig.removeListener('sessionFailure', listener);
+    assert.strictEqual(adjustConfig.hasSessionTrackingFailedListener(), false);
+});
+
+test('listeners are not serialized', function() {
+    var adjustConfig = validConfig();
+    adjustConfig.addListener('attribution', function() {});
+
+    assert.strictEqual(JSON.parse(JSON.stringify(adjustConfig)).listeners, undefined);
+});
@@ -0,0 +1,289 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustConsent = require('../../www/adjust_consent');
+var AdjustReporter = require('../../www/adjust_reporter');
+var AdjustStorage = require('../../www/adjust_storage');
+var MockCordova = require('./mock_cordova');
+
+var APP_TOKEN = '123456789012';
+
+function createConsent() {
+    var changes = [];
+    var dropped = [];
+    var consent = new AdjustConsent(function(state, previousState) {
+        changes.push([previousState, state]);
+    }, function(command) {
+        dropped.push(command);
+    });
+    return { consent: consent, changes: changes, dropped: dropped };
+}
+
+test('consent is granted while consent management is off', function() {
+    var consent = createConsent().consent;
+
+    assert.strictEqual(consent.isEnabled(), false);
+    assert.strictEqual(consent.isGranted(), true);
+    assert.throws(function() {
+        consent.grant();
+    }, /isn't enabled/);
+});
+
+test('state changes are persisted and restored', function() {
+    var storage = AdjustStorage.createMemoryStorage();
+    var first = createConsent();
+    first.consent.enable({ storage: storage });
+    assert.strictEqual(first.consent.getState(), AdjustConsent.StateUnknown);
+    assert.strictEqual(first.consent.isGranted(), false);
+
+    first.consent.grant();
+    assert.deepStrictEqual(first.changes, [['unknown', 'granted']]);
+
+    var second = createConsent();
+    second.consent.enable({ storage: storage });
+    assert.strictEqual(second.consent.getState(), AdjustConsent.StateGranted);
+    assert.strictEqual(second.consent.isGranted(), true);
+});
+
+test('revoking granted consent forgets the device for good', function() {
+    var reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error.code);
+    });
+    var harness = createConsent();
+    harness.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+    harness.consent.deny();
+    harness.consent.grant();
+
+    assert.strictEqual(harness.consent.deny(), AdjustConsent.StateForgotten);
+    assert.strictEqual(harness.consent.grant(), AdjustConsent.StateForgotten);
+    AdjustReporter.setListener(null);
+    assert.deepStrictEqual(harness.changes, [['unknown', 'denied'], ['denied', 'granted'], ['granted', 'forgotten']]);
+    assert.deepStrictEqual(reported, ['CONSENT_MISSING']);
+});
+
+test('failing storage is reported but does not throw', function() {
+    var reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+    var consent = createConsent().consent;
+    consent.enable({
+        storage: {
+            getItem: function() {
+                return null;
+            },
+            setItem: function() {
+                throw new Error('quota exceeded');
+            },
+            removeItem: function() {}
+        }
+    });
+
+    assert.strictEqual(consent.grant(), AdjustConsent.StateGranted);
+    AdjustReporter.setListener(null);
+    assert.strictEqual(reported[0].code, 'STORAGE_ERROR');
+    assert.match(reported[0].message, /quota exceeded/);
+});
+
+test('only calls made while consent is unknown are held under the queue policy', function() {
+    var consent = createConsent().consent;
+    consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+    assert.strictEqual(consent.holdsCalls(), true);
+
+    consent.enable({ storage: AdjustStorage.createMemoryStorage(), policy: AdjustConsent.PolicyDrop });
+    assert.strictEqual(consent.holdsCalls(), false);
+
+    assert.throws(function() {
+        consent.enable({ policy: 'sometimes' });
+    }, /Unknown consent policy/);
+    assert.throws(function() {
+        consent.setState('maybe');
+    }, /Unknown consent state/);
+});
+
+test('held calls beyond the size limit are dropped', function() {
+    var harness = createConsent();
+    harness.consent.enable({ storage: AdjustStorage.createMemoryStorage(), maxQueueSize: 2 });
+    harness.consent.hold('a');
+    harness.consent.hold('b');
+    harness.consent.hold('c');
+    harness.consent.enable({ storage: AdjustStorage.createMemoryStorage(), maxQueueSize: 1 });
+
+    assert.deepStrictEqual(harness.dropped, ['c', 'b']);
+    assert.deepStrictEqual(harness.consent.release(), ['a']);
+});
+
+var mock;
+var Adjust;
+var AdjustConfig;
+var AdjustEvent;
+var AdjustError;
+
+function loadSdk() {
+    mock = new MockCordova().install();
+    var sdk = mock.load();
+    Adjust = sdk.Adjust;
+    AdjustConfig = sdk.AdjustConfig;
+    AdjustEvent = sdk.AdjustEvent;
+    AdjustError = sdk.AdjustError;
+}
+
+function nativeActions() {
+    return mock.calls.filter(function(call) {
+        return !/^set.*Callback$/.test(call.action);
+    }).map(function(call) {
+        return call.action;
+    });
+}
+
+test('tracking calls are held until consent is granted', async function() {
+    loadSdk();
+    try {
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        var created = Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+        var tracked = Adjust.trackEvent(new AdjustEvent('abc123'));
+        var added = Adjust.addSessionCallbackParameter('user', 'u1');
+        Adjust.setOfflineMode(true);
+        assert.deepStrictEqual(nativeActions(), []);
+        assert.strictEqual(Adjust.consent.getQueueSize(), 3);
+
+        Adjust.consent.grant();
+        await Promise.all([created, tracked, added]);
+
+        assert.deepStrictEqual(nativeActions(),
+            ['addSessionCallbackParameter', 'create', 'setOfflineMode', 'setEnabled', 'trackEvent']);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('held calls are rejected when consent is denied', async function() {
+    loadSdk();
+    try {
+        var errors = [];
+        Adjust.onError = function(error) {
+            errors.push(error);
+        };
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        var tracked = Adjust.trackEvent(new AdjustEvent('abc123'));
+        Adjust.consent.deny();
+
+        await assert.rejects(tracked, function(error) {
+            return error.code === AdjustError.CodeConsentMissing && error.action === 'trackEvent';
+        });
+        await assert.rejects(Adjust.resetSessionPartnerParameters(), /Consent is denied/);
+        assert.strictEqual(errors.length, 2);
+        assert.deepStrictEqual(nativeActions(), []);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('teardown rejects held calls', async function() {
+    loadSdk();
+    try {
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        var tracked = Adjust.trackEvent(new AdjustEvent('abc123'));
+
+        await Adjust.teardown('test');
+
+        await assert.rejects(tracked, { code: AdjustError.CodeTeardown, action: 'trackEvent' });
+        assert.strictEqual(Adjust.consent.getQueueSize(), 0);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('calls are rejected right away under the drop policy', async function() {
+    loadSdk();
+    try {
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage(), policy: Adjust.ConsentPolicyDrop });
+
+        await assert.rejects(Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox)),
+            /Consent is unknown, call 'create' was dropped/);
+        assert.strictEqual(Adjust.consent.getQueueSize(), 0);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('revoking consent forgets the device', async function() {
+    loadSdk();
+    try {
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        Adjust.consent.grant();
+        await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+
+        assert.strictEqual(Adjust.consent.deny(), Adjust.ConsentForgotten);
+        await assert.rejects(Adjust.trackEvent(new AdjustEvent('abc123')), /Consent is forgotten/);
+        assert.deepStrictEqual(nativeActions(), ['create', 'setEnabled', 'gdprForgetMe', 'setEnabled']);
+        assert.deepStrictEqual(mock.lastCall('setEnabled').args, [false]);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('denied consent disables the SDK and granted consent enables it again', async function() {
+    loadSdk();
+    try {
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        Adjust.consent.deny();
+        await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox)).catch(function() {});
+        assert.deepStrictEqual(mock.callsOf('setEnabled').map(function(call) {
+            return call.args;
+        }), []);
+
+        Adjust.consent.grant();
+        await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+
+        assert.deepStrictEqual(nativeActions(), ['create', 'setEnabled', 'setEnabled']);
+        assert.deepStrictEqual(mock.callsOf('setEnabled').map(function(call) {
+            return call.args;
+        }), [[false], [true]]);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('failures of calls made on consent changes only reach onError', async function() {
+    loadSdk();
+    var unhandled = [];
+    var onUnhandled = function(reason) {
+        unhandled.push(reason);
+    };
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        var errors = [];
+        Adjust.onError = function(error) {
+            errors.push(error.action);
+        };
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        Adjust.consent.grant();
+        await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+        mock.fail('gdprForgetMe', 'Something broke').fail('setEnabled', 'Something broke');
+
+        Adjust.consent.forget();
+        await mock.settle();
+
+        assert.deepStrictEqual(unhandled, []);
+        assert.deepStrictEqual(errors, ['gdprForgetMe', 'setEnabled']);
+    } finally {
+        process.removeListener('unhandledRejection', onUnhandled);
+        mock.uninstall();
+    }
+});
+
+test('disabling consent management releases held calls', async function() {
+    loadSdk();
+    try {
+        Adjust.consent.enable({ storage: AdjustStorage.createMemoryStorage() });
+        var created = Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+        Adjust.consent.disable();
+        await created;
+
+        assert.deepStrictEqual(nativeActions(), ['create']);
+    } finally {
+        mock.uninstall();
+    }
+});
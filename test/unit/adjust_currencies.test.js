@@ -0,0 +1,32 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustCurrencies = require('../../www/adjust_currencies');
+
+test('ISO 4217 codes with their minor units', function() {
+    assert.strictEqual(AdjustCurrencies.getMinorUnits('EUR'), 2);
+    assert.strictEqual(AdjustCurrencies.getMinorUnits('JPY'), 0);
+    assert.strictEqual(AdjustCurrencies.getMinorUnits('BHD'), 3);
+    assert.strictEqual(AdjustCurrencies.getMinorUnits('CLF'), 4);
+});
+
+test('recently introduced codes are supported', function() {
+    ['SLE', 'VED', 'ZWG', 'XCG'].forEach(function(currency) {
+        assert.strictEqual(AdjustCurrencies.getMinorUnits(currency), 2, currency);
+    });
+});
+
+test('unknown codes are not supported', function() {
+    ['XYZ', 'eur', '', null, undefined, 'toString', '__proto__'].forEach(function(currency) {
+        assert.strictEqual(AdjustCurrencies.isSupported(currency), false, String(currency));
+        assert.strictEqual(AdjustCurrencies.getMinorUnits(currency), null);
+    });
+});
+
+test('rounding to the minor unit', function() {
+    assert.strictEqual(AdjustCurrencies.round(1.005, 'USD'), 1.01);
+    assert.strictEqual(AdjustCurrencies.round(0.1 + 0.2, 'EUR'), 0.3);
+    assert.strictEqual(AdjustCurrencies.round(99.5, 'KRW'), 100);
+    assert.strictEqual(AdjustCurrencies.round(1.23456, 'TND'), 1.235);
+    assert.strictEqual(AdjustCurrencies.round(0.0000001, 'USD'), 0);
+});
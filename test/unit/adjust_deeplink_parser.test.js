@@ -0,0 +1,180 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustDeeplinkParser = require('../../www/adjust_deeplink_parser');
+var parse = AdjustDeeplinkParser.parse;
+
+test('custom scheme link', function() {
+    var link = parse('myapp://products/42?color=red&size=M#reviews');
+
+    assert.strictEqual(link.scheme, 'myapp');
+    assert.strictEqual(link.host, 'products');
+    assert.strictEqual(link.port, null);
+    assert.strictEqual(link.path, '/42');
+    assert.strictEqual(link.fragment, 'reviews');
+    assert.deepStrictEqual(link.appParameters, { color: 'red', size: 'M' });
+    assert.deepStrictEqual(link.adjustParameters, {});
+    assert.strictEqual(link.isTrackerLink, false);
+    assert.strictEqual(link.deeplink, null);
+});
+
+test('custom scheme link keeps host case', function() {
+    assert.strictEqual(parse('MyApp://Products').scheme, 'myapp');
+    assert.strictEqual(parse('MyApp://Products').host, 'Products');
+});
+
+test('custom scheme link without authority', function() {
+    var link = parse('myapp:home?tab=1');
+
+    assert.strictEqual(link.host, '');
+    assert.strictEqual(link.path, 'home');
+    assert.deepStrictEqual(link.appParameters, { tab: '1' });
+});
+
+test('custom scheme link with empty host', function() {
+    var link = parse('myapp:///products/42');
+
+    assert.strictEqual(link.host, '');
+    assert.strictEqual(link.path, '/products/42');
+});
+
+test('universal link', function() {
+    var link = parse('https://User@Example.COM:8443/shop/item?x=1&adjust_reftag=abc');
+
+    assert.strictEqual(link.scheme, 'https');
+    assert.strictEqual(link.host, 'example.com');
+    assert.strictEqual(link.port, '8443');
+    assert.strictEqual(link.path, '/shop/item');
+    assert.deepStrictEqual(link.appParameters, { x: '1' });
+    assert.deepStrictEqual(link.adjustParameters, { reftag: 'abc' });
+    assert.strictEqual(link.isTrackerLink, false);
+});
+
+test('IPv6 host', function() {
+    var link = parse('http://[::1]:8080/path');
+
+    assert.strictEqual(link.host, '[::1]');
+    assert.strictEqual(link.port, '8080');
+});
+
+test('adjust_ parameters are separated from app parameters', function() {
+    var link = parse('myapp://home?adjust_tracker=abc123&adjust_campaign=Summer+Sale&adjust_adgroup=ag'
+        + '&adjust_creative=cr&adjust_label=lb&adjust_foo_bar=baz&ref=mail');
+
+    assert.deepStrictEqual(link.appParameters, { ref: 'mail' });
+    assert.deepStrictEqual(link.adjustParameters, {
+        tracker: 'abc123',
+        campaign: 'Summer Sale',
+        adgroup: 'ag',
+        creative: 'cr',
+        label: 'lb',
+        foo_bar: 'baz'
+    });
+});
+
+test('clean URL drops Adjust parameters and keeps the rest untouched', function() {
+    var link = parse('myapp://home?a=1%202&adjust_tracker=abc&b=x#frag');
+
+    assert.strictEqual(link.url, 'myapp://home?a=1%202&adjust_tracker=abc&b=x#frag');
+    assert.strictEqual(link.cleanUrl, 'myapp://home?a=1%202&b=x#frag');
+    assert.strictEqual(parse('myapp://home?adjust_tracker=abc').cleanUrl, 'myapp://home');
+});
+
+test('adj_t short link', function() {
+    var link = parse('https://example.go.link/products/42?adj_t=xyz789&adj_campaign=promo&coupon=10');
+
+    assert.strictEqual(link.isTrackerLink, true);
+    assert.deepStrictEqual(link.adjustParameters, { tracker: 'xyz789', campaign: 'promo' });
+    assert.deepStrictEqual(link.appParameters, { coupon: '10' });
+});
+
+test('adj_t on any host makes a short link', function() {
+    assert.strictEqual(parse('https://example.com/?adj_t=abc').isTrackerLink, true);
+});
+
+test('tracker URL treats unprefixed tracker parameters as Adjust parameters', function() {
+    var link = parse('https://app.adjust.com/abc123?campaign=c1&adgroup=a1&creative=cr1&label=l1&redirect=https%3A%2F%2Fexample.com&other=1');
+
+    assert.strictEqual(link.isTrackerLink, true);
+    assert.deepStrictEqual(link.adjustParameters, {
+        campaign: 'c1',
+        adgroup: 'a1',
+        creative: 'cr1',
+        label: 'l1',
+        redirect: 'https://example.com'
+    });
+    assert.deepStrictEqual(link.appParameters, { other: '1' });
+});
+
+test('unprefixed tracker parameters of other hosts belong to the app', function() {
+    var link = parse('https://example.com/?campaign=c1');
+
+    assert.deepStrictEqual(link.appParameters, { campaign: 'c1' });
+    assert.deepStrictEqual(link.adjustParameters, {});
+});
+
+test('encoded nested deep link', function() {
+    var link = parse('https://app.adjust.com/abc123?deep_link=myapp%3A%2F%2Fproducts%2F42%3Fcolor%3Dred');
+
+    assert.strictEqual(link.adjustParameters.deeplink, 'myapp://products/42?color=red');
+    assert.strictEqual(link.deeplink.scheme, 'myapp');
+    assert.strictEqual(link.deeplink.host, 'products');
+    assert.strictEqual(link.deeplink.path, '/42');
+    assert.deepStrictEqual(link.deeplink.appParameters, { color: 'red' });
+});
+
+test('doubly encoded nested deep link', function() {
+    var link = parse('https://app.adjust.com/abc123?deep_link=myapp%253A%252F%252Fproducts%252F42%253Fcolor%253Dred');
+
+    assert.strictEqual(link.adjustParameters.deeplink, 'myapp://products/42?color=red');
+    assert.deepStrictEqual(link.deeplink.appParameters, { color: 'red' });
+});
+
+test('nested deep link in adj_deep_link of a short link', function() {
+    var link = parse('https://example.go.link/?adj_t=abc&adj_deep_link=myapp%3A%2F%2Fhome%3Fadjust_reftag%3Dr1');
+
+    assert.strictEqual(link.deeplink.host, 'home');
+    assert.deepStrictEqual(link.deeplink.adjustParameters, { reftag: 'r1' });
+});
+
+test('nested deep link which is no link stays as it is', function() {
+    var link = parse('myapp://home?adjust_deeplink=nothing');
+
+    assert.strictEqual(link.adjustParameters.deeplink, 'nothing');
+    assert.strictEqual(link.deeplink, null);
+});
+
+test('link encoded as a whole', function() {
+    var link = parse('myapp%3A%2F%2Fhome%3Fa%3Db');
+
+    assert.strictEqual(link.url, 'myapp://home?a=b');
+    assert.strictEqual(link.host, 'home');
+    assert.deepStrictEqual(link.appParameters, { a: 'b' });
+});
+
+test('query grammar edge cases', function() {
+    var link = parse('myapp://home?flag&empty=&a=1&a=2&&eq=x=y&bad=%E0%A4%A');
+
+    assert.deepStrictEqual(link.appParameters, { flag: '', empty: '', a: '2', eq: 'x=y', bad: '%E0%A4%A' });
+});
+
+test('encoded keys', function() {
+    var link = parse('myapp://home?adjust%5Ftracker=abc&my%20key=v');
+
+    assert.deepStrictEqual(link.adjustParameters, { tracker: 'abc' });
+    assert.deepStrictEqual(link.appParameters, { 'my key': 'v' });
+});
+
+test('whitespace around the link is ignored', function() {
+    assert.strictEqual(parse('  myapp://home \n').host, 'home');
+});
+
+test('anything but an absolute link gives null', function() {
+    assert.strictEqual(parse(null), null);
+    assert.strictEqual(parse(undefined), null);
+    assert.strictEqual(parse(42), null);
+    assert.strictEqual(parse(''), null);
+    assert.strictEqual(parse('/products/42'), null);
+    assert.strictEqual(parse('not a link'), null);
+    assert.strictEqual(parse('1app://home'), null);
+});
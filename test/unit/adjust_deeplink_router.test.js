@@ -0,0 +1,156 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustDeeplinkRouter = require('../../www/adjust_deeplink_router');
+var AdjustError = require('../../www/adjust_error');
+var AdjustReporter = require('../../www/adjust_reporter');
+
+function createRouter(opened) {
+    return new AdjustDeeplinkRouter(function(url) {
+        if (opened) {
+            opened.push(url);
+        }
+    });
+}
+
+test('custom scheme and web links match the same route', function() {
+    var router = createRouter();
+    var routed = [];
+    router.route('/products/:id', function(link) {
+        routed.push(link.params.id);
+    });
+
+    assert.strictEqual(router.dispatch('myapp://products/1'), true);
+    assert.strictEqual(router.dispatch('https://example.com/products/2'), true);
+    assert.strictEqual(router.dispatch('myapp:///products/3'), true);
+    assert.deepStrictEqual(routed, ['1', '2', '3']);
+});
+
+test('first matching route wins', function() {
+    var router = createRouter();
+    var routed = [];
+    router.route('/products/new', function() {
+        routed.push('new');
+    });
+    router.route('/products/:id', function() {
+        routed.push('id');
+    });
+
+    router.dispatch('myapp://products/new');
+
+    assert.deepStrictEqual(routed, ['new']);
+});
+
+test('path parameters are decoded, wildcard takes the rest', function() {
+    var router = createRouter();
+    var link = null;
+    router.route('/help/:section/*', function(routedLink) {
+        link = routedLink;
+    });
+
+    router.dispatch('myapp://help/getting%20started/a/b');
+
+    assert.deepStrictEqual(link.params, { section: 'getting started', '*': 'a/b' });
+    assert.strictEqual(link.pattern, '/help/:section/*');
+});
+
+test('links without matching route go to the fallback handler', function() {
+    var router = createRouter();
+    router.route('/products/:id', function() {});
+
+    assert.strictEqual(router.dispatch('myapp://products'), false);
+    assert.strictEqual(router.dispatch('myapp://products/1/reviews'), false);
+
+    var fallback = null;
+    router.otherwise(function(link) {
+        fallback = link;
+    });
+    assert.strictEqual(router.dispatch('myapp://products'), true);
+    assert.strictEqual(fallback.path, '/products');
+});
+
+test('throwing handlers are reported', function() {
+    var reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+    var router = createRouter();
+    var thrown = new Error('boom');
+    router.route('/products/:id', function() {
+        throw thrown;
+    });
+    router.otherwise(function() {
+        throw 'fallback';
+    });
+
+    assert.strictEqual(router.dispatch('myapp://products/1'), true);
+    assert.strictEqual(router.dispatch('myapp://cart'), true);
+    AdjustReporter.setListener(null);
+    assert.strictEqual(reported.length, 2);
+    assert.strictEqual(reported[0].code, AdjustError.CodeListenerError);
+    assert.strictEqual(reported[0].action, 'dispatch');
+    assert.strictEqual(reported[0].cause, thrown);
+    assert.match(reported[0].message, /products\/1.*boom/);
+    assert.strictEqual(reported[1].cause, 'fallback');
+});
+
+test('handlers get the link without Adjust parameters', function() {
+    var router = createRouter();
+    var link = null;
+    router.otherwise(function(routedLink) {
+        link = routedLink;
+    });
+
+    router.dispatch('myapp://home?adjust_tracker=abc&adj_campaign=c&tab=2', AdjustDeeplinkRouter.SourceDeferred);
+
+    assert.strictEqual(link.url, 'myapp://home?tab=2');
+    assert.strictEqual(link.originalUrl, 'myapp://home?adjust_tracker=abc&adj_campaign=c&tab=2');
+    assert.strictEqual(link.source, 'deferred');
+    assert.deepStrictEqual(link.query, { tab: '2' });
+    assert.deepStrictEqual(link.adjustParameters, { tracker: 'abc', campaign: 'c' });
+});
+
+test('open forwards the original link before dispatching it', function() {
+    var opened = [];
+    var router = createRouter(opened);
+    var link = null;
+    router.otherwise(function(routedLink) {
+        link = routedLink;
+    });
+
+    router.open('myapp://home?adjust_tracker=abc');
+
+    assert.deepStrictEqual(opened, ['myapp://home?adjust_tracker=abc']);
+    assert.strictEqual(link.source, 'direct');
+});
+
+test('removed routes and cleared routers no longer dispatch', function() {
+    var router = createRouter();
+    var remove = router.route('/a', function() {});
+    router.route('/b', function() {});
+
+    remove();
+    assert.strictEqual(router.dispatch('myapp://a'), false);
+    router.clear();
+    assert.strictEqual(router.dispatch('myapp://b'), false);
+});
+
+test('invalid links and routes', function() {
+    var reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+    var router = createRouter();
+    router.otherwise(function() {});
+
+    assert.strictEqual(router.dispatch('not a link'), false);
+    AdjustReporter.setListener(null);
+    assert.strictEqual(reported[0].code, AdjustError.CodeInvalidArguments);
+    assert.match(reported[0].message, /not a link/);
+    assert.throws(function() {
+        router.route(42, function() {});
+    }, TypeError);
+    assert.throws(function() {
+        router.route('/a');
+    }, TypeError);
+});
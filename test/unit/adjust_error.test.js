@@ -0,0 +1,39 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustError = require('../../www/adjust_error');
+
+test('AdjustError is an Error', function() {
+    var error = new AdjustError(AdjustError.CodeInvalidArguments, 'trackEvent', 'Bad event.');
+
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, 'AdjustError');
+    assert.strictEqual(error.code, 'INVALID_ARGUMENTS');
+    assert.strictEqual(error.action, 'trackEvent');
+    assert.strictEqual(error.message, 'Bad event.');
+    assert.strictEqual(error.nativeMessage, null);
+    assert.ok(typeof error.stack === 'string');
+});
+
+test('native messages are mapped to codes', function() {
+    var cases = [
+        ['Invalid call (foo).', AdjustError.CodeInvalidCall],
+        ['Invalid action', AdjustError.CodeInvalidCall],
+        ['JSON error', AdjustError.CodeInvalidArguments],
+        ['Class not found', AdjustError.CodeBridgeUnavailable],
+        ['Missing Command Error', AdjustError.CodeBridgeUnavailable],
+        ['Invalid Adjust event.', AdjustError.CodeNativeError]
+    ];
+    cases.forEach(function(testCase) {
+        var error = AdjustError.fromNative('trackEvent', testCase[0]);
+        assert.strictEqual(error.code, testCase[1], testCase[0]);
+        assert.strictEqual(error.nativeMessage, testCase[0]);
+    });
+});
+
+test('non-string native errors', function() {
+    assert.strictEqual(AdjustError.fromNative('create', { message: 'Boom' }).nativeMessage, 'Boom');
+    assert.strictEqual(AdjustError.fromNative('create', { status: 9 }).nativeMessage, '{"status":9}');
+    assert.strictEqual(AdjustError.fromNative('create', null).nativeMessage, '');
+    assert.strictEqual(AdjustError.fromNative('create', 42).nativeMessage, '42');
+});
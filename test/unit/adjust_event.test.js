@@ -0,0 +1,117 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustEvent = require('../../www/adjust_event');
+var AdjustEventSchemas = require('../../www/adjust_event_schemas');
+var AdjustParameters = require('../../www/adjust_parameters');
+var AdjustReporter = require('../../www/adjust_reporter');
+
+var reported;
+
+test.beforeEach(function() {
+    reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+    AdjustEventSchemas.clear();
+    AdjustParameters.setOptions({
+        valuePolicy: AdjustParameters.ValuePolicyCoerce,
+        maxKeyLength: null,
+        maxValueLength: null,
+        maxCount: null
+    });
+});
+
+test('revenue is rounded to the minor unit of its currency', function() {
+    var adjustEvent = new AdjustEvent('abc123');
+
+    assert.strictEqual(adjustEvent.setRevenue(1.005, 'usd'), true);
+    assert.strictEqual(adjustEvent.revenue, 1.01);
+    assert.strictEqual(adjustEvent.currency, 'USD');
+
+    adjustEvent.setRevenue(12.5, 'JPY');
+    assert.strictEqual(adjustEvent.revenue, 13);
+
+    adjustEvent.setRevenue('1.2345', 'KWD');
+    assert.strictEqual(adjustEvent.revenue, 1.235);
+});
+
+test('invalid revenue is refused and clears the previous one', function() {
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.setRevenue(1, 'EUR');
+
+    [[NaN, 'EUR'], [Infinity, 'EUR'], [-1, 'EUR'], ['abc', 'EUR'], [null, 'EUR'], [1, 'XYZ'], [1, null]].forEach(function(args) {
+        assert.strictEqual(adjustEvent.setRevenue(args[0], args[1]), false, JSON.stringify(args));
+        assert.strictEqual(adjustEvent.revenue, null);
+        assert.strictEqual(adjustEvent.currency, null);
+    });
+    assert.strictEqual(reported.length, 7);
+    assert.strictEqual(reported[0].code, 'INVALID_ARGUMENTS');
+    assert.strictEqual(reported[0].action, 'setRevenue');
+});
+
+test('zero revenue is allowed', function() {
+    var adjustEvent = new AdjustEvent('abc123');
+
+    assert.strictEqual(adjustEvent.setRevenue(0, 'EUR'), true);
+    assert.strictEqual(adjustEvent.revenue, 0);
+});
+
+test('parameters keep their order and are serialized as flat lists', function() {
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.addCallbackParameter('a', '1');
+    adjustEvent.addCallbackParameter('b', 2);
+    adjustEvent.addCallbackParameter('a', '3');
+    adjustEvent.addPartnerParameter('c', { d: true });
+
+    var serialized = JSON.parse(JSON.stringify(adjustEvent));
+    assert.deepStrictEqual(serialized.callbackParameters, ['a', '3', 'b', '2']);
+    assert.deepStrictEqual(serialized.partnerParameters, ['c', '{"d":true}']);
+});
+
+test('refused parameters are reported', function() {
+    var adjustEvent = new AdjustEvent('abc123');
+
+    assert.strictEqual(adjustEvent.addCallbackParameter('', 'value'), false);
+    assert.strictEqual(adjustEvent.addPartnerParameter('key', null), false);
+    assert.strictEqual(adjustEvent.callbackParameters.size(), 0);
+    assert.strictEqual(adjustEvent.partnerParameters.size(), 0);
+    assert.deepStrictEqual(reported.map(function(error) {
+        return error.code + ' ' + error.action;
+    }), ['INVALID_ARGUMENTS addCallbackParameter', 'INVALID_ARGUMENTS addPartnerParameter']);
+});
+
+test('parameters can be removed', function() {
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.addCallbackParameter('a', '1');
+    adjustEvent.addPartnerParameter('b', '2');
+
+    assert.strictEqual(adjustEvent.removeCallbackParameter('a'), true);
+    assert.strictEqual(adjustEvent.removePartnerParameter('b'), true);
+    assert.strictEqual(adjustEvent.removePartnerParameter('b'), false);
+});
+
+test('fromSchema routes parameters by where the schema declares them', function() {
+    AdjustEventSchemas.register('purchase', {
+        token: 'abc123',
+        callbackParameters: { required: ['order_id'], optional: ['coupon'] },
+        partnerParameters: { optional: ['order_id', 'channel'] }
+    });
+
+    var adjustEvent = AdjustEvent.fromSchema('purchase', { order_id: '1', coupon: 'X', channel: 'web' });
+
+    assert.strictEqual(adjustEvent.eventToken, 'abc123');
+    assert.deepStrictEqual(adjustEvent.callbackParameters.toJSON(), ['order_id', '1', 'coupon', 'X']);
+    assert.deepStrictEqual(adjustEvent.partnerParameters.toJSON(), ['order_id', '1', 'channel', 'web']);
+});
+
+test('fromSchema throws for unknown names and keys', function() {
+    AdjustEventSchemas.register('purchase', { token: 'abc123' });
+
+    assert.throws(function() {
+        AdjustEvent.fromSchema('purchse', {});
+    }, /No event schema/);
+    assert.throws(function() {
+        AdjustEvent.fromSchema('purchase', { cupon: 'X' });
+    }, /doesn't declare parameter 'cupon'/);
+});
@@ -0,0 +1,94 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustEventSchemas = require('../../www/adjust_event_schemas');
+var AdjustEvent = require('../../www/adjust_event');
+
+test.beforeEach(function() {
+    AdjustEventSchemas.clear();
+});
+
+function purchaseSchema() {
+    return {
+        token: 'abc123',
+        callbackParameters: { required: ['order_id'], optional: ['coupon'] },
+        partnerParameters: { optional: ['channel'] },
+        revenue: true
+    };
+}
+
+test('nothing is checked without schemas', function() {
+    assert.deepStrictEqual(AdjustEventSchemas.validate(new AdjustEvent('anything')), []);
+});
+
+test('matching event has no issues', function() {
+    AdjustEventSchemas.register('purchase', purchaseSchema());
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.addCallbackParameter('order_id', '1');
+    adjustEvent.addPartnerParameter('channel', 'web');
+    adjustEvent.setRevenue(1, 'EUR');
+
+    assert.deepStrictEqual(AdjustEventSchemas.validate(adjustEvent), []);
+});
+
+test('missing, undeclared and revenue issues are reported', function() {
+    AdjustEventSchemas.register('purchase', purchaseSchema());
+    AdjustEventSchemas.register('login', { token: 'def456' });
+    var purchase = new AdjustEvent('abc123');
+    purchase.addCallbackParameter('cupon', 'X');
+    var login = new AdjustEvent('def456');
+    login.setRevenue(1, 'EUR');
+
+    assert.deepStrictEqual(AdjustEventSchemas.validate(purchase), [
+        "Event 'purchase' is missing required callbackParameters key 'order_id'.",
+        "Event 'purchase' doesn't declare callbackParameters key 'cupon'.",
+        "Event 'purchase' requires revenue."
+    ]);
+    assert.deepStrictEqual(AdjustEventSchemas.validate(login), ["Event 'login' doesn't expect revenue."]);
+});
+
+test('unregistered tokens are reported', function() {
+    AdjustEventSchemas.register('purchase', purchaseSchema());
+
+    assert.deepStrictEqual(AdjustEventSchemas.validate(new AdjustEvent('abc124')),
+        ["Event token 'abc124' doesn't belong to any event schema."]);
+});
+
+test('flat parameter lists are understood', function() {
+    AdjustEventSchemas.register('login', { token: 'def456', callbackParameters: { required: ['user'] } });
+
+    assert.deepStrictEqual(AdjustEventSchemas.validate({
+        eventToken: 'def456',
+        callbackParameters: ['user', 'u1'],
+        partnerParameters: [],
+        revenue: null
+    }), []);
+});
+
+test('registering again replaces the schema', function() {
+    AdjustEventSchemas.register('purchase', purchaseSchema());
+    AdjustEventSchemas.register('purchase', { token: 'xyz789' });
+
+    assert.strictEqual(AdjustEventSchemas.getByToken('abc123'), null);
+    assert.strictEqual(AdjustEventSchemas.get('purchase').token, 'xyz789');
+
+    AdjustEventSchemas.unregister('purchase');
+    assert.strictEqual(AdjustEventSchemas.isEmpty(), true);
+});
+
+test('invalid schemas are refused', function() {
+    AdjustEventSchemas.register('purchase', purchaseSchema());
+
+    assert.throws(function() {
+        AdjustEventSchemas.register('', { token: 'x' });
+    }, TypeError);
+    assert.throws(function() {
+        AdjustEventSchemas.register('refund', {});
+    }, TypeError);
+    assert.throws(function() {
+        AdjustEventSchemas.register('refund', { token: 'abc123' });
+    }, /already used/);
+    assert.throws(function() {
+        AdjustEventSchemas.register('refund', { token: 'r', callbackParameters: { required: 'id' } });
+    }, TypeError);
+});
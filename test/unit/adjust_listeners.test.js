@@ -0,0 +1,109 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustListeners = require('../../www/adjust_listeners');
+var AdjustReporter = require('../../www/adjust_reporter');
+
+test('listeners are called in the order in which they were added', function() {
+    var listeners = new AdjustListeners();
+    var calls = [];
+    listeners.add('attribution', function(payload) {
+        calls.push('first ' + payload);
+    });
+    listeners.add('attribution', function(payload) {
+        calls.push('second ' + payload);
+    });
+
+    listeners.emit('attribution', 'x');
+
+    assert.deepStrictEqual(calls, ['first x', 'second x']);
+});
+
+test('emit returns what the listeners returned', function() {
+    var listeners = new AdjustListeners();
+    listeners.add('deferredDeeplink', function() {
+        return 'defer';
+    });
+    listeners.add('deferredDeeplink', function() {});
+
+    assert.deepStrictEqual(listeners.emit('deferredDeeplink', 'myapp://'), ['defer', undefined]);
+    assert.deepStrictEqual(listeners.emit('attribution', {}), []);
+});
+
+test('a throwing listener does not keep the others from being called', function() {
+    var reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+    var listeners = new AdjustListeners();
+    var thrown = new Error('Listener bug');
+    listeners.add('deferredDeeplink', function() {
+        throw thrown;
+    });
+    listeners.add('deferredDeeplink', function() {
+        return 'launch';
+    });
+
+    var results = listeners.emit('deferredDeeplink', 'myapp://');
+    AdjustReporter.setListener(null);
+
+    assert.deepStrictEqual(results, [undefined, 'launch']);
+    assert.strictEqual(reported.length, 1);
+    assert.strictEqual(reported[0].code, 'LISTENER_ERROR');
+    assert.strictEqual(reported[0].action, 'deferredDeeplink');
+    assert.strictEqual(reported[0].cause, thrown);
+});
+
+test('add returns an unsubscribe function', function() {
+    var listeners = new AdjustListeners();
+    var unsubscribe = listeners.add('eventSuccess', function() {});
+
+    assert.strictEqual(listeners.has('eventSuccess'), true);
+    unsubscribe();
+    assert.strictEqual(listeners.has('eventSuccess'), false);
+});
+
+test('once listeners are called a single time and can be removed by the original function', function() {
+    var listeners = new AdjustListeners();
+    var calls = 0;
+    var listener = function() {
+        calls++;
+        return 'result';
+    };
+    listeners.once('sessionSuccess', listener);
+
+    assert.deepStrictEqual(listeners.emit('sessionSuccess', {}), ['result']);
+    listeners.emit('sessionSuccess', {});
+    assert.strictEqual(calls, 1);
+
+    listeners.once('sessionSuccess', listener);
+    listeners.remove('sessionSuccess', listener);
+    assert.strictEqual(listeners.has('sessionSuccess'), false);
+});
+
+test('listeners may unsubscribe themselves while being called', function() {
+    var listeners = new AdjustListeners();
+    var calls = [];
+    var unsubscribe = listeners.add('eventFailure', function() {
+        calls.push('first');
+        unsubscribe();
+    });
+    listeners.add('eventFailure', function() {
+        calls.push('second');
+    });
+
+    listeners.emit('eventFailure', {});
+
+    assert.deepStrictEqual(calls, ['first', 'second']);
+});
+
+test('unknown types and non-functions are refused', function() {
+    var listeners = new AdjustListeners();
+
+    assert.throws(function() {
+        listeners.add('attributionChanged', function() {});
+    }, TypeError);
+    assert.throws(function() {
+        listeners.add('attribution', 'not a function');
+    }, TypeError);
+});
@@ -0,0 +1,43 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustPackageQueue = require('../../src/browser/adjust_package_queue');
+
+test('packages come out oldest first and carry their id', async function() {
+    var queue = await AdjustPackageQueue.open(null);
+    var first = await queue.add({ kind: 'session', params: { session_count: '1' } });
+    await queue.add({ kind: 'event', params: {} });
+
+    assert.deepStrictEqual(await queue.first(), { kind: 'session', params: { session_count: '1' }, id: first });
+    await queue.remove(first);
+    assert.strictEqual((await queue.first()).kind, 'event');
+    assert.strictEqual(await queue.count(), 1);
+});
+
+test('stored packages are copies', async function() {
+    var queue = await AdjustPackageQueue.open(null);
+    var adjustPackage = { kind: 'session', params: { session_count: '1' } };
+    await queue.add(adjustPackage);
+    adjustPackage.params.session_count = '2';
+
+    var stored = await queue.first();
+    stored.kind = 'event';
+    assert.deepStrictEqual(await queue.first(), { kind: 'session', params: { session_count: '1' }, id: 1 });
+});
+
+test('packages are kept in memory if IndexedDB can not be opened', async function() {
+    var unavailable = {
+        open: function() {
+            var request = {};
+            setTimeout(function() {
+                request.error = new Error('Denied');
+                request.onerror();
+            }, 0);
+            return request;
+        }
+    };
+    var queue = await AdjustPackageQueue.open(unavailable);
+
+    await queue.add({ kind: 'session', params: {} });
+    assert.strictEqual(await queue.count(), 1);
+});
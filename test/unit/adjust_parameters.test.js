@@ -0,0 +1,71 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustParameters = require('../../www/adjust_parameters');
+
+test.beforeEach(function() {
+    AdjustParameters.setOptions({
+        valuePolicy: AdjustParameters.ValuePolicyCoerce,
+        maxKeyLength: null,
+        maxValueLength: null,
+        maxCount: null
+    });
+});
+
+test('values are coerced to strings by default', function() {
+    assert.deepStrictEqual(AdjustParameters.normalize('a', 1), { key: 'a', value: '1' });
+    assert.deepStrictEqual(AdjustParameters.normalize('a', false), { key: 'a', value: 'false' });
+    assert.deepStrictEqual(AdjustParameters.normalize('a', [1, 'b']), { key: 'a', value: '[1,"b"]' });
+});
+
+test('values which can not be coerced are refused', function() {
+    [null, undefined, NaN, Infinity, function() {}].forEach(function(value) {
+        assert.ok(AdjustParameters.normalize('a', value).error, String(value));
+    });
+});
+
+test('keys must be non-empty strings', function() {
+    assert.ok(AdjustParameters.normalize('', 'v').error);
+    assert.ok(AdjustParameters.normalize(1, 'v').error);
+});
+
+test('reject policy refuses non-string values', function() {
+    AdjustParameters.setOptions({ valuePolicy: AdjustParameters.ValuePolicyReject });
+
+    assert.match(AdjustParameters.normalize('a', 1).error, /must be a string/);
+    assert.deepStrictEqual(AdjustParameters.normalize('a', '1'), { key: 'a', value: '1' });
+});
+
+test('length and count limits', function() {
+    AdjustParameters.setOptions({ maxKeyLength: 3, maxValueLength: 3, maxCount: 1 });
+    var parameters = new AdjustParameters();
+
+    assert.match(parameters.set('abcd', 'v'), /longer than 3/);
+    assert.match(parameters.set('a', 'abcd'), /longer than 3/);
+    assert.strictEqual(parameters.set('a', 'v'), null);
+    assert.match(parameters.set('b', 'v'), /limit of 1/);
+    // Replacing an existing key doesn't count against the limit.
+    assert.strictEqual(parameters.set('a', 'w'), null);
+});
+
+test('getOptions returns a copy', function() {
+    AdjustParameters.getOptions().maxCount = 1;
+
+    assert.strictEqual(AdjustParameters.getOptions().maxCount, null);
+});
+
+test('ordered map operations', function() {
+    var parameters = new AdjustParameters();
+    parameters.set('a', '1');
+    parameters.set('b', '2');
+    parameters.set('a', '3');
+
+    assert.deepStrictEqual(parameters.toJSON(), ['a', '3', 'b', '2']);
+    assert.strictEqual(parameters.get('a'), '3');
+    assert.strictEqual(parameters.get('c'), null);
+    assert.strictEqual(parameters.has('toString'), false);
+    assert.strictEqual(parameters.remove('a'), true);
+    assert.deepStrictEqual(parameters.toJSON(), ['b', '2']);
+    parameters.clear();
+    assert.strictEqual(parameters.size(), 0);
+});
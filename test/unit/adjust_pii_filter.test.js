@@ -0,0 +1,184 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var crypto = require('crypto');
+
+var AdjustPiiFilter = require('../../www/adjust_pii_filter');
+var MockCordova = require('./mock_cordova');
+
+var ALL_TYPES = [
+    AdjustPiiFilter.TypeEmail,
+    AdjustPiiFilter.TypePhone,
+    AdjustPiiFilter.TypeCardNumber,
+    AdjustPiiFilter.TypeIpAddress
+];
+
+test.beforeEach(function() {
+    AdjustPiiFilter.setOptions({
+        enabled: true,
+        action: AdjustPiiFilter.ActionRedact,
+        rules: {},
+        types: ALL_TYPES,
+        onViolation: null
+    });
+});
+
+function detectedTypes(value) {
+    return AdjustPiiFilter.detect(value).map(function(match) {
+        return match.type;
+    });
+}
+
+test('common kinds of personal data are detected', function() {
+    assert.deepStrictEqual(detectedTypes('mail John.Doe@example.co.uk'), ['email']);
+    assert.deepStrictEqual(detectedTypes('call +49 30 1234567 or (030) 123-4567'), ['phone', 'phone']);
+    assert.deepStrictEqual(detectedTypes('paid with 4111 1111 1111 1111'), ['cardNumber']);
+    assert.deepStrictEqual(detectedTypes('from 192.168.0.1 and 2001:db8:85a3::8a2e:370:7334'), ['ipAddress', 'ipAddress']);
+});
+
+test('order IDs, dates, times and prices are no personal data', function() {
+    ['order 1234567890123', '2023-10-01', '12:30:45', '19.99', 'level_12', 'v1.2.3'].forEach(function(value) {
+        assert.deepStrictEqual(detectedTypes(value), [], value);
+    });
+});
+
+test('order IDs, versions and digit runs are no card or phone numbers', function() {
+    [
+        '4111111111111112',
+        'ORD-4111111111111111',
+        'order 4111111111111111-2',
+        '12345678901234567890',
+        '4242-4242 4242-4242',
+        '2023-1001-1234-5678',
+        'build 10.1234.5678.9',
+        'version 1.2.3.4.5.6.7.8',
+        '+1.2.3.4.5.6.7',
+        'ticket 12 3456 78901',
+        '10.000.000',
+        'price 12.500.000',
+        '999.999.999 EUR'
+    ].forEach(function(value) {
+        assert.deepStrictEqual(detectedTypes(value), [], value);
+    });
+});
+
+test('card numbers of other networks and sentence punctuation are detected', function() {
+    assert.deepStrictEqual(detectedTypes('amex 3782 822463 10005'), ['cardNumber']);
+    assert.deepStrictEqual(detectedTypes('card 5555555555554444, thanks'), ['cardNumber']);
+    assert.deepStrictEqual(detectedTypes('call 555.123.4567.'), ['phone']);
+});
+
+test('only the configured types are looked for', function() {
+    AdjustPiiFilter.setOptions({ types: [AdjustPiiFilter.TypeEmail] });
+
+    assert.deepStrictEqual(detectedTypes('a@b.com from 10.0.0.1'), ['email']);
+});
+
+test('matches are redacted by default', function() {
+    var result = AdjustPiiFilter.filter('contact', 'mail a@b.com or call +1 555 123 4567');
+
+    assert.strictEqual(result.value, 'mail [REDACTED] or call [REDACTED]');
+    assert.strictEqual(result.rejected, false);
+    assert.deepStrictEqual(result.violations, [
+        { key: 'contact', type: 'email', action: 'redact' },
+        { key: 'contact', type: 'phone', action: 'redact' }
+    ]);
+});
+
+test('per-key rules hash, reject or allow', function() {
+    AdjustPiiFilter.setOptions({
+        rules: {
+            email: AdjustPiiFilter.ActionHash,
+            card: AdjustPiiFilter.ActionReject,
+            server: AdjustPiiFilter.ActionAllow
+        }
+    });
+
+    var expectedHash = crypto.createHash('sha256').update('john.doe@example.com').digest('hex');
+    assert.strictEqual(AdjustPiiFilter.filter('email', ' John.Doe@Example.com').value, ' ' + expectedHash);
+    assert.deepStrictEqual(AdjustPiiFilter.filter('card', '4111111111111111'), {
+        value: null,
+        rejected: true,
+        violations: [{ key: 'card', type: 'cardNumber', action: 'reject' }]
+    });
+    assert.strictEqual(AdjustPiiFilter.filter('server', '10.0.0.1').value, '10.0.0.1');
+    assert.throws(function() {
+        AdjustPiiFilter.setOptions({ rules: { email: 'encrypt' } });
+    }, /Unknown PII filter action for key 'email'/);
+});
+
+test('values pass untouched while the filter is disabled', function() {
+    AdjustPiiFilter.setOptions({ enabled: false });
+
+    assert.deepStrictEqual(AdjustPiiFilter.filter('email', 'a@b.com'), { value: 'a@b.com', violations: [], rejected: false });
+});
+
+test('sha256 matches the reference implementation', function() {
+    ['', 'abc', 'ümlaut €', new Array(100).join('long text ')].forEach(function(text) {
+        assert.strictEqual(AdjustPiiFilter.sha256(text), crypto.createHash('sha256').update(text).digest('hex'));
+    });
+});
+
+test('events and session parameters are filtered before they are sent', async function() {
+    var mock = new MockCordova().install();
+    try {
+        var sdk = mock.load();
+        var violations = [];
+        sdk.Adjust.setPiiFilterOptions({
+            enabled: true,
+            rules: { card: sdk.Adjust.PiiActionReject },
+            onViolation: function(violation) {
+                violations.push(violation);
+            }
+        });
+        await sdk.Adjust.create(new sdk.AdjustConfig('123456789012', sdk.AdjustConfig.EnvironmentSandbox));
+
+        var adjustEvent = new sdk.AdjustEvent('abc123');
+        adjustEvent.addCallbackParameter('user', 'a@b.com');
+        adjustEvent.addPartnerParameter('plan', 'gold');
+        await sdk.Adjust.trackEvent(adjustEvent);
+        await sdk.Adjust.addSessionPartnerParameter('ip', '10.0.0.1');
+
+        assert.deepStrictEqual(mock.lastPayload('trackEvent').callbackParameters, ['user', '[REDACTED]']);
+        assert.deepStrictEqual(mock.lastPayload('trackEvent').partnerParameters, ['plan', 'gold']);
+        assert.deepStrictEqual(adjustEvent.callbackParameters.toJSON(), ['user', 'a@b.com']);
+        assert.deepStrictEqual(mock.lastCall('addSessionPartnerParameter').args, ['ip', '[REDACTED]']);
+        assert.deepStrictEqual(violations, [
+            { call: 'trackEvent', parameterType: 'callback', key: 'user', type: 'email', action: 'redact' },
+            { call: 'addSessionPartnerParameter', parameterType: 'sessionPartner', key: 'ip', type: 'ipAddress', action: 'redact' }
+        ]);
+
+        var cardEvent = new sdk.AdjustEvent('abc123');
+        cardEvent.addPartnerParameter('card', '4111 1111 1111 1111');
+        await assert.rejects(sdk.Adjust.trackEvent(cardEvent), function(error) {
+            return error.code === sdk.AdjustError.CodePiiDetected && /parameters: card/.test(error.message);
+        });
+        await assert.rejects(sdk.Adjust.addSessionCallbackParameter('card', '4111111111111111'), /personal data/);
+        assert.strictEqual(mock.callsOf('trackEvent').length, 1);
+    } finally {
+        mock.uninstall();
+    }
+});
+
+test('violations go to onError without onViolation', async function() {
+    var mock = new MockCordova().install();
+    try {
+        var sdk = mock.load();
+        var errors = [];
+        sdk.Adjust.onError = function(error) {
+            errors.push(error);
+        };
+        sdk.Adjust.setPiiFilterOptions({ enabled: true, rules: { card: sdk.Adjust.PiiActionReject } });
+        await sdk.Adjust.create(new sdk.AdjustConfig('123456789012', sdk.AdjustConfig.EnvironmentSandbox));
+
+        await sdk.Adjust.addSessionPartnerParameter('user', 'a@b.com');
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].code, sdk.AdjustError.CodePiiDetected);
+        assert.strictEqual(errors[0].action, 'addSessionPartnerParameter');
+        assert.doesNotMatch(errors[0].message, /a@b\.com/);
+
+        await assert.rejects(sdk.Adjust.addSessionCallbackParameter('card', '4111111111111111'));
+        assert.strictEqual(errors.length, 2);
+    } finally {
+        mock.uninstall();
+    }
+});
@@ -0,0 +1,139 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var MockCordova = require('./mock_cordova');
+
+var APP_TOKEN = '123456789012';
+
+var mock;
+var Adjust;
+var AdjustConfig;
+var AdjustEvent;
+
+test.beforeEach(function() {
+    mock = new MockCordova().install();
+    var sdk = mock.load();
+    Adjust = sdk.Adjust;
+    AdjustConfig = sdk.AdjustConfig;
+    AdjustEvent = sdk.AdjustEvent;
+});
+
+test.afterEach(function() {
+    mock.uninstall();
+});
+
+function entriesOf(trace, type) {
+    return trace.entries.filter(function(entry) {
+        return entry.type === type;
+    });
+}
+
+test('nothing is recorded unless recording', function() {
+    assert.strictEqual(Adjust.isRecording(), false);
+    assert.strictEqual(Adjust.stopRecording(), null);
+});
+
+test('calls are recorded with their arguments', async function() {
+    Adjust.startRecording();
+    var adjustConfig = new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox);
+    adjustConfig.setAttributionCallbackListener(function() {});
+    await Adjust.create(adjustConfig);
+    var adjustEvent = new AdjustEvent('abc123');
+    adjustEvent.setRevenue(0.99, 'EUR');
+    adjustEvent.addCallbackParameter('key', 'value');
+    await Adjust.trackEvent(adjustEvent);
+    Adjust.setEnabled(false);
+    var trace = Adjust.stopRecording();
+
+    assert.strictEqual(trace.format, 'adjust-trace');
+    assert.strictEqual(trace.version, 1);
+    assert.strictEqual(trace.sdkPrefix, 'cordova4.18.0');
+    assert.strictEqual(trace.truncated, false);
+
+    var calls = entriesOf(trace, 'call');
+    assert.deepStrictEqual(calls.map(function(entry) {
+        return entry.method;
+    }), ['create', 'trackEvent', 'setEnabled']);
+    assert.strictEqual(calls[0].args[0].type, 'AdjustConfig');
+    assert.strictEqual(calls[0].args[0].value.appToken, APP_TOKEN);
+    assert.deepStrictEqual(calls[0].args[0].listeners, ['attribution']);
+    assert.strictEqual(calls[1].args[0].type, 'AdjustEvent');
+    assert.strictEqual(calls[1].args[0].value.revenue, 0.99);
+    assert.deepStrictEqual(calls[1].args[0].value.callbackParameters, ['key', 'value']);
+    assert.deepStrictEqual(calls[2].args, [{ type: 'value', value: false }]);
+    assert.ok(calls.every(function(entry) {
+        return typeof entry.time === 'number';
+    }));
+});
+
+test('native responses and callbacks are recorded', async function() {
+    await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+    Adjust.startRecording();
+    mock.respond('getAdid', 'adid-1').fail('isEnabled', 'Boom');
+    await Adjust.getAdid();
+    await Adjust.isEnabled().catch(function() {});
+    mock.trigger('setAttributionCallback', { trackerName: 'Organic' });
+    var trace = Adjust.stopRecording();
+
+    assert.deepStrictEqual(entriesOf(trace, 'native').map(function(entry) {
+        return [entry.action, entry.outcome, entry.value];
+    }), [['getAdid', 'success', 'adid-1'], ['isEnabled', 'error', 'Boom']]);
+    var callback = entriesOf(trace, 'callback')[0];
+    assert.strictEqual(callback.action, 'setAttributionCallback');
+    assert.strictEqual(callback.callbackType, 'attribution');
+    assert.deepStrictEqual(callback.payload, { trackerName: 'Organic' });
+});
+
+test('callback arguments are recorded as stand-ins', async function() {
+    await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+    Adjust.startRecording();
+    await new Promise(function(resolve) {
+        Adjust.getAdid(resolve);
+    });
+    var trace = Adjust.stopRecording();
+
+    assert.deepStrictEqual(entriesOf(trace, 'call')[0].args, [{ type: 'function' }]);
+});
+
+test('deferred deep link decisions are recorded', async function() {
+    var adjustConfig = new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox);
+    adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+        return AdjustConfig.DeeplinkDecisionDefer;
+    });
+    await Adjust.create(adjustConfig);
+    Adjust.startRecording();
+    mock.trigger('setDeferredDeeplinkCallback', 'myapp://promo');
+    var trace = Adjust.stopRecording();
+
+    assert.strictEqual(entriesOf(trace, 'callback')[0].decision, 'defer');
+});
+
+test('calls made by other methods are not recorded on their own', async function() {
+    Adjust.startRecording();
+    Adjust.deeplinks.open('myapp://home');
+    await Adjust.create(new AdjustConfig(APP_TOKEN, AdjustConfig.EnvironmentSandbox));
+    var trace = Adjust.stopRecording();
+
+    assert.deepStrictEqual(entriesOf(trace, 'call').map(function(entry) {
+        return entry.method;
+    }), ['appWillOpenUrl', 'create']);
+});
+
+test('methods are restored when recording stops', function() {
+    var trackEvent = Adjust.trackEvent;
+    Adjust.startRecording();
+    assert.notStrictEqual(Adjust.trackEvent, trackEvent);
+    Adjust.stopRecording();
+    assert.strictEqual(Adjust.trackEvent, trackEvent);
+});
+
+test('traces are truncated at maxEntries', function() {
+    Adjust.startRecording({ maxEntries: 2 });
+    Adjust.setEnabled(true);
+    Adjust.setEnabled(false);
+    Adjust.setEnabled(true);
+    var trace = Adjust.stopRecording();
+
+    assert.strictEqual(trace.entries.length, 2);
+    assert.strictEqual(trace.truncated, true);
+});
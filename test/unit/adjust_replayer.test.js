@@ -0,0 +1,145 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var MockCordova = require('./mock_cordova');
+var AdjustReplayer = require('../../www/adjust_replayer');
+
+var APP_TOKEN = '123456789012';
+
+var mock;
+
+test.beforeEach(function() {
+    mock = new MockCordova().install();
+});
+
+test.afterEach(function() {
+    mock.uninstall();
+});
+
+// Records a session of the app against a fresh SDK and returns the trace and the native calls made.
+async function recordSession(session) {
+    var sdk = mock.load();
+    mock.reset();
+    sdk.Adjust.startRecording();
+    await session(sdk);
+    var trace = sdk.Adjust.stopRecording();
+    return { trace: JSON.parse(JSON.stringify(trace)), calls: mock.calls };
+}
+
+test('replaying a trace makes the same native calls', async function() {
+    var recorded = await recordSession(async function(sdk) {
+        var adjustConfig = new sdk.AdjustConfig(APP_TOKEN, sdk.AdjustConfig.EnvironmentSandbox);
+        adjustConfig.setLogLevel(sdk.AdjustConfig.LogLevelVerbose);
+        await sdk.Adjust.create(adjustConfig);
+        var adjustEvent = new sdk.AdjustEvent('abc123');
+        adjustEvent.setRevenue(0.99, 'EUR');
+        adjustEvent.setTransactionId('tx-1');
+        adjustEvent.addCallbackParameter('key', 'value');
+        adjustEvent.addPartnerParameter('partner', 'value');
+        await sdk.Adjust.trackEvent(adjustEvent);
+        sdk.Adjust.addSessionCallbackParameter('user', 'u1');
+        sdk.Adjust.setOfflineMode(true);
+    });
+
+    var sdk = mock.load();
+    mock.reset();
+    var result = await new AdjustReplayer(recorded.trace, { sdk: sdk, bridge: mock, speed: 0 }).replay();
+
+    assert.deepStrictEqual(result, { calls: 4, callbacks: 0, errors: [] });
+    assert.deepStrictEqual(mock.calls, recorded.calls);
+});
+
+test('recorded native responses and callbacks are fed to the bridge', async function() {
+    var recorded = await recordSession(async function(sdk) {
+        var adjustConfig = new sdk.AdjustConfig(APP_TOKEN, sdk.AdjustConfig.EnvironmentSandbox);
+        adjustConfig.setDeferredDeeplinkCallbackListener(function() {
+            return sdk.AdjustConfig.DeeplinkDecisionDefer;
+        });
+        await sdk.Adjust.create(adjustConfig);
+        mock.respond('getAdid', 'adid-1');
+        await sdk.Adjust.getAdid();
+        mock.trigger('setDeferredDeeplinkCallback', 'myapp://promo');
+    });
+
+    var sdk = mock.load();
+    mock.reset();
+    var adids = [];
+    var originalGetAdid = sdk.Adjust.getAdid;
+    sdk.Adjust.getAdid = function() {
+        var promise = originalGetAdid.apply(this, arguments);
+        promise.then(function(adid) {
+            adids.push(adid);
+        });
+        return promise;
+    };
+    var result = await new AdjustReplayer(recorded.trace, { sdk: sdk, bridge: mock, speed: 0 }).replay();
+
+    assert.deepStrictEqual(result, { calls: 2, callbacks: 1, errors: [] });
+    assert.deepStrictEqual(adids, ['adid-1']);
+    // The stand-in listener made the same decision as the recorded app.
+    assert.strictEqual(sdk.Adjust.getPendingDeeplink(), 'myapp://promo');
+});
+
+test('recorded failures fail again and are reported', async function() {
+    var recorded = await recordSession(async function(sdk) {
+        await sdk.Adjust.create(new sdk.AdjustConfig(APP_TOKEN, sdk.AdjustConfig.EnvironmentSandbox));
+        mock.fail('setEnabled', 'Boom');
+        await sdk.Adjust.setEnabled(false).catch(function() {});
+    });
+
+    var sdk = mock.load();
+    mock.reset();
+    var result = await new AdjustReplayer(recorded.trace, { sdk: sdk, bridge: mock, speed: 0 }).replay();
+
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].method, 'setEnabled');
+    assert.strictEqual(result.errors[0].error.nativeMessage, 'Boom');
+});
+
+test('without a bridge only the calls are replayed', async function() {
+    var recorded = await recordSession(async function(sdk) {
+        await sdk.Adjust.create(new sdk.AdjustConfig(APP_TOKEN, sdk.AdjustConfig.EnvironmentSandbox));
+        mock.trigger('setAttributionCallback', { trackerName: 'Organic' });
+    });
+
+    var sdk = mock.load();
+    var result = await new AdjustReplayer(recorded.trace, { sdk: sdk, speed: 0 }).replay();
+
+    assert.deepStrictEqual(result, { calls: 1, callbacks: 0, errors: [] });
+});
+
+test('recorded timing is kept', async function() {
+    var trace = {
+        format: 'adjust-trace',
+        version: 1,
+        entries: [
+            { type: 'call', method: 'create', args: [{ type: 'AdjustConfig', value: { appToken: APP_TOKEN, environment: 'sandbox' } }], time: 0 },
+            { type: 'call', method: 'setEnabled', args: [{ type: 'value', value: false }], time: 60 }
+        ]
+    };
+    var sdk = mock.load();
+    var startedAt = Date.now();
+
+    await new AdjustReplayer(trace, { sdk: sdk, bridge: mock }).replay();
+
+    assert.ok(Date.now() - startedAt >= 50);
+    assert.strictEqual(mock.callsOf('create').length, 1);
+    assert.strictEqual(mock.callsOf('setEnabled').length, 1);
+});
+
+test('unknown methods are reported and invalid traces refused', async function() {
+    var sdk = mock.load();
+    var result = await new AdjustReplayer({
+        format: 'adjust-trace',
+        version: 1,
+        entries: [{ type: 'call', method: 'doSomething', args: [], time: 0 }]
+    }, { sdk: sdk, speed: 0 }).replay();
+
+    assert.strictEqual(result.errors[0].method, 'doSomething');
+    assert.throws(function() {
+        new AdjustReplayer({ entries: [] });
+    }, /Not an Adjust trace/);
+    assert.throws(function() {
+        new AdjustReplayer({ format: 'adjust-trace', version: 2, entries: [] });
+    }, /Unsupported/);
+});
@@ -0,0 +1,77 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustError = require('../../www/adjust_error');
+var AdjustReporter = require('../../www/adjust_reporter');
+var AdjustStorage = require('../../www/adjust_storage');
+var AdjustTransactionStore = require('../../www/adjust_transaction_store');
+
+test('remembered transaction IDs are duplicates until they expire', function() {
+    var store = new AdjustTransactionStore(AdjustStorage.createMemoryStorage(), 1000);
+
+    assert.strictEqual(store.isDuplicate('tx', 0), false);
+    store.remember('tx', 0);
+    assert.strictEqual(store.isDuplicate('tx', 999), true);
+    assert.strictEqual(store.isDuplicate('tx', 1000), false);
+});
+
+test('entries survive a new store on the same storage', function() {
+    var storage = AdjustStorage.createMemoryStorage();
+    new AdjustTransactionStore(storage, 1000).remember('tx', 0);
+
+    assert.strictEqual(new AdjustTransactionStore(storage, 1000).isDuplicate('tx', 1), true);
+});
+
+test('expired entries are pruned on write', function() {
+    var storage = AdjustStorage.createMemoryStorage();
+    var store = new AdjustTransactionStore(storage, 1000);
+    store.remember('old', 0);
+    store.remember('new', 2000);
+
+    assert.deepStrictEqual(JSON.parse(storage.getItem(AdjustTransactionStore.StorageKey)), { new: 2000 });
+});
+
+test('forget and clear', function() {
+    var store = new AdjustTransactionStore(AdjustStorage.createMemoryStorage(), 1000);
+    store.remember('a', 0);
+    store.remember('b', 0);
+
+    store.forget('a', 1);
+    assert.strictEqual(store.isDuplicate('a', 1), false);
+    assert.strictEqual(store.isDuplicate('b', 1), true);
+
+    store.clear();
+    assert.strictEqual(store.isDuplicate('b', 1), false);
+});
+
+test('unreadable storage content is ignored', function() {
+    var storage = AdjustStorage.createMemoryStorage();
+    storage.setItem(AdjustTransactionStore.StorageKey, '{not json');
+    var store = new AdjustTransactionStore(storage, 1000);
+
+    assert.strictEqual(store.isDuplicate('tx', 0), false);
+    store.remember('tx', 0);
+    assert.strictEqual(store.isDuplicate('tx', 0), true);
+});
+
+test('failing storage is reported but does not throw', function() {
+    var reported = [];
+    AdjustReporter.setListener(function(error) {
+        reported.push(error);
+    });
+    var store = new AdjustTransactionStore({
+        getItem: function() {
+            return null;
+        },
+        setItem: function() {
+            throw new Error('quota exceeded');
+        },
+        removeItem: function() {}
+    }, 1000);
+
+    store.remember('tx', 0);
+    AdjustReporter.setListener(null);
+
+    assert.strictEqual(reported[0].code, AdjustError.CodeStorageError);
+    assert.match(reported[0].message, /quota exceeded/);
+});
@@ -0,0 +1,180 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var AdjustWebTracker = require('../../src/browser/adjust_web_tracker');
+var AdjustPackageQueue = require('../../src/browser/adjust_package_queue');
+
+// Stands in for fetch, answering requests with the queued responses and recording them.
+function createBackend() {
+    var backend = {
+        requests: [],
+        responses: [],
+        fetch: function(url, init) {
+            backend.requests.push({ url: url, init: init, params: Object.fromEntries(new URLSearchParams(init.body)) });
+            var response = backend.responses.length > 0 ? backend.responses.shift() : { status: 200, body: {} };
+            if (response instanceof Error) {
+                return Promise.reject(response);
+            }
+            return Promise.resolve({
+                ok: response.status >= 200 && response.status < 300,
+                status: response.status,
+                json: function() {
+                    return Promise.resolve(response.body);
+                }
+            });
+        }
+    };
+    return backend;
+}
+
+function createTracker(backend, results) {
+    var queue = new AdjustPackageQueue(AdjustPackageQueue.createMemoryStore());
+    var tracker = new AdjustWebTracker({
+        endpoint: 'http://localhost:9000/',
+        queue: queue,
+        fetch: backend.fetch,
+        minRetryDelay: 10,
+        maxRetryDelay: 40,
+        onResponse: function(adjustPackage, result) {
+            results.push({ kind: adjustPackage.kind, result: result });
+        }
+    });
+    return { tracker: tracker, queue: queue };
+}
+
+function waitFor(predicate) {
+    return new Promise(function(resolve, reject) {
+        var started = Date.now();
+        var check = function() {
+            if (predicate()) {
+                resolve();
+            } else if (Date.now() - started > 2000) {
+                reject(new Error('Condition not met within 2000 ms.'));
+            } else {
+                setTimeout(check, 5);
+            }
+        };
+        check();
+    });
+}
+
+test('packages are built with the parameters of the backend', function() {
+    var params = AdjustWebTracker.buildParams({
+        kind: 'event',
+        createdAt: '2023-10-01T12:30:45.000Z',
+        appToken: '123456789012',
+        environment: 'sandbox',
+        installationId: 'a1b2c3d4-e5f6-4789-8abc-def012345678',
+        adid: null,
+        sdkVersion: 'browser4.18.0',
+        eventToken: 'abc123',
+        revenue: 0.99,
+        currency: 'EUR',
+        transactionId: null,
+        callbackId: '',
+        callbackParameters: { user: 'u1' },
+        partnerParameters: {}
+    });
+
+    assert.deepStrictEqual(params, {
+        os_name: 'web',
+        app_token: '123456789012',
+        environment: 'sandbox',
+        web_uuid: 'a1b2c3d4-e5f6-4789-8abc-def012345678',
+        client_sdk: 'browser4.18.0',
+        created_at: '2023-10-01T12:30:45.000Z+0000',
+        event_token: 'abc123',
+        revenue: '0.99',
+        currency: 'EUR',
+        callback_params: '{"user":"u1"}'
+    });
+});
+
+test('packages are sent in order as form posts', async function() {
+    var backend = createBackend();
+    var results = [];
+    var harness = createTracker(backend, results);
+
+    await harness.tracker.enqueue({ kind: 'session', appToken: '123456789012' });
+    await harness.tracker.enqueue({ kind: 'event', appToken: '123456789012', eventToken: 'abc123' });
+    await waitFor(function() {
+        return results.length === 2;
+    });
+
+    assert.deepStrictEqual(backend.requests.map(function(request) {
+        return request.url;
+    }), ['http://localhost:9000/session', 'http://localhost:9000/event']);
+    assert.strictEqual(backend.requests[0].init.method, 'POST');
+    assert.match(backend.requests[1].params.sent_at, /Z\+0000$/);
+    assert.strictEqual(results[1].result.success, true);
+    assert.strictEqual(await harness.queue.count(), 0);
+});
+
+test('network and server errors are retried with backoff', async function() {
+    var backend = createBackend();
+    backend.responses.push(new Error('offline'), { status: 503, body: { message: 'Busy' } });
+    var results = [];
+    var harness = createTracker(backend, results);
+
+    await harness.tracker.enqueue({ kind: 'session', appToken: '123456789012' });
+    await waitFor(function() {
+        return results.length === 3;
+    });
+
+    assert.deepStrictEqual(results.map(function(entry) {
+        return [entry.result.success, entry.result.willRetry];
+    }), [[false, true], [false, true], [true, false]]);
+    assert.strictEqual(results[0].result.message, 'Request failed: offline');
+    assert.strictEqual(results[1].result.message, 'Busy');
+    assert.strictEqual(harness.tracker.retries, 0);
+    assert.strictEqual(backend.requests.length, 3);
+});
+
+test('packages rejected by the backend are dropped', async function() {
+    var backend = createBackend();
+    backend.responses.push({ status: 400, body: { message: 'Invalid app token' } });
+    var results = [];
+    var harness = createTracker(backend, results);
+
+    await harness.tracker.enqueue({ kind: 'event', appToken: 'bad' });
+    await harness.tracker.enqueue({ kind: 'event', appToken: '123456789012' });
+    await waitFor(function() {
+        return results.length === 2;
+    });
+
+    assert.deepStrictEqual(results[0].result, {
+        success: false,
+        willRetry: false,
+        status: 400,
+        message: 'Invalid app token',
+        response: { message: 'Invalid app token' }
+    });
+    assert.strictEqual(results[1].result.success, true);
+});
+
+test('paused trackers keep packages queued', async function() {
+    var backend = createBackend();
+    var results = [];
+    var harness = createTracker(backend, results);
+    harness.tracker.setPaused(true);
+
+    await harness.tracker.enqueue({ kind: 'session', appToken: '123456789012' });
+    assert.strictEqual(backend.requests.length, 0);
+    assert.strictEqual(await harness.queue.count(), 1);
+
+    harness.tracker.setPaused(false);
+    await waitFor(function() {
+        return results.length === 1;
+    });
+    assert.strictEqual(await harness.queue.count(), 0);
+});
+
+test('retry delays double up to the maximum with jitter', function() {
+    var tracker = new AdjustWebTracker({ fetch: createBackend().fetch, minRetryDelay: 100, maxRetryDelay: 1000 });
+
+    [[1, 100], [2, 200], [4, 800], [5, 1000], [20, 1000]].forEach(function(expected) {
+        var delay = tracker.retryDelay(expected[0]);
+        assert.ok(delay >= expected[1] / 2 && delay <= expected[1], expected[0] + ': ' + delay);
+    });
+    assert.strictEqual(tracker.endpoint, AdjustWebTracker.DefaultEndpoint);
+});
@@ -0,0 +1,250 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var SOURCE = fs.readFileSync(path.resolve(__dirname, '../app/www/js/command_executor.js'), 'utf8');
+
+// Loads the test app's command executor with recording stand-ins for Adjust and AdjustTest.
+function loadExecutor(options) {
+    var sent = [];
+    var timers = [];
+    var info = {};
+    var calls = [];
+    var adjust = new Proxy({}, {
+        get: function(target, name) {
+            if (name in target) {
+                return target[name];
+            }
+            return function() {
+                calls.push({ name: name, args: Array.prototype.slice.call(arguments) });
+            };
+        }
+    });
+    adjust.isEnabled = function(callback) {
+        callback(true);
+    };
+    adjust.getAdid = function(callback, errorCallback) {
+        errorCallback(new Error('SDK not started'));
+    };
+    adjust.getSdkPrefix = function() {
+        return 'cordova4.18.0';
+    };
+    adjust.on = function(type, listener) {
+        calls.push({ name: 'on', args: [type] });
+        adjust.emit = listener;
+        return function() {
+            calls.push({ name: 'unsubscribe', args: [type] });
+        };
+    };
+
+    var context = {
+        Adjust: adjust,
+        AdjustTest: {
+            addInfoToSend: function(key, value) {
+                info[key] = value;
+            },
+            sendInfoToServer: function(basePath) {
+                sent.push({ basePath: basePath, info: info });
+                info = {};
+            }
+        },
+        AdjustConfig: function(appToken, environment) {
+            this.appToken = appToken;
+            this.environment = environment;
+            this.setLogLevel = function() {};
+        },
+        AdjustEvent: function(eventToken) {
+            this.eventToken = eventToken;
+        },
+        setTimeout: function(callback, delay) {
+            timers.push({ callback: callback, delay: delay });
+            return timers.length;
+        },
+        clearTimeout: function(id) {
+            timers[id - 1].cleared = true;
+        },
+        console: { log: function() {} }
+    };
+    vm.runInNewContext(SOURCE, context);
+
+    var executor = new context.CommandExecutor('http://localhost:9000', 'http://localhost:9000', options);
+    executor.adjustCommandExecutor.basePath = '/test';
+    var order = 0;
+    return {
+        adjust: adjust,
+        calls: calls,
+        sent: sent,
+        executor: executor,
+        run: function(className, functionName, params) {
+            executor.scheduleCommand(className, functionName, params || {}, order++);
+        },
+        schedule: function(order, functionName, params) {
+            executor.scheduleCommand('Adjust', functionName, params || {}, order);
+        },
+        activeTimers: function() {
+            return timers.filter(function(timer) {
+                return !timer.cleared && !timer.fired;
+            });
+        },
+        fireTimers: function() {
+            timers.forEach(function(timer) {
+                if (!timer.cleared && !timer.fired) {
+                    timer.fired = true;
+                    timer.callback();
+                }
+            });
+        }
+    };
+}
+
+test('unknown commands are reported and do not block the following ones', function() {
+    var harness = loadExecutor();
+
+    harness.run('Adjust', 'doSomethingNew');
+    harness.run('Foo', 'bar');
+    harness.run('Adjust', 'setEnabled', { enabled: ['false'] });
+
+    assert.deepStrictEqual(harness.sent, [
+        { basePath: '/test', info: { commandFailed: 'Adjust.doSomethingNew', error: 'Unknown command: doSomethingNew' } },
+        { basePath: '/test', info: { commandFailed: 'Foo.bar', error: 'Unknown class: Foo' } }
+    ]);
+    assert.deepStrictEqual(harness.calls, [{ name: 'setEnabled', args: [false] }]);
+    assert.strictEqual(harness.executor.adjustCommandExecutor.nextToSendCounter, 3);
+});
+
+test('commands which throw are reported as failures', function() {
+    var harness = loadExecutor();
+
+    harness.run('Adjust', 'setParameterOptions', { options: ['{not json'] });
+
+    assert.strictEqual(harness.sent[0].info.commandFailed, 'Adjust.setParameterOptions');
+    assert.strictEqual(harness.executor.adjustCommandExecutor.nextToSendCounter, 1);
+});
+
+test('getters report their result or error', function() {
+    var harness = loadExecutor();
+
+    harness.run('Adjust', 'isEnabled');
+    harness.run('Adjust', 'getAdid');
+    harness.run('Adjust', 'getSdkPrefix');
+
+    assert.deepStrictEqual(harness.sent.map(function(report) {
+        return report.info;
+    }), [
+        { isEnabled: 'true' },
+        { commandFailed: 'Adjust.getAdid', error: 'SDK not started' },
+        { sdkPrefix: 'cordova4.18.0' }
+    ]);
+});
+
+test('setters get their parameters converted', function() {
+    var harness = loadExecutor();
+
+    harness.run('Adjust', 'setPreInitQueueMaxSize', { maxSize: ['5'] });
+    harness.run('Adjust', 'setTransactionDeduplicationOptions', { options: ['{"enabled":true,"ttl":1000}'] });
+    harness.run('Adjust', 'registerEventSchema', { name: ['purchase'], schema: ['{"token":"abc123"}'] });
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(harness.calls)), [
+        { name: 'setPreInitQueueMaxSize', args: [5] },
+        { name: 'setTransactionDeduplicationOptions', args: [{ enabled: true, ttl: 1000 }] },
+        { name: 'registerEventSchema', args: ['purchase', { token: 'abc123' }] }
+    ]);
+});
+
+test('subscribed listeners report callbacks until they are removed', function() {
+    var harness = loadExecutor();
+
+    harness.run('Adjust', 'on', { type: ['attribution'] });
+    harness.adjust.emit({ trackerName: 'Organic' });
+    harness.run('Adjust', 'off', { type: ['attribution'] });
+
+    assert.deepStrictEqual(harness.sent[0].info, { callbackType: 'attribution', payload: '{"trackerName":"Organic"}' });
+    assert.deepStrictEqual(harness.calls.map(function(call) {
+        return call.name;
+    }), ['on', 'unsubscribe']);
+});
+
+function calledNames(harness) {
+    return harness.calls.map(function(call) {
+        return call.name + (call.args.length > 0 ? ' ' + call.args[0] : '');
+    });
+}
+
+test('commands are executed in order whatever order they arrive in', function() {
+    var harness = loadExecutor();
+    [5, 3, 0, 4, 1, 2].forEach(function(order) {
+        harness.schedule(order, 'setPushToken', { pushToken: ['token' + order] });
+    });
+
+    assert.deepStrictEqual(calledNames(harness), [
+        'setPushToken token0', 'setPushToken token1', 'setPushToken token2',
+        'setPushToken token3', 'setPushToken token4', 'setPushToken token5'
+    ]);
+    assert.strictEqual(harness.activeTimers().length, 0);
+});
+
+test('missing commands are reported and skipped after the gap timeout', function() {
+    var harness = loadExecutor({ gapTimeout: 500 });
+    harness.schedule(0, 'setPushToken', { pushToken: ['a'] });
+    harness.schedule(3, 'setPushToken', { pushToken: ['d'] });
+
+    assert.deepStrictEqual(harness.activeTimers().map(function(timer) {
+        return timer.delay;
+    }), [500]);
+    harness.fireTimers();
+
+    assert.deepStrictEqual(calledNames(harness), ['setPushToken a', 'setPushToken d']);
+    assert.strictEqual(harness.sent[0].info.commandsMissing, '1,2');
+    var diagnostics = JSON.parse(harness.sent[0].info.diagnostics);
+    assert.strictEqual(diagnostics.waitingForOrder, 1);
+    assert.deepStrictEqual(diagnostics.pendingCommands, [{ order: 3, command: 'Adjust.setPushToken', params: { pushToken: ['d'] } }]);
+
+    // The skipped command arrives too late.
+    harness.schedule(1, 'setPushToken', { pushToken: ['b'] });
+    assert.strictEqual(harness.sent[1].info.commandFailed, 'Adjust.setPushToken');
+    assert.deepStrictEqual(calledNames(harness), ['setPushToken a', 'setPushToken d']);
+});
+
+test('the gap timer restarts when the gap moves', function() {
+    var harness = loadExecutor({ gapTimeout: 500 });
+    harness.schedule(1, 'setPushToken', { pushToken: ['b'] });
+    harness.schedule(3, 'setPushToken', { pushToken: ['d'] });
+    assert.strictEqual(harness.activeTimers().length, 1);
+
+    harness.schedule(0, 'setPushToken', { pushToken: ['a'] });
+
+    assert.strictEqual(harness.executor.adjustCommandExecutor.nextToSendCounter, 2);
+    assert.strictEqual(harness.activeTimers().length, 1);
+    assert.strictEqual(harness.executor.dumpDiagnostics().waitingForOrder, 2);
+
+    harness.schedule(2, 'setPushToken', { pushToken: ['c'] });
+    assert.strictEqual(harness.activeTimers().length, 0);
+    assert.strictEqual(harness.sent.length, 0);
+});
+
+test('configs and events are kept apart by their full names', function() {
+    var harness = loadExecutor();
+    var created = [];
+    var tracked = [];
+    harness.adjust.create = function(config) {
+        created.push(config.appToken);
+    };
+    harness.adjust.trackEvent = function(event) {
+        tracked.push(event.eventToken);
+    };
+
+    harness.run('Adjust', 'config', { configName: ['config2'], appToken: ['token2'], environment: ['sandbox'] });
+    harness.run('Adjust', 'config', { configName: ['config12'], appToken: ['token12'], environment: ['sandbox'] });
+    harness.run('Adjust', 'start', { configName: ['config2'] });
+    harness.run('Adjust', 'event', { eventName: ['Event2'], eventToken: ['abc2'] });
+    harness.run('Adjust', 'event', { eventName: ['Event12'], eventToken: ['abc12'] });
+    harness.run('Adjust', 'event', { eventName: ['purchase'], eventToken: ['abcp'] });
+    harness.run('Adjust', 'trackEvent', { eventName: ['Event12'] });
+    harness.run('Adjust', 'trackEvent', { eventName: ['purchase'] });
+    harness.run('Adjust', 'trackEvent', { eventName: ['Event2'] });
+
+    assert.deepStrictEqual(created, ['token2']);
+    assert.deepStrictEqual(tracked, ['abc12', 'abcp', 'abc2']);
+});
@@ -0,0 +1,71 @@
+// Reads the member lists out of types/index.d.ts, the description of the JS API which both the www/
+// modules and the ionic-native wrapper are checked against.
+//
+//   var declarations = parseDeclarations(DECLARATIONS);
+//   declarations.AdjustStatic;                  // [{ name, isStatic, isMethod, isOptional, literal }]
+//   typeAliases(DECLARATIONS).AdjustLogLevel;   // ['VERBOSE', 'DEBUG', ...]
+
+var fs = require('fs');
+var path = require('path');
+
+var DECLARATIONS = fs.readFileSync(path.resolve(__dirname, '../../types/index.d.ts'), 'utf8');
+
+// Members of the interfaces and classes of the declaration file, by name. Members are declared one
+// per line, so reading them line by line is enough: { name, isStatic, isMethod, isOptional, literal }.
+function parseDeclarations(source) {
+    var blocks = {};
+    var current = null;
+    source.split('\n').forEach(function(line) {
+        var start = /^(?:declare class|interface) (\w+)[^{]*\{$/.exec(line);
+        if (start) {
+            current = blocks[start[1]] = [];
+            return;
+        }
+        if (line === '}') {
+            current = null;
+            return;
+        }
+        var member = /^    (static )?(readonly )?(\w+)(\?)?(<[^>]*>)?(\(|: )(.*)$/.exec(line);
+        if (current === null || member === null || member[3] === 'constructor') {
+            return;
+        }
+        var literal = /^("[^"]*"|\d+);$/.exec(member[7]);
+        current.push({
+            name: member[3],
+            isStatic: member[1] !== undefined,
+            isMethod: member[6] === '(',
+            isOptional: member[4] !== undefined,
+            literal: member[6] !== '(' && literal ? JSON.parse(literal[1]) : undefined
+        });
+    });
+    return blocks;
+}
+
+// Values of the string literal unions, like `type AdjustLogLevel = "VERBOSE" | ...;`, by name.
+function typeAliases(source) {
+    var aliases = {};
+    var pattern = /^type (\w+) = ([^;]*);$/gm;
+    var found;
+    while ((found = pattern.exec(source)) !== null) {
+        aliases[found[1]] = (found[2].match(/"[^"]*"/g) || []).map(JSON.parse);
+    }
+    return aliases;
+}
+
+// Distinct names of the members matching the predicate, sorted.
+function names(members, predicate) {
+    var found = [];
+    members.filter(predicate).forEach(function(member) {
+        if (found.indexOf(member.name) === -1) {
+            found.push(member.name);
+        }
+    });
+    return found.sort();
+}
+
+module.exports = {
+    DECLARATIONS: DECLARATIONS,
+    parseDeclarations: parseDeclarations,
+    typeAliases: typeAliases,
+    names: names
+};
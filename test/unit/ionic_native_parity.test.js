@@ -0,0 +1,179 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+
+var Declarations = require('./declarations');
+
+// Only member names are compared here, test/types/ionic_native.ts compares the signatures (npm run typecheck).
+
+var WRAPPER = fs.readFileSync(path.resolve(__dirname, '../../ionic-native/index.ts'), 'utf8');
+
+var declarations = Declarations.parseDeclarations(Declarations.DECLARATIONS);
+var typeAliases = Declarations.typeAliases(Declarations.DECLARATIONS);
+
+// Members of the JS API the wrapper leaves out on purpose, by class, with the reason. Anything else
+// types/index.d.ts declares has to be wrapped.
+var NOT_WRAPPED = {
+    AdjustEvent: {
+        fromSchema: 'creates an AdjustEvent of the global API, the wrapper builds events with its constructor'
+    },
+    AdjustAdRevenue: {
+        fromFields: 'Adjust.trackAdRevenue copies the fields of the wrapper\'s objects',
+        validate: 'Adjust.trackAdRevenue validates the ad revenue',
+        toPayload: 'Adjust.trackAdRevenue serializes the ad revenue'
+    },
+    AdjustConfig: {
+        listeners: 'listeners are wrapped as observables of Adjust',
+        addListener: 'listeners are wrapped as observables of Adjust',
+        removeListener: 'listeners are wrapped as observables of Adjust',
+        hasListener: 'listeners are wrapped as observables of Adjust',
+        setCallbackListener: 'deprecated, the wrapper has the set*CallbackListener methods',
+        attributionCallbackListener: 'the wrapper keeps its listeners in the *Callback fields',
+        eventTrackingSucceededCallbackListener: 'the wrapper keeps its listeners in the *Callback fields',
+        eventTrackingFailedCallbackListener: 'the wrapper keeps its listeners in the *Callback fields',
+        sessionTrackingSucceededCallbackListener: 'the wrapper keeps its listeners in the *Callback fields',
+        sessionTrackingFailedCallbackListener: 'the wrapper keeps its listeners in the *Callback fields',
+        deferredDeeplinkCallbackListener: 'the wrapper keeps its listeners in the *Callback fields',
+        readMobileEquipmentIdentity: 'deprecated, ignored by the native SDKs',
+        setReadMobileEquipmentIdentity: 'deprecated, ignored by the native SDKs',
+        setSdkPrefix: 'set by Adjust.create',
+        getSdkPrefix: 'set by Adjust.create',
+        getUserAgent: 'getters are only used by Adjust.create',
+        getDelayStart: 'getters are only used by Adjust.create',
+        getReferrer: 'getters are only used by Adjust.create',
+        getSendInBackground: 'getters are only used by Adjust.create',
+        getShouldLaunchDeeplink: 'getters are only used by Adjust.create',
+        validate: 'Adjust.create validates the config'
+    },
+    AdjustStatic: {
+        on: 'wrapped as observables',
+        once: 'wrapped as observables',
+        off: 'wrapped as observables',
+        setTestOptions: 'only used by the test app',
+        teardown: 'only used by the test app',
+        onResume: 'only used by the test app',
+        onPause: 'only used by the test app'
+    }
+};
+
+// Members only the wrapper has, by class.
+var WRAPPER_ONLY = {
+    AdjustEvent: [],
+    AdjustAdRevenue: [],
+    AdjustConfig: [],
+    AdjustStatic: [
+        'onAttributionChanged',
+        'onEventTrackingSucceeded',
+        'onEventTrackingFailed',
+        'onSessionTrackingSucceeded',
+        'onSessionTrackingFailed',
+        'onDeferredDeeplink'
+    ]
+};
+
+// Literal unions without an enum of the wrapper, with the reason.
+var NOT_WRAPPED_TYPES = {
+    AdjustListenerType: 'listeners are wrapped as observables',
+    AdjustValidationSeverity: 'AdjustConfig.validate is not wrapped'
+};
+
+// Class name of the wrapper for each declaration.
+var WRAPPED_CLASSES = {
+    AdjustEvent: 'AdjustEvent',
+    AdjustAdRevenue: 'AdjustAdRevenue',
+    AdjustConfig: 'AdjustConfig',
+    AdjustStatic: 'Adjust'
+};
+
+// Members of the exported classes of the wrapper, by class name. Members start at the class body's
+// indentation, method bodies and doc comments don't match.
+function parseWrapperClasses(source) {
+    var classes = {};
+    var current = null;
+    source.split('\n').forEach(function(line) {
+        var start = /^export class (\w+)/.exec(line);
+        if (start) {
+            current = classes[start[1]] = [];
+            return;
+        }
+        if (line === '}') {
+            current = null;
+            return;
+        }
+        var member = /^  (?:private |public )?(static )?(?:readonly )?(\w+)\??(?:<[^>]*>)?(\(| =|: |;)/.exec(line);
+        if (current === null || member === null || member[2] === 'constructor') {
+            return;
+        }
+        current.push({ name: member[2], isStatic: member[1] !== undefined, isMethod: member[3] === '(' });
+    });
+    return classes;
+}
+
+// Values of the string enums of the wrapper, by name.
+function parseWrapperEnums(source) {
+    var enums = {};
+    var pattern = /^export enum (\w+) \{([^}]*)\}/gm;
+    var found;
+    while ((found = pattern.exec(source)) !== null) {
+        enums[found[1]] = (found[2].match(/'[^']*'/g) || []).map(function(value) {
+            return value.slice(1, -1);
+        });
+    }
+    return enums;
+}
+
+var wrapperClasses = parseWrapperClasses(WRAPPER);
+var wrapperEnums = parseWrapperEnums(WRAPPER);
+
+function without(list, excluded) {
+    return list.filter(function(name) {
+        return excluded.indexOf(name) === -1;
+    });
+}
+
+Object.keys(WRAPPED_CLASSES).forEach(function(declared) {
+    var wrapped = WRAPPED_CLASSES[declared];
+
+    test(wrapped + ' of the ionic-native wrapper matches ' + declared + ' of types/index.d.ts', function() {
+        // Constants are covered by the enums of the wrapper.
+        var expected = Declarations.names(declarations[declared], function(member) {
+            return member.literal === undefined;
+        });
+        var actual = Declarations.names(wrapperClasses[wrapped], function() {
+            return true;
+        });
+        var notWrapped = Object.keys(NOT_WRAPPED[declared]);
+
+        assert.deepStrictEqual(without(actual, WRAPPER_ONLY[declared]), without(expected, notWrapped));
+        notWrapped.forEach(function(name) {
+            assert.ok(expected.indexOf(name) !== -1, name + ' is excluded but no longer declared');
+            assert.ok(actual.indexOf(name) === -1, name + ' is excluded but wrapped');
+        });
+        WRAPPER_ONLY[declared].forEach(function(name) {
+            assert.ok(actual.indexOf(name) !== -1, name + ' is listed but not wrapped');
+        });
+    });
+});
+
+test('methods of the wrapper are methods of the JS API', function() {
+    Object.keys(WRAPPED_CLASSES).forEach(function(declared) {
+        var methods = Declarations.names(declarations[declared], function(member) {
+            return member.isMethod;
+        });
+        wrapperClasses[WRAPPED_CLASSES[declared]].forEach(function(member) {
+            if (WRAPPER_ONLY[declared].indexOf(member.name) === -1) {
+                assert.strictEqual(member.isMethod, methods.indexOf(member.name) !== -1, declared + '.' + member.name);
+            }
+        });
+    });
+});
+
+test('enums of the wrapper have the values of the JS API', function() {
+    var expected = without(Object.keys(typeAliases), Object.keys(NOT_WRAPPED_TYPES)).sort();
+
+    assert.deepStrictEqual(Object.keys(wrapperEnums).sort(), expected);
+    expected.forEach(function(name) {
+        assert.deepStrictEqual(wrapperEnums[name].slice().sort(), typeAliases[name].slice().sort(), name);
+    });
+});
@@ -0,0 +1,199 @@
+// Stand-in for the Cordova bridge and for the document events the www/ modules use, so that they
+// can be loaded and tested under plain Node.js.
+//
+//   var mock = new MockCordova().install();
+//   var sdk = mock.load();                      // fresh Adjust, AdjustConfig, AdjustEvent, AdjustError and AdjustAdRevenue
+//   mock.respond('getAdid', 'some-adid');       // canned native response for the next getAdid call
+//   mock.trigger('setAttributionCallback', {}); // native callback, as if the SDK had sent it
+//   mock.pause(); mock.resume();                // document events
+//   mock.calls;                                 // every recorded { service, action, args }
+//   mock.uninstall();
+
+var path = require('path');
+
+var WWW_DIR = path.resolve(__dirname, '../../www');
+
+// Actions which hand over a callback the native side keeps and calls whenever it has something to report.
+var PERSISTENT_CALLBACK_ACTIONS = [
+    'setAttributionCallback',
+    'setEventTrackingSucceededCallback',
+    'setEventTrackingFailedCallback',
+    'setSessionTrackingSucceededCallback',
+    'setSessionTrackingFailedCallback',
+    'setDeferredDeeplinkCallback'
+];
+
+function MockCordova() {
+    this.calls = [];
+    this.responses = {};
+    this.persistentCallbacks = {};
+    this.documentListeners = {};
+    this.previousGlobals = null;
+}
+
+MockCordova.prototype.install = function() {
+    var self = this;
+    this.previousGlobals = {
+        cordova: global.cordova,
+        document: global.document
+    };
+    global.cordova = {
+        exec: function(success, error, service, action, args) {
+            self.exec(success, error, service, action, args);
+        }
+    };
+    global.document = {
+        addEventListener: function(type, listener) {
+            if (!self.documentListeners[type]) {
+                self.documentListeners[type] = [];
+            }
+            self.documentListeners[type].push(listener);
+        },
+        removeEventListener: function(type, listener) {
+            var listeners = self.documentListeners[type] || [];
+            var index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    };
+    return this;
+};
+
+MockCordova.prototype.uninstall = function() {
+    if (this.previousGlobals === null) {
+        return;
+    }
+    restoreGlobal('cordova', this.previousGlobals.cordova);
+    restoreGlobal('document', this.previousGlobals.document);
+    this.previousGlobals = null;
+};
+
+function restoreGlobal(name, value) {
+    if (value === undefined) {
+        delete global[name];
+    } else {
+        global[name] = value;
+    }
+}
+
+// Loads the www/ modules from scratch, so that no state is shared with earlier loads.
+MockCordova.prototype.load = function() {
+    Object.keys(require.cache).forEach(function(file) {
+        if (file.indexOf(WWW_DIR + path.sep) === 0) {
+            delete require.cache[file];
+        }
+    });
+    this.documentListeners = {};
+    return {
+        Adjust: require(path.join(WWW_DIR, 'adjust')),
+        AdjustConfig: require(path.join(WWW_DIR, 'adjust_config')),
+        AdjustEvent: require(path.join(WWW_DIR, 'adjust_event')),
+        AdjustError: require(path.join(WWW_DIR, 'adjust_error')),
+        AdjustAdRevenue: require(path.join(WWW_DIR, 'adjust_ad_revenue'))
+    };
+};
+
+// Forgets recorded calls and canned responses, keeps the installed globals.
+MockCordova.prototype.reset = function() {
+    this.calls = [];
+    this.responses = {};
+    this.persistentCallbacks = {};
+};
+
+// Native calls are answered asynchronously, like the real bridge does. Unless a response was queued
+// for the action, they succeed without a value. Persistent callback actions aren't answered until trigger.
+MockCordova.prototype.exec = function(success, error, service, action, args) {
+    this.calls.push({ service: service, action: action, args: args });
+
+    if (PERSISTENT_CALLBACK_ACTIONS.indexOf(action) !== -1) {
+        this.persistentCallbacks[action] = success;
+        return;
+    }
+
+    var queued = this.responses[action];
+    var response = queued && queued.length > 0 ? queued.shift() : { ok: true, value: undefined };
+    Promise.resolve().then(function() {
+        if (response.ok) {
+            success(response.value);
+        } else {
+            error(response.value);
+        }
+    });
+};
+
+// Queues a successful native response for the next call of action.
+MockCordova.prototype.respond = function(action, value) {
+    return this.queueResponse(action, { ok: true, value: value });
+};
+
+// Queues a native error for the next call of action.
+MockCordova.prototype.fail = function(action, message) {
+    return this.queueResponse(action, { ok: false, value: message });
+};
+
+MockCordova.prototype.queueResponse = function(action, response) {
+    if (!this.responses[action]) {
+        this.responses[action] = [];
+    }
+    this.responses[action].push(response);
+    return this;
+};
+
+// Sends payload through the callback registered with a persistent callback action.
+MockCordova.prototype.trigger = function(action, payload) {
+    if (!this.persistentCallbacks[action]) {
+        throw new Error("No callback registered for '" + action + "'.");
+    }
+    this.persistentCallbacks[action](payload);
+};
+
+MockCordova.prototype.hasCallback = function(action) {
+    return !!this.persistentCallbacks[action];
+};
+
+MockCordova.prototype.actions = function() {
+    return this.calls.map(function(call) {
+        return call.action;
+    });
+};
+
+MockCordova.prototype.callsOf = function(action) {
+    return this.calls.filter(function(call) {
+        return call.action === action;
+    });
+};
+
+MockCordova.prototype.lastCall = function(action) {
+    var calls = this.callsOf(action);
+    return calls.length > 0 ? calls[calls.length - 1] : null;
+};
+
+// Objects which were passed to the native side as JSON (config, event), decoded again.
+MockCordova.prototype.lastPayload = function(action) {
+    var call = this.lastCall(action);
+    return call === null ? null : JSON.parse(call.args[0])[0];
+};
+
+MockCordova.prototype.fireDocumentEvent = function(type) {
+    (this.documentListeners[type] || []).slice().forEach(function(listener) {
+        listener({ type: type });
+    });
+};
+
+MockCordova.prototype.pause = function() {
+    this.fireDocumentEvent('pause');
+};
+
+MockCordova.prototype.resume = function() {
+    this.fireDocumentEvent('resume');
+};
+
+// Lets pending native responses and the promise callbacks chained to them run.
+MockCordova.prototype.settle = function() {
+    return new Promise(function(resolve) {
+        setImmediate(resolve);
+    });
+};
+
+module.exports = MockCordova;
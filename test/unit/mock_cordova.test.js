@@ -0,0 +1,126 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var MockCordova = require('./mock_cordova');
+
+var mock;
+
+test.beforeEach(function() {
+    mock = new MockCordova().install();
+});
+
+test.afterEach(function() {
+    mock.uninstall();
+});
+
+function exec(action, args) {
+    return new Promise(function(resolve, reject) {
+        cordova.exec(resolve, reject, 'Adjust', action, args || []);
+    });
+}
+
+test('calls are recorded and succeed without a value by default', async function() {
+    var result = await exec('setOfflineMode', [true]);
+
+    assert.strictEqual(result, undefined);
+    assert.deepStrictEqual(mock.calls, [{ service: 'Adjust', action: 'setOfflineMode', args: [true] }]);
+    assert.deepStrictEqual(mock.actions(), ['setOfflineMode']);
+    assert.deepStrictEqual(mock.lastCall('setOfflineMode').args, [true]);
+    assert.strictEqual(mock.lastCall('getAdid'), null);
+});
+
+test('calls are answered asynchronously', async function() {
+    var answered = false;
+    var call = exec('getAdid').then(function() {
+        answered = true;
+    });
+
+    assert.strictEqual(answered, false);
+    await call;
+    assert.strictEqual(answered, true);
+});
+
+test('canned responses are used once, in order', async function() {
+    mock.respond('getAdid', 'adid-1').fail('getAdid', 'Something broke');
+
+    assert.strictEqual(await exec('getAdid'), 'adid-1');
+    await assert.rejects(exec('getAdid'), function(error) {
+        return error === 'Something broke';
+    });
+    assert.strictEqual(await exec('getAdid'), undefined);
+});
+
+test('persistent callbacks are kept until triggered', function() {
+    var payloads = [];
+    cordova.exec(function(payload) {
+        payloads.push(payload);
+    }, function() {}, 'Adjust', 'setAttributionCallback', []);
+
+    assert.strictEqual(mock.hasCallback('setAttributionCallback'), true);
+    mock.trigger('setAttributionCallback', { trackerName: 'Organic' });
+    mock.trigger('setAttributionCallback', { trackerName: 'Network' });
+    assert.deepStrictEqual(payloads, [{ trackerName: 'Organic' }, { trackerName: 'Network' }]);
+
+    assert.throws(function() {
+        mock.trigger('setDeferredDeeplinkCallback', 'myapp://');
+    }, /No callback registered/);
+});
+
+test('payloads are decoded from the JSON the modules send', async function() {
+    await exec('trackEvent', [JSON.stringify([{ eventToken: 'abc123' }])]);
+
+    assert.deepStrictEqual(mock.lastPayload('trackEvent'), { eventToken: 'abc123' });
+    assert.strictEqual(mock.lastPayload('create'), null);
+});
+
+test('pause and resume reach document listeners', function() {
+    var events = [];
+    var listener = function(event) {
+        events.push(event.type);
+    };
+    document.addEventListener('pause', listener);
+    document.addEventListener('resume', listener);
+
+    mock.pause();
+    mock.resume();
+    document.removeEventListener('pause', listener);
+    mock.pause();
+
+    assert.deepStrictEqual(events, ['pause', 'resume']);
+});
+
+test('reset forgets calls, responses and callbacks', async function() {
+    mock.respond('getAdid', 'adid-1');
+    cordova.exec(function() {}, function() {}, 'Adjust', 'setAttributionCallback', []);
+    await exec('setOfflineMode', [true]);
+
+    mock.reset();
+
+    assert.deepStrictEqual(mock.calls, []);
+    assert.strictEqual(mock.hasCallback('setAttributionCallback'), false);
+    assert.strictEqual(await exec('getAdid'), undefined);
+});
+
+test('uninstall restores the previous globals', function() {
+    var previous = { exec: function() {} };
+    mock.uninstall();
+    global.cordova = previous;
+
+    var other = new MockCordova().install();
+    assert.notStrictEqual(global.cordova, previous);
+    other.uninstall();
+
+    assert.strictEqual(global.cordova, previous);
+    assert.strictEqual(global.document, undefined);
+    delete global.cordova;
+});
+
+test('load gives fresh modules', function() {
+    var first = mock.load();
+    var second = mock.load();
+
+    assert.notStrictEqual(first.Adjust, second.Adjust);
+    assert.strictEqual(typeof second.AdjustConfig, 'function');
+    assert.strictEqual(typeof second.AdjustEvent, 'function');
+    assert.strictEqual(typeof second.AdjustError, 'function');
+});
@@ -0,0 +1,246 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var crypto = require('crypto');
+var http = require('http');
+
+var AdjustMockServer = require('../server/mock_server');
+var ControlChannel = require('../server/control_channel');
+
+var adjust = AdjustMockServer.adjust;
+
+function request(port, method, path, body, headers) {
+    return new Promise(function(resolve, reject) {
+        var req = http.request({
+            host: '127.0.0.1',
+            port: port,
+            method: method,
+            path: path,
+            headers: headers || { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }, function(res) {
+            var chunks = [];
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            res.on('end', function() {
+                var text = Buffer.concat(chunks).toString('utf8');
+                resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+            });
+        });
+        req.on('error', reject);
+        req.end(body || '');
+    });
+}
+
+// Plays the part of the test library's control channel client.
+function connectControl(port) {
+    return new Promise(function(resolve, reject) {
+        var req = http.request({
+            host: '127.0.0.1',
+            port: port,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        req.on('upgrade', function(res, socket) {
+            var parser = new ControlChannel.FrameParser();
+            var client = {
+                signals: [],
+                send: function(type, value) {
+                    socket.write(ControlChannel.encodeFrame(ControlChannel.OpcodeText, JSON.stringify({ type: type, value: value }), true));
+                },
+                nextSignal: function() {
+                    if (client.signals.length > 0) {
+                        return Promise.resolve(client.signals.shift());
+                    }
+                    return new Promise(function(resolveSignal) {
+                        client.waiting = resolveSignal;
+                    });
+                },
+                close: function() {
+                    socket.destroy();
+                }
+            };
+            socket.on('data', function(chunk) {
+                parser.push(chunk).forEach(function(frame) {
+                    if (frame.opcode !== ControlChannel.OpcodeText) {
+                        return;
+                    }
+                    var signal = JSON.parse(frame.payload.toString('utf8'));
+                    if (client.waiting) {
+                        var waiting = client.waiting;
+                        client.waiting = null;
+                        waiting(signal);
+                    } else {
+                        client.signals.push(signal);
+                    }
+                });
+            });
+            resolve(client);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+function startServer() {
+    var server = new AdjustMockServer({ host: '127.0.0.1', port: 0, controlPort: 0 });
+    return server.start().then(function() {
+        return server;
+    });
+}
+
+test('a test session hands out the scripted tests one at a time', async function() {
+    var server = await startServer();
+    server.addTest('event/first', [
+        adjust('testOptions', { teardown: ['resetSdk'] }),
+        adjust('start')
+    ]);
+    server.addTest('event/second', [adjust('trackEvent', { eventName: 'Event1' })]);
+
+    try {
+        var first = await request(server.port, 'POST', '/init_session', 'client_sdk=cordova4.18.0');
+        var sessionId = first.headers['test-session-id'];
+        assert.strictEqual(sessionId, 'mock-session-1');
+        assert.deepStrictEqual(first.body.map(function(command) {
+            return command.className + '.' + command.functionName;
+        }), ['TestLibrary.resetTest', 'Adjust.testOptions', 'Adjust.start', 'TestLibrary.endTestReadNext']);
+
+        var basePath = first.body[0].params.basePath[0];
+        assert.deepStrictEqual(first.body[0].params.testName, ['event/first']);
+        assert.deepStrictEqual(first.body[1].params, { teardown: ['resetSdk'], basePath: [basePath] });
+
+        var second = await request(server.port, 'POST', '/end_test_read_next');
+        assert.strictEqual(second.body[0].params.testName[0], 'event/second');
+        assert.deepStrictEqual(second.body[1].params, { eventName: ['Event1'] });
+
+        var last = await request(server.port, 'POST', '/end_test_read_next');
+        assert.deepStrictEqual(last.body, [AdjustMockServer.testLibrary('endTestSession')]);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('selected test names limit the session', async function() {
+    var server = await startServer();
+    server.addTest('event/first', []);
+    server.addTest('session/first', []);
+
+    try {
+        var response = await request(server.port, 'POST', '/init_session', 'test_names=session');
+        assert.strictEqual(response.body[0].params.testName[0], 'session/first');
+        var last = await request(server.port, 'POST', '/end_test_read_next');
+        assert.strictEqual(last.body[0].functionName, 'endTestSession');
+    } finally {
+        await server.stop();
+    }
+});
+
+test('SDK packages are recorded and answered with scripted responses', async function() {
+    var server = await startServer();
+    server.addTest('event/failure', []);
+
+    try {
+        var init = await request(server.port, 'POST', '/init_session');
+        var basePath = init.body[0].params.basePath[0];
+        server.respondTo('event', { status: 400, body: { message: 'Event failed' } });
+
+        var waiting = server.waitForPackage('event', 2000);
+        var failed = await request(server.port, 'POST', basePath + '/event', 'event_token=abc123&revenue=0.99');
+        var sdkPackage = await waiting;
+        var tracked = await request(server.port, 'POST', basePath + '/event', 'event_token=abc123');
+        var attribution = await request(server.port, 'GET', basePath + '/attribution?app_token=123456789012');
+
+        assert.strictEqual(failed.status, 400);
+        assert.deepStrictEqual(failed.body, { message: 'Event failed' });
+        assert.strictEqual(tracked.status, 200);
+        assert.strictEqual(tracked.body.adid, 'mock-adid');
+        assert.strictEqual(attribution.body.attribution.tracker_token, 'mocktr');
+
+        assert.strictEqual(sdkPackage.testName, 'event/failure');
+        assert.deepStrictEqual(sdkPackage.params, { event_token: 'abc123', revenue: '0.99' });
+        assert.strictEqual(server.packagesFor('event', 'event/failure').length, 2);
+        assert.strictEqual(server.packagesFor('attribution')[0].params.app_token, '123456789012');
+    } finally {
+        await server.stop();
+    }
+});
+
+test('test info is recorded with the test it belongs to', async function() {
+    var server = await startServer();
+    server.addTest('attribution/callback', []);
+
+    try {
+        var init = await request(server.port, 'POST', '/init_session');
+        var basePath = init.body[0].params.basePath[0];
+        var waiting = server.waitForTestInfo(2000);
+        var response = await request(server.port, 'POST', basePath + '/test_info', 'trackerName=Organic');
+        var info = await waiting;
+
+        assert.deepStrictEqual(response.body, []);
+        assert.strictEqual(info.testName, 'attribution/callback');
+        assert.deepStrictEqual(info.info, { trackerName: 'Organic' });
+    } finally {
+        await server.stop();
+    }
+});
+
+test('unknown paths and endpoints', async function() {
+    var server = await startServer();
+
+    try {
+        var response = await request(server.port, 'POST', '/some/thing');
+        assert.strictEqual(response.status, 404);
+        assert.throws(function() {
+            server.respondTo('events', {});
+        }, TypeError);
+        await assert.rejects(server.waitForPackage('session', 10), /No 'session' package received within 10 ms/);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('control channel signals reach the test library of the session', async function() {
+    var server = await startServer();
+    server.addTest('wait/control', [AdjustMockServer.waitForControl()]);
+
+    try {
+        var init = await request(server.port, 'POST', '/init_session');
+        var client = await connectControl(server.controlPort);
+        var initialized = new Promise(function(resolve) {
+            server.once('signal', resolve);
+        });
+        client.send('init-test-session', init.headers['test-session-id']);
+        assert.deepStrictEqual(await initialized, { type: 'init-test-session', value: 'mock-session-1' });
+
+        assert.strictEqual(server.endWait('packages checked'), 1);
+        assert.deepStrictEqual(await client.nextSignal(), { type: 'end-wait', value: 'packages checked' });
+        server.sendInfo('hello');
+        assert.deepStrictEqual(await client.nextSignal(), { type: 'info', value: 'hello' });
+        server.cancelCurrentTest();
+        assert.deepStrictEqual(await client.nextSignal(), { type: 'cancel-current-test', value: 'cancel' });
+        client.close();
+    } finally {
+        await server.stop();
+    }
+});
+
+test('frames of any length survive encoding and parsing', function() {
+    var parser = new ControlChannel.FrameParser();
+    var lengths = [0, 125, 126, 65535, 70000];
+    var encoded = Buffer.concat(lengths.map(function(length) {
+        return ControlChannel.encodeFrame(ControlChannel.OpcodeText, 'x'.repeat(length), length % 2 === 0);
+    }));
+
+    // Feed in small pieces to cover frames split across chunks.
+    var frames = [];
+    for (var i = 0; i < encoded.length; i += 1000) {
+        frames = frames.concat(parser.push(encoded.slice(i, i + 1000)));
+    }
+
+    assert.deepStrictEqual(frames.map(function(frame) {
+        return frame.payload.length;
+    }), lengths);
+});
@@ -0,0 +1,126 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var MockCordova = require('./mock_cordova');
+var Declarations = require('./declarations');
+var AdjustReplayer = require('../../www/adjust_replayer');
+var AdjustParameters = require('../../www/adjust_parameters');
+var AdjustListeners = require('../../www/adjust_listeners');
+
+var DECLARATIONS = Declarations.DECLARATIONS;
+var declarations = Declarations.parseDeclarations(DECLARATIONS);
+var names = Declarations.names;
+
+// Methods the SDK uses internally, which are left out of the declarations on purpose.
+var INTERNAL_METHODS = {
+    AdjustReplayer: ['queueNativeResponses', 'playEntry', 'playCall', 'decodeArgument', 'standInListener', 'buildConfig', 'buildEvent'],
+    AdjustConsent: ['hold', 'release']
+};
+
+function functionNames(object, declaredName) {
+    var internal = INTERNAL_METHODS[declaredName] || [];
+    return Object.getOwnPropertyNames(object).filter(function(name) {
+        return name !== 'constructor' && typeof object[name] === 'function' && internal.indexOf(name) === -1;
+    }).sort();
+}
+
+// Checks a class declaration against a constructor function and one of its instances.
+function assertClass(name, constructor, instance, inheritedFields) {
+    var members = declarations[name];
+    assert.ok(members, name + ' is declared');
+
+    assert.deepStrictEqual(names(members, function(member) {
+        return member.isStatic;
+    }), Object.keys(constructor).sort(), name + ' statics');
+    members.filter(function(member) {
+        return member.literal !== undefined;
+    }).forEach(function(member) {
+        assert.strictEqual(constructor[member.name], member.literal, name + '.' + member.name);
+    });
+
+    assert.deepStrictEqual(names(members, function(member) {
+        return !member.isStatic && member.isMethod;
+    }), functionNames(constructor.prototype, name), name + ' methods');
+
+    var fields = Object.getOwnPropertyNames(instance).filter(function(field) {
+        return (inheritedFields || []).indexOf(field) === -1;
+    });
+    assert.deepStrictEqual(names(members, function(member) {
+        return !member.isStatic && !member.isMethod && !member.isOptional;
+    }), fields.sort(), name + ' fields');
+}
+
+var mock;
+var sdk;
+
+test.before(function() {
+    mock = new MockCordova().install();
+    sdk = mock.load();
+});
+
+test.after(function() {
+    mock.uninstall();
+});
+
+test('AdjustConfig is declared with all its constants, fields and methods', function() {
+    assertClass('AdjustConfig', sdk.AdjustConfig, new sdk.AdjustConfig('123456789012', 'sandbox'));
+});
+
+test('AdjustEvent is declared with all its fields and methods', function() {
+    assertClass('AdjustEvent', sdk.AdjustEvent, new sdk.AdjustEvent('abc123'));
+});
+
+test('AdjustAdRevenue is declared with all its constants, fields and methods', function() {
+    assertClass('AdjustAdRevenue', sdk.AdjustAdRevenue, new sdk.AdjustAdRevenue('mopub'));
+});
+
+test('AdjustError is declared with all its codes', function() {
+    assertClass('AdjustError', sdk.AdjustError, new sdk.AdjustError('INVALID_CALL', 'create', 'Failed'), ['message', 'stack']);
+
+    var codes = /type AdjustErrorCode = ([^;]*);/.exec(DECLARATIONS)[1].match(/"[A-Z_]+"/g).map(JSON.parse);
+    assert.deepStrictEqual(codes.sort(), Object.keys(sdk.AdjustError).filter(function(key) {
+        return key.indexOf('Code') === 0;
+    }).map(function(key) {
+        return sdk.AdjustError[key];
+    }).sort());
+});
+
+test('AdjustReplayer is declared with all its fields and methods', function() {
+    var trace = { format: 'adjust-trace', version: 1, entries: [] };
+    assertClass('AdjustReplayer', AdjustReplayer, new AdjustReplayer(trace, { sdk: sdk }));
+});
+
+test('Adjust is declared with all its members and constants', function() {
+    var members = declarations.AdjustStatic;
+
+    assert.deepStrictEqual(names(members, function() {
+        return true;
+    }), Object.keys(sdk.Adjust).sort());
+    assert.deepStrictEqual(names(members, function(member) {
+        return member.isMethod;
+    }), functionNames(sdk.Adjust));
+    members.filter(function(member) {
+        return member.literal !== undefined;
+    }).forEach(function(member) {
+        assert.strictEqual(sdk.Adjust[member.name], member.literal, 'Adjust.' + member.name);
+    });
+});
+
+test('objects reachable through the globals are declared with all their methods', function() {
+    [
+        ['AdjustConsent', Object.getPrototypeOf(sdk.Adjust.consent)],
+        ['AdjustDeeplinkRouter', Object.getPrototypeOf(sdk.Adjust.deeplinks)],
+        ['AdjustParameters', AdjustParameters.prototype],
+        ['AdjustListeners', AdjustListeners.prototype]
+    ].forEach(function(entry) {
+        assert.deepStrictEqual(names(declarations[entry[0]], function(member) {
+            return member.isMethod;
+        }), functionNames(entry[1], entry[0]), entry[0]);
+    });
+});
+
+test('listeners are declared for every listener type', function() {
+    assert.deepStrictEqual(names(declarations.AdjustListenerMap, function() {
+        return true;
+    }), AdjustListeners.Types.slice().sort());
+});
@@ -0,0 +1,624 @@
+// Type definitions for the Adjust Cordova plugin (com.adjust.sdk) 4.18.0.
+// Describes the globals the plugin installs: Adjust, AdjustConfig, AdjustEvent, AdjustAdRevenue, AdjustError and AdjustReplayer.
+// test/unit/types.test.js checks the declarations against the www/ modules, test/types/usage.ts is compiled
+// against them by `npm run typecheck`.
+
+type AdjustEnvironment = "sandbox" | "production";
+type AdjustLogLevel = "VERBOSE" | "DEBUG" | "INFO" | "WARN" | "ERROR" | "ASSERT" | "SUPPRESS";
+type AdjustListenerType = "attribution" | "eventSuccess" | "eventFailure" | "sessionSuccess" | "sessionFailure" | "deferredDeeplink";
+type AdjustDeeplinkDecision = "launch" | "suppress" | "defer";
+type AdjustValidationMode = "strict" | "warn" | "none";
+type AdjustValidationSeverity = "error" | "warning";
+type AdjustPreInitQueueDropPolicy = "dropOldest" | "dropNewest";
+type AdjustParameterValuePolicy = "coerce" | "reject";
+type AdjustPiiType = "email" | "phone" | "cardNumber" | "ipAddress";
+type AdjustPiiAction = "redact" | "hash" | "reject" | "allow";
+type AdjustAdRevenueSource = "mopub";
+type AdjustConsentState = "unknown" | "granted" | "denied" | "forgotten";
+type AdjustConsentPolicy = "queue" | "drop";
+type AdjustErrorCode = "INVALID_CALL" | "INVALID_ARGUMENTS" | "SERIALIZATION_ERROR" | "BRIDGE_UNAVAILABLE" | "NATIVE_ERROR"
+    | "QUEUE_OVERFLOW" | "INVALID_CONFIG" | "DUPLICATE_TRANSACTION" | "INVALID_EVENT" | "CONSENT_MISSING" | "PII_DETECTED"
+    | "TEARDOWN" | "STORAGE_ERROR" | "LISTENER_ERROR";
+
+interface AdjustAttribution {
+    trackerToken: string;
+    trackerName: string;
+    network: string;
+    campaign: string;
+    adgroup: string;
+    creative: string;
+    clickLabel: string;
+    adid: string;
+}
+
+interface AdjustSessionSuccess {
+    message: string;
+    timestamp: string;
+    adid: string;
+    /** Backend response as JSON string. */
+    jsonResponse: string;
+}
+
+interface AdjustSessionFailure {
+    message: string;
+    timestamp: string;
+    adid: string;
+    willRetry: boolean;
+    /** Backend response as JSON string. */
+    jsonResponse: string;
+}
+
+interface AdjustEventSuccess {
+    message: string;
+    timestamp: string;
+    adid: string;
+    eventToken: string;
+    callbackId: string;
+    /** Backend response as JSON string. */
+    jsonResponse: string;
+}
+
+interface AdjustEventFailure {
+    message: string;
+    timestamp: string;
+    adid: string;
+    eventToken: string;
+    callbackId: string;
+    willRetry: boolean;
+    /** Backend response as JSON string. */
+    jsonResponse: string;
+}
+
+/** Listener signature per listener type. Deferred deep link listeners get the link and may decide what happens with it. */
+interface AdjustListenerMap {
+    attribution: (attribution: AdjustAttribution) => void;
+    eventSuccess: (eventSuccess: AdjustEventSuccess) => void;
+    eventFailure: (eventFailure: AdjustEventFailure) => void;
+    sessionSuccess: (sessionSuccess: AdjustSessionSuccess) => void;
+    sessionFailure: (sessionFailure: AdjustSessionFailure) => void;
+    deferredDeeplink: (deeplink: string) => AdjustDeeplinkDecision | void;
+}
+
+interface AdjustListenerOptions {
+    /** Attribution listeners get the last received attribution right away. */
+    replayLast?: boolean;
+}
+
+/** Storage adapter with the localStorage interface. */
+interface AdjustStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+interface AdjustConfigIssue {
+    severity: AdjustValidationSeverity;
+    field: string;
+    message: string;
+}
+
+/** Browser platform only. Delays in milliseconds. */
+interface AdjustWebTrackingOptions {
+    endpoint?: string;
+    minRetryDelay?: number;
+    maxRetryDelay?: number;
+}
+
+interface AdjustParameterOptions {
+    valuePolicy?: AdjustParameterValuePolicy;
+    maxKeyLength?: number | null;
+    maxValueLength?: number | null;
+    /** Event parameters only. */
+    maxCount?: number | null;
+}
+
+interface AdjustEventSchemaParameters {
+    required?: string[];
+    optional?: string[];
+}
+
+interface AdjustEventSchema {
+    token: string;
+    callbackParameters?: AdjustEventSchemaParameters;
+    partnerParameters?: AdjustEventSchemaParameters;
+    /** Events must carry revenue if true, must not if false. */
+    revenue?: boolean;
+}
+
+interface AdjustTransactionDeduplicationOptions {
+    enabled: boolean;
+    /** Milliseconds a transaction ID is remembered for, one day by default. */
+    ttl?: number;
+    storage?: AdjustStorage;
+}
+
+interface AdjustPiiViolation {
+    call: string;
+    parameterType: "callback" | "partner" | "sessionCallback" | "sessionPartner";
+    key: string;
+    type: AdjustPiiType;
+    action: AdjustPiiAction;
+}
+
+interface AdjustPiiFilterOptions {
+    enabled?: boolean;
+    action?: AdjustPiiAction;
+    rules?: { [key: string]: AdjustPiiAction };
+    types?: AdjustPiiType[];
+    onViolation?: ((violation: AdjustPiiViolation) => void) | null;
+}
+
+interface AdjustConsentOptions {
+    policy?: AdjustConsentPolicy;
+    maxQueueSize?: number;
+    storage?: AdjustStorage;
+}
+
+interface AdjustRecordingOptions {
+    maxEntries?: number;
+}
+
+interface AdjustParsedDeeplink {
+    url: string;
+    /** The link without Adjust parameters. */
+    cleanUrl: string;
+    scheme: string;
+    host: string;
+    port: string | null;
+    path: string;
+    fragment: string | null;
+    appParameters: { [key: string]: string };
+    adjustParameters: { [key: string]: string };
+    isTrackerLink: boolean;
+    deeplink: AdjustParsedDeeplink | null;
+}
+
+interface AdjustRoutedDeeplink {
+    url: string;
+    originalUrl: string;
+    source: "direct" | "deferred";
+    path: string;
+    pattern: string | null;
+    params: { [name: string]: string };
+    query: { [key: string]: string };
+    adjustParameters: { [key: string]: string };
+}
+
+interface AdjustTraceEntry {
+    type: "call" | "native" | "callback";
+    /** Milliseconds since the recording started. */
+    time: number;
+    method?: string;
+    args?: Array<{ type: string; value?: any; listeners?: AdjustListenerType[] }>;
+    action?: string;
+    outcome?: "success" | "error";
+    value?: any;
+    callbackType?: AdjustListenerType;
+    payload?: any;
+    decision?: AdjustDeeplinkDecision;
+}
+
+interface AdjustTrace {
+    format: "adjust-trace";
+    version: 1;
+    sdkPrefix: string;
+    recordedAt: string;
+    duration: number;
+    truncated: boolean;
+    entries: AdjustTraceEntry[];
+}
+
+/** Ordered key/value map of AdjustEvent.callbackParameters and partnerParameters. */
+interface AdjustParameters {
+    readonly keys: string[];
+    /** Returns null on success or the reason why the parameter was refused. */
+    set(key: string, value: any): string | null;
+    get(key: string): string | null;
+    has(key: string): boolean;
+    remove(key: string): boolean;
+    clear(): void;
+    size(): number;
+    /** Flat [key1, value1, key2, value2, ...] list. */
+    toJSON(): string[];
+}
+
+/** Listener lists of AdjustConfig.listeners. */
+interface AdjustListeners {
+    add<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T]): () => void;
+    once<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T]): () => void;
+    remove<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T]): void;
+    has(type: AdjustListenerType): boolean;
+    emit(type: AdjustListenerType, payload: any): any[];
+}
+
+/** Adjust.deeplinks */
+interface AdjustDeeplinkRouter {
+    /** Pattern segments starting with ':' capture the segment, a trailing '*' matches the rest. Returns a function which removes the route. */
+    route(pattern: string, handler: (link: AdjustRoutedDeeplink) => void): () => void;
+    otherwise(handler: ((link: AdjustRoutedDeeplink) => void) | null): void;
+    clear(): void;
+    dispatch(url: string, source?: "direct" | "deferred"): boolean;
+    /** Passes the link on to the native SDK before it gets dispatched. */
+    open(url: string): boolean;
+}
+
+/** Adjust.consent */
+interface AdjustConsent {
+    enable(options?: AdjustConsentOptions): void;
+    disable(): void;
+    isEnabled(): boolean;
+    getState(): AdjustConsentState;
+    isGranted(): boolean;
+    holdsCalls(): boolean;
+    getQueueSize(): number;
+    /** Returns the resulting state, denying granted consent forgets the device. */
+    setState(state: AdjustConsentState): AdjustConsentState;
+    grant(): AdjustConsentState;
+    deny(): AdjustConsentState;
+    forget(): AdjustConsentState;
+}
+
+declare class AdjustConfig {
+    static readonly EnvironmentSandbox: "sandbox";
+    static readonly EnvironmentProduction: "production";
+    static readonly LogLevelVerbose: "VERBOSE";
+    static readonly LogLevelDebug: "DEBUG";
+    static readonly LogLevelInfo: "INFO";
+    static readonly LogLevelWarn: "WARN";
+    static readonly LogLevelError: "ERROR";
+    static readonly LogLevelAssert: "ASSERT";
+    static readonly LogLevelSuppress: "SUPPRESS";
+    static readonly ValidationSeverityError: "error";
+    static readonly ValidationSeverityWarning: "warning";
+    static readonly DeeplinkDecisionLaunch: "launch";
+    static readonly DeeplinkDecisionSuppress: "suppress";
+    static readonly DeeplinkDecisionDefer: "defer";
+
+    constructor(appToken: string, environment: AdjustEnvironment);
+
+    appToken: string;
+    environment: AdjustEnvironment;
+    delayStart: number;
+    logLevel: AdjustLogLevel | null;
+    referrer: string | null;
+    userAgent: string | null;
+    isDeviceKnown: boolean | null;
+    defaultTracker: string | null;
+    sendInBackground: boolean | null;
+    shouldLaunchDeeplink: boolean | null;
+    eventBufferingEnabled: boolean | null;
+    attributionCallback: AdjustListenerMap["attribution"] | null;
+    eventTrackingSucceededCallback: AdjustListenerMap["eventSuccess"] | null;
+    eventTrackingFailedCallback: AdjustListenerMap["eventFailure"] | null;
+    sessionTrackingSucceededCallback: AdjustListenerMap["sessionSuccess"] | null;
+    sessionTrackingFailedCallback: AdjustListenerMap["sessionFailure"] | null;
+    deferredDeeplinkCallback: AdjustListenerMap["deferredDeeplink"] | null;
+    attributionCallbackListener: AdjustListenerMap["attribution"] | null;
+    eventTrackingSucceededCallbackListener: AdjustListenerMap["eventSuccess"] | null;
+    eventTrackingFailedCallbackListener: AdjustListenerMap["eventFailure"] | null;
+    sessionTrackingSucceededCallbackListener: AdjustListenerMap["sessionSuccess"] | null;
+    sessionTrackingFailedCallbackListener: AdjustListenerMap["sessionFailure"] | null;
+    deferredDeeplinkCallbackListener: AdjustListenerMap["deferredDeeplink"] | null;
+    sdkPrefix: string | null;
+    secretId: string | null;
+    info1: string | null;
+    info2: string | null;
+    info3: string | null;
+    info4: string | null;
+    /** Android only */
+    processName: string | null;
+    /** Android only, without effect since the functionality was removed. */
+    readMobileEquipmentIdentity: boolean | null;
+    /** Browser platform only */
+    webTracking: AdjustWebTrackingOptions | null;
+    /** Not enumerable, so it isn't sent to the native SDKs. */
+    readonly listeners: AdjustListeners;
+
+    getUserAgent(): string | null;
+    getDelayStart(): number;
+    getReferrer(): string | null;
+    getSendInBackground(): boolean | null;
+    getShouldLaunchDeeplink(): boolean | null;
+    getAttributionCallback(): AdjustListenerMap["attribution"] | null;
+    getEventTrackingSucceededCallback(): AdjustListenerMap["eventSuccess"] | null;
+    getEventTrackingFailedCallback(): AdjustListenerMap["eventFailure"] | null;
+    getSessionTrackingSucceededCallback(): AdjustListenerMap["sessionSuccess"] | null;
+    getSessionTrackingFailedCallback(): AdjustListenerMap["sessionFailure"] | null;
+    getDeferredDeeplinkCallback(): AdjustListenerMap["deferredDeeplink"] | null;
+    setEventBufferingEnabled(isEnabled: boolean): void;
+    setLogLevel(logLevel: AdjustLogLevel): void;
+    /** Android only */
+    setProcessName(processName: string): void;
+    setDefaultTracker(defaultTracker: string): void;
+    setUserAgent(userAgent: string): void;
+    setDeviceKnown(isDeviceKnown: boolean): void;
+    getSdkPrefix(): string | null;
+    setSdkPrefix(sdkPrefix: string): void;
+    /** @deprecated Android only, without effect. */
+    setReadMobileEquipmentIdentity(readMobileEquipmentIdentity: boolean): void;
+    setAppSecret(secretId: number | string, info1: number | string, info2: number | string, info3: number | string, info4: number | string): void;
+    /** Browser platform only: send packages to the backend instead of only logging them. */
+    setWebTracking(options?: AdjustWebTrackingOptions): void;
+    /** Seconds, up to 10. */
+    setDelayStart(delayStart: number): void;
+    setReferrer(referrer: string): void;
+    setSendInBackground(sendInBackground: boolean): void;
+    setShouldLaunchDeeplink(shouldLaunchDeeplink: boolean): void;
+    /** @deprecated Use setAttributionCallbackListener. */
+    setCallbackListener(callbackListener: AdjustListenerMap["attribution"]): void;
+    setAttributionCallbackListener(attributionCallbackListener: AdjustListenerMap["attribution"] | null): void;
+    setEventTrackingSucceededCallbackListener(eventTrackingSucceededCallbackListener: AdjustListenerMap["eventSuccess"] | null): void;
+    setEventTrackingFailedCallbackListener(eventTrackingFailedCallbackListener: AdjustListenerMap["eventFailure"] | null): void;
+    setSessionTrackingSucceededCallbackListener(sessionTrackingSucceededCallbackListener: AdjustListenerMap["sessionSuccess"] | null): void;
+    setSessionTrackingFailedCallbackListener(sessionTrackingFailedCallbackListener: AdjustListenerMap["sessionFailure"] | null): void;
+    setDeferredDeeplinkCallbackListener(deferredDeeplinkCallbackListener: AdjustListenerMap["deferredDeeplink"] | null): void;
+    /** Returns a function which removes the listener again. */
+    addListener<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T]): () => void;
+    removeListener<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T]): void;
+    /** @deprecated Use hasAttributionListener. */
+    hasListener(): boolean;
+    hasAttributionListener(): boolean;
+    hasEventTrackingSucceededListener(): boolean;
+    hasEventTrackingFailedListener(): boolean;
+    hasSessionTrackingSucceededListener(): boolean;
+    hasSessionTrackingFailedListener(): boolean;
+    hasDeferredDeeplinkCallbackListener(): boolean;
+    validate(): AdjustConfigIssue[];
+}
+
+declare class AdjustEvent {
+    /** Throws for unknown schema names and undeclared parameter keys. */
+    static fromSchema(name: string, params: { [key: string]: any }): AdjustEvent;
+
+    constructor(eventToken: string);
+
+    eventToken: string;
+    revenue: number | null;
+    currency: string | null;
+    transactionId: string | null;
+    callbackId: string | null;
+    callbackParameters: AdjustParameters;
+    partnerParameters: AdjustParameters;
+    /** iOS only */
+    receipt: string | null;
+    /** iOS only */
+    isReceiptSet: boolean;
+
+    /** Currency is an ISO 4217 code. Returns false if the revenue was refused. */
+    setRevenue(revenue: number | string, currency: string): boolean;
+    /** Returns false if the parameter was refused. */
+    addCallbackParameter(key: string, value: any): boolean;
+    /** Returns false if the parameter was refused. */
+    addPartnerParameter(key: string, value: any): boolean;
+    removeCallbackParameter(key: string): boolean;
+    removePartnerParameter(key: string): boolean;
+    setTransactionId(transactionId: string): void;
+    setCallbackId(callbackId: string): void;
+    /** @deprecated iOS only, use the Cordova purchase SDK. */
+    setReceiptForTransactionId(receipt: string, transactionId: string): void;
+}
+
+interface AdjustAdRevenueFields {
+    source: string;
+    revenue?: number | null;
+    currency?: string | null;
+    adRevenueNetwork?: string | null;
+    adRevenueUnit?: string | null;
+    adRevenuePlacement?: string | null;
+    adImpressionsCount?: number | null;
+}
+
+interface AdjustAdRevenueError {
+    field: string;
+    message: string;
+}
+
+declare class AdjustAdRevenue {
+    static readonly SourceMopub: "mopub";
+
+    /** Copies the fields of an object, e.g. of one built by the ionic-native wrapper. */
+    static fromFields(fields: AdjustAdRevenueFields): AdjustAdRevenue;
+
+    constructor(source: AdjustAdRevenueSource);
+
+    source: string;
+    revenue: number | null;
+    currency: string | null;
+    adRevenueNetwork: string | null;
+    adRevenueUnit: string | null;
+    adRevenuePlacement: string | null;
+    adImpressionsCount: number | null;
+
+    /** Currency is an ISO 4217 code, revenue isn't rounded. Returns false if the revenue was refused. */
+    setRevenue(revenue: number | string, currency: string): boolean;
+    setAdRevenueNetwork(adRevenueNetwork: string): void;
+    setAdRevenueUnit(adRevenueUnit: string): void;
+    setAdRevenuePlacement(adRevenuePlacement: string): void;
+    /** Returns false if the count was refused. Sources which don't take a count fail validate(). */
+    setAdImpressionsCount(adImpressionsCount: number): boolean;
+    validate(): AdjustAdRevenueError[];
+    /** JSON payload in the shape the source expects. Throws if the ad revenue isn't valid. */
+    toPayload(): string;
+}
+
+declare class AdjustError extends Error {
+    static readonly CodeInvalidCall: "INVALID_CALL";
+    static readonly CodeInvalidArguments: "INVALID_ARGUMENTS";
+    static readonly CodeSerializationError: "SERIALIZATION_ERROR";
+    static readonly CodeBridgeUnavailable: "BRIDGE_UNAVAILABLE";
+    static readonly CodeNativeError: "NATIVE_ERROR";
+    static readonly CodeQueueOverflow: "QUEUE_OVERFLOW";
+    static readonly CodeInvalidConfig: "INVALID_CONFIG";
+    static readonly CodeDuplicateTransaction: "DUPLICATE_TRANSACTION";
+    static readonly CodeInvalidEvent: "INVALID_EVENT";
+    static readonly CodeConsentMissing: "CONSENT_MISSING";
+    static readonly CodePiiDetected: "PII_DETECTED";
+    static readonly CodeTeardown: "TEARDOWN";
+    static readonly CodeStorageError: "STORAGE_ERROR";
+    static readonly CodeListenerError: "LISTENER_ERROR";
+
+    static fromNative(action: string, err: any): AdjustError;
+
+    constructor(code: AdjustErrorCode, action: string, message: string, nativeMessage?: string | null);
+
+    name: "AdjustError";
+    code: AdjustErrorCode;
+    /** Name of the native action or the Adjust method which failed. */
+    action: string;
+    nativeMessage: string | null;
+    /** Set on INVALID_CONFIG and INVALID_EVENT errors. */
+    issues?: AdjustConfigIssue[] | string[];
+    /** Set on LISTENER_ERROR errors, the error the listener or deep link handler threw. */
+    cause?: unknown;
+}
+
+interface AdjustReplayerOptions {
+    sdk?: { Adjust: AdjustStatic; AdjustConfig: typeof AdjustConfig; AdjustEvent: typeof AdjustEvent };
+    bridge?: {
+        respond(action: string, value: any): void;
+        fail(action: string, message: any): void;
+        trigger(action: string, payload: any): void;
+    };
+    /** Factor for the recorded timing, 0 plays the trace back as fast as possible. */
+    speed?: number;
+}
+
+interface AdjustReplayResult {
+    calls: number;
+    callbacks: number;
+    errors: Array<{ method: string; error: any }>;
+}
+
+declare class AdjustReplayer {
+    /** Throws for anything which isn't a trace of a supported version. */
+    constructor(trace: AdjustTrace, options?: AdjustReplayerOptions);
+
+    trace: AdjustTrace;
+    sdk: { Adjust: AdjustStatic; AdjustConfig: typeof AdjustConfig; AdjustEvent: typeof AdjustEvent };
+    bridge: AdjustReplayerOptions["bridge"] | null;
+    speed: number;
+    deeplinkDecision: AdjustDeeplinkDecision | undefined;
+
+    replay(): Promise<AdjustReplayResult>;
+}
+
+/**
+ * Calls of the native SDKs return a promise which resolves with the native result or rejects with an AdjustError.
+ * Getters take a callback instead, in which case nothing is returned.
+ */
+interface AdjustStatic {
+    readonly PreInitQueueDropOldest: "dropOldest";
+    readonly PreInitQueueDropNewest: "dropNewest";
+    readonly ConfigValidationStrict: "strict";
+    readonly ConfigValidationWarn: "warn";
+    readonly ConfigValidationNone: "none";
+    readonly EventValidationStrict: "strict";
+    readonly EventValidationWarn: "warn";
+    readonly EventValidationNone: "none";
+    readonly ParameterValuePolicyCoerce: "coerce";
+    readonly ParameterValuePolicyReject: "reject";
+    readonly PiiTypeEmail: "email";
+    readonly PiiTypePhone: "phone";
+    readonly PiiTypeCardNumber: "cardNumber";
+    readonly PiiTypeIpAddress: "ipAddress";
+    readonly PiiActionRedact: "redact";
+    readonly PiiActionHash: "hash";
+    readonly PiiActionReject: "reject";
+    readonly PiiActionAllow: "allow";
+    readonly ConsentUnknown: "unknown";
+    readonly ConsentGranted: "granted";
+    readonly ConsentDenied: "denied";
+    readonly ConsentForgotten: "forgotten";
+    readonly ConsentPolicyQueue: "queue";
+    readonly ConsentPolicyDrop: "drop";
+
+    /** Called with every failed call, also when the caller handles the failure, and with problems which don't fail a call. */
+    onError: ((error: AdjustError) => void) | null;
+    readonly deeplinks: AdjustDeeplinkRouter;
+    readonly consent: AdjustConsent;
+
+    create(adjustConfig: AdjustConfig): Promise<void>;
+    /** Returns a function which unsubscribes the listener. */
+    on<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T], options?: AdjustListenerOptions): () => void;
+    once<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T], options?: AdjustListenerOptions): () => void;
+    off<T extends AdjustListenerType>(type: T, listener: AdjustListenerMap[T]): void;
+    trackEvent(adjustEvent: AdjustEvent): Promise<void>;
+    setOfflineMode(enabled: boolean): Promise<void>;
+    appWillOpenUrl(url: string): Promise<void>;
+    launchPendingDeeplink(): Promise<void>;
+    getPendingDeeplink(): string | null;
+    discardPendingDeeplink(): void;
+    /** Returns null if url isn't an absolute link. */
+    parseDeeplink(url: string): AdjustParsedDeeplink | null;
+    setEnabled(enabled: boolean): Promise<void>;
+    setPushToken(pushToken: string): Promise<void>;
+    /** Android only */
+    setReferrer(referrer: string): Promise<void>;
+    isEnabled(): Promise<boolean>;
+    isEnabled(callback: (isEnabled: boolean) => void, errorCallback?: (error: AdjustError) => void): void;
+    gdprForgetMe(): Promise<void>;
+    /** Rejects with INVALID_ARGUMENTS if the ad revenue isn't valid. */
+    trackAdRevenue(adRevenue: AdjustAdRevenue | AdjustAdRevenueFields): Promise<void>;
+    /** Payload is a JSON string. */
+    trackAdRevenue(source: string, payload: string): Promise<void>;
+    /** Android only */
+    getGoogleAdId(): Promise<string>;
+    getGoogleAdId(callback: (googleAdId: string) => void, errorCallback?: (error: AdjustError) => void): void;
+    /** Android only */
+    getAmazonAdId(): Promise<string>;
+    getAmazonAdId(callback: (amazonAdId: string) => void, errorCallback?: (error: AdjustError) => void): void;
+    /** iOS only */
+    getIdfa(): Promise<string>;
+    getIdfa(callback: (idfa: string) => void, errorCallback?: (error: AdjustError) => void): void;
+    getAdid(): Promise<string>;
+    getAdid(callback: (adid: string) => void, errorCallback?: (error: AdjustError) => void): void;
+    /** May resolve with undefined until the backend sent the first attribution. */
+    getAttribution(): Promise<AdjustAttribution | undefined>;
+    getAttribution(callback: (attribution: AdjustAttribution | undefined) => void, errorCallback?: (error: AdjustError) => void): void;
+    getSdkVersion(): Promise<string>;
+    getSdkVersion(callback: (sdkVersion: string) => void, errorCallback?: (error: AdjustError) => void): void;
+    getSdkPrefix(): string;
+    getPreInitQueueSize(): number;
+    setPreInitQueueMaxSize(maxSize: number): void;
+    setPreInitQueueDropPolicy(dropPolicy: AdjustPreInitQueueDropPolicy): void;
+    setConfigValidationMode(validationMode: AdjustValidationMode): void;
+    setParameterOptions(options: AdjustParameterOptions): void;
+    registerEventSchema(name: string, schema: AdjustEventSchema): void;
+    registerEventSchemas(schemas: { [name: string]: AdjustEventSchema }): void;
+    unregisterEventSchema(name: string): void;
+    setEventValidationMode(validationMode: AdjustValidationMode): void;
+    setMissingTransactionIdWarning(enabled: boolean): void;
+    setTransactionDeduplicationOptions(options: AdjustTransactionDeduplicationOptions | null): void;
+    setPiiFilterOptions(options: AdjustPiiFilterOptions): void;
+    clearTrackedTransactions(): void;
+    addSessionCallbackParameter(key: string, value: string): Promise<void>;
+    removeSessionCallbackParameter(key: string): Promise<void>;
+    resetSessionCallbackParameters(): Promise<void>;
+    addSessionPartnerParameter(key: string, value: string): Promise<void>;
+    removeSessionPartnerParameter(key: string): Promise<void>;
+    resetSessionPartnerParameters(): Promise<void>;
+    sendFirstPackages(): Promise<void>;
+    startRecording(options?: AdjustRecordingOptions): void;
+    /** Returns null if nothing was being recorded. */
+    stopRecording(): AdjustTrace | null;
+    isRecording(): boolean;
+    /** Used by the test app only. */
+    setTestOptions(testOptions: any): Promise<void>;
+    /** Used by the test app only, does nothing unless called with 'test'. */
+    teardown(testParam: string): Promise<void> | undefined;
+    /** Used by the test app only, does nothing unless called with 'test'. */
+    onResume(testParam: string): Promise<void> | undefined;
+    /** Used by the test app only, does nothing unless called with 'test'. */
+    onPause(testParam: string): Promise<void> | undefined;
+}
+
+declare var Adjust: AdjustStatic;
+
+interface Window {
+    Adjust: AdjustStatic;
+    AdjustConfig: typeof AdjustConfig;
+    AdjustEvent: typeof AdjustEvent;
+    AdjustAdRevenue: typeof AdjustAdRevenue;
+    AdjustError: typeof AdjustError;
+    AdjustReplayer: typeof AdjustReplayer;
+}
@@ -1,201 +1,1075 @@
-function callCordova(action) {
-    var args = Array.prototype.slice.call(arguments, 1);
+var AdjustError = require('./adjust_error');
+var AdjustCommandQueue = require('./adjust_command_queue');
+var AdjustListeners = require('./adjust_listeners');
+var AdjustParameters = require('./adjust_parameters');
+var AdjustStorage = require('./adjust_storage');
+var AdjustTransactionStore = require('./adjust_transaction_store');
+var AdjustEventSchemas = require('./adjust_event_schemas');
+var AdjustDeeplinkParser = require('./adjust_deeplink_parser');
+var AdjustDeeplinkRouter = require('./adjust_deeplink_router');
+var AdjustRecorder = require('./adjust_recorder');
+var AdjustConsent = require('./adjust_consent');
+var AdjustPiiFilter = require('./adjust_pii_filter');
+var AdjustAdRevenue = require('./adjust_ad_revenue');
+var AdjustReporter = require('./adjust_reporter');
+
+// Actions which are kept in the pre-init queue when called before Adjust.create.
+var QUEUED_ACTIONS = [
+    'trackEvent',
+    'setOfflineMode',
+    'appWillOpenUrl',
+    'setEnabled',
+    'setPushToken',
+    'setReferrer',
+    'gdprForgetMe',
+    'trackAdRevenue',
+    'sendFirstPackages',
+    'addSessionCallbackParameter',
+    'removeSessionCallbackParameter',
+    'resetSessionCallbackParameters',
+    'addSessionPartnerParameter',
+    'removeSessionPartnerParameter',
+    'resetSessionPartnerParameters'
+];
+
+// Native SDKs accept session parameters before launch and attach them to the install session,
+// so these are flushed right before create while the rest of the queue follows create.
+var PRE_LAUNCH_ACTIONS = [
+    'addSessionCallbackParameter',
+    'removeSessionCallbackParameter',
+    'resetSessionCallbackParameters',
+    'addSessionPartnerParameter',
+    'removeSessionPartnerParameter',
+    'resetSessionPartnerParameters'
+];
+
+// Native action registering the persistent callback and matching AdjustConfig methods per listener type.
+var CALLBACKS = [
+    {
+        type: AdjustListeners.Attribution,
+        action: 'setAttributionCallback',
+        hasListener: 'hasAttributionListener',
+        getListener: 'getAttributionCallback'
+    },
+    {
+        type: AdjustListeners.EventSuccess,
+        action: 'setEventTrackingSucceededCallback',
+        hasListener: 'hasEventTrackingSucceededListener',
+        getListener: 'getEventTrackingSucceededCallback'
+    },
+    {
+        type: AdjustListeners.EventFailure,
+        action: 'setEventTrackingFailedCallback',
+        hasListener: 'hasEventTrackingFailedListener',
+        getListener: 'getEventTrackingFailedCallback'
+    },
+    {
+        type: AdjustListeners.SessionSuccess,
+        action: 'setSessionTrackingSucceededCallback',
+        hasListener: 'hasSessionTrackingSucceededListener',
+        getListener: 'getSessionTrackingSucceededCallback'
+    },
+    {
+        type: AdjustListeners.SessionFailure,
+        action: 'setSessionTrackingFailedCallback',
+        hasListener: 'hasSessionTrackingFailedListener',
+        getListener: 'getSessionTrackingFailedCallback'
+    },
+    {
+        type: AdjustListeners.DeferredDeeplink,
+        action: 'setDeferredDeeplinkCallback',
+        hasListener: 'hasDeferredDeeplinkCallbackListener',
+        getListener: 'getDeferredDeeplinkCallback'
+    }
+];
+
+// Subscriptions made through Adjust.on, on top of the ones of the config passed to create.
+var listeners = new AdjustListeners();
+var createdConfig = null;
+var lastAttribution = null;
+var isCreated = false;
+var preInitQueue = new AdjustCommandQueue(100, AdjustCommandQueue.DropNewest);
+var configValidationMode = 'warn';
+var eventValidationMode = 'warn';
+var warnOnMissingTransactionId = false;
+// Null while client side transaction deduplication is disabled.
+var transactionStore = null;
+// True while deferred deep links are launched from here, as decided by the deferred deep link listeners,
+// instead of by the native SDK.
+var decidesDeferredDeeplinks = false;
+var deeplinkStorage = AdjustStorage.createDefaultStorage();
+var PENDING_DEEPLINK_KEY = "adjust_pending_deeplink";
+// Values of AdjustConfig.DeeplinkDecision*.
+var DEEPLINK_DECISION_LAUNCH = "launch";
+var DEEPLINK_DECISION_SUPPRESS = "suppress";
+var DEEPLINK_DECISION_DEFER = "defer";
+
+// Set while Adjust.startRecording is in effect, together with the original methods of Adjust.
+var recorder = null;
+var recordedMethods = null;
+var recordingDepth = 0;
+// Methods which aren't recorded, since they control the recording itself.
+var UNRECORDED_METHODS = ['startRecording', 'stopRecording', 'isRecording', 'onError'];
+
+// Runs the call once consent is granted if it is held for consent, otherwise rejects it.
+// Calls released later are already part of a recording, so they aren't recorded again.
+function holdForConsent(action, run) {
+    var command = {
+        action: action,
+        run: run,
+        settler: createSettler()
+    };
+    if (!Adjust.consent.holdsCalls()) {
+        return failCall(command.settler, new AdjustError(AdjustError.CodeConsentMissing, action,
+            "Consent is " + Adjust.consent.getState() + ", call '" + action + "' was dropped."));
+    }
+    Adjust.consent.hold(command);
+    return command.settler.promise;
+}
+
+function dropConsentCommand(command) {
+    failCall(command.settler, new AdjustError(AdjustError.CodeQueueOverflow, command.action,
+        "Consent queue is full, call '" + command.action + "' was dropped."));
+}
+
+// Like in the pre-init queue, session parameters calls go first, so that they are attached to the install session.
+function releaseConsentCommands() {
+    var commands = Adjust.consent.release(isPreLaunchCommand).concat(Adjust.consent.release());
+    for (var i = 0; i < commands.length; i++) {
+        var command = commands[i];
+        recordingDepth++;
+        var promise;
+        try {
+            promise = command.run();
+        } finally {
+            recordingDepth--;
+        }
+        if (promise && command.settler.promise) {
+            promise.then(command.settler.resolve, command.settler.reject);
+        }
+    }
+}
+
+// Held calls follow granted consent and are rejected otherwise. Changed consent enables or disables
+// the SDK, revoked consent also forgets the device.
+function applyConsent(state, previousState) {
+    if (Adjust.consent.isGranted()) {
+        if (state !== previousState) {
+            fireAndForget(Adjust.setEnabled(true));
+        }
+        releaseConsentCommands();
+        return;
+    }
+
+    var commands = Adjust.consent.release();
+    for (var i = 0; i < commands.length; i++) {
+        failCall(commands[i].settler, new AdjustError(AdjustError.CodeConsentMissing, commands[i].action,
+            "Consent is " + state + ", call '" + commands[i].action + "' was dropped."));
+    }
+    if (state === AdjustConsent.StateForgotten && previousState !== AdjustConsent.StateForgotten) {
+        fireAndForget(Adjust.gdprForgetMe());
+    }
+    if ((state === AdjustConsent.StateDenied || state === AdjustConsent.StateForgotten) && state !== previousState) {
+        fireAndForget(Adjust.setEnabled(false));
+    }
+}
+
+// Pairs a native call with the caller's callbacks if a callback was passed,
+// otherwise with a promise which is handed back to the caller.
+function createSettler(callback, errorCallback) {
+    var settler = {
+        promise: undefined,
+        resolve: null,
+        reject: null
+    };
+
+    if (typeof callback === 'function') {
+        settler.resolve = callback;
+        settler.reject = typeof errorCallback === 'function' ? errorCallback : null;
+    } else if (typeof Promise !== 'undefined') {
+        settler.promise = new Promise(function(resolve, reject) {
+            settler.resolve = resolve;
+            settler.reject = reject;
+        });
+    }
+
+    return settler;
+}
+
+// Problems which don't fail a call, like config warnings, only go to Adjust.onError.
+function reportError(error) {
+    if (typeof Adjust.onError === 'function') {
+        Adjust.onError(error);
+    }
+}
+
+function failCall(settler, error) {
+    reportError(error);
+    if (settler.reject !== null) {
+        settler.reject(error);
+    }
+    return settler.promise;
+}
+
+// For calls the SDK makes on its own, without a caller to hand the promise to. Their failures
+// have already reached Adjust.onError through failCall, they only must not go unhandled.
+function fireAndForget(promise) {
+    if (promise) {
+        promise.catch(function() { });
+    }
+}
+
+// Runs the native action. When a callback is passed, the native result is
+// handed to it and nothing is returned. Otherwise a promise is returned which
+// resolves with the native result or rejects with an AdjustError.
+function execCordova(action, args, callback, errorCallback) {
+    var settler = createSettler(callback, errorCallback);
+
+    if (typeof cordova === 'undefined') {
+        return failCall(settler, new AdjustError(AdjustError.CodeBridgeUnavailable, action,
+            "Cordova bridge is not available, call '" + action + "' was not executed."));
+    }
 
     cordova.exec(
-        function callback(data) { },
-        function errorHandler(err) { },
+        function callback(data) {
+            if (recorder !== null && !isCallbackAction(action)) {
+                recorder.recordNative(action, AdjustRecorder.OutcomeSuccess, data);
+            }
+            if (settler.resolve !== null) {
+                settler.resolve(data);
+            }
+        },
+        function errorHandler(err) {
+            if (recorder !== null) {
+                recorder.recordNative(action, AdjustRecorder.OutcomeError, err);
+            }
+            failCall(settler, AdjustError.fromNative(action, err));
+        },
         'Adjust',
         action,
         args
     );
+
+    return settler.promise;
 }
 
-function callCordovaStringify(action) {
+// Runs the native action right away once the SDK has been created.
+// Before that, actions which need a running SDK are kept in the pre-init queue.
+function execOrQueue(action, args) {
+    if (isCreated || QUEUED_ACTIONS.indexOf(action) === -1) {
+        return execCordova(action, args);
+    }
+
+    var command = {
+        action: action,
+        args: args,
+        settler: createSettler()
+    };
+    var droppedCommand = preInitQueue.push(command);
+    if (droppedCommand !== null) {
+        dropCommand(droppedCommand);
+    }
+
+    return command.settler.promise;
+}
+
+function dropCommand(command) {
+    failCall(command.settler, new AdjustError(AdjustError.CodeQueueOverflow, command.action,
+        "Pre-init queue is full, call '" + command.action + "' was dropped."));
+}
+
+// Queued and held calls don't survive teardown, their callers learn about it through the rejection.
+function dropTeardownCommands(commands) {
+    for (var i = 0; i < commands.length; i++) {
+        failCall(commands[i].settler, new AdjustError(AdjustError.CodeTeardown, commands[i].action,
+            "SDK was torn down, call '" + commands[i].action + "' was dropped."));
+    }
+}
+
+function flushCommands(commands) {
+    for (var i = 0; i < commands.length; i++) {
+        var command = commands[i];
+        var promise = execCordova(command.action, command.args);
+        if (promise && command.settler.promise) {
+            promise.then(command.settler.resolve, command.settler.reject);
+        }
+    }
+}
+
+function isPreLaunchCommand(command) {
+    return PRE_LAUNCH_ACTIONS.indexOf(command.action) !== -1;
+}
+
+// Returns the error to refuse create with under the current validation mode or null.
+// Issues which don't lead to refusal are reported to Adjust.onError.
+function checkConfig(adjustConfig) {
+    if (!adjustConfig) {
+        return new AdjustError(AdjustError.CodeInvalidConfig, 'create', "Adjust config is missing.");
+    }
+    if (configValidationMode === Adjust.ConfigValidationNone || typeof adjustConfig.validate !== 'function') {
+        return null;
+    }
+
+    var issues = adjustConfig.validate();
+    var errorMessages = [];
+    for (var i = 0; i < issues.length; i++) {
+        if (issues[i].severity === 'error') {
+            errorMessages.push(issues[i].message);
+        }
+    }
+
+    if (configValidationMode === Adjust.ConfigValidationStrict && errorMessages.length > 0) {
+        var error = new AdjustError(AdjustError.CodeInvalidConfig, 'create',
+            "Adjust config is invalid: " + errorMessages.join(" "));
+        error.issues = issues;
+        return error;
+    }
+
+    if (issues.length > 0) {
+        var messages = [];
+        for (var j = 0; j < issues.length; j++) {
+            messages.push(issues[j].severity + " (" + issues[j].field + "): " + issues[j].message);
+        }
+        var warning = new AdjustError(AdjustError.CodeInvalidConfig, 'create',
+            "Adjust config has issues: " + messages.join(" "));
+        warning.issues = issues;
+        reportError(warning);
+    }
+    return null;
+}
+
+// Returns the error to refuse the event with under the current validation mode or null.
+// Problems which don't lead to refusal are reported to Adjust.onError.
+function checkEvent(adjustEvent) {
+    if (eventValidationMode === Adjust.EventValidationNone) {
+        return null;
+    }
+
+    var issues = AdjustEventSchemas.validate(adjustEvent);
+    if (issues.length === 0) {
+        return null;
+    }
+    var error = new AdjustError(AdjustError.CodeInvalidEvent, 'trackEvent',
+        "Adjust event doesn't match its schema: " + issues.join(" "));
+    error.issues = issues;
+    if (eventValidationMode === Adjust.EventValidationStrict) {
+        return error;
+    }
+    reportError(error);
+    return null;
+}
+
+// Runs one parameter through the PII filter and reports its violations.
+// Returns the value to be sent or null if the parameter was rejected.
+function filterParameter(call, parameterType, key, value) {
+    var filtered = AdjustPiiFilter.filter(key, value);
+    for (var i = 0; i < filtered.violations.length; i++) {
+        var violation = filtered.violations[i];
+        AdjustPiiFilter.report({
+            call: call,
+            parameterType: parameterType,
+            key: violation.key,
+            type: violation.type,
+            action: violation.action
+        });
+    }
+    return filtered.rejected ? null : filtered.value;
+}
+
+// Filters a flat [key1, value1, ...] list, the keys of rejected parameters are collected in rejectedKeys.
+function filterParameterList(parameters, parameterType, rejectedKeys) {
+    var list = parameters && typeof parameters.toJSON === 'function' ? parameters.toJSON() : parameters;
+    if (!Array.isArray(list)) {
+        return parameters;
+    }
+    var filtered = [];
+    for (var i = 0; i + 1 < list.length; i += 2) {
+        var value = filterParameter('trackEvent', parameterType, list[i], list[i + 1]);
+        if (value === null) {
+            rejectedKeys.push(list[i]);
+        }
+        filtered.push(list[i], value);
+    }
+    return filtered;
+}
+
+// Returns { event } with a copy of adjustEvent carrying the filtered parameters to be sent instead of it,
+// or { error } if parameters were rejected. The app's own event is left untouched.
+function filterEvent(adjustEvent) {
+    if (!AdjustPiiFilter.isEnabled() || !adjustEvent) {
+        return { event: adjustEvent };
+    }
+
+    var filteredEvent = {};
+    for (var key in adjustEvent) {
+        if (Object.prototype.hasOwnProperty.call(adjustEvent, key)) {
+            filteredEvent[key] = adjustEvent[key];
+        }
+    }
+    var rejectedKeys = [];
+    filteredEvent.callbackParameters = filterParameterList(adjustEvent.callbackParameters, 'callback', rejectedKeys);
+    filteredEvent.partnerParameters = filterParameterList(adjustEvent.partnerParameters, 'partner', rejectedKeys);
+
+    if (rejectedKeys.length > 0) {
+        return {
+            error: new AdjustError(AdjustError.CodePiiDetected, 'trackEvent',
+                "Event '" + adjustEvent.eventToken + "' has personal data in parameters: " + rejectedKeys.join(", ") + ".")
+        };
+    }
+    return { event: filteredEvent };
+}
+
+function emitCallback(callback, payload) {
+    var recordedEntry = recorder !== null ? recorder.recordCallback(callback.action, callback.type, payload) : null;
+    var results = [];
+    if (callback.type === AdjustListeners.Attribution) {
+        lastAttribution = payload;
+    }
+    if (createdConfig !== null) {
+        if (createdConfig.listeners && typeof createdConfig.listeners.emit === 'function') {
+            results = createdConfig.listeners.emit(callback.type, payload);
+        } else if (typeof createdConfig[callback.hasListener] === 'function' && createdConfig[callback.hasListener]()) {
+            // Configs built without listener lists (e.g. by ionic-native) hold a single listener.
+            results = [createdConfig[callback.getListener]()(payload)];
+        }
+    }
+    results = results.concat(listeners.emit(callback.type, payload));
+
+    if (callback.type === AdjustListeners.DeferredDeeplink) {
+        if (recordedEntry !== null && listenerDecision(results) !== null) {
+            // Replayed traces have stand-in listeners, which return the recorded decision.
+            recordedEntry.decision = listenerDecision(results);
+        }
+        handleDeferredDeeplink(payload, results);
+    }
+}
+
+function isCallbackAction(action) {
+    for (var i = 0; i < CALLBACKS.length; i++) {
+        if (CALLBACKS[i].action === action) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// First decision returned by a listener or null.
+function listenerDecision(results) {
+    for (var i = 0; i < results.length; i++) {
+        if (results[i] === DEEPLINK_DECISION_LAUNCH
+            || results[i] === DEEPLINK_DECISION_SUPPRESS
+            || results[i] === DEEPLINK_DECISION_DEFER) {
+            return results[i];
+        }
+    }
+    return null;
+}
+
+// Without a decision of the listeners, the shouldLaunchDeeplink setting decides.
+function deferredDeeplinkDecision(results) {
+    var decision = listenerDecision(results);
+    if (decision !== null) {
+        return decision;
+    }
+    if (createdConfig !== null && createdConfig.shouldLaunchDeeplink === false) {
+        return DEEPLINK_DECISION_SUPPRESS;
+    }
+    return DEEPLINK_DECISION_LAUNCH;
+}
+
+// Launched links come back through the app's direct link handling, the ones which are not launched
+// are handed to the deep link router right away.
+function handleDeferredDeeplink(url, results) {
+    if (!decidesDeferredDeeplinks) {
+        if (createdConfig !== null && createdConfig.shouldLaunchDeeplink === false) {
+            Adjust.deeplinks.dispatch(url, AdjustDeeplinkRouter.SourceDeferred);
+        }
+        return;
+    }
+
+    var decision = deferredDeeplinkDecision(results);
+    if (decision === DEEPLINK_DECISION_DEFER) {
+        storePendingDeeplink(url, 'setDeferredDeeplinkCallback');
+        return;
+    }
+    storePendingDeeplink(null, 'setDeferredDeeplinkCallback');
+    if (decision === DEEPLINK_DECISION_LAUNCH) {
+        fireAndForget(callCordova('launchDeeplink', url));
+    } else {
+        Adjust.deeplinks.dispatch(url, AdjustDeeplinkRouter.SourceDeferred);
+    }
+}
+
+// Pending deep links are kept across app restarts, so that they can still be launched
+// when the app gets closed before it is ready for them. action is the call failures are reported for.
+function storePendingDeeplink(url, action) {
+    try {
+        if (url === null) {
+            deeplinkStorage.removeItem(PENDING_DEEPLINK_KEY);
+        } else {
+            deeplinkStorage.setItem(PENDING_DEEPLINK_KEY, url);
+        }
+    } catch (err) {
+        reportError(new AdjustError(AdjustError.CodeStorageError, action,
+            "Unable to store pending deep link: " + err.message));
+    }
+}
+
+function readPendingDeeplink() {
+    try {
+        return deeplinkStorage.getItem(PENDING_DEEPLINK_KEY);
+    } catch (err) {
+        return null;
+    }
+}
+
+// The native SDK must not launch deferred deep links itself while listeners decide about them.
+function withoutNativeDeeplinkLaunch(adjustConfig) {
+    var nativeConfig = {};
+    for (var key in adjustConfig) {
+        if (Object.prototype.hasOwnProperty.call(adjustConfig, key)) {
+            nativeConfig[key] = adjustConfig[key];
+        }
+    }
+    nativeConfig.shouldLaunchDeeplink = false;
+    return nativeConfig;
+}
+
+function shouldReplayAttribution(type, options) {
+    return type === AdjustListeners.Attribution && !!options && options.replayLast === true && lastAttribution !== null;
+}
+
+function registerCallback(callback) {
+    callCordovaCallback(callback.action, function(payload) {
+        emitCallback(callback, payload);
+    });
+}
+
+// Session parameters follow the same key and value rules as event parameters.
+// Their count isn't limited, since the native SDKs keep them across app launches.
+function callCordovaSessionParameter(action, key, value) {
+    if (!Adjust.consent.isGranted()) {
+        return holdForConsent(action, function() {
+            return callCordovaSessionParameter(action, key, value);
+        });
+    }
+    var normalized = AdjustParameters.normalize(key, value);
+    if (normalized.error) {
+        return failCall(createSettler(), new AdjustError(AdjustError.CodeInvalidArguments, action, normalized.error));
+    }
+    var parameterType = action === 'addSessionCallbackParameter' ? 'sessionCallback' : 'sessionPartner';
+    var filteredValue = filterParameter(action, parameterType, normalized.key, normalized.value);
+    if (filteredValue === null) {
+        return failCall(createSettler(), new AdjustError(AdjustError.CodePiiDetected, action,
+            "Session parameter '" + normalized.key + "' has personal data."));
+    }
+    return callCordova(action, normalized.key, filteredValue);
+}
+
+// Replaces the methods of Adjust by ones which record their calls. Calls made by other Adjust
+// methods (e.g. getSdkPrefix by create) are part of the outer call and aren't recorded.
+function recordMethods() {
+    recordedMethods = {};
+    for (var name in Adjust) {
+        if (Object.prototype.hasOwnProperty.call(Adjust, name)
+            && typeof Adjust[name] === 'function'
+            && UNRECORDED_METHODS.indexOf(name) === -1) {
+            recordedMethods[name] = Adjust[name];
+            Adjust[name] = recordingMethod(name, Adjust[name]);
+        }
+    }
+}
+
+function recordingMethod(name, method) {
+    return function() {
+        if (recorder !== null && recordingDepth === 0) {
+            recorder.recordCall(name, arguments);
+        }
+        recordingDepth++;
+        try {
+            return method.apply(this, arguments);
+        } finally {
+            recordingDepth--;
+        }
+    };
+}
+
+function restoreMethods() {
+    for (var name in recordedMethods) {
+        if (Object.prototype.hasOwnProperty.call(recordedMethods, name)) {
+            Adjust[name] = recordedMethods[name];
+        }
+    }
+    recordedMethods = null;
+}
+
+function callCordova(action) {
     var args = Array.prototype.slice.call(arguments, 1);
+    return execOrQueue(action, args);
+}
 
-    cordova.exec(
-        function callback(data) { },
-        function errorHandler(err) { },
-        'Adjust',
-        action,
-        [JSON.stringify(args)]
-    );
+function callCordovaWithConsent(action) {
+    var args = arguments;
+    if (!Adjust.consent.isGranted()) {
+        return holdForConsent(action, function() {
+            return callCordovaWithConsent.apply(null, args);
+        });
+    }
+    return callCordova.apply(null, args);
 }
 
-function callCordovaCallback(action, callback) {
-    var args = Array.prototype.slice.call(arguments, 2);
+function callCordovaStringify(action) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var serializedArgs;
 
-    cordova.exec(callback,
-        function errorHandler(err) { },
-        'Adjust',
-        action,
-        args
-    );
+    try {
+        serializedArgs = JSON.stringify(args);
+    } catch (err) {
+        return failCall(createSettler(), new AdjustError(AdjustError.CodeSerializationError, action,
+            "Unable to serialize arguments of '" + action + "': " + err.message));
+    }
+
+    return execOrQueue(action, [serializedArgs]);
+}
+
+function callCordovaCallback(action, callback, errorCallback) {
+    var args = Array.prototype.slice.call(arguments, 3);
+    return execCordova(action, args, callback, errorCallback);
 }
 
 var Adjust = {
+    // Set to a function to be notified about every failed call, regardless of
+    // whether the caller handles the returned promise or passed an error callback,
+    // and about problems which don't fail a call, like config warnings.
+    onError: null,
+
     create: function(adjustConfig) {
-        if (adjustConfig) {
-            adjustConfig.sdkPrefix = this.getSdkPrefix();
+        if (!Adjust.consent.isGranted()) {
+            return holdForConsent('create', function() {
+                return Adjust.create(adjustConfig);
+            });
         }
-
-        if (adjustConfig.hasAttributionListener()) {
-            callCordovaCallback('setAttributionCallback', adjustConfig.getAttributionCallback());
+        var configError = checkConfig(adjustConfig);
+        if (configError !== null) {
+            return failCall(createSettler(), configError);
         }
 
-        if (adjustConfig.hasEventTrackingSucceededListener()) {
-            callCordovaCallback('setEventTrackingSucceededCallback', adjustConfig.getEventTrackingSucceededCallback());
-        }
+        adjustConfig.sdkPrefix = this.getSdkPrefix();
 
-        if (adjustConfig.hasEventTrackingFailedListener()) {
-            callCordovaCallback('setEventTrackingFailedCallback', adjustConfig.getEventTrackingFailedCallback());
+        // Every callback type gets registered, so that listeners subscribed after create get notified too.
+        createdConfig = adjustConfig;
+        for (var i = 0; i < CALLBACKS.length; i++) {
+            registerCallback(CALLBACKS[i]);
         }
 
-        if (adjustConfig.hasSessionTrackingSucceededListener()) {
-            callCordovaCallback('setSessionTrackingSucceededCallback', adjustConfig.getSessionTrackingSucceededCallback());
+        decidesDeferredDeeplinks = typeof adjustConfig.hasDeferredDeeplinkCallbackListener === 'function'
+            && adjustConfig.hasDeferredDeeplinkCallbackListener();
+
+        flushCommands(preInitQueue.drain(isPreLaunchCommand));
+        var result = callCordovaStringify('create',
+            decidesDeferredDeeplinks ? withoutNativeDeeplinkLaunch(adjustConfig) : adjustConfig);
+        isCreated = true;
+        flushCommands(preInitQueue.drain());
+
+        // Calls made after a failed create are queued again, until the next create.
+        if (result) {
+            result = result.then(null, function(err) {
+                isCreated = false;
+                throw err;
+            });
         }
+        return result;
+    },
 
-        if (adjustConfig.hasSessionTrackingFailedListener()) {
-            callCordovaCallback('setSessionTrackingFailedCallback', adjustConfig.getSessionTrackingFailedCallback());
+    // Subscribes listener to callbacks of given type ("attribution", "eventSuccess", "eventFailure",
+    // "sessionSuccess", "sessionFailure" or "deferredDeeplink"). Returns a function which unsubscribes it.
+    // With { replayLast: true } option, attribution listeners get the last received attribution right away.
+    on: function(type, listener, options) {
+        var unsubscribe = listeners.add(type, listener);
+        if (shouldReplayAttribution(type, options)) {
+            listener(lastAttribution);
         }
+        return unsubscribe;
+    },
 
-        if (adjustConfig.hasDeferredDeeplinkCallbackListener()) {
-            callCordovaCallback('setDeferredDeeplinkCallback', adjustConfig.getDeferredDeeplinkCallback());
+    once: function(type, listener, options) {
+        if (shouldReplayAttribution(type, options)) {
+            listener(lastAttribution);
+            return function unsubscribe() { };
         }
+        return listeners.once(type, listener);
+    },
 
-        callCordovaStringify('create', adjustConfig);
+    off: function(type, listener) {
+        listeners.remove(type, listener);
     },
 
     trackEvent: function(adjustEvent) {
-        callCordovaStringify('trackEvent', adjustEvent);
+        if (!Adjust.consent.isGranted()) {
+            return holdForConsent('trackEvent', function() {
+                return Adjust.trackEvent(adjustEvent);
+            });
+        }
+        var eventError = checkEvent(adjustEvent);
+        if (eventError !== null) {
+            return failCall(createSettler(), eventError);
+        }
+        var filtered = filterEvent(adjustEvent);
+        if (filtered.error) {
+            return failCall(createSettler(), filtered.error);
+        }
+        var hasRevenue = adjustEvent && adjustEvent.revenue !== null && adjustEvent.revenue !== undefined;
+        if (warnOnMissingTransactionId && hasRevenue && !adjustEvent.transactionId) {
+            reportError(new AdjustError(AdjustError.CodeInvalidEvent, 'trackEvent',
+                "Revenue event '" + adjustEvent.eventToken + "' has no transaction ID and can't be deduplicated."));
+        }
+        var transactionId = adjustEvent ? adjustEvent.transactionId : null;
+        var store = transactionStore;
+        if (store === null || !transactionId) {
+            return callCordovaStringify('trackEvent', filtered.event);
+        }
+
+        var now = Date.now();
+        if (store.isDuplicate(transactionId, now)) {
+            return failCall(createSettler(), new AdjustError(AdjustError.CodeDuplicateTransaction, 'trackEvent',
+                "Transaction ID '" + transactionId + "' was already tracked, event '" + adjustEvent.eventToken + "' was skipped."));
+        }
+        store.remember(transactionId, now);
+
+        var result = callCordovaStringify('trackEvent', filtered.event);
+        if (result) {
+            // A failed call doesn't count as tracked, so that it can be retried.
+            result.then(null, function() {
+                store.forget(transactionId, Date.now());
+            });
+        }
+        return result;
     },
 
     setOfflineMode: function(enabled) {
-        callCordova('setOfflineMode', enabled);
+        return callCordova('setOfflineMode', enabled);
     },
 
     appWillOpenUrl: function(url) {
-        callCordova('appWillOpenUrl', url);
+        return callCordova('appWillOpenUrl', url);
+    },
+
+    // Launches the deferred deep link a listener has decided to defer, if there is one.
+    launchPendingDeeplink: function() {
+        var url = readPendingDeeplink();
+        if (url === null) {
+            var settler = createSettler();
+            if (settler.resolve !== null) {
+                settler.resolve();
+            }
+            return settler.promise;
+        }
+        storePendingDeeplink(null, 'launchPendingDeeplink');
+        return callCordova('launchDeeplink', url);
+    },
+
+    getPendingDeeplink: function() {
+        return readPendingDeeplink();
+    },
+
+    discardPendingDeeplink: function() {
+        storePendingDeeplink(null, 'discardPendingDeeplink');
+    },
+
+    // Returns { url, cleanUrl, scheme, host, port, path, fragment, appParameters, adjustParameters,
+    // isTrackerLink, deeplink } or null if url isn't an absolute link. Doesn't call into the native SDK.
+    parseDeeplink: function(url) {
+        return AdjustDeeplinkParser.parse(url);
     },
 
     setEnabled: function(enabled) {
-        callCordova('setEnabled', enabled);
+        return callCordova('setEnabled', enabled);
     },
 
     setPushToken: function(pushToken) {
-        callCordova('setPushToken', pushToken);
+        return callCordova('setPushToken', pushToken);
     },
 
     setReferrer: function(referrer) {
-        callCordova('setReferrer', referrer);
+        return callCordova('setReferrer', referrer);
     },
 
-    isEnabled: function(callback) {
-        callCordovaCallback('isEnabled', callback);
+    isEnabled: function(callback, errorCallback) {
+        return callCordovaCallback('isEnabled', callback, errorCallback);
     },
 
     gdprForgetMe: function() {
-        callCordova('gdprForgetMe');
+        return callCordova('gdprForgetMe');
     },
 
+    // Takes an AdjustAdRevenue, or the source and the payload as a JSON string.
     trackAdRevenue: function(source, payload) {
-        callCordova('trackAdRevenue', source, payload);
+        if (source === null || typeof source !== 'object') {
+            return callCordova('trackAdRevenue', source, payload);
+        }
+        // Wrappers like ionic-native hand over plain objects with the same fields.
+        var adRevenue = source instanceof AdjustAdRevenue ? source : AdjustAdRevenue.fromFields(source);
+        var errors = adRevenue.validate();
+        if (errors.length > 0) {
+            return failCall(createSettler(), new AdjustError(AdjustError.CodeInvalidArguments, 'trackAdRevenue',
+                "Ad revenue is invalid: " + errors.map(function(error) {
+                    return error.message;
+                }).join(" ")));
+        }
+        return callCordova('trackAdRevenue', adRevenue.source, adRevenue.toPayload());
     },
 
-    getGoogleAdId: function(callback) {
-        callCordovaCallback('getGoogleAdId', callback);
+    getGoogleAdId: function(callback, errorCallback) {
+        return callCordovaCallback('getGoogleAdId', callback, errorCallback);
     },
 
-    getAmazonAdId: function(callback) {
-        callCordovaCallback('getAmazonAdId', callback);
+    getAmazonAdId: function(callback, errorCallback) {
+        return callCordovaCallback('getAmazonAdId', callback, errorCallback);
     },
 
-    getIdfa: function(callback) {
-        callCordovaCallback('getIdfa', callback);
+    getIdfa: function(callback, errorCallback) {
+        return callCordovaCallback('getIdfa', callback, errorCallback);
     },
 
-    getAdid: function(callback) {
-        callCordovaCallback('getAdid', callback);
+    getAdid: function(callback, errorCallback) {
+        return callCordovaCallback('getAdid', callback, errorCallback);
     },
 
-    getAttribution: function(callback) {
-        callCordovaCallback('getAttribution', callback);
+    getAttribution: function(callback, errorCallback) {
+        return callCordovaCallback('getAttribution', callback, errorCallback);
     },
 
-    getSdkVersion: function(callback) {
+    getSdkVersion: function(callback, errorCallback) {
         var sdkPrefix = this.getSdkPrefix();
-        callCordovaCallback('getSdkVersion', function(sdkVersion) {
-            callback(sdkPrefix + "@" + sdkVersion);
-        });
+        var withSdkPrefix = function(sdkVersion) {
+            return sdkPrefix + "@" + sdkVersion;
+        };
+
+        if (typeof callback === 'function') {
+            return callCordovaCallback('getSdkVersion', function(sdkVersion) {
+                callback(withSdkPrefix(sdkVersion));
+            }, errorCallback);
+        }
+
+        var promise = callCordovaCallback('getSdkVersion');
+        return promise && promise.then(withSdkPrefix);
     },
 
     getSdkPrefix: function () {
         return 'cordova4.18.0';
     },
 
+    getPreInitQueueSize: function() {
+        return preInitQueue.size();
+    },
+
+    setPreInitQueueMaxSize: function(maxSize) {
+        var droppedCommands = preInitQueue.setMaxSize(maxSize);
+        for (var i = 0; i < droppedCommands.length; i++) {
+            dropCommand(droppedCommands[i]);
+        }
+    },
+
+    setPreInitQueueDropPolicy: function(dropPolicy) {
+        preInitQueue.setDropPolicy(dropPolicy);
+    },
+
+    setConfigValidationMode: function(validationMode) {
+        configValidationMode = validationMode;
+    },
+
+    // Options: valuePolicy, maxKeyLength, maxValueLength and maxCount (event parameters only).
+    setParameterOptions: function(options) {
+        AdjustParameters.setOptions(options);
+    },
+
+    // Schema: { token, callbackParameters: { required, optional }, partnerParameters: { required, optional }, revenue }.
+    registerEventSchema: function(name, schema) {
+        AdjustEventSchemas.register(name, schema);
+    },
+
+    // Takes an object which maps event names to their schemas.
+    registerEventSchemas: function(schemas) {
+        for (var name in schemas) {
+            if (Object.prototype.hasOwnProperty.call(schemas, name)) {
+                AdjustEventSchemas.register(name, schemas[name]);
+            }
+        }
+    },
+
+    unregisterEventSchema: function(name) {
+        AdjustEventSchemas.unregister(name);
+    },
+
+    setEventValidationMode: function(validationMode) {
+        eventValidationMode = validationMode;
+    },
+
+    // Reports every tracked revenue event without a transaction ID to Adjust.onError.
+    setMissingTransactionIdWarning: function(enabled) {
+        warnOnMissingTransactionId = enabled === true;
+    },
+
+    // Options: enabled, ttl (milliseconds a transaction ID is remembered for, one day by default)
+    // and storage (adapter with the localStorage interface, localStorage by default).
+    setTransactionDeduplicationOptions: function(options) {
+        if (!options || options.enabled !== true) {
+            transactionStore = null;
+            return;
+        }
+        transactionStore = new AdjustTransactionStore(
+            options.storage || AdjustStorage.createDefaultStorage(),
+            typeof options.ttl === 'number' ? options.ttl : AdjustTransactionStore.DefaultTtl);
+    },
+
+    // Options: enabled, action (Adjust.PiiActionRedact by default), rules ({ key: action }), types
+    // (all of Adjust.PiiType* by default) and onViolation (called with every violation, Adjust.onError gets them otherwise).
+    setPiiFilterOptions: function(options) {
+        AdjustPiiFilter.setOptions(options);
+    },
+
+    clearTrackedTransactions: function() {
+        if (transactionStore !== null) {
+            transactionStore.clear();
+        }
+    },
+
     addSessionCallbackParameter: function(key, value) {
-        callCordova('addSessionCallbackParameter', key, value);
+        return callCordovaSessionParameter('addSessionCallbackParameter', key, value);
     },
 
     removeSessionCallbackParameter: function(key) {
-        callCordova('removeSessionCallbackParameter', key);
+        return callCordovaWithConsent('removeSessionCallbackParameter', key);
     },
 
     resetSessionCallbackParameters: function() {
-        callCordova('resetSessionCallbackParameters');
+        return callCordovaWithConsent('resetSessionCallbackParameters');
     },
 
     addSessionPartnerParameter: function(key, value) {
-        callCordova('addSessionPartnerParameter', key, value);
+        return callCordovaSessionParameter('addSessionPartnerParameter', key, value);
     },
 
     removeSessionPartnerParameter: function(key) {
-        callCordova('removeSessionPartnerParameter', key);
+        return callCordovaWithConsent('removeSessionPartnerParameter', key);
     },
 
     resetSessionPartnerParameters: function() {
-        callCordova('resetSessionPartnerParameters');
+        return callCordovaWithConsent('resetSessionPartnerParameters');
     },
 
     sendFirstPackages: function() {
-        callCordova('sendFirstPackages');
+        return callCordova('sendFirstPackages');
+    },
+
+    // Records every call of Adjust methods, the native responses and callbacks until stopRecording.
+    // Options: maxEntries (10000 by default), entries after it are dropped and the trace is marked truncated.
+    startRecording: function(options) {
+        if (recorder !== null) {
+            return;
+        }
+        recorder = new AdjustRecorder(options);
+        recordMethods();
+    },
+
+    // Returns the recorded trace, which can be saved with JSON.stringify and played back with
+    // AdjustReplayer, or null if nothing was being recorded.
+    stopRecording: function() {
+        if (recorder === null) {
+            return null;
+        }
+        restoreMethods();
+        var trace = recorder.getTrace(this.getSdkPrefix());
+        recorder = null;
+        return trace;
+    },
+
+    isRecording: function() {
+        return recorder !== null;
     },
 
     setTestOptions: function(testOptions) {
-        callCordova('setTestOptions', testOptions);
+        return callCordova('setTestOptions', testOptions);
     },
 
     teardown: function(testParam) {
         if(testParam === null || testParam === undefined || testParam !== 'test') {
            return;
         }
-        callCordova('teardown');
+        isCreated = false;
+        createdConfig = null;
+        lastAttribution = null;
+        transactionStore = null;
+        decidesDeferredDeeplinks = false;
+        storePendingDeeplink(null, 'teardown');
+        dropTeardownCommands(preInitQueue.drain());
+        dropTeardownCommands(Adjust.consent.release());
+        return callCordova('teardown');
     },
 
     onResume: function(testParam) {
         if(testParam === null || testParam === undefined || testParam !== 'test') {
            return;
         }
-        callCordova('onResume');
+        return callCordova('onResume');
     },
 
     onPause: function(testParam) {
         if(testParam === null || testParam === undefined || testParam !== 'test') {
            return;
         }
-        callCordova('onPause');
+        return callCordova('onPause');
     }
 };
 
 function onPause() {
-    callCordova('onPause');
+    fireAndForget(callCordova('onPause'));
 }
 
 function onResume() {
-    callCordova('onResume');
+    fireAndForget(callCordova('onResume'));
 }
 
 document.addEventListener('resume', onResume, false);
 document.addEventListener('pause', onPause, false);
 
+AdjustReporter.setListener(reportError);
+
+Adjust.deeplinks = new AdjustDeeplinkRouter(function(url) {
+    return Adjust.appWillOpenUrl(url);
+});
+
+// Consent of the user to tracking. Once enabled, create, trackEvent and the session parameters
+// methods are held or rejected until consent is granted.
+Adjust.consent = new AdjustConsent(applyConsent, dropConsentCommand);
+
+Adjust.PreInitQueueDropOldest = AdjustCommandQueue.DropOldest;
+Adjust.PreInitQueueDropNewest = AdjustCommandQueue.DropNewest;
+Adjust.ConfigValidationStrict  = "strict";
+Adjust.ConfigValidationWarn    = "warn";
+Adjust.ConfigValidationNone    = "none";
+
+Adjust.EventValidationStrict   = "strict";
+Adjust.EventValidationWarn     = "warn";
+Adjust.EventValidationNone     = "none";
+
+Adjust.ParameterValuePolicyCoerce = AdjustParameters.ValuePolicyCoerce;
+Adjust.ParameterValuePolicyReject = AdjustParameters.ValuePolicyReject;
+
+Adjust.PiiTypeEmail      = AdjustPiiFilter.TypeEmail;
+Adjust.PiiTypePhone      = AdjustPiiFilter.TypePhone;
+Adjust.PiiTypeCardNumber = AdjustPiiFilter.TypeCardNumber;
+Adjust.PiiTypeIpAddress  = AdjustPiiFilter.TypeIpAddress;
+Adjust.PiiActionRedact   = AdjustPiiFilter.ActionRedact;
+Adjust.PiiActionHash     = AdjustPiiFilter.ActionHash;
+Adjust.PiiActionReject   = AdjustPiiFilter.ActionReject;
+Adjust.PiiActionAllow    = AdjustPiiFilter.ActionAllow;
+
+Adjust.ConsentUnknown     = AdjustConsent.StateUnknown;
+Adjust.ConsentGranted     = AdjustConsent.StateGranted;
+Adjust.ConsentDenied      = AdjustConsent.StateDenied;
+Adjust.ConsentForgotten   = AdjustConsent.StateForgotten;
+Adjust.ConsentPolicyQueue = AdjustConsent.PolicyQueue;
+Adjust.ConsentPolicyDrop  = AdjustConsent.PolicyDrop;
+
 module.exports = Adjust;
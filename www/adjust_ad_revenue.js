@@ -0,0 +1,191 @@
+var AdjustCurrencies = require('./adjust_currencies');
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
+// Ad revenue reported by a mediation network, for Adjust.trackAdRevenue. Each source expects the
+// payload in its own shape, toPayload writes the fields the way the ad revenue's source names them.
+//
+//   var adRevenue = new AdjustAdRevenue(AdjustAdRevenue.SourceMopub);
+//   adRevenue.setRevenue(0.0025, 'USD');
+//   adRevenue.setAdRevenueUnit('b195f8dd8ded45fe847ad89ed1d016da');
+//   Adjust.trackAdRevenue(adRevenue);
+
+function AdjustAdRevenue(source) {
+    this.source = source;
+    this.revenue = null;
+    this.currency = null;
+    this.adRevenueNetwork = null;
+    this.adRevenueUnit = null;
+    this.adRevenuePlacement = null;
+    this.adImpressionsCount = null;
+}
+
+AdjustAdRevenue.SourceMopub = "mopub";
+
+// Payload keys of the fields for each source and the fields the source can't do without. Fields
+// without a key aren't part of the source's payload and must stay unset.
+var SOURCES = {
+    // MoPub's ImpressionData.getJsonRepresentation(), with the number of impressions the revenue is for.
+    mopub: {
+        keys: {
+            revenue: 'publisher_revenue',
+            currency: 'currency',
+            adRevenueNetwork: 'network_name',
+            adRevenueUnit: 'adunit_id',
+            adRevenuePlacement: 'network_placement_id',
+            adImpressionsCount: 'adImpressionsCount'
+        },
+        required: ['revenue', 'currency']
+    }
+};
+
+var FIELDS = ['revenue', 'currency', 'adRevenueNetwork', 'adRevenueUnit', 'adRevenuePlacement', 'adImpressionsCount'];
+
+// Creates an ad revenue with the fields of an object, e.g. of one built by the ionic-native wrapper.
+AdjustAdRevenue.fromFields = function(fields) {
+    var adRevenue = new AdjustAdRevenue(fields.source);
+    FIELDS.forEach(function(field) {
+        if (fields[field] !== undefined) {
+            adRevenue[field] = fields[field];
+        }
+    });
+    return adRevenue;
+};
+
+function revenueError(revenue, currency) {
+    if (typeof revenue !== 'number' || !isFinite(revenue)) {
+        return "Revenue must be a finite number, got: " + revenue;
+    }
+    if (revenue < 0) {
+        return "Revenue can't be negative, got: " + revenue;
+    }
+    if (!AdjustCurrencies.isSupported(currency)) {
+        return "Currency must be an ISO 4217 code, got: " + JSON.stringify(currency);
+    }
+    return null;
+}
+
+function impressionsCountError(adImpressionsCount) {
+    if (typeof adImpressionsCount !== 'number' || adImpressionsCount % 1 !== 0 || adImpressionsCount < 1) {
+        return "Ad impressions count must be a positive integer, got: " + adImpressionsCount;
+    }
+    return null;
+}
+
+// Currency must be an ISO 4217 code. Unlike event revenue, ad revenue isn't rounded to the currency's
+// minor unit, as the revenue of a single impression is usually a fraction of it.
+// Returns false if revenue was refused, in which case the reason is reported to Adjust.onError and no revenue is kept.
+AdjustAdRevenue.prototype.setRevenue = function(revenue, currency) {
+    if (typeof currency === 'string') {
+        currency = currency.toUpperCase();
+    }
+    if (typeof revenue === 'string' && revenue.trim() !== '') {
+        revenue = Number(revenue);
+    }
+
+    var error = revenueError(revenue, currency);
+    if (error !== null) {
+        AdjustReporter.report(AdjustError.CodeInvalidArguments, 'setRevenue', error + " Revenue won't be added to the ad revenue.");
+        this.revenue = null;
+        this.currency = null;
+        return false;
+    }
+
+    this.revenue = revenue;
+    this.currency = currency;
+    return true;
+};
+
+AdjustAdRevenue.prototype.setAdRevenueNetwork = function(adRevenueNetwork) {
+    this.adRevenueNetwork = adRevenueNetwork;
+};
+
+AdjustAdRevenue.prototype.setAdRevenueUnit = function(adRevenueUnit) {
+    this.adRevenueUnit = adRevenueUnit;
+};
+
+AdjustAdRevenue.prototype.setAdRevenuePlacement = function(adRevenuePlacement) {
+    this.adRevenuePlacement = adRevenuePlacement;
+};
+
+// Returns false if the count was refused, in which case the reason is reported to Adjust.onError.
+// Sources which don't take a count refuse it in validate.
+AdjustAdRevenue.prototype.setAdImpressionsCount = function(adImpressionsCount) {
+    var error = impressionsCountError(adImpressionsCount);
+    if (error !== null) {
+        AdjustReporter.report(AdjustError.CodeInvalidArguments, 'setAdImpressionsCount',
+            error + " Ad impressions count won't be added to the ad revenue.");
+        return false;
+    }
+    this.adImpressionsCount = adImpressionsCount;
+    return true;
+};
+
+function isSet(value) {
+    return value !== null && value !== undefined;
+}
+
+// Returns the list of { field, message } problems which keep the ad revenue from being tracked.
+AdjustAdRevenue.prototype.validate = function() {
+    var self = this;
+    var errors = [];
+    var addError = function(field, message) {
+        errors.push({ field: field, message: message });
+    };
+
+    var source = typeof this.source === 'string' && Object.prototype.hasOwnProperty.call(SOURCES, this.source)
+        ? SOURCES[this.source]
+        : null;
+    if (source === null) {
+        addError('source', "Ad revenue source must be one of " + Object.keys(SOURCES).map(function(name) {
+            return "'" + name + "'";
+        }).join(", ") + ", got: " + JSON.stringify(this.source));
+        return errors;
+    }
+
+    // Revenue and currency are set together, a missing one is reported as missing below.
+    var error = isSet(this.revenue) && isSet(this.currency) ? revenueError(this.revenue, this.currency) : null;
+    if (error !== null) {
+        addError('revenue', error);
+    }
+    ['adRevenueNetwork', 'adRevenueUnit', 'adRevenuePlacement'].forEach(function(field) {
+        if (isSet(self[field]) && (typeof self[field] !== 'string' || self[field] === '')) {
+            addError(field, "Field '" + field + "' must be a non-empty string, got: " + JSON.stringify(self[field]));
+        }
+    });
+    error = isSet(this.adImpressionsCount) ? impressionsCountError(this.adImpressionsCount) : null;
+    if (error !== null) {
+        addError('adImpressionsCount', error);
+    }
+
+    FIELDS.forEach(function(field) {
+        var inPayload = Object.prototype.hasOwnProperty.call(source.keys, field);
+        if (!isSet(self[field]) && source.required.indexOf(field) !== -1) {
+            addError(field, "Field '" + field + "' is required by ad revenue source '" + self.source + "'.");
+        } else if (isSet(self[field]) && !inPayload) {
+            addError(field, "Field '" + field + "' isn't part of the payload of ad revenue source '" + self.source + "'.");
+        }
+    });
+    return errors;
+};
+
+// Serializes the ad revenue into the JSON payload of its source. Throws if it isn't valid.
+AdjustAdRevenue.prototype.toPayload = function() {
+    var errors = this.validate();
+    if (errors.length > 0) {
+        throw new TypeError("Ad revenue is invalid: " + errors.map(function(error) {
+            return error.message;
+        }).join(" "));
+    }
+
+    var keys = SOURCES[this.source].keys;
+    var payload = {};
+    for (var field in keys) {
+        if (isSet(this[field])) {
+            payload[keys[field]] = this[field];
+        }
+    }
+    return JSON.stringify(payload);
+};
+
+module.exports = AdjustAdRevenue;
@@ -0,0 +1,62 @@
+// Ordered, size limited list of commands which can't be sent to the native bridge yet.
+function AdjustCommandQueue(maxSize, dropPolicy) {
+    this.commands = [];
+    this.maxSize = maxSize;
+    this.dropPolicy = dropPolicy;
+}
+
+AdjustCommandQueue.DropOldest = "dropOldest";
+AdjustCommandQueue.DropNewest = "dropNewest";
+
+AdjustCommandQueue.prototype.size = function() {
+    return this.commands.length;
+};
+
+// Adds command to the end of the queue.
+// Returns the command which had to be dropped to respect the size limit or null.
+AdjustCommandQueue.prototype.push = function(command) {
+    if (this.commands.length < this.maxSize) {
+        this.commands.push(command);
+        return null;
+    }
+    if (this.dropPolicy === AdjustCommandQueue.DropOldest && this.commands.length > 0) {
+        var dropped = this.commands.shift();
+        this.commands.push(command);
+        return dropped;
+    }
+    return command;
+};
+
+// Removes and returns, in order, all commands for which filter returns true (all commands if no filter passed).
+AdjustCommandQueue.prototype.drain = function(filter) {
+    var drained = [];
+    var kept = [];
+    for (var i = 0; i < this.commands.length; i++) {
+        if (!filter || filter(this.commands[i])) {
+            drained.push(this.commands[i]);
+        } else {
+            kept.push(this.commands[i]);
+        }
+    }
+    this.commands = kept;
+    return drained;
+};
+
+// Returns the commands which had to be dropped to fit the new size limit.
+AdjustCommandQueue.prototype.setMaxSize = function(maxSize) {
+    this.maxSize = maxSize;
+    var overflow = this.commands.length - maxSize;
+    if (overflow <= 0) {
+        return [];
+    }
+    if (this.dropPolicy === AdjustCommandQueue.DropOldest) {
+        return this.commands.splice(0, overflow);
+    }
+    return this.commands.splice(maxSize, overflow);
+};
+
+AdjustCommandQueue.prototype.setDropPolicy = function(dropPolicy) {
+    this.dropPolicy = dropPolicy;
+};
+
+module.exports = AdjustCommandQueue;
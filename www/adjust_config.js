@@ -1,3 +1,5 @@
+var AdjustListeners = require('./adjust_listeners');
+
 function AdjustConfig(appToken, environment) {
     this.appToken = appToken;
     this.environment = environment;
@@ -16,6 +18,12 @@ function AdjustConfig(appToken, environment) {
     this.sessionTrackingSucceededCallback = null;
     this.sessionTrackingFailedCallback = null;
     this.deferredDeeplinkCallback = null;
+    this.attributionCallbackListener = null;
+    this.eventTrackingSucceededCallbackListener = null;
+    this.eventTrackingFailedCallbackListener = null;
+    this.sessionTrackingSucceededCallbackListener = null;
+    this.sessionTrackingFailedCallbackListener = null;
+    this.deferredDeeplinkCallbackListener = null;
     this.sdkPrefix = null;
     this.secretId = null;
     this.info1 = null;
@@ -25,6 +33,10 @@ function AdjustConfig(appToken, environment) {
     // Android only
     this.processName = null;
     this.readMobileEquipmentIdentity = null;
+    // Browser platform only
+    this.webTracking = null;
+    // Not enumerable, so that it doesn't end up in the config sent to the native side.
+    Object.defineProperty(this, 'listeners', { value: new AdjustListeners(), enumerable: false });
 };
 
 AdjustConfig.EnvironmentSandbox    = "sandbox";
@@ -37,6 +49,17 @@ AdjustConfig.LogLevelError         = "ERROR";
 AdjustConfig.LogLevelAssert        = "ASSERT";
 AdjustConfig.LogLevelSuppress      = "SUPPRESS";
 
+AdjustConfig.ValidationSeverityError   = "error";
+AdjustConfig.ValidationSeverityWarning = "warning";
+
+// Values deferred deep link listeners can return to decide what happens with the link.
+AdjustConfig.DeeplinkDecisionLaunch   = "launch";
+AdjustConfig.DeeplinkDecisionSuppress = "suppress";
+AdjustConfig.DeeplinkDecisionDefer    = "defer";
+
+var APP_TOKEN_LENGTH = 12;
+var MAX_DELAY_START = 10.0;
+
 AdjustConfig.prototype.getUserAgent = function() {
     return this.userAgent;
 };
@@ -137,6 +160,12 @@ AdjustConfig.prototype.setAppSecret = function(secretId, info1, info2, info3, in
     }
 };
 
+// Makes the browser platform send packages to the backend instead of only logging them.
+// `options` is { endpoint, minRetryDelay, maxRetryDelay }, each optional, delays in milliseconds.
+AdjustConfig.prototype.setWebTracking = function(options) {
+    this.webTracking = options || {};
+};
+
 AdjustConfig.prototype.setDelayStart = function(delayStart) {
     this.delayStart = delayStart;
 }
@@ -153,64 +182,164 @@ AdjustConfig.prototype.setShouldLaunchDeeplink = function(shouldLaunchDeeplink)
     this.shouldLaunchDeeplink = shouldLaunchDeeplink;
 };
 
+// Replaces the listener previously set through the given setter, keeping the ones added with addListener.
+function setCallbackListener(adjustConfig, type, field, listener) {
+    if (adjustConfig[field]) {
+        adjustConfig.listeners.remove(type, adjustConfig[field]);
+    }
+    adjustConfig[field] = listener;
+    if (typeof listener === 'function') {
+        adjustConfig.listeners.add(type, listener);
+    }
+}
+
 // @deprecated
 AdjustConfig.prototype.setCallbackListener = function(callbackListener) {
     console.warn("Calling deprecated function! Use the setAttributionCallbackListener instead. Check adjust_config.js for more info.");
-    this.attributionCallbackListener = attributionCallbackListener;
+    this.setAttributionCallbackListener(callbackListener);
 };
 
 AdjustConfig.prototype.setAttributionCallbackListener = function(attributionCallbackListener) {
-    this.attributionCallbackListener = attributionCallbackListener;
+    setCallbackListener(this, AdjustListeners.Attribution, 'attributionCallbackListener', attributionCallbackListener);
 };
 
 AdjustConfig.prototype.setEventTrackingSucceededCallbackListener = function(eventTrackingSucceededCallbackListener) {
-    this.eventTrackingSucceededCallbackListener = eventTrackingSucceededCallbackListener;
+    setCallbackListener(this, AdjustListeners.EventSuccess, 'eventTrackingSucceededCallbackListener', eventTrackingSucceededCallbackListener);
 };
 
 AdjustConfig.prototype.setEventTrackingFailedCallbackListener = function(eventTrackingFailedCallbackListener) {
-    this.eventTrackingFailedCallbackListener = eventTrackingFailedCallbackListener;
+    setCallbackListener(this, AdjustListeners.EventFailure, 'eventTrackingFailedCallbackListener', eventTrackingFailedCallbackListener);
 };
 
 AdjustConfig.prototype.setSessionTrackingSucceededCallbackListener = function(sessionTrackingSucceededCallbackListener) {
-    this.sessionTrackingSucceededCallbackListener = sessionTrackingSucceededCallbackListener;
+    setCallbackListener(this, AdjustListeners.SessionSuccess, 'sessionTrackingSucceededCallbackListener', sessionTrackingSucceededCallbackListener);
 };
 
 AdjustConfig.prototype.setSessionTrackingFailedCallbackListener = function(sessionTrackingFailedCallbackListener) {
-    this.sessionTrackingFailedCallbackListener = sessionTrackingFailedCallbackListener;
+    setCallbackListener(this, AdjustListeners.SessionFailure, 'sessionTrackingFailedCallbackListener', sessionTrackingFailedCallbackListener);
 };
 
+// The listener may return one of the AdjustConfig.DeeplinkDecision* values. Without a decision,
+// the link is launched unless setShouldLaunchDeeplink(false) was called.
 AdjustConfig.prototype.setDeferredDeeplinkCallbackListener = function(deferredDeeplinkCallbackListener) {
-    this.deferredDeeplinkCallbackListener = deferredDeeplinkCallbackListener;
+    setCallbackListener(this, AdjustListeners.DeferredDeeplink, 'deferredDeeplinkCallbackListener', deferredDeeplinkCallbackListener);
+};
+
+// Adds one more listener of given type ("attribution", "eventSuccess", "eventFailure",
+// "sessionSuccess", "sessionFailure" or "deferredDeeplink").
+// Returns a function which removes the listener again.
+AdjustConfig.prototype.addListener = function(type, listener) {
+    return this.listeners.add(type, listener);
+};
+
+AdjustConfig.prototype.removeListener = function(type, listener) {
+    this.listeners.remove(type, listener);
 };
 
 // @deprecated
 AdjustConfig.prototype.hasListener = function() {
     console.warn("Calling deprecated function! Use the hasAttributionListener instead. Check adjust_config.js for more info");
-    return this.attributionCallbackListener !== null;
+    return this.hasAttributionListener();
 };
 
 AdjustConfig.prototype.hasAttributionListener = function() {
-    return this.attributionCallbackListener !== null;
+    return this.listeners.has(AdjustListeners.Attribution);
 };
 
 AdjustConfig.prototype.hasEventTrackingSucceededListener = function() {
-    return this.eventTrackingSucceededCallbackListener !== null;
+    return this.listeners.has(AdjustListeners.EventSuccess);
 };
 
 AdjustConfig.prototype.hasEventTrackingFailedListener = function() {
-    return this.eventTrackingFailedCallbackListener !== null;
+    return this.listeners.has(AdjustListeners.EventFailure);
 };
 
 AdjustConfig.prototype.hasSessionTrackingSucceededListener = function() {
-    return this.sessionTrackingSucceededCallbackListener !== null;
+    return this.listeners.has(AdjustListeners.SessionSuccess);
 };
 
 AdjustConfig.prototype.hasSessionTrackingFailedListener = function() {
-    return this.sessionTrackingFailedCallbackListener !== null;
+    return this.listeners.has(AdjustListeners.SessionFailure);
 };
 
 AdjustConfig.prototype.hasDeferredDeeplinkCallbackListener = function() {
-    return this.deferredDeeplinkCallbackListener !== null;
+    return this.listeners.has(AdjustListeners.DeferredDeeplink);
+};
+
+// Checks the config for values the native SDKs would reject or silently ignore.
+// Returns a list of { severity, field, message } issues, empty if config is fine.
+AdjustConfig.prototype.validate = function() {
+    var issues = [];
+    var addIssue = function(severity, field, message) {
+        issues.push({ severity: severity, field: field, message: message });
+    };
+
+    if (typeof this.appToken !== 'string' || this.appToken.length !== APP_TOKEN_LENGTH) {
+        addIssue(AdjustConfig.ValidationSeverityError, 'appToken',
+            "App token must be a string of " + APP_TOKEN_LENGTH + " characters, got: " + JSON.stringify(this.appToken));
+    }
+
+    if (this.environment !== AdjustConfig.EnvironmentSandbox && this.environment !== AdjustConfig.EnvironmentProduction) {
+        addIssue(AdjustConfig.ValidationSeverityError, 'environment',
+            "Environment must be either '" + AdjustConfig.EnvironmentSandbox + "' or '" + AdjustConfig.EnvironmentProduction
+            + "', got: " + JSON.stringify(this.environment));
+    }
+
+    if (this.logLevel !== null && this.logLevel !== undefined) {
+        var logLevels = [
+            AdjustConfig.LogLevelVerbose,
+            AdjustConfig.LogLevelDebug,
+            AdjustConfig.LogLevelInfo,
+            AdjustConfig.LogLevelWarn,
+            AdjustConfig.LogLevelError,
+            AdjustConfig.LogLevelAssert,
+            AdjustConfig.LogLevelSuppress
+        ];
+        if (typeof this.logLevel !== 'string' || logLevels.indexOf(this.logLevel.toUpperCase()) === -1) {
+            addIssue(AdjustConfig.ValidationSeverityWarning, 'logLevel',
+                "Unknown log level " + JSON.stringify(this.logLevel) + ", native SDK will fall back to its default.");
+        }
+    }
+
+    if (this.delayStart !== null && this.delayStart !== undefined) {
+        if (typeof this.delayStart !== 'number' || !isFinite(this.delayStart)) {
+            addIssue(AdjustConfig.ValidationSeverityError, 'delayStart',
+                "Delay start must be a number of seconds, got: " + JSON.stringify(this.delayStart));
+        } else if (this.delayStart < 0) {
+            addIssue(AdjustConfig.ValidationSeverityWarning, 'delayStart',
+                "Delay start can't be negative, got: " + this.delayStart + ". SDK will start without delay.");
+        } else if (this.delayStart > MAX_DELAY_START) {
+            addIssue(AdjustConfig.ValidationSeverityWarning, 'delayStart',
+                "Delay start is capped at " + MAX_DELAY_START + " seconds, got: " + this.delayStart);
+        }
+    }
+
+    var appSecretParts = ['secretId', 'info1', 'info2', 'info3', 'info4'];
+    var setAppSecretParts = 0;
+    for (var i = 0; i < appSecretParts.length; i++) {
+        var part = this[appSecretParts[i]];
+        if (part === null || part === undefined) {
+            continue;
+        }
+        setAppSecretParts++;
+        if (!/^[0-9]+$/.test(part.toString())) {
+            addIssue(AdjustConfig.ValidationSeverityError, appSecretParts[i],
+                "App secret parts must be non-negative integers, got: " + JSON.stringify(part));
+        }
+    }
+    if (setAppSecretParts > 0 && setAppSecretParts < appSecretParts.length) {
+        addIssue(AdjustConfig.ValidationSeverityError, 'secretId',
+            "App secret is incomplete, all of secretId, info1, info2, info3 and info4 need to be set.");
+    }
+
+    if (this.webTracking !== null && this.webTracking !== undefined && this.webTracking.endpoint != null) {
+        if (typeof this.webTracking.endpoint !== 'string' || !/^https?:\/\/[^\/]+/.test(this.webTracking.endpoint)) {
+            addIssue(AdjustConfig.ValidationSeverityError, 'webTracking',
+                "Web tracking endpoint must be an http(s) URL, got: " + JSON.stringify(this.webTracking.endpoint));
+        }
+    }
+
+    return issues;
 };
 
 module.exports = AdjustConfig;
@@ -0,0 +1,165 @@
+var AdjustStorage = require('./adjust_storage');
+var AdjustCommandQueue = require('./adjust_command_queue');
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
+// Keeps the user's consent to tracking, persisted through a storage adapter (see adjust_storage.js).
+// Consent management is off until enable is called. onChange is called with the new and the previous
+// state whenever the state changes, so that held calls can be released or dropped. onDrop is called
+// with held calls which had to be dropped to respect the size limit.
+function AdjustConsent(onChange, onDrop) {
+    this.onChange = onChange;
+    this.onDrop = onDrop;
+    this.enabled = false;
+    this.storage = null;
+    this.policy = AdjustConsent.PolicyQueue;
+    this.state = AdjustConsent.StateUnknown;
+    // Calls made while consent is unknown under the queue policy.
+    this.queue = new AdjustCommandQueue(AdjustConsent.DefaultMaxQueueSize, AdjustCommandQueue.DropNewest);
+}
+
+AdjustConsent.StorageKey          = "adjust_consent_state";
+AdjustConsent.DefaultMaxQueueSize = 100;
+
+AdjustConsent.StateUnknown   = "unknown";
+AdjustConsent.StateGranted   = "granted";
+AdjustConsent.StateDenied    = "denied";
+AdjustConsent.StateForgotten = "forgotten";
+
+AdjustConsent.PolicyQueue = "queue";
+AdjustConsent.PolicyDrop  = "drop";
+
+var STATES = [
+    AdjustConsent.StateUnknown,
+    AdjustConsent.StateGranted,
+    AdjustConsent.StateDenied,
+    AdjustConsent.StateForgotten
+];
+
+function readState(storage) {
+    try {
+        var stored = storage.getItem(AdjustConsent.StorageKey);
+        return STATES.indexOf(stored) !== -1 ? stored : AdjustConsent.StateUnknown;
+    } catch (err) {
+        return AdjustConsent.StateUnknown;
+    }
+}
+
+function writeState(storage, state) {
+    try {
+        storage.setItem(AdjustConsent.StorageKey, state);
+    } catch (err) {
+        AdjustReporter.report(AdjustError.CodeStorageError, 'setState', "Unable to persist consent state: " + err.message);
+    }
+}
+
+// Options: policy (PolicyQueue holds calls made while consent is unknown until it is granted,
+// PolicyDrop rejects them), maxQueueSize (100 by default) and storage (adapter with the
+// localStorage interface, localStorage by default). The persisted state is restored.
+AdjustConsent.prototype.enable = function(options) {
+    options = options || {};
+    if (options.policy !== undefined
+        && options.policy !== AdjustConsent.PolicyQueue
+        && options.policy !== AdjustConsent.PolicyDrop) {
+        throw new TypeError("Unknown consent policy: " + options.policy);
+    }
+
+    this.enabled = true;
+    this.storage = options.storage || AdjustStorage.createDefaultStorage();
+    this.policy = options.policy || AdjustConsent.PolicyQueue;
+    this.state = readState(this.storage);
+    var droppedCommands = this.queue.setMaxSize(typeof options.maxQueueSize === 'number'
+        ? options.maxQueueSize : AdjustConsent.DefaultMaxQueueSize);
+    for (var i = 0; i < droppedCommands.length; i++) {
+        this.onDrop(droppedCommands[i]);
+    }
+};
+
+// Turns consent management off again, held calls are released. The persisted state is kept.
+AdjustConsent.prototype.disable = function() {
+    if (!this.enabled) {
+        return;
+    }
+    this.enabled = false;
+    this.onChange(this.state, this.state);
+};
+
+AdjustConsent.prototype.isEnabled = function() {
+    return this.enabled;
+};
+
+AdjustConsent.prototype.getState = function() {
+    return this.state;
+};
+
+// True if tracking calls may go through, which is always the case while consent management is off.
+AdjustConsent.prototype.isGranted = function() {
+    return !this.enabled || this.state === AdjustConsent.StateGranted;
+};
+
+// True if calls made now are to be held until consent is granted, false if they are to be rejected.
+AdjustConsent.prototype.holdsCalls = function() {
+    return this.state === AdjustConsent.StateUnknown && this.policy === AdjustConsent.PolicyQueue;
+};
+
+// Adds command to the held calls, the oldest ones are kept once the size limit is reached.
+AdjustConsent.prototype.hold = function(command) {
+    var droppedCommand = this.queue.push(command);
+    if (droppedCommand !== null) {
+        this.onDrop(droppedCommand);
+    }
+};
+
+// Removes and returns, in the order in which they were made, the held calls for which filter
+// returns true (all held calls if no filter passed).
+AdjustConsent.prototype.release = function(filter) {
+    return this.queue.drain(filter);
+};
+
+AdjustConsent.prototype.getQueueSize = function() {
+    return this.queue.size();
+};
+
+// Single entry point for consent management platforms. Denying consent which was granted before
+// revokes it, which forgets the device. Once forgotten, the state can't be changed anymore,
+// since the native SDKs stay disabled for a forgotten device, such changes are reported to Adjust.onError.
+// Returns the resulting state.
+AdjustConsent.prototype.setState = function(state) {
+    if (STATES.indexOf(state) === -1) {
+        throw new TypeError("Unknown consent state: " + state);
+    }
+    if (!this.enabled) {
+        throw new Error("Consent management isn't enabled, call Adjust.consent.enable first.");
+    }
+
+    var previousState = this.state;
+    if (previousState === AdjustConsent.StateForgotten && state !== AdjustConsent.StateForgotten) {
+        AdjustReporter.report(AdjustError.CodeConsentMissing, 'setState',
+            "Consent of a forgotten device can't be changed to '" + state + "'.");
+        return previousState;
+    }
+    if (previousState === AdjustConsent.StateGranted && state === AdjustConsent.StateDenied) {
+        state = AdjustConsent.StateForgotten;
+    }
+
+    this.state = state;
+    writeState(this.storage, state);
+    if (state !== previousState) {
+        this.onChange(state, previousState);
+    }
+    return state;
+};
+
+AdjustConsent.prototype.grant = function() {
+    return this.setState(AdjustConsent.StateGranted);
+};
+
+AdjustConsent.prototype.deny = function() {
+    return this.setState(AdjustConsent.StateDenied);
+};
+
+AdjustConsent.prototype.forget = function() {
+    return this.setState(AdjustConsent.StateForgotten);
+};
+
+module.exports = AdjustConsent;
@@ -0,0 +1,179 @@
+// Splits deep links into their URL parts and separates Adjust tracking parameters from the app's own ones.
+//
+// Grammar (RFC 3986, reduced to what deep links use):
+//   link      = scheme ":" [ "//" authority ] path [ "?" query ] [ "#" fragment ]
+//   authority = [ userinfo "@" ] host [ ":" port ]
+//   query     = pair *( "&" pair ), pair = key [ "=" value ]
+// Keys and values are percent-decoded, with "+" standing for a space. Of repeated keys the last one wins.
+// Adjust parameters are keys with an "adjust_" or "adj_" prefix and, on Adjust tracker hosts
+// (app.adjust.com, *.adj.st, *.go.link, ...), also the unprefixed tracker URL keys like "deep_link".
+
+var LINK_PATTERN = /^([a-zA-Z][a-zA-Z0-9+.-]*):(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+var AUTHORITY_PATTERN = /^(?:[^@]*@)?(\[[^\]]*\]|[^:]*)(?::(\d*))?$/;
+
+var ADJUST_PARAMETER_PREFIXES = ['adjust_', 'adj_'];
+var TRACKER_HOST_PATTERN = /(^|\.)(adjust\.com|adjust\.io|adj\.st|go\.link)$/;
+var TRACKER_HOST_PARAMETERS = ['deep_link', 'redirect', 'fallback', 'campaign', 'adgroup', 'creative', 'label'];
+
+// Parameter names which stand for the same field, mapped to that field.
+var ADJUST_FIELDS = {
+    adjust_tracker: 'tracker',
+    adj_t: 'tracker',
+    adjust_campaign: 'campaign',
+    adj_campaign: 'campaign',
+    campaign: 'campaign',
+    adjust_adgroup: 'adgroup',
+    adj_adgroup: 'adgroup',
+    adgroup: 'adgroup',
+    adjust_creative: 'creative',
+    adj_creative: 'creative',
+    creative: 'creative',
+    adjust_label: 'label',
+    adj_label: 'label',
+    label: 'label',
+    adjust_reftag: 'reftag',
+    adjust_deeplink: 'deeplink',
+    adjust_deep_link: 'deeplink',
+    adj_deeplink: 'deeplink',
+    adj_deep_link: 'deeplink',
+    deep_link: 'deeplink',
+    adjust_redirect: 'redirect',
+    adj_redirect: 'redirect',
+    redirect: 'redirect',
+    adj_fallback: 'fallback',
+    fallback: 'fallback'
+};
+
+// Nested links get encoded once per level they are wrapped in, this bounds the unwrapping.
+var MAX_DECODE_DEPTH = 3;
+
+function decodeComponent(component) {
+    try {
+        return decodeURIComponent(component.replace(/\+/g, ' '));
+    } catch (err) {
+        return component;
+    }
+}
+
+function hasAdjustPrefix(key) {
+    for (var i = 0; i < ADJUST_PARAMETER_PREFIXES.length; i++) {
+        if (key.indexOf(ADJUST_PARAMETER_PREFIXES[i]) === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function isAdjustParameter(key, isTrackerHost) {
+    return hasAdjustPrefix(key) || (isTrackerHost && TRACKER_HOST_PARAMETERS.indexOf(key) !== -1);
+}
+
+// Unknown Adjust parameters are kept under their name without prefix.
+function adjustField(key) {
+    if (Object.prototype.hasOwnProperty.call(ADJUST_FIELDS, key)) {
+        return ADJUST_FIELDS[key];
+    }
+    for (var i = 0; i < ADJUST_PARAMETER_PREFIXES.length; i++) {
+        if (key.indexOf(ADJUST_PARAMETER_PREFIXES[i]) === 0) {
+            return key.substring(ADJUST_PARAMETER_PREFIXES[i].length);
+        }
+    }
+    return key;
+}
+
+// Decodes links which arrive percent-encoded as a whole, e.g. "myapp%3A%2F%2Fproducts".
+function unwrapLink(link) {
+    for (var depth = 0; depth < MAX_DECODE_DEPTH && !LINK_PATTERN.test(link); depth++) {
+        var decoded = decodeComponent(link);
+        if (decoded === link) {
+            break;
+        }
+        link = decoded;
+    }
+    return link;
+}
+
+function parse(url, depth) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+    var link = unwrapLink(url.trim());
+    var match = LINK_PATTERN.exec(link);
+    if (match === null) {
+        return null;
+    }
+
+    var scheme = match[1].toLowerCase();
+    var isWebLink = scheme === 'http' || scheme === 'https';
+    var host = '';
+    var port = null;
+    if (match[2] !== undefined) {
+        var authority = AUTHORITY_PATTERN.exec(match[2]);
+        if (authority === null) {
+            return null;
+        }
+        // Only web hosts are case insensitive, custom scheme apps often route by the host.
+        host = isWebLink ? authority[1].toLowerCase() : authority[1];
+        port = authority[2] ? authority[2] : null;
+    }
+    var isTrackerHost = isWebLink && TRACKER_HOST_PATTERN.test(host);
+
+    var appParameters = {};
+    var adjustParameters = {};
+    var appPairs = [];
+    var hasShortLinkToken = false;
+    var pairs = match[4] ? match[4].split('&') : [];
+    for (var i = 0; i < pairs.length; i++) {
+        if (pairs[i] === '') {
+            continue;
+        }
+        var separator = pairs[i].indexOf('=');
+        var key = decodeComponent(separator === -1 ? pairs[i] : pairs[i].substring(0, separator));
+        var value = separator === -1 ? '' : decodeComponent(pairs[i].substring(separator + 1));
+        if (isAdjustParameter(key, isTrackerHost)) {
+            adjustParameters[adjustField(key)] = value;
+            hasShortLinkToken = hasShortLinkToken || key === 'adj_t';
+        } else {
+            appParameters[key] = value;
+            appPairs.push(pairs[i]);
+        }
+    }
+
+    var nestedDeeplink = null;
+    if (adjustParameters.deeplink !== undefined && depth < MAX_DECODE_DEPTH) {
+        nestedDeeplink = parse(adjustParameters.deeplink, depth + 1);
+        if (nestedDeeplink !== null) {
+            // Store the link fully decoded, also if it was encoded more than once.
+            adjustParameters.deeplink = nestedDeeplink.url;
+        }
+    }
+
+    return {
+        url: link,
+        // The link without Adjust parameters.
+        cleanUrl: match[1] + ':' + (match[2] !== undefined ? '//' + match[2] : '') + match[3]
+            + (appPairs.length > 0 ? '?' + appPairs.join('&') : '')
+            + (match[5] !== undefined ? '#' + match[5] : ''),
+        scheme: scheme,
+        host: host,
+        port: port,
+        path: match[3],
+        fragment: match[5] !== undefined ? decodeComponent(match[5]) : null,
+        appParameters: appParameters,
+        adjustParameters: adjustParameters,
+        // Links served by Adjust itself or short links, which carry the tracker token in adj_t.
+        isTrackerLink: isTrackerHost || hasShortLinkToken,
+        deeplink: nestedDeeplink
+    };
+}
+
+var AdjustDeeplinkParser = {
+    // Returns null for anything which isn't an absolute link.
+    parse: function(url) {
+        return parse(url, 0);
+    },
+
+    decodeComponent: decodeComponent
+};
+
+module.exports = AdjustDeeplinkParser;
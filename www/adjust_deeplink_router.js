@@ -0,0 +1,147 @@
+var AdjustDeeplinkParser = require('./adjust_deeplink_parser');
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
+// Dispatches direct and deferred deep links to handlers registered for path patterns.
+// openUrl is called with every directly opened link, so that the native SDK can attribute it.
+function AdjustDeeplinkRouter(openUrl) {
+    this.openUrl = openUrl;
+    this.routes = [];
+    this.fallbackHandler = null;
+}
+
+AdjustDeeplinkRouter.SourceDirect   = "direct";
+AdjustDeeplinkRouter.SourceDeferred = "deferred";
+
+// Handlers which throw are reported like listeners, so that deferred deep links still get their bookkeeping done.
+function callHandler(handler, link) {
+    try {
+        handler(link);
+    } catch (err) {
+        AdjustReporter.report(AdjustError.CodeListenerError, 'dispatch', "Deep link handler for '" + link.url + "' threw: "
+            + (err instanceof Error ? err.message : String(err)), err);
+    }
+}
+
+// Custom scheme links (myapp://products/42) carry the first path segment in the host part,
+// while web links (https://example.com/products/42) carry the whole route in the path.
+function routePath(parsed) {
+    var isWebLink = parsed.scheme === 'http' || parsed.scheme === 'https';
+    return (isWebLink || parsed.host === '') ? parsed.path : '/' + parsed.host + parsed.path;
+}
+
+function splitPath(path) {
+    return path.split('/').filter(function(segment) {
+        return segment !== '';
+    });
+}
+
+// Returns the captured path parameters if path matches the route's pattern, null otherwise.
+function matchRoute(route, path) {
+    var segments = splitPath(path);
+    var params = {};
+    for (var i = 0; i < route.segments.length; i++) {
+        var patternSegment = route.segments[i];
+        if (patternSegment === '*' && i === route.segments.length - 1) {
+            params['*'] = segments.slice(i).map(AdjustDeeplinkParser.decodeComponent).join('/');
+            return params;
+        }
+        if (i >= segments.length) {
+            return null;
+        }
+        if (patternSegment.charAt(0) === ':') {
+            params[patternSegment.substring(1)] = AdjustDeeplinkParser.decodeComponent(segments[i]);
+        } else if (patternSegment !== segments[i]) {
+            return null;
+        }
+    }
+    return segments.length === route.segments.length ? params : null;
+}
+
+// Pattern segments starting with ':' capture the segment under that name, e.g. '/products/:id'.
+// A trailing '*' segment matches the rest of the path. Routes are tried in the order in which they were added.
+// Returns a function which removes the route again.
+AdjustDeeplinkRouter.prototype.route = function(pattern, handler) {
+    if (typeof pattern !== 'string') {
+        throw new TypeError("Deep link route pattern must be a string.");
+    }
+    if (typeof handler !== 'function') {
+        throw new TypeError("Handler for deep link route '" + pattern + "' must be a function.");
+    }
+
+    var route = {
+        pattern: pattern,
+        segments: splitPath(pattern),
+        handler: handler
+    };
+    this.routes.push(route);
+
+    var self = this;
+    return function unregister() {
+        var index = self.routes.indexOf(route);
+        if (index !== -1) {
+            self.routes.splice(index, 1);
+        }
+    };
+};
+
+// Handler for links which don't match any route.
+AdjustDeeplinkRouter.prototype.otherwise = function(handler) {
+    this.fallbackHandler = typeof handler === 'function' ? handler : null;
+};
+
+AdjustDeeplinkRouter.prototype.clear = function() {
+    this.routes = [];
+    this.fallbackHandler = null;
+};
+
+// Hands the link to the handler of the first matching route. Handlers get
+// { url, originalUrl, source, path, pattern, params, query, adjustParameters }, where url and query
+// come without Adjust tracker parameters, which are collected in adjustParameters instead.
+// Returns true if a handler was called. Links which can't be parsed are reported to Adjust.onError.
+AdjustDeeplinkRouter.prototype.dispatch = function(url, source) {
+    var parsed = AdjustDeeplinkParser.parse(url);
+    if (parsed === null) {
+        AdjustReporter.report(AdjustError.CodeInvalidArguments, 'dispatch', "Unable to route deep link: " + url);
+        return false;
+    }
+
+    var link = {
+        url: parsed.cleanUrl,
+        originalUrl: url,
+        source: source || AdjustDeeplinkRouter.SourceDirect,
+        path: routePath(parsed),
+        pattern: null,
+        params: {},
+        query: parsed.appParameters,
+        adjustParameters: parsed.adjustParameters
+    };
+
+    for (var i = 0; i < this.routes.length; i++) {
+        var params = matchRoute(this.routes[i], link.path);
+        if (params !== null) {
+            link.pattern = this.routes[i].pattern;
+            link.params = params;
+            callHandler(this.routes[i].handler, link);
+            return true;
+        }
+    }
+    if (this.fallbackHandler !== null) {
+        callHandler(this.fallbackHandler, link);
+        return true;
+    }
+    return false;
+};
+
+// Entry point for links the app was opened with (e.g. from handleOpenURL).
+// The original link is passed on to the native SDK before it gets dispatched. Dispatching doesn't
+// wait for openUrl, failures of its promise are left to openUrl to report (Adjust.onError for Adjust.deeplinks).
+AdjustDeeplinkRouter.prototype.open = function(url) {
+    var opened = this.openUrl(url);
+    if (opened && typeof opened.catch === 'function') {
+        opened.catch(function() { });
+    }
+    return this.dispatch(url, AdjustDeeplinkRouter.SourceDirect);
+};
+
+module.exports = AdjustDeeplinkRouter;
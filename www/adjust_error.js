@@ -0,0 +1,53 @@
+function AdjustError(code, action, message, nativeMessage) {
+    this.name = "AdjustError";
+    this.code = code;
+    this.action = action;
+    this.message = message;
+    this.nativeMessage = nativeMessage === undefined ? null : nativeMessage;
+    this.stack = (new Error(message)).stack;
+}
+
+AdjustError.prototype = Object.create(Error.prototype);
+AdjustError.prototype.constructor = AdjustError;
+
+AdjustError.CodeInvalidCall          = "INVALID_CALL";
+AdjustError.CodeInvalidArguments     = "INVALID_ARGUMENTS";
+AdjustError.CodeSerializationError   = "SERIALIZATION_ERROR";
+AdjustError.CodeBridgeUnavailable    = "BRIDGE_UNAVAILABLE";
+AdjustError.CodeNativeError          = "NATIVE_ERROR";
+AdjustError.CodeQueueOverflow        = "QUEUE_OVERFLOW";
+AdjustError.CodeInvalidConfig        = "INVALID_CONFIG";
+AdjustError.CodeDuplicateTransaction = "DUPLICATE_TRANSACTION";
+AdjustError.CodeInvalidEvent         = "INVALID_EVENT";
+AdjustError.CodeConsentMissing       = "CONSENT_MISSING";
+AdjustError.CodePiiDetected          = "PII_DETECTED";
+AdjustError.CodeTeardown             = "TEARDOWN";
+AdjustError.CodeStorageError         = "STORAGE_ERROR";
+AdjustError.CodeListenerError        = "LISTENER_ERROR";
+
+// Builds an error out of whatever the native bridge handed to the error callback.
+// Cordova itself reports some failures (unknown action, bad arguments, missing plugin)
+// with fixed status messages, those are mapped to their own codes.
+AdjustError.fromNative = function(action, err) {
+    var nativeMessage = err;
+    if (err !== null && typeof err === 'object') {
+        nativeMessage = err.message !== undefined ? err.message : JSON.stringify(err);
+    }
+    if (nativeMessage === undefined || nativeMessage === null) {
+        nativeMessage = "";
+    }
+    nativeMessage = nativeMessage.toString();
+
+    var code = AdjustError.CodeNativeError;
+    if (nativeMessage.indexOf("Invalid call") !== -1 || nativeMessage.indexOf("Invalid action") !== -1) {
+        code = AdjustError.CodeInvalidCall;
+    } else if (nativeMessage.indexOf("JSON error") !== -1) {
+        code = AdjustError.CodeInvalidArguments;
+    } else if (nativeMessage.indexOf("Class not found") !== -1 || nativeMessage.indexOf("Missing Command Error") !== -1) {
+        code = AdjustError.CodeBridgeUnavailable;
+    }
+
+    return new AdjustError(code, action, "Native call '" + action + "' failed: " + nativeMessage, nativeMessage);
+};
+
+module.exports = AdjustError;
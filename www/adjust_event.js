@@ -1,29 +1,110 @@
+var AdjustParameters = require('./adjust_parameters');
+var AdjustCurrencies = require('./adjust_currencies');
+var AdjustEventSchemas = require('./adjust_event_schemas');
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
 function AdjustEvent(eventToken) {
     this.eventToken = eventToken;
     this.revenue = null;
     this.currency = null;
     this.transactionId = null;
     this.callbackId = null;
-    this.callbackParameters = [];
-    this.partnerParameters = [];
+    this.callbackParameters = new AdjustParameters();
+    this.partnerParameters = new AdjustParameters();
     // iOS only
     this.receipt = null;
     this.isReceiptSet = false;
 }
 
+// Creates an event with the token of the registered schema. Each of params' keys is added as callback
+// and/or partner parameter, depending on where the schema declares it. Throws for unknown names and keys.
+AdjustEvent.fromSchema = function(name, params) {
+    var schema = AdjustEventSchemas.get(name);
+    if (schema === null) {
+        throw new TypeError("No event schema registered with name '" + name + "'.");
+    }
+
+    var adjustEvent = new AdjustEvent(schema.token);
+    for (var key in params) {
+        if (!Object.prototype.hasOwnProperty.call(params, key)) {
+            continue;
+        }
+        var isCallbackParameter = isDeclared(schema.callbackParameters, key);
+        var isPartnerParameter = isDeclared(schema.partnerParameters, key);
+        if (!isCallbackParameter && !isPartnerParameter) {
+            throw new TypeError("Event schema '" + name + "' doesn't declare parameter '" + key + "'.");
+        }
+        if (isCallbackParameter) {
+            adjustEvent.addCallbackParameter(key, params[key]);
+        }
+        if (isPartnerParameter) {
+            adjustEvent.addPartnerParameter(key, params[key]);
+        }
+    }
+    return adjustEvent;
+};
+
+function isDeclared(parameters, key) {
+    return parameters.required.indexOf(key) !== -1 || parameters.optional.indexOf(key) !== -1;
+}
+
+// Currency must be an ISO 4217 code. Revenue is rounded to the currency's minor unit.
+// Returns false if revenue was refused, in which case the reason is reported to Adjust.onError and the event
+// keeps no revenue.
 AdjustEvent.prototype.setRevenue = function(revenue, currency) {
-    this.revenue = revenue;
+    var error = null;
+    if (typeof currency === 'string') {
+        currency = currency.toUpperCase();
+    }
+    if (typeof revenue === 'string' && revenue.trim() !== '') {
+        revenue = Number(revenue);
+    }
+
+    if (typeof revenue !== 'number' || !isFinite(revenue)) {
+        error = "Revenue must be a finite number, got: " + revenue;
+    } else if (revenue < 0) {
+        error = "Revenue can't be negative, got: " + revenue;
+    } else if (!AdjustCurrencies.isSupported(currency)) {
+        error = "Currency must be an ISO 4217 code, got: " + JSON.stringify(currency);
+    }
+
+    if (error !== null) {
+        AdjustReporter.report(AdjustError.CodeInvalidArguments, 'setRevenue', error + " Revenue won't be added to the event.");
+        this.revenue = null;
+        this.currency = null;
+        return false;
+    }
+
+    this.revenue = AdjustCurrencies.round(revenue, currency);
     this.currency = currency;
+    return true;
 };
 
+function addParameter(action, parameters, key, value) {
+    var error = parameters.set(key, value);
+    if (error !== null) {
+        AdjustReporter.report(AdjustError.CodeInvalidArguments, action, error + " Parameter won't be added to the event.");
+        return false;
+    }
+    return true;
+}
+
+// Returns false if the parameter was refused, in which case the reason is reported to Adjust.onError.
 AdjustEvent.prototype.addCallbackParameter = function(key, value) {
-    this.callbackParameters.push(key);
-    this.callbackParameters.push(value);
+    return addParameter('addCallbackParameter', this.callbackParameters, key, value);
 };
 
 AdjustEvent.prototype.addPartnerParameter = function(key, value) {
-    this.partnerParameters.push(key);
-    this.partnerParameters.push(value);
+    return addParameter('addPartnerParameter', this.partnerParameters, key, value);
+};
+
+AdjustEvent.prototype.removeCallbackParameter = function(key) {
+    return this.callbackParameters.remove(key);
+};
+
+AdjustEvent.prototype.removePartnerParameter = function(key) {
+    return this.partnerParameters.remove(key);
 };
 
 AdjustEvent.prototype.setTransactionId = function(transactionId) {
@@ -0,0 +1,126 @@
+// Registry of event schemas, shared by AdjustEvent.fromSchema and Adjust.trackEvent.
+// A schema maps a readable event name to its token and declares which callback and partner
+// parameters the event takes and whether it carries revenue.
+var schemasByName = Object.create(null);
+var schemasByToken = Object.create(null);
+
+function normalizeParameters(name, field, parameters) {
+    parameters = parameters || {};
+    var normalized = {
+        required: parameters.required || [],
+        optional: parameters.optional || []
+    };
+    if (!Array.isArray(normalized.required) || !Array.isArray(normalized.optional)) {
+        throw new TypeError("Required and optional " + field + " of event schema '" + name + "' must be arrays of keys.");
+    }
+    return normalized;
+}
+
+// Keys of AdjustParameters instances or of flat [key1, value1, ...] lists (e.g. ionic-native events).
+function parameterKeys(parameters) {
+    if (!parameters) {
+        return [];
+    }
+    if (Array.isArray(parameters.keys)) {
+        return parameters.keys;
+    }
+    var keys = [];
+    for (var i = 0; i < parameters.length; i += 2) {
+        keys.push(parameters[i]);
+    }
+    return keys;
+}
+
+function validateParameters(schema, field, keys, issues) {
+    var declared = schema[field];
+    for (var i = 0; i < declared.required.length; i++) {
+        if (keys.indexOf(declared.required[i]) === -1) {
+            issues.push("Event '" + schema.name + "' is missing required " + field + " key '" + declared.required[i] + "'.");
+        }
+    }
+    for (var j = 0; j < keys.length; j++) {
+        if (declared.required.indexOf(keys[j]) === -1 && declared.optional.indexOf(keys[j]) === -1) {
+            issues.push("Event '" + schema.name + "' doesn't declare " + field + " key '" + keys[j] + "'.");
+        }
+    }
+}
+
+var AdjustEventSchemas = {
+    // Schema: { token, callbackParameters: { required, optional }, partnerParameters: { required, optional }, revenue }.
+    // With revenue set to true, events must carry revenue, otherwise they must not.
+    // Registering a name again replaces its schema.
+    register: function(name, schema) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new TypeError("Event schema name must be a non-empty string.");
+        }
+        if (!schema || typeof schema.token !== 'string' || schema.token.length === 0) {
+            throw new TypeError("Event schema '" + name + "' must have a token.");
+        }
+        var registered = schemasByToken[schema.token];
+        if (registered && registered.name !== name) {
+            throw new TypeError("Token '" + schema.token + "' is already used by event schema '" + registered.name + "'.");
+        }
+
+        AdjustEventSchemas.unregister(name);
+        var normalized = {
+            name: name,
+            token: schema.token,
+            callbackParameters: normalizeParameters(name, 'callbackParameters', schema.callbackParameters),
+            partnerParameters: normalizeParameters(name, 'partnerParameters', schema.partnerParameters),
+            revenue: schema.revenue === true
+        };
+        schemasByName[name] = normalized;
+        schemasByToken[normalized.token] = normalized;
+    },
+
+    unregister: function(name) {
+        var schema = schemasByName[name];
+        if (schema) {
+            delete schemasByName[name];
+            delete schemasByToken[schema.token];
+        }
+    },
+
+    clear: function() {
+        schemasByName = Object.create(null);
+        schemasByToken = Object.create(null);
+    },
+
+    get: function(name) {
+        return schemasByName[name] || null;
+    },
+
+    getByToken: function(token) {
+        return schemasByToken[token] || null;
+    },
+
+    isEmpty: function() {
+        return Object.keys(schemasByName).length === 0;
+    },
+
+    // Returns the list of problems found in the event, empty if the event matches its schema.
+    // Nothing is checked as long as no schema has been registered.
+    validate: function(adjustEvent) {
+        if (AdjustEventSchemas.isEmpty()) {
+            return [];
+        }
+        var schema = adjustEvent ? AdjustEventSchemas.getByToken(adjustEvent.eventToken) : null;
+        if (schema === null) {
+            return ["Event token '" + (adjustEvent ? adjustEvent.eventToken : adjustEvent) + "' doesn't belong to any event schema."];
+        }
+
+        var issues = [];
+        validateParameters(schema, 'callbackParameters', parameterKeys(adjustEvent.callbackParameters), issues);
+        validateParameters(schema, 'partnerParameters', parameterKeys(adjustEvent.partnerParameters), issues);
+
+        var hasRevenue = adjustEvent.revenue !== null && adjustEvent.revenue !== undefined;
+        if (schema.revenue && !hasRevenue) {
+            issues.push("Event '" + schema.name + "' requires revenue.");
+        } else if (!schema.revenue && hasRevenue) {
+            issues.push("Event '" + schema.name + "' doesn't expect revenue.");
+        }
+        return issues;
+    }
+};
+
+module.exports = AdjustEventSchemas;
@@ -0,0 +1,100 @@
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
+// Keeps lists of listener functions per callback type and fans payloads out to them.
+function AdjustListeners() {
+    this.listeners = {};
+}
+
+AdjustListeners.Attribution      = "attribution";
+AdjustListeners.EventSuccess     = "eventSuccess";
+AdjustListeners.EventFailure     = "eventFailure";
+AdjustListeners.SessionSuccess   = "sessionSuccess";
+AdjustListeners.SessionFailure   = "sessionFailure";
+AdjustListeners.DeferredDeeplink = "deferredDeeplink";
+
+AdjustListeners.Types = [
+    AdjustListeners.Attribution,
+    AdjustListeners.EventSuccess,
+    AdjustListeners.EventFailure,
+    AdjustListeners.SessionSuccess,
+    AdjustListeners.SessionFailure,
+    AdjustListeners.DeferredDeeplink
+];
+
+AdjustListeners.isValidType = function(type) {
+    return AdjustListeners.Types.indexOf(type) !== -1;
+};
+
+// Returns a function which removes the added listener again.
+AdjustListeners.prototype.add = function(type, listener) {
+    if (!AdjustListeners.isValidType(type)) {
+        throw new TypeError("Unknown Adjust listener type: " + type);
+    }
+    if (typeof listener !== 'function') {
+        throw new TypeError("Adjust listener for '" + type + "' must be a function.");
+    }
+
+    if (!this.listeners[type]) {
+        this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+
+    var self = this;
+    return function unsubscribe() {
+        self.remove(type, listener);
+    };
+};
+
+// Same as add, but the listener is removed right before it gets called for the first time.
+AdjustListeners.prototype.once = function(type, listener) {
+    var self = this;
+    var onceListener = function(payload) {
+        self.remove(type, onceListener);
+        return listener(payload);
+    };
+    // Allows removing it by the original function.
+    onceListener.listener = listener;
+    return this.add(type, onceListener);
+};
+
+AdjustListeners.prototype.remove = function(type, listener) {
+    var listeners = this.listeners[type];
+    if (!listeners) {
+        return;
+    }
+    for (var i = 0; i < listeners.length; i++) {
+        if (listeners[i] === listener || listeners[i].listener === listener) {
+            listeners.splice(i, 1);
+            return;
+        }
+    }
+};
+
+AdjustListeners.prototype.has = function(type) {
+    return !!this.listeners[type] && this.listeners[type].length > 0;
+};
+
+// Returns the values returned by the listeners, in the order in which they were called. A listener which
+// throws doesn't keep the others from being called, its error is reported to Adjust.onError instead.
+AdjustListeners.prototype.emit = function(type, payload) {
+    var results = [];
+    if (!this.listeners[type]) {
+        return results;
+    }
+    // Copy, so that listeners can unsubscribe themselves while being called.
+    var listeners = this.listeners[type].slice();
+    for (var i = 0; i < listeners.length; i++) {
+        var result;
+        try {
+            result = listeners[i](payload);
+        } catch (err) {
+            AdjustReporter.report(AdjustError.CodeListenerError, type, "Adjust listener for '" + type + "' threw: "
+                + (err instanceof Error ? err.message : String(err)), err);
+        }
+        results.push(result);
+    }
+    return results;
+};
+
+module.exports = AdjustListeners;
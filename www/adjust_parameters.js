@@ -0,0 +1,121 @@
+// Ordered key/value map for callback and partner parameters.
+// Adding an existing key replaces its value but keeps its position.
+function AdjustParameters() {
+    this.keys = [];
+    this.values = Object.create(null);
+}
+
+AdjustParameters.ValuePolicyCoerce = "coerce";
+AdjustParameters.ValuePolicyReject = "reject";
+
+// Shared by event and session parameters. Limits set to null are not enforced.
+var options = {
+    valuePolicy: AdjustParameters.ValuePolicyCoerce,
+    maxKeyLength: null,
+    maxValueLength: null,
+    maxCount: null
+};
+
+AdjustParameters.setOptions = function(newOptions) {
+    for (var name in newOptions) {
+        if (Object.prototype.hasOwnProperty.call(options, name)) {
+            options[name] = newOptions[name];
+        }
+    }
+};
+
+AdjustParameters.getOptions = function() {
+    return {
+        valuePolicy: options.valuePolicy,
+        maxKeyLength: options.maxKeyLength,
+        maxValueLength: options.maxValueLength,
+        maxCount: options.maxCount
+    };
+};
+
+// Checks key and value against the current options and converts value to string if needed and allowed.
+// Returns { key, value } to be stored or { error } with the reason why the pair was refused.
+AdjustParameters.normalize = function(key, value) {
+    if (typeof key !== 'string' || key.length === 0) {
+        return { error: "Parameter key must be a non-empty string, got: " + JSON.stringify(key) };
+    }
+    if (options.maxKeyLength !== null && key.length > options.maxKeyLength) {
+        return { error: "Parameter key '" + key + "' is longer than " + options.maxKeyLength + " characters." };
+    }
+
+    if (value === null || value === undefined) {
+        return { error: "Value of parameter '" + key + "' is missing." };
+    }
+    if (typeof value !== 'string') {
+        if (options.valuePolicy !== AdjustParameters.ValuePolicyCoerce) {
+            return { error: "Value of parameter '" + key + "' must be a string, got: " + typeof value };
+        }
+        if (typeof value === 'number' && !isFinite(value)) {
+            return { error: "Value of parameter '" + key + "' is not a finite number: " + value };
+        }
+        if (typeof value === 'function') {
+            return { error: "Value of parameter '" + key + "' can't be a function." };
+        }
+        value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    if (options.maxValueLength !== null && value.length > options.maxValueLength) {
+        return { error: "Value of parameter '" + key + "' is longer than " + options.maxValueLength + " characters." };
+    }
+
+    return { key: key, value: value };
+};
+
+// Returns null on success or the reason why the parameter was refused.
+AdjustParameters.prototype.set = function(key, value) {
+    var normalized = AdjustParameters.normalize(key, value);
+    if (normalized.error) {
+        return normalized.error;
+    }
+
+    if (!this.has(normalized.key)) {
+        if (options.maxCount !== null && this.keys.length >= options.maxCount) {
+            return "Parameter '" + normalized.key + "' exceeds the limit of " + options.maxCount + " parameters.";
+        }
+        this.keys.push(normalized.key);
+    }
+    this.values[normalized.key] = normalized.value;
+    return null;
+};
+
+AdjustParameters.prototype.get = function(key) {
+    return this.has(key) ? this.values[key] : null;
+};
+
+AdjustParameters.prototype.has = function(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key);
+};
+
+AdjustParameters.prototype.remove = function(key) {
+    if (!this.has(key)) {
+        return false;
+    }
+    delete this.values[key];
+    this.keys.splice(this.keys.indexOf(key), 1);
+    return true;
+};
+
+AdjustParameters.prototype.clear = function() {
+    this.keys = [];
+    this.values = Object.create(null);
+};
+
+AdjustParameters.prototype.size = function() {
+    return this.keys.length;
+};
+
+// Native bridges expect parameters as a flat [key1, value1, key2, value2, ...] list.
+AdjustParameters.prototype.toJSON = function() {
+    var flat = [];
+    for (var i = 0; i < this.keys.length; i++) {
+        flat.push(this.keys[i]);
+        flat.push(this.values[this.keys[i]]);
+    }
+    return flat;
+};
+
+module.exports = AdjustParameters;
@@ -0,0 +1,324 @@
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
+// Outbound filter for callback and partner parameters, shared by Adjust.trackEvent and the session
+// parameters methods. It looks for personal data in parameter values and redacts, hashes or rejects
+// what it finds according to the action configured for the parameter's key.
+var AdjustPiiFilter = {};
+
+AdjustPiiFilter.TypeEmail      = "email";
+AdjustPiiFilter.TypePhone      = "phone";
+AdjustPiiFilter.TypeCardNumber = "cardNumber";
+AdjustPiiFilter.TypeIpAddress  = "ipAddress";
+
+AdjustPiiFilter.ActionRedact = "redact";
+AdjustPiiFilter.ActionHash   = "hash";
+AdjustPiiFilter.ActionReject = "reject";
+AdjustPiiFilter.ActionAllow  = "allow";
+
+AdjustPiiFilter.Redacted = "[REDACTED]";
+
+var ACTIONS = [
+    AdjustPiiFilter.ActionRedact,
+    AdjustPiiFilter.ActionHash,
+    AdjustPiiFilter.ActionReject,
+    AdjustPiiFilter.ActionAllow
+];
+
+// Detectors run in this order, so card numbers are taken before their digits could pass for a phone number.
+// isValid drops matches which only look like personal data, normalize brings matches into the form they are hashed in.
+var DETECTORS = [
+    {
+        type: AdjustPiiFilter.TypeEmail,
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+        normalize: function(match) {
+            return match.toLowerCase();
+        }
+    },
+    {
+        // 13 to 19 digits of the major networks, either in one run or grouped the way they are printed
+        // (4111 1111 1111 1111, 3782 822463 10005), with a valid check digit.
+        type: AdjustPiiFilter.TypeCardNumber,
+        pattern: /\b[2-6]\d{12,18}\b|\b[2-6]\d{3}([ -])\d{4}\1\d{4}\1\d{4}(?:\1\d{3})?\b|\b3\d{3}([ -])\d{6}\2\d{4,5}\b/g,
+        isValid: function(value, match) {
+            return isStandalone(value, match) && passesLuhnCheck(match.text);
+        },
+        normalize: digitsOnly
+    },
+    {
+        type: AdjustPiiFilter.TypeIpAddress,
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b|\b(?:[0-9A-F]{1,4}:){7}[0-9A-F]{1,4}\b|\b(?:[0-9A-F]{1,4}:){1,6}(?::[0-9A-F]{1,4}){1,6}\b/gi,
+        isValid: isStandalone,
+        normalize: function(match) {
+            return match.toLowerCase();
+        }
+    },
+    {
+        // International numbers with 8 to 15 digits (+49 30 1234567) or national numbers with an area code
+        // in parentheses ((030) 123-4567) or the same separator throughout (030 123 4567, 555.123.4567).
+        // Numbers with dots between groups of three digits are amounts (10.000.000) rather than phone numbers.
+        type: AdjustPiiFilter.TypePhone,
+        pattern: /\+[1-9](?:[ .()-]{0,2}\d){7,14}|\(\d{2,5}\) ?\d{3,4}[ .-]\d{3,4}\b|\b\d{2,5}([ .-])\d{3,4}(?:\1)?\d{3,4}\b/g,
+        isValid: function(value, match) {
+            return isStandalone(value, match) && !/^\d{1,3}(?:\.\d{3})+$/.test(match.text);
+        },
+        normalize: function(match) {
+            return (match.charAt(0) === '+' ? '+' : '') + digitsOnly(match);
+        }
+    }
+];
+
+// Filtering is off by default. Per-key rules override the default action for the parameters with that key.
+var options = {
+    enabled: false,
+    action: AdjustPiiFilter.ActionRedact,
+    rules: {},
+    types: [
+        AdjustPiiFilter.TypeEmail,
+        AdjustPiiFilter.TypePhone,
+        AdjustPiiFilter.TypeCardNumber,
+        AdjustPiiFilter.TypeIpAddress
+    ],
+    onViolation: null
+};
+
+function digitsOnly(match) {
+    return match.replace(/\D/g, '');
+}
+
+// Digits which continue a longer token on either side, as in ORD-4111111111111111, 1.2.3.4.5 or a longer
+// digit run, are part of an ID or a version rather than personal data. Punctuation ending a sentence doesn't count.
+function isStandalone(value, match) {
+    var before = value.charAt(match.start - 1);
+    var after = value.charAt(match.end);
+    if (/[\w.\/+-]/.test(before) || /[\w\/+-]/.test(after)) {
+        return false;
+    }
+    return !(/[.,]/.test(after) && /\d/.test(value.charAt(match.end + 1)));
+}
+
+function passesLuhnCheck(match) {
+    var digits = digitsOnly(match);
+    var sum = 0;
+    for (var i = 0; i < digits.length; i++) {
+        var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function checkAction(action, name) {
+    if (ACTIONS.indexOf(action) === -1) {
+        throw new TypeError("Unknown PII filter action for " + name + ": " + action);
+    }
+}
+
+// Options: enabled, action (for keys without rule, ActionRedact by default), rules ({ key: action }),
+// types (types of personal data to look for, all by default) and onViolation (called with every violation,
+// violations are reported to Adjust.onError otherwise).
+AdjustPiiFilter.setOptions = function(newOptions) {
+    newOptions = newOptions || {};
+    if (newOptions.action !== undefined) {
+        checkAction(newOptions.action, "default action");
+    }
+    if (newOptions.rules !== undefined) {
+        for (var key in newOptions.rules) {
+            if (Object.prototype.hasOwnProperty.call(newOptions.rules, key)) {
+                checkAction(newOptions.rules[key], "key '" + key + "'");
+            }
+        }
+    }
+    for (var name in newOptions) {
+        if (Object.prototype.hasOwnProperty.call(options, name)) {
+            options[name] = newOptions[name];
+        }
+    }
+    options.enabled = options.enabled === true;
+    options.rules = options.rules || {};
+};
+
+AdjustPiiFilter.isEnabled = function() {
+    return options.enabled;
+};
+
+AdjustPiiFilter.actionFor = function(key) {
+    return Object.prototype.hasOwnProperty.call(options.rules, key) ? options.rules[key] : options.action;
+};
+
+// Returns the { type, start, end, text, normalized } matches of personal data in value, ordered by position.
+// Matches overlapping an earlier detector's match are skipped.
+AdjustPiiFilter.detect = function(value) {
+    var matches = [];
+    for (var i = 0; i < DETECTORS.length; i++) {
+        var detector = DETECTORS[i];
+        if (options.types.indexOf(detector.type) === -1) {
+            continue;
+        }
+        detector.pattern.lastIndex = 0;
+        var found;
+        while ((found = detector.pattern.exec(value)) !== null) {
+            var match = {
+                type: detector.type,
+                start: found.index,
+                end: found.index + found[0].length,
+                text: found[0],
+                normalized: detector.normalize(found[0])
+            };
+            if ((!detector.isValid || detector.isValid(value, match)) && !overlaps(matches, match)) {
+                matches.push(match);
+            }
+        }
+    }
+    return matches.sort(function(a, b) {
+        return a.start - b.start;
+    });
+};
+
+function overlaps(matches, match) {
+    for (var i = 0; i < matches.length; i++) {
+        if (match.start < matches[i].end && matches[i].start < match.end) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Filters one parameter. Returns { value, violations, rejected }, where value is the value to be sent
+// and violations lists { key, type, action } of every match. Values of rejected parameters are null.
+AdjustPiiFilter.filter = function(key, value) {
+    var result = { value: value, violations: [], rejected: false };
+    var action = AdjustPiiFilter.actionFor(key);
+    if (!options.enabled || action === AdjustPiiFilter.ActionAllow || typeof value !== 'string') {
+        return result;
+    }
+
+    var matches = AdjustPiiFilter.detect(value);
+    if (matches.length === 0) {
+        return result;
+    }
+
+    var filtered = '';
+    var position = 0;
+    for (var i = 0; i < matches.length; i++) {
+        result.violations.push({ key: key, type: matches[i].type, action: action });
+        filtered += value.substring(position, matches[i].start);
+        filtered += action === AdjustPiiFilter.ActionHash ? sha256(matches[i].normalized) : AdjustPiiFilter.Redacted;
+        position = matches[i].end;
+    }
+    filtered += value.substring(position);
+
+    if (action === AdjustPiiFilter.ActionReject) {
+        result.value = null;
+        result.rejected = true;
+    } else {
+        result.value = filtered;
+    }
+    return result;
+};
+
+// Violations carry the call and the kind of parameter on top of the result of filter, but never the value.
+// Without onViolation, they go to Adjust.onError, except for rejected ones, whose call fails anyway.
+AdjustPiiFilter.report = function(violation) {
+    if (typeof options.onViolation === 'function') {
+        options.onViolation(violation);
+        return;
+    }
+    if (violation.action !== AdjustPiiFilter.ActionReject) {
+        AdjustReporter.report(AdjustError.CodePiiDetected, violation.call, "Parameter '" + violation.key + "' of "
+            + violation.call + " contains " + violation.type + " data, action: " + violation.action + ".");
+    }
+};
+
+var SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function utf8Bytes(text) {
+    var encoded = unescape(encodeURIComponent(text));
+    var bytes = [];
+    for (var i = 0; i < encoded.length; i++) {
+        bytes.push(encoded.charCodeAt(i));
+    }
+    return bytes;
+}
+
+function rotateRight(word, bits) {
+    return (word >>> bits) | (word << (32 - bits));
+}
+
+// Hex encoded SHA-256 of the UTF-8 bytes of text. Synchronous, unlike SubtleCrypto, so that
+// the filtered parameters can be sent right away.
+function sha256(text) {
+    var bytes = utf8Bytes(text);
+    var bitLength = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) {
+        bytes.push(0);
+    }
+    // Messages are far below 2^32 bits, so the upper half of the length is always zero.
+    bytes.push(0, 0, 0, 0, (bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff);
+
+    var hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var words = new Array(64);
+    for (var offset = 0; offset < bytes.length; offset += 64) {
+        for (var i = 0; i < 16; i++) {
+            words[i] = (bytes[offset + i * 4] << 24) | (bytes[offset + i * 4 + 1] << 16)
+                | (bytes[offset + i * 4 + 2] << 8) | bytes[offset + i * 4 + 3];
+        }
+        for (var j = 16; j < 64; j++) {
+            var s0 = rotateRight(words[j - 15], 7) ^ rotateRight(words[j - 15], 18) ^ (words[j - 15] >>> 3);
+            var s1 = rotateRight(words[j - 2], 17) ^ rotateRight(words[j - 2], 19) ^ (words[j - 2] >>> 10);
+            words[j] = (words[j - 16] + s0 + words[j - 7] + s1) | 0;
+        }
+
+        var a = hash[0], b = hash[1], c = hash[2], d = hash[3];
+        var e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+        for (var k = 0; k < 64; k++) {
+            var sum1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            var choice = (e & f) ^ (~e & g);
+            var temp1 = (h + sum1 + choice + SHA256_K[k] + words[k]) | 0;
+            var sum0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            var majority = (a & b) ^ (a & c) ^ (b & c);
+            var temp2 = (sum0 + majority) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+        hash[0] = (hash[0] + a) | 0;
+        hash[1] = (hash[1] + b) | 0;
+        hash[2] = (hash[2] + c) | 0;
+        hash[3] = (hash[3] + d) | 0;
+        hash[4] = (hash[4] + e) | 0;
+        hash[5] = (hash[5] + f) | 0;
+        hash[6] = (hash[6] + g) | 0;
+        hash[7] = (hash[7] + h) | 0;
+    }
+
+    var hex = '';
+    for (var n = 0; n < hash.length; n++) {
+        hex += ('00000000' + (hash[n] >>> 0).toString(16)).slice(-8);
+    }
+    return hex;
+}
+
+AdjustPiiFilter.sha256 = sha256;
+
+module.exports = AdjustPiiFilter;
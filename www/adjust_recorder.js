@@ -0,0 +1,109 @@
+var AdjustListeners = require('./adjust_listeners');
+
+// Collects calls of the Adjust API, the native responses to them and the native callbacks into a
+// JSON trace, which AdjustReplayer plays back against the mock bridge or a device.
+function AdjustRecorder(options) {
+    options = options || {};
+    this.maxEntries = typeof options.maxEntries === 'number' ? options.maxEntries : AdjustRecorder.DefaultMaxEntries;
+    this.startedAt = Date.now();
+    this.entries = [];
+    this.truncated = false;
+}
+
+AdjustRecorder.TraceFormat       = "adjust-trace";
+AdjustRecorder.TraceVersion      = 1;
+AdjustRecorder.DefaultMaxEntries = 10000;
+
+AdjustRecorder.EntryCall     = "call";
+AdjustRecorder.EntryNative   = "native";
+AdjustRecorder.EntryCallback = "callback";
+
+AdjustRecorder.OutcomeSuccess = "success";
+AdjustRecorder.OutcomeError   = "error";
+
+AdjustRecorder.prototype.recordCall = function(method, args) {
+    var encodedArgs = [];
+    for (var i = 0; i < args.length; i++) {
+        encodedArgs.push(encodeArgument(args[i]));
+    }
+    this.addEntry({ type: AdjustRecorder.EntryCall, method: method, args: encodedArgs });
+};
+
+AdjustRecorder.prototype.recordNative = function(action, outcome, value) {
+    this.addEntry({ type: AdjustRecorder.EntryNative, action: action, outcome: outcome, value: toPlain(value) });
+};
+
+// Returns the entry, so that the outcome of the callback can be added to it once the listeners ran.
+AdjustRecorder.prototype.recordCallback = function(action, callbackType, payload) {
+    return this.addEntry({ type: AdjustRecorder.EntryCallback, action: action, callbackType: callbackType, payload: toPlain(payload) });
+};
+
+AdjustRecorder.prototype.addEntry = function(entry) {
+    if (this.entries.length >= this.maxEntries) {
+        this.truncated = true;
+        return null;
+    }
+    entry.time = Date.now() - this.startedAt;
+    this.entries.push(entry);
+    return entry;
+};
+
+AdjustRecorder.prototype.getTrace = function(sdkPrefix) {
+    return {
+        format: AdjustRecorder.TraceFormat,
+        version: AdjustRecorder.TraceVersion,
+        sdkPrefix: sdkPrefix,
+        recordedAt: new Date(this.startedAt).toISOString(),
+        duration: Date.now() - this.startedAt,
+        truncated: this.truncated,
+        entries: this.entries.slice()
+    };
+};
+
+// Configs and events are marked, so that the replayer can build them again. Functions can't be
+// recorded, the replayer passes stand-ins for them.
+function encodeArgument(value) {
+    if (value === undefined) {
+        return { type: "undefined" };
+    }
+    if (typeof value === 'function') {
+        return { type: "function" };
+    }
+    if (value !== null && typeof value === 'object') {
+        if (typeof value.eventToken !== 'undefined' && typeof value.addCallbackParameter === 'function') {
+            return { type: "AdjustEvent", value: toPlain(value) };
+        }
+        if (typeof value.appToken !== 'undefined' && typeof value.environment !== 'undefined') {
+            return { type: "AdjustConfig", value: toPlain(value), listeners: listenerTypes(value) };
+        }
+    }
+    return { type: "value", value: toPlain(value) };
+}
+
+function listenerTypes(adjustConfig) {
+    var types = [];
+    if (!adjustConfig.listeners || typeof adjustConfig.listeners.has !== 'function') {
+        return types;
+    }
+    for (var i = 0; i < AdjustListeners.Types.length; i++) {
+        if (adjustConfig.listeners.has(AdjustListeners.Types[i])) {
+            types.push(AdjustListeners.Types[i]);
+        }
+    }
+    return types;
+}
+
+function toPlain(value) {
+    if (value === undefined) {
+        return null;
+    }
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch (err) {
+        return null;
+    }
+}
+
+AdjustRecorder.encodeArgument = encodeArgument;
+
+module.exports = AdjustRecorder;
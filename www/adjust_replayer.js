@@ -0,0 +1,189 @@
+var AdjustRecorder = require('./adjust_recorder');
+
+// Plays a trace recorded with Adjust.startRecording back: the recorded calls are made again with
+// their original timing. With a bridge (e.g. the mock bridge of the unit tests), the recorded native
+// responses and callbacks are fed to it as well, otherwise they come from the native SDK.
+//
+// Options:
+//  sdk    : { Adjust, AdjustConfig, AdjustEvent }, the plugin's globals by default
+//  bridge : object with respond(action, value), fail(action, message) and trigger(action, payload)
+//  speed  : factor for the recorded timing, 0 plays the trace back as fast as possible (1 by default)
+function AdjustReplayer(trace, options) {
+    if (!trace || trace.format !== AdjustRecorder.TraceFormat || !Array.isArray(trace.entries)) {
+        throw new TypeError("Not an Adjust trace.");
+    }
+    if (trace.version !== AdjustRecorder.TraceVersion) {
+        throw new TypeError("Unsupported Adjust trace version: " + trace.version);
+    }
+
+    options = options || {};
+    this.trace = trace;
+    this.sdk = options.sdk || defaultSdk();
+    this.bridge = options.bridge || null;
+    this.speed = typeof options.speed === 'number' ? options.speed : 1;
+    // Decision the stand-in listeners return for the deferred deep link being played back.
+    this.deeplinkDecision = undefined;
+}
+
+function defaultSdk() {
+    return {
+        Adjust: typeof Adjust !== 'undefined' ? Adjust : undefined,
+        AdjustConfig: typeof AdjustConfig !== 'undefined' ? AdjustConfig : undefined,
+        AdjustEvent: typeof AdjustEvent !== 'undefined' ? AdjustEvent : undefined
+    };
+}
+
+// Resolves with { calls, callbacks, errors } once every entry was played back. errors lists
+// { method, error } of calls which threw or were rejected.
+AdjustReplayer.prototype.replay = function() {
+    var self = this;
+    var entries = this.trace.entries;
+    var result = { calls: 0, callbacks: 0, errors: [] };
+    var pending = [];
+    var startedAt = Date.now();
+
+    if (this.bridge !== null) {
+        this.queueNativeResponses();
+    }
+
+    var index = 0;
+    return new Promise(function(resolve) {
+        var next = function() {
+            if (index >= entries.length) {
+                Promise.all(pending).then(function() {
+                    resolve(result);
+                });
+                return;
+            }
+            var entry = entries[index++];
+            var delay = self.speed > 0 ? entry.time / self.speed - (Date.now() - startedAt) : 0;
+            setTimeout(function() {
+                self.playEntry(entry, result, pending);
+                next();
+            }, Math.max(0, delay));
+        };
+        next();
+    });
+};
+
+// Native calls are answered in the order they were made, so the responses can be queued up front.
+AdjustReplayer.prototype.queueNativeResponses = function() {
+    var entries = this.trace.entries;
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        if (entry.type !== AdjustRecorder.EntryNative) {
+            continue;
+        }
+        if (entry.outcome === AdjustRecorder.OutcomeError) {
+            this.bridge.fail(entry.action, entry.value);
+        } else {
+            this.bridge.respond(entry.action, entry.value);
+        }
+    }
+};
+
+AdjustReplayer.prototype.playEntry = function(entry, result, pending) {
+    if (entry.type === AdjustRecorder.EntryCall) {
+        result.calls++;
+        this.playCall(entry, result, pending);
+    } else if (entry.type === AdjustRecorder.EntryCallback && this.bridge !== null) {
+        result.callbacks++;
+        this.deeplinkDecision = entry.decision;
+        try {
+            this.bridge.trigger(entry.action, entry.payload);
+        } finally {
+            this.deeplinkDecision = undefined;
+        }
+    }
+};
+
+AdjustReplayer.prototype.playCall = function(entry, result, pending) {
+    var Adjust = this.sdk.Adjust;
+    var method = Adjust[entry.method];
+    if (typeof method !== 'function') {
+        result.errors.push({ method: entry.method, error: new TypeError("Adjust has no method '" + entry.method + "'.") });
+        return;
+    }
+
+    var returned;
+    try {
+        var args = [];
+        for (var i = 0; i < entry.args.length; i++) {
+            args.push(this.decodeArgument(entry.args[i]));
+        }
+        returned = method.apply(Adjust, args);
+    } catch (err) {
+        result.errors.push({ method: entry.method, error: err });
+        return;
+    }
+
+    if (returned && typeof returned.then === 'function') {
+        pending.push(returned.then(null, function(err) {
+            result.errors.push({ method: entry.method, error: err });
+        }));
+    }
+};
+
+AdjustReplayer.prototype.decodeArgument = function(argument) {
+    switch (argument.type) {
+        case "undefined": return undefined;
+        case "function": return this.standInListener();
+        case "AdjustConfig": return this.buildConfig(argument);
+        case "AdjustEvent": return this.buildEvent(argument.value);
+        default: return argument.value;
+    }
+};
+
+// Listeners and callbacks of the recorded app aren't part of the trace. Their stand-ins only
+// return the recorded decision for deferred deep links.
+AdjustReplayer.prototype.standInListener = function() {
+    var self = this;
+    return function() {
+        return self.deeplinkDecision;
+    };
+};
+
+AdjustReplayer.prototype.buildConfig = function(argument) {
+    var fields = argument.value || {};
+    var adjustConfig = new this.sdk.AdjustConfig(fields.appToken, fields.environment);
+    for (var key in fields) {
+        if (Object.prototype.hasOwnProperty.call(fields, key)) {
+            adjustConfig[key] = fields[key];
+        }
+    }
+    var listenerTypes = argument.listeners || [];
+    for (var i = 0; i < listenerTypes.length; i++) {
+        adjustConfig.addListener(listenerTypes[i], this.standInListener());
+    }
+    return adjustConfig;
+};
+
+AdjustReplayer.prototype.buildEvent = function(fields) {
+    var adjustEvent = new this.sdk.AdjustEvent(fields.eventToken);
+    if (fields.revenue !== null && fields.revenue !== undefined) {
+        adjustEvent.setRevenue(fields.revenue, fields.currency);
+    }
+    if (fields.isReceiptSet) {
+        adjustEvent.setReceiptForTransactionId(fields.receipt, fields.transactionId);
+    } else if (fields.transactionId !== null && fields.transactionId !== undefined) {
+        adjustEvent.setTransactionId(fields.transactionId);
+    }
+    if (fields.callbackId !== null && fields.callbackId !== undefined) {
+        adjustEvent.setCallbackId(fields.callbackId);
+    }
+    addParameters(fields.callbackParameters, adjustEvent.addCallbackParameter, adjustEvent);
+    addParameters(fields.partnerParameters, adjustEvent.addPartnerParameter, adjustEvent);
+    return adjustEvent;
+};
+
+// Parameters are recorded as flat [key, value, key, value, ...] lists.
+function addParameters(list, add, adjustEvent) {
+    if (!Array.isArray(list)) {
+        return;
+    }
+    for (var i = 0; i + 1 < list.length; i += 2) {
+        add.call(adjustEvent, list[i], list[i + 1]);
+    }
+}
+
+module.exports = AdjustReplayer;
@@ -0,0 +1,25 @@
+var AdjustError = require('./adjust_error');
+
+// Passes problems which don't fail a call (refused values, storage failures) from the modules which
+// don't know about Adjust to the listener www/adjust.js sets, which forwards them to Adjust.onError.
+var listener = null;
+
+var AdjustReporter = {
+    setListener: function(newListener) {
+        listener = typeof newListener === 'function' ? newListener : null;
+    },
+
+    // Returns the reported error. cause is the error which led to it, if any.
+    report: function(code, action, message, cause) {
+        var error = new AdjustError(code, action, message);
+        if (cause !== undefined) {
+            error.cause = cause;
+        }
+        if (listener !== null) {
+            listener(error);
+        }
+        return error;
+    }
+};
+
+module.exports = AdjustReporter;
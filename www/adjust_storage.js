@@ -0,0 +1,32 @@
+// Storage adapters with the synchronous localStorage interface (getItem, setItem and removeItem).
+var AdjustStorage = {
+    // Keeps items for the lifetime of the app only.
+    createMemoryStorage: function() {
+        var items = Object.create(null);
+        return {
+            getItem: function(key) {
+                return key in items ? items[key] : null;
+            },
+            setItem: function(key, value) {
+                items[key] = String(value);
+            },
+            removeItem: function(key) {
+                delete items[key];
+            }
+        };
+    },
+
+    // localStorage if the web view provides it, memory storage otherwise.
+    createDefaultStorage: function() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage !== null) {
+                return localStorage;
+            }
+        } catch (err) {
+            // Accessing localStorage throws when it is disabled.
+        }
+        return AdjustStorage.createMemoryStorage();
+    }
+};
+
+module.exports = AdjustStorage;
@@ -0,0 +1,71 @@
+var AdjustError = require('./adjust_error');
+var AdjustReporter = require('./adjust_reporter');
+
+// Remembers transaction IDs of tracked events together with the time they were tracked at.
+// Entries are persisted through a storage adapter (see adjust_storage.js), so they survive app restarts.
+function AdjustTransactionStore(storage, ttl) {
+    this.storage = storage;
+    this.ttl = ttl;
+}
+
+AdjustTransactionStore.StorageKey = "adjust_transaction_ids";
+// One day, in milliseconds.
+AdjustTransactionStore.DefaultTtl = 24 * 60 * 60 * 1000;
+
+// Returns the stored entries which haven't expired yet, as { transactionId: trackedAt }.
+function readEntries(store, now) {
+    var entries = Object.create(null);
+    var stored = null;
+    try {
+        stored = JSON.parse(store.storage.getItem(AdjustTransactionStore.StorageKey));
+    } catch (err) {
+        // Unreadable entries are dropped.
+    }
+    if (stored === null || typeof stored !== 'object') {
+        return entries;
+    }
+
+    for (var transactionId in stored) {
+        if (typeof stored[transactionId] === 'number' && now - stored[transactionId] < store.ttl) {
+            entries[transactionId] = stored[transactionId];
+        }
+    }
+    return entries;
+}
+
+function writeEntries(store, entries) {
+    try {
+        store.storage.setItem(AdjustTransactionStore.StorageKey, JSON.stringify(entries));
+    } catch (err) {
+        AdjustReporter.report(AdjustError.CodeStorageError, 'trackEvent',
+            "Unable to persist tracked transaction IDs: " + err.message);
+    }
+}
+
+AdjustTransactionStore.prototype.isDuplicate = function(transactionId, now) {
+    return Object.prototype.hasOwnProperty.call(readEntries(this, now), transactionId);
+};
+
+// Expired entries are pruned on every write.
+AdjustTransactionStore.prototype.remember = function(transactionId, now) {
+    var entries = readEntries(this, now);
+    entries[transactionId] = now;
+    writeEntries(this, entries);
+};
+
+AdjustTransactionStore.prototype.forget = function(transactionId, now) {
+    var entries = readEntries(this, now);
+    delete entries[transactionId];
+    writeEntries(this, entries);
+};
+
+AdjustTransactionStore.prototype.clear = function() {
+    try {
+        this.storage.removeItem(AdjustTransactionStore.StorageKey);
+    } catch (err) {
+        AdjustReporter.report(AdjustError.CodeStorageError, 'clearTrackedTransactions',
+            "Unable to clear tracked transaction IDs: " + err.message);
+    }
+};
+
+module.exports = AdjustTransactionStore;